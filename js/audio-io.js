@@ -37,11 +37,14 @@ class AudioIO {
 
         // Store centralized config from main thread (for serialization to Worklet)
         this.appConfig = null;  // From configManager.get()
+        this.pitchAlgorithm = null;  // Runtime override of appConfig.pitchDetector.algorithm
+        this.beatboxEnabled = false;  // Worklet runs PercussionOnsetDetector ('percussion-onset')
 
         // Callbacks
         this.onFrameCallback = null;           // Raw audio frame callback (all modes)
         this.onPitchDetectedCallback = null;   // Pitch detection callback (Worklet mode only)
         this.onWorkletPitchFrameCallback = null; // Worklet PitchFrame dedicated callback
+        this.onPercussionOnsetCallback = null;  // Worklet beatbox hits
         this.onErrorCallback = null;
         this.onStateChangeCallback = null;
 
@@ -288,6 +291,18 @@ class AudioIO {
         return this;
     }
 
+    /**
+     * 注册打击音回调 (Worklet 模式, setBeatboxEnabled(true) 后才会有)
+     * @param {Function} callback - (hit: {time, peakDb, centroid, flatness, attackMs, decayDb}) => void
+     */
+    onPercussionOnset(callback) {
+        if (typeof callback !== 'function') {
+            throw new TypeError('[AudioIO] onPercussionOnset callback must be a function');
+        }
+        this.onPercussionOnsetCallback = callback;
+        return this;
+    }
+
     /**
      * 注册错误回调
      * @param {Function} callback - (type: string, error: Error) => void
@@ -347,6 +362,39 @@ class AudioIO {
         };
     }
 
+    /**
+     * 运行时切换 Worklet 音高算法 ('YIN' | 'PYIN' | 'MPM' | 'AUTO')
+     * 未启动时仅记录, 启动后随 config 消息一起下发
+     * @param {string} algorithm
+     */
+    setPitchAlgorithm(algorithm) {
+        this.pitchAlgorithm = algorithm;
+
+        if (this.mode === 'worklet' && this.processorNode?.port) {
+            this.processorNode.port.postMessage({
+                type: 'config',
+                data: this._serializeConfigForWorklet()
+            });
+            console.log('[AudioIO] 🎯 音高算法已切换:', algorithm);
+        }
+    }
+
+    /**
+     * 开关 Worklet 中的打击音检测 (Beatbox)
+     * 未启动时仅记录, 启动后随 config 消息一起下发
+     * @param {boolean} enabled
+     */
+    setBeatboxEnabled(enabled) {
+        this.beatboxEnabled = !!enabled;
+
+        if (this.mode === 'worklet' && this.processorNode?.port) {
+            this.processorNode.port.postMessage({
+                type: 'config',
+                data: this._serializeConfigForWorklet()
+            });
+        }
+    }
+
     /**
      * 获取性能统计
      */
@@ -388,13 +436,14 @@ class AudioIO {
             console.warn('[AudioIO]  未提供 appConfig,使用回退默认值');
             return {
                 sampleRate: this.audioContext.sampleRate,
-                algorithm: 'YIN',
+                algorithm: this.pitchAlgorithm ?? 'YIN',
                 threshold: 0.1,  // YIN 算法内部阈值 (固定)
                 clarityThreshold: 0.85,  // 音高置信度阈值
                 minFrequency: 80,
                 maxFrequency: 800,
                 smoothingSize: 5,
-                minVolumeThreshold: 0.01
+                minVolumeThreshold: 0.01,
+                beatbox: this.beatboxEnabled
             };
         }
 
@@ -403,7 +452,9 @@ class AudioIO {
         const workletConfig = {
             // 基础参数
             sampleRate: this.audioContext.sampleRate,
-            algorithm: 'YIN',
+            algorithm: this.pitchAlgorithm ?? config.pitchDetector?.algorithm ?? 'YIN',  // 'YIN' | 'PYIN' | 'MPM' | 'AUTO'
+            pyinLookahead: config.pitchDetector?.pyinLookahead ?? 3,
+            windowSize: config.pitchDetector?.windowSize ?? 1024,  // 分析窗长 (滞后范围 = 一半)
 
             // 音高检测参数 (从 config.pitchDetector 映射)
             threshold: 0.1,  // YIN 算法内部阈值 (固定,不暴露给用户)
@@ -427,6 +478,9 @@ class AudioIO {
             silenceThreshold: config.onset?.silenceThreshold ?? -40,
             minStateDuration: config.onset?.attackDuration ?? 50,
 
+            // Beatbox: 打击音检测
+            beatbox: this.beatboxEnabled,
+
             // Latency Profiler: 延迟分析标志 (Feature Flag)
             enableProfiling: window.__ENABLE_LATENCY_PROFILER__ || false
         };
@@ -434,6 +488,7 @@ class AudioIO {
         console.log('[AudioIO] 📋 配置映射完成:', {
             from: 'ConfigManager',
             to: 'Worklet',
+            algorithm: workletConfig.algorithm,
             clarityThreshold: workletConfig.clarityThreshold,
             minFrequency: workletConfig.minFrequency,
             maxFrequency: workletConfig.maxFrequency,
@@ -704,6 +759,13 @@ class AudioIO {
                 this.stats.pitchDetections = (this.stats.pitchDetections || 0) + 1;
                 break;
 
+            case 'percussion-onset':
+                // Beatbox 打击音 (无音高的短促起音)
+                if (this.onPercussionOnsetCallback) {
+                    this.onPercussionOnsetCallback(data);
+                }
+                break;
+
             case 'no-pitch':
                 // 未检测到音高 (可选处理)
                 if (this.config.debug && data) {
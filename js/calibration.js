@@ -1,12 +1,19 @@
 /**
  * 校准模块
  * 检测用户音域范围并建立基准映射
+ * (实例由 AppContainer 创建, 供 OctaveCorrector 读取 calibrationData)
+ * 两个计时步骤 (最低音 / 最高音) 由 TimedSteps 驱动, 与 BeatboxTrainer 共用
  */
 
-class CalibrationSystem {
-    constructor() {
-        this.isCalibrating = false;
-        this.calibrationStep = 0; // 0: 未开始, 1: 检测低音, 2: 检测高音, 3: 完成
+import { TimedSteps } from './core/timed-steps.js';
+
+export class CalibrationSystem {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.pitchDetector] - PitchDetector (frequencyToNote / noteToFrequency)
+     */
+    constructor({ pitchDetector = null } = {}) {
+        this.pitchDetector = pitchDetector;
 
         // 校准数据
         this.calibrationData = {
@@ -20,11 +27,16 @@ class CalibrationSystem {
 
         // 采样数据
         this.samples = [];
-        this.sampleDuration = 5000; // 每步采样5秒
-        this.sampleStartTime = 0;
 
-        // 计时器
-        this.timerInterval = null;
+        // 计时步骤: 每步采样5秒, 每50ms报告进度, 时间到自动进入下一步
+        this.steps = new TimedSteps({
+            count: 2,
+            duration: 5000,
+            onStepStart: (step) => this._beginStep(step),
+            onProgress: (progress) => this._notify(progress),
+            onStepEnd: (step) => this._endStep(step),
+            onFinish: () => this.finishCalibration()
+        });
 
         // 是否被取消
         this.cancelled = false;
@@ -35,80 +47,46 @@ class CalibrationSystem {
     }
 
     /**
-     * 开始校准流程
+     * 是否正在校准
      */
-    start() {
-        this.isCalibrating = true;
-        this.calibrationStep = 1;
-        this.samples = [];
-        this.cancelled = false;
-        this.sampleStartTime = Date.now();
-
-        console.log('Calibration started: Step 1 - Detecting lowest pitch');
+    get isCalibrating() {
+        return this.steps.isRunning;
+    }
 
-        // 启动计时器
-        this.startTimer();
+    /**
+     * 0: 未开始, 1: 检测低音, 2: 检测高音, 3: 完成
+     */
+    get calibrationStep() {
+        return this.steps.step;
+    }
 
-        if (this.onCalibrationUpdate) {
-            this.onCalibrationUpdate({
-                step: 1,
-                instruction: 'Sing your lowest comfortable note and hold for 5 seconds.',
-                progress: 0,
-                elapsed: 0
-            });
-        }
+    set calibrationStep(step) {
+        this.steps.step = step;
     }
 
     /**
-     * 取消校准
+     * 每步采样时长 (ms)
      */
-    cancel() {
-        this.cancelled = true;
-        this.isCalibrating = false;
-        this.stopTimer();
-        this.reset();
-        console.log('Calibration cancelled');
+    get sampleDuration() {
+        return this.steps.duration;
     }
 
     /**
-     * 启动计时器
+     * 开始校准流程
      */
-    startTimer() {
-        this.stopTimer(); // 先停止之前的计时器
-
-        this.timerInterval = setInterval(() => {
-            if (!this.isCalibrating) {
-                this.stopTimer();
-                return;
-            }
-
-            const elapsed = Date.now() - this.sampleStartTime;
-            const progress = Math.min((elapsed / this.sampleDuration) * 100, 100);
-
-            if (this.onCalibrationUpdate) {
-                this.onCalibrationUpdate({
-                    step: this.calibrationStep,
-                    progress: progress,
-                    elapsed: elapsed,
-                    remaining: Math.max(0, this.sampleDuration - elapsed)
-                });
-            }
-
-            // 关键修复：在计时器中检查是否达到时间，自动进入下一步
-            if (elapsed >= this.sampleDuration) {
-                this.completeCurrentStep();
-            }
-        }, 50); // 每50ms更新一次
+    start() {
+        this.cancelled = false;
+        console.log('Calibration started: Step 1 - Detecting lowest pitch');
+        this.steps.start();
     }
 
     /**
-     * 停止计时器
+     * 取消校准
      */
-    stopTimer() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
+    cancel() {
+        this.cancelled = true;
+        this.reset();
+        console.log('Calibration cancelled');
     }
 
     /**
@@ -132,22 +110,53 @@ class CalibrationSystem {
     }
 
     /**
-     * 完成当前步骤
+     * 立即完成当前步骤 (不等计时器)
      */
     completeCurrentStep() {
-        // 停止计时器，避免重复触发
-        this.stopTimer();
+        this.steps.completeStep();
+    }
+
+    /**
+     * 步骤开始: 清空样本并提示用户
+     * @private
+     */
+    _beginStep(step) {
+        this.samples = [];
+        this._notify({
+            step,
+            instruction: step === 1
+                ? 'Sing your lowest comfortable note and hold for 5 seconds.'
+                : 'Great! Now sing your highest comfortable note and hold for 5 seconds.',
+            progress: 0,
+            elapsed: 0
+        });
+    }
 
+    /**
+     * @private
+     */
+    _notify(update) {
+        if (this.onCalibrationUpdate) {
+            this.onCalibrationUpdate(update);
+        }
+    }
+
+    /**
+     * 步骤结束: 由样本中值得出最低 / 最高音
+     * 无论有无样本都进入下一步 (关键修复: 避免无限重试)
+     * @private
+     */
+    _endStep(step) {
         // 如果没有样本，使用默认值而不是重试（避免无限循环）
         if (this.samples.length === 0) {
             console.warn('No valid samples collected, using default value');
 
-            if (this.calibrationStep === 1) {
+            if (step === 1) {
                 // 使用默认低音 (C3)
                 this.calibrationData.lowestFreq = 130.81;
                 this.calibrationData.lowestNote = 'C3';
                 console.log('Using default lowest pitch: C3 (130.81 Hz)');
-            } else if (this.calibrationStep === 2) {
+            } else if (step === 2) {
                 // 使用默认高音 (C5)
                 this.calibrationData.highestFreq = 523.25;
                 this.calibrationData.highestNote = 'C5';
@@ -155,54 +164,29 @@ class CalibrationSystem {
             }
         }
 
-        if (this.calibrationStep === 1) {
-            // 完成低音检测（如果有样本）
-            if (this.samples.length > 0) {
-                this.calibrationData.lowestFreq = this.getMedianFrequency(this.samples);
-                this.calibrationData.lowestNote = pitchDetector.frequencyToNote(
-                    this.calibrationData.lowestFreq
-                ).fullNote;
-
-                console.log('Step 1 complete - Lowest pitch:', this.calibrationData.lowestNote,
-                    '(', this.calibrationData.lowestFreq.toFixed(2), 'Hz)');
-            }
-
-            // 无论有无样本，都进入Step 2（关键修复）
-            this.calibrationStep = 2;
-            this.samples = [];
-            this.sampleStartTime = Date.now();
-
-            // 重启计时器
-            this.startTimer();
-
-            if (this.onCalibrationUpdate) {
-                this.onCalibrationUpdate({
-                    step: 2,
-                    instruction: 'Great! Now sing your highest comfortable note and hold for 5 seconds.',
-                    progress: 0,
-                    elapsed: 0
-                });
-            }
-
-        } else if (this.calibrationStep === 2) {
-            // 完成高音检测（如果有样本）
-            if (this.samples.length > 0) {
-                this.calibrationData.highestFreq = this.getMedianFrequency(this.samples);
-                this.calibrationData.highestNote = pitchDetector.frequencyToNote(
-                    this.calibrationData.highestFreq
-                ).fullNote;
-
-                console.log('Step 2 complete - Highest pitch:', this.calibrationData.highestNote,
-                    '(', this.calibrationData.highestFreq.toFixed(2), 'Hz)');
-            }
+        if (step === 1 && this.samples.length > 0) {
+            // 完成低音检测
+            this.calibrationData.lowestFreq = this.getMedianFrequency(this.samples);
+            this.calibrationData.lowestNote = this.pitchDetector.frequencyToNote(
+                this.calibrationData.lowestFreq
+            ).fullNote;
+
+            console.log('Step 1 complete - Lowest pitch:', this.calibrationData.lowestNote,
+                '(', this.calibrationData.lowestFreq.toFixed(2), 'Hz)');
+        } else if (step === 2 && this.samples.length > 0) {
+            // 完成高音检测
+            this.calibrationData.highestFreq = this.getMedianFrequency(this.samples);
+            this.calibrationData.highestNote = this.pitchDetector.frequencyToNote(
+                this.calibrationData.highestFreq
+            ).fullNote;
 
-            // 无论有无样本，都完成校准（关键修复）
-            this.finishCalibration();
+            console.log('Step 2 complete - Highest pitch:', this.calibrationData.highestNote,
+                '(', this.calibrationData.highestFreq.toFixed(2), 'Hz)');
         }
     }
 
     /**
-     * 完成校准流程
+     * 完成校准流程 (最后一步结束后由 TimedSteps 调用)
      */
     finishCalibration() {
         // 计算音域信息
@@ -220,12 +204,6 @@ class CalibrationSystem {
             )
         };
 
-        this.isCalibrating = false;
-        this.calibrationStep = 3;
-
-        // 停止计时器
-        this.stopTimer();
-
         console.log('Calibration completed:', this.calibrationData);
 
         // 触发完成回调
@@ -286,8 +264,7 @@ class CalibrationSystem {
      * 重置校准
      */
     reset() {
-        this.isCalibrating = false;
-        this.calibrationStep = 0;
+        this.steps.cancel();
         this.samples = [];
         this.calibrationData = {
             lowestFreq: null,
@@ -328,8 +305,8 @@ class CalibrationSystem {
      * 手动设置校准数据
      */
     setCalibrationData(lowestNote, highestNote) {
-        const lowestFreq = pitchDetector.noteToFrequency(lowestNote);
-        const highestFreq = pitchDetector.noteToFrequency(highestNote);
+        const lowestFreq = this.pitchDetector.noteToFrequency(lowestNote);
+        const highestFreq = this.pitchDetector.noteToFrequency(highestNote);
 
         this.calibrationData = {
             lowestFreq: lowestFreq,
@@ -361,5 +338,4 @@ class CalibrationSystem {
     }
 }
 
-// 导出单例实例
-const calibrationSystem = new CalibrationSystem();
+// Instance managed by AppContainer (no global instance created here)
@@ -13,6 +13,13 @@
  * @see {@link docs/CONFIGURATION.md} Full Configuration Documentation
  */
 
+import { PITCH_ALGORITHMS } from '../pitch-dsp.js';
+
+/**
+ * Smart Jam backends accepted by `harmonizer.backend`
+ */
+const HARMONIZER_BACKENDS = ['auto', 'magenta', 'rules'];
+
 /**
  * @typedef {Object} AudioEngineConfig
  * @property {number} sampleRate - Sample Rate (Hz), Impacts: Quality↑/CPU↑/Latency↓
@@ -26,6 +33,9 @@
  * @property {number} clarityThreshold - YIN Clarity Threshold (0-1), Impacts: Sensitivity↑/False Positives↑
  * @property {number} minFrequency - Min Detection Frequency (Hz), Impacts: Range/CPU
  * @property {number} maxFrequency - Max Detection Frequency (Hz), Impacts: Range/CPU
+ * @property {'YIN'|'PYIN'|'MPM'|'AUTO'} [algorithm='YIN'] - Detector, PYIN: Stability↑/Latency↑, MPM: High Voice/Whistle Stability↑, AUTO: YIN Low / MPM High
+ * @property {number} [pyinLookahead=3] - PYIN Viterbi Lookahead (frames of 512 samples), Impacts: Stability↑/Latency↑
+ * @property {1024|2048|4096} [windowSize=1024] - Worklet Analysis Window (samples), Impacts: Lowest Pitch↓/Latency↑/CPU↑
  */
 
 /**
@@ -93,6 +103,14 @@
  * @property {string} labelColor - 标签颜色
  */
 
+/**
+ * @typedef {Object} HarmonizerConfig
+ * @property {'auto'|'magenta'|'rules'} backend - Smart Jam backend, auto: Magenta, falling back to rule-based chords when it cannot load (offline / proxy)
+ * @property {string} libraryUrl - Magenta.js bundle, a CDN URL or a self-hosted path (e.g. 'models/magenta/magentamusic.min.js')
+ * @property {string} checkpointUrl - MusicRNN checkpoint directory, a CDN URL or a self-hosted path (scripts/fetch-magenta-model.js)
+ * @property {boolean} cacheModel - Cache the library and checkpoint in a service worker (sw.js) for offline use
+ */
+
 /**
  * @typedef {Object} AppConfigSchema
  * @property {AudioEngineConfig} audio - 音频引擎配置
@@ -102,6 +120,7 @@
  * @property {SpectralFeaturesConfig} spectral - 频域特征配置
  * @property {SynthesizerConfig} synthesizer - 合成器配置
  * @property {VisualizerConfig} visualizer - 可视化配置
+ * @property {HarmonizerConfig} harmonizer - AI 伴奏配置
  * @property {PerformanceConfig} performance - 性能与调试配置
  */
 
@@ -134,7 +153,10 @@ const DEFAULT_CONFIG = {
     minFrequency: 50,            // 🔥 修复: 50Hz (G1) - 覆盖男低音 C2(65Hz) + 容差
     maxFrequency: 1500,          // 🔥 修复: 1500Hz (覆盖女高音 + 唱歌高音区)
     minVolumeThreshold: 0.0001,  // 🔥 紧急: 0.001 → 0.0001 (适配极低音量虚拟设备)
-    minConfidence: 0.01          // 🔥 紧急: 0.05 → 0.01 (极限放宽)
+    minConfidence: 0.01,         // 🔥 紧急: 0.05 → 0.01 (极限放宽)
+    algorithm: 'YIN',            // 'YIN' | 'PYIN' (概率 YIN + Viterbi) | 'MPM' (口哨/高音) | 'AUTO' (低音 YIN, 高音 MPM)
+    pyinLookahead: 3,            // PYIN 回溯帧数 (3 × 512 样本 ≈ 35ms @ 44.1kHz)
+    windowSize: 1024             // Worklet 分析窗 (样本): 滞后范围 = 一半, 1024 → 86Hz @ 44.1kHz; 男低音 (< 86Hz) 设 2048
   },
 
   // ─────────────────────────────────────────────────────────────────────────
@@ -208,6 +230,16 @@ const DEFAULT_CONFIG = {
     labelColor: 'rgba(255, 255, 255, 0.4)'
   },
 
+  // ─────────────────────────────────────────────────────────────────────────
+  // AI 伴奏配置 (Harmonizer Configuration)
+  // ─────────────────────────────────────────────────────────────────────────
+  harmonizer: {
+    backend: 'auto',             // 'auto' (Magenta, 离线时回退到规则和弦) | 'magenta' | 'rules'
+    libraryUrl: 'https://cdn.jsdelivr.net/npm/@magenta/music@1.23.1/dist/magentamusic.min.js',
+    checkpointUrl: 'https://storage.googleapis.com/magentadata/js/checkpoints/music_rnn/chord_pitches_improv',
+    cacheModel: true             // Service Worker 缓存模型 (离线可用)
+  },
+
   // ─────────────────────────────────────────────────────────────────────────
   // 性能与调试配置 (Performance & Debugging Configuration)
   // ─────────────────────────────────────────────────────────────────────────
@@ -360,12 +392,24 @@ function validateConfig(config) {
 
   // 验证音高检测配置
   if (config.pitchDetector) {
-    const { clarityThreshold, minFrequency, maxFrequency } = config.pitchDetector;
+    const { clarityThreshold, minFrequency, maxFrequency, algorithm, pyinLookahead, windowSize } = config.pitchDetector;
 
     if (clarityThreshold && (clarityThreshold < 0 || clarityThreshold > 1)) {
       errors.push(`无效的清晰度阈值: ${clarityThreshold} (有效范围: 0-1)`);
     }
 
+    if (algorithm !== undefined && !PITCH_ALGORITHMS.includes(algorithm)) {
+      errors.push(`无效的音高算法: ${algorithm} (有效值: ${PITCH_ALGORITHMS.join(', ')})`);
+    }
+
+    if (pyinLookahead !== undefined && !(Number.isInteger(pyinLookahead) && pyinLookahead >= 0 && pyinLookahead <= 10)) {
+      errors.push(`无效的 pyinLookahead: ${pyinLookahead} (有效范围: 0-10 的整数)`);
+    }
+
+    if (windowSize !== undefined && ![1024, 2048, 4096].includes(windowSize)) {
+      errors.push(`无效的 windowSize: ${windowSize} (有效值: 1024, 2048, 4096)`);
+    }
+
     if (minFrequency && maxFrequency && minFrequency >= maxFrequency) {
       errors.push(`minFrequency (${minFrequency}) 必须小于 maxFrequency (${maxFrequency})`);
     }
@@ -431,6 +475,19 @@ function validateConfig(config) {
     }
   }
 
+  // 验证 AI 伴奏配置
+  if (config.harmonizer) {
+    const { backend, libraryUrl, checkpointUrl } = config.harmonizer;
+
+    if (backend !== undefined && !HARMONIZER_BACKENDS.includes(backend)) {
+      errors.push(`无效的伴奏后端: ${backend} (有效值: ${HARMONIZER_BACKENDS.join(', ')})`);
+    }
+
+    if ((libraryUrl !== undefined && !libraryUrl) || (checkpointUrl !== undefined && !checkpointUrl)) {
+      errors.push('harmonizer.libraryUrl / checkpointUrl 不能为空');
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors,
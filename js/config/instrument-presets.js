@@ -10,6 +10,19 @@
  * III. Brass (Trumpet, Trombone, Suona)
  * IV. Strings (Violin, Cello, Erhu)
  * V. Reeds (Harmonica)
+ * VI. Wavetable (Wave Lead)
+ *
+ * `vibrato` chooses what happens to the singer's vibrato (see VIBRATO_MODES in
+ * continuous-synth.js): 'pass' it through, replace it with the 'preset'
+ * vibrato (rate Hz, depth cents) or 'exaggerate' it by `amount`.
+ *
+ * 'Wavetable' presets play a table registered in core/wavetable.js
+ * (`wavetable` id) from `position` (0-1); `positionModulation` moves through
+ * it with 'brightness', 'volume' or 'breathiness' (see WAVETABLE_MOD_SOURCES).
+ *
+ * `sampleSet` names a set of recordings registered in core/sampler.js. Once
+ * it is loaded the preset plays those samples ('Sampler' type, velocity layer
+ * picked by the sung volume); until then it keeps its own `type`.
  */
 
 const instrumentPresets = {
@@ -23,7 +36,8 @@ const instrumentPresets = {
         modulationIndex: 2,
         harmonicity: 1,
         portamento: 0.05,
-        dynamicModulation: true // Louder = slightly brighter
+        dynamicModulation: true, // Louder = slightly brighter
+        vibrato: { mode: 'pass' }
     },
     clarinet: {
         type: 'FMSynth',
@@ -33,7 +47,8 @@ const instrumentPresets = {
         modulation: { type: 'sine' },
         modulationIndex: 3,
         harmonicity: 1.5, // Ratio 2:3 characteristic of clarinet
-        portamento: 0.05
+        portamento: 0.05,
+        vibrato: { mode: 'preset', rate: 5, depth: 0 } // Classical clarinet: straight tone
     },
     dizi: {
         type: 'FMSynth',
@@ -44,55 +59,64 @@ const instrumentPresets = {
         modulationIndex: 5, 
         harmonicity: 2, // Higher harmonic buzz
         portamento: 0.04,
-        dynamicModulation: true
+        dynamicModulation: true,
+        vibrato: { mode: 'pass' }
     },
 
     // --- Saxophones ---
     soprano_sax: {
         type: 'FMSynth',
         name: 'Soprano Sax',
+        sampleSet: 'soprano_sax', // Recorded samples once imported
         oscillator: { type: 'sawtooth' }, // Brighter than Alto
         envelope: { attack: 0.05, decay: 0.2, sustain: 0.8, release: 0.4 },
         modulation: { type: 'sine' },
         modulationIndex: 8,
         harmonicity: 1,
         portamento: 0.06,
-        dynamicModulation: true
+        dynamicModulation: true,
+        vibrato: { mode: 'pass' }
     },
     alto_sax: {
         type: 'FMSynth',
         name: 'Alto Sax',
+        sampleSet: 'alto_sax', // Recorded samples once imported
         oscillator: { type: 'square' }, // Warmer, hollower
         envelope: { attack: 0.08, decay: 0.2, sustain: 0.8, release: 0.4 },
         modulation: { type: 'sine' },
         modulationIndex: 10,
         harmonicity: 3, // Classic FM Sax ratio
         portamento: 0.06,
-        dynamicModulation: true
+        dynamicModulation: true,
+        vibrato: { mode: 'pass' }
     },
 
     // --- Brass ---
     trumpet: {
         type: 'FMSynth',
         name: 'Trumpet',
+        sampleSet: 'trumpet', // Recorded samples once imported
         oscillator: { type: 'sine' },
         envelope: { attack: 0.01, decay: 0.1, sustain: 0.9, release: 0.2 },
         modulation: { type: 'sine' },
         modulationIndex: 5, // Increases heavily with volume
         harmonicity: 1,
         portamento: 0.02,
-        dynamicModulation: true
+        dynamicModulation: true,
+        vibrato: { mode: 'pass' }
     },
     trombone: {
         type: 'FMSynth',
         name: 'Trombone',
+        sampleSet: 'trombone', // Recorded samples once imported
         oscillator: { type: 'sawtooth' }, // Brass buzz
         envelope: { attack: 0.1, decay: 0.2, sustain: 1, release: 0.5 },
         modulation: { type: 'sine' },
         modulationIndex: 6,
         harmonicity: 1,
         portamento: 0.15, // KEY: Long slides
-        dynamicModulation: true
+        dynamicModulation: true,
+        vibrato: { mode: 'pass' }
     },
     suona: {
         type: 'FMSynth',
@@ -103,7 +127,8 @@ const instrumentPresets = {
         modulationIndex: 15,
         harmonicity: 4, // High frequency harmonics
         portamento: 0.03,
-        dynamicModulation: true
+        dynamicModulation: true,
+        vibrato: { mode: 'exaggerate', amount: 1.4 }
     },
 
     // --- Strings ---
@@ -113,7 +138,8 @@ const instrumentPresets = {
         oscillator: { type: 'sawtooth' },
         envelope: { attack: 0.1, decay: 0.1, sustain: 1, release: 0.8 },
         filterEnvelope: { baseFrequency: 600, octaves: 3, attack: 0.1, decay: 0.2, sustain: 0.7, release: 0.8, Q: 2 },
-        portamento: 0.08
+        portamento: 0.08,
+        vibrato: { mode: 'pass' } // Follow the singer's finger vibrato
     },
     cello: {
         type: 'MonoSynth',
@@ -121,7 +147,8 @@ const instrumentPresets = {
         oscillator: { type: 'sawtooth' },
         envelope: { attack: 0.15, decay: 0.2, sustain: 0.9, release: 1.5 },
         filterEnvelope: { baseFrequency: 250, octaves: 2.5, attack: 0.2, decay: 0.3, sustain: 0.8, release: 1.0, Q: 1.5 },
-        portamento: 0.12
+        portamento: 0.12,
+        vibrato: { mode: 'pass' }
     },
     erhu: {
         type: 'FMSynth', // FM better for that "nasal" vocal quality
@@ -132,7 +159,8 @@ const instrumentPresets = {
         modulationIndex: 6,
         harmonicity: 1, // Fundamental resonance
         portamento: 0.1, // Glissando is essential
-        dynamicModulation: true
+        dynamicModulation: true,
+        vibrato: { mode: 'exaggerate', amount: 1.6 } // Wide, expressive erhu vibrato
     },
 
     // --- Reeds ---
@@ -143,7 +171,19 @@ const instrumentPresets = {
         envelope: { attack: 0.05, decay: 0.1, sustain: 0.9, release: 0.2 },
         modulation: { type: 'square' },
         harmonicity: 1.01, // Detuned slightly for beating effect
-        portamento: 0.05
+        portamento: 0.05,
+        vibrato: { mode: 'preset', rate: 6, depth: 15 } // Hand tremolo
+    },
+
+    // --- Wavetable ---
+    wavetable: {
+        type: 'Wavetable',
+        name: 'Wave Lead',
+        wavetable: 'basic', // Sine -> Triangle -> Saw -> Square
+        position: 0.1,
+        positionModulation: { source: 'brightness', amount: 0.8 }, // Brighter voice = further into the table
+        envelope: { attack: 0.03, decay: 0.2, sustain: 0.85, release: 0.4 },
+        vibrato: { mode: 'pass' }
     }
 };
 
@@ -1,7 +1,60 @@
-import { getNearestScaleNote } from './core/music-scales.js';
+import { getNearestScaleNote, transposeInScale } from './core/music-scales.js';
+import { RetuneModel } from './core/retune-model.js';
 import { KarplusStrong } from './core/karplus-strong.js';
+import { WavetableSynth, getWavetable } from './core/wavetable.js';
+import { SampleVoice, getSampleSet } from './core/sampler.js';
+import { vowelSpace } from './pitch-dsp.js';
 import instrumentPresetManager from './config/instrument-presets.js';
 
+/**
+ * 颤音处理方式 (乐器预设 `vibrato.mode`)
+ * - pass: 演唱者的颤音原样传给合成器
+ * - preset: 去掉演唱者的颤音, 换成预设的 Tone.Vibrato (rate Hz, depth 音分)
+ * - exaggerate: 演唱者的颤音按 amount 放大
+ */
+export const VIBRATO_MODES = ['pass', 'preset', 'exaggerate'];
+
+/**
+ * 元音滤波 (PitchFrame.formantF1 / formantF2 驱动)
+ * - talkbox: 两个带通共振器跟随演唱者的 F1 / F2, 乐器 "说出" 元音
+ * - wah: 一个共振器随开口度 (u → a) 从 350 Hz 扫到 2500 Hz
+ */
+export const VOWEL_FILTER_MODES = ['off', 'talkbox', 'wah'];
+
+/**
+ * 和声声部的音程方式
+ * - parallel: 固定半音数平行移动 (3/4 = 三度, 7 = 五度, 12 = 八度; 负数向下)
+ * - diatonic: 在 Auto-Tune 调式内移动音级 (2 = 调内三度, 4 = 五度, 7 = 八度)
+ */
+export const HARMONY_MODES = ['parallel', 'diatonic'];
+export const MAX_HARMONY_VOICES = 3;
+
+/**
+ * Wavetable 位置调制源 (乐器预设 `positionModulation.source`)
+ * 位置 = preset.position + amount × 特征值 (0-1)
+ * - brightness: 频谱质心, 越亮越靠后
+ * - volume: 演唱力度
+ * - breathiness: 气声度
+ */
+export const WAVETABLE_MOD_SOURCES = ['none', 'brightness', 'volume', 'breathiness'];
+
+const VIBRATO_MAX_DELAY = 0.005;          // Tone.Vibrato 延迟线最大值 (s)
+const VIBRATO_UPDATE_THRESHOLD = 0.0006;  // 跟随颤音时的频率更新阈值 (~1 音分)
+
+/**
+ * 音分深度 → Tone.Vibrato depth
+ * 延迟线调制 d(t) = depth·maxDelay/2·(1 + sin 2πrt), 峰值频率偏移 = π·rate·maxDelay·depth
+ *
+ * @param {number} cents - 单边摆幅 (音分)
+ * @param {number} rate - Hz
+ * @returns {number} 0-1
+ */
+export function vibratoCentsToDepth(cents, rate) {
+    if (!(cents > 0) || !(rate > 0)) return 0;
+    const depth = (Math.pow(2, cents / 1200) - 1) / (Math.PI * rate * VIBRATO_MAX_DELAY);
+    return Math.min(1, depth);
+}
+
 /**
  * Continuous Frequency Synthesizer Engine
  *
@@ -65,7 +118,8 @@ export class ContinuousSynthEngine {
         // Effect Chain
         this.vibrato = new Tone.Vibrato({
             frequency: 5,
-            depth: 0.1
+            depth: 0.1,
+            maxDelay: VIBRATO_MAX_DELAY
         });
 
         this.filter = new Tone.Filter({
@@ -96,8 +150,23 @@ export class ContinuousSynthEngine {
             Q: 2
         });
 
+        // Vowel Filter (talkbox / wah): dry + 两个共振器并联, 汇入主滤波器
+        this.vowelDry = new Tone.Gain(1);
+        this.vowelResonators = [
+            new Tone.Filter({ type: 'bandpass', frequency: 700, Q: 6 }),
+            new Tone.Filter({ type: 'bandpass', frequency: 1200, Q: 8 })
+        ];
+        this.vowelWet = [new Tone.Gain(0), new Tone.Gain(0)];
+        this.vowelFilter = { mode: 'off', mix: 0.7 };
+
         // Connect Effect Chain
-        this.vibrato.connect(this.filter);
+        this.vibrato.connect(this.vowelDry);
+        this.vowelDry.connect(this.filter);
+        this.vowelResonators.forEach((resonator, i) => {
+            this.vibrato.connect(resonator);
+            resonator.connect(this.vowelWet[i]);
+            this.vowelWet[i].connect(this.filter);
+        });
         this.filter.connect(this.delay);
         this.delay.connect(this.reverb);
 
@@ -118,6 +187,23 @@ export class ContinuousSynthEngine {
         this.retuneSpeed = 0.0;      // 0.0 (Fast/Robotic) -> 1.0 (Slow/Natural)
         this.scaleKey = 'C';
         this.scaleType = 'chromatic';
+        this.chordTrack = null;      // ChordTrack: 跟随和弦 (优先于静态调式)
+        // 修正曲线: 起音/持续、颤音保留、滑音、人性化 (strength / retuneSpeed 同步到这里)
+        this.retuneModel = new RetuneModel();
+        this._retuneArticulation = 'silence';
+
+        // 颤音: 乐器预设决定如何处理演唱者的颤音 (PitchFrame.vibratoRate / vibratoDepth)
+        this.vibratoStyle = { mode: 'pass', rate: 5, depth: 0, amount: 1 };
+        this.singerVibrato = { rate: 0, depth: 0 };
+
+        // 和声声部: 各自的乐器 → 电平 → 声像, 汇入颤音 (与主旋律共用颤音 / 元音滤波 / 亮度 / 延迟 / 混响)
+        this.harmonyVoices = [];
+
+        // Wavetable 预设的波表覆盖 (导入的 WAV); null = 使用预设自带的 `wavetable`
+        this.wavetableId = null;
+
+        // 最近一次的归一化演唱力度 (0-1), Sampler 起音时用来选力度层
+        this.volumeNormalized = 1;
 
         console.log('[ContinuousSynth] ✓ Initialized with continuous frequency tracking');
         console.log('[ContinuousSynth] ✓ Expressive Features: cents, brightness, breathiness, articulation');
@@ -129,6 +215,7 @@ export class ContinuousSynthEngine {
      */
     setAutoTuneStrength(strength) {
         this.autoTuneStrength = Math.max(0, Math.min(1, strength));
+        this.retuneModel.setParams({ strength: this.autoTuneStrength });
         console.log(`[ContinuousSynth] 🔧 Auto-Tune Strength: ${(this.autoTuneStrength * 100).toFixed(0)}%`);
     }
 
@@ -138,13 +225,15 @@ export class ContinuousSynthEngine {
      */
     setRetuneSpeed(speed) {
         this.retuneSpeed = Math.max(0, Math.min(1, speed));
+        // 持续阶段的修正时间常数: 5ms (Robotic) -> 105ms (Natural)
+        this.retuneModel.setParams({ sustainSpeedMs: 5 + this.retuneSpeed * 100 });
         console.log(`[ContinuousSynth] 🔧 Retune Speed: ${(this.retuneSpeed * 100).toFixed(0)}%`);
     }
 
     /**
      * 设置调式
      * @param {string} key - 根音 (e.g., 'C', 'F#')
-     * @param {string} type - 调式类型 (e.g., 'major', 'minor')
+     * @param {string} type - 调式类型 (e.g., 'major', 'maqam_rast', 或 registerScale 注册的自定义调式)
      */
     setScale(key, type) {
         this.scaleKey = key;
@@ -152,6 +241,285 @@ export class ContinuousSynthEngine {
         console.log(`[ContinuousSynth] 🎼 Scale Set: ${key} ${type}`);
     }
 
+    /**
+     * 设置修正模型参数 (起音速度 / 滑音 / 颤音保留 / 人性化)
+     * @param {Object} params
+     * @param {number} [params.onsetSpeedMs] - 起音吸附时间 (ms)
+     * @param {number} [params.transitionMs] - 目标音之间的滑音时间 (ms)
+     * @param {number} [params.vibratoPreserve] - 0 = 拉平颤音, 1 = 完整保留
+     * @param {number} [params.humanize] - 长音放松量 (0-1)
+     */
+    setRetuneModel(params) {
+        this.retuneModel.setParams(params);
+        console.log('[ContinuousSynth] 🔧 Retune Model:', { ...this.retuneModel.params });
+    }
+
+    /**
+     * 设置颤音处理方式 (通常来自乐器预设的 `vibrato` 字段)
+     * @param {Object} [style]
+     * @param {'pass'|'preset'|'exaggerate'} [style.mode='pass']
+     * @param {number} [style.rate=5] - preset: 颤音速率 (Hz)
+     * @param {number} [style.depth=0] - preset: 颤音深度 (音分)
+     * @param {number} [style.amount=1.5] - exaggerate: 放大倍数
+     */
+    setVibratoStyle(style = {}) {
+        const mode = VIBRATO_MODES.includes(style.mode) ? style.mode : 'pass';
+        const rate = style.rate > 0 ? style.rate : 5;
+        const depth = Math.max(0, style.depth || 0);
+        const amount = mode === 'pass' ? 1 : mode === 'preset' ? 0 : Math.max(1, style.amount ?? 1.5);
+        this.vibratoStyle = { mode, rate, depth, amount };
+
+        // 只有 preset 模式使用 Tone.Vibrato; 其余模式颤音来自演唱者
+        this.vibrato.frequency.value = rate;
+        this.vibrato.depth.rampTo(mode === 'preset' ? vibratoCentsToDepth(depth, rate) : 0, 0.05);
+        console.log('[ContinuousSynth] 🔧 Vibrato:', { ...this.vibratoStyle });
+    }
+
+    /**
+     * 设置元音滤波 (talkbox / wah)
+     * @param {Object} config
+     * @param {'off'|'talkbox'|'wah'} [config.mode]
+     * @param {number} [config.mix] - 0-1, 共振器所占比例
+     */
+    setVowelFilter({ mode = this.vowelFilter.mode, mix = this.vowelFilter.mix } = {}) {
+        this.vowelFilter = {
+            mode: VOWEL_FILTER_MODES.includes(mode) ? mode : 'off',
+            mix: Math.max(0, Math.min(1, mix))
+        };
+
+        const active = this.vowelFilter.mode !== 'off';
+        const wet = active ? this.vowelFilter.mix : 0;
+        // 带通只留下一小段频谱, 共振器输出提升 2x 补偿响度
+        this.vowelDry.gain.rampTo(1 - wet, 0.05);
+        this.vowelWet[0].gain.rampTo(wet * 2, 0.05);
+        this.vowelWet[1].gain.rampTo(this.vowelFilter.mode === 'talkbox' ? wet * 1.4 : 0, 0.05);
+        this.vowelResonators[0].Q.value = this.vowelFilter.mode === 'wah' ? 4 : 6;
+        console.log('[ContinuousSynth] 🔧 Vowel Filter:', { ...this.vowelFilter });
+    }
+
+    /**
+     * Task 6: 共振峰 → 元音滤波
+     * @param {number} f1 - Hz (0 = 未知, 保持上一个位置)
+     * @param {number} f2 - Hz
+     */
+    updateFormants(f1, f2) {
+        if (this.vowelFilter.mode === 'off') return;
+        const space = vowelSpace(f1, f2);
+        if (!space) return;
+
+        if (this.vowelFilter.mode === 'talkbox') {
+            this.vowelResonators[0].frequency.rampTo(f1, 0.03);
+            this.vowelResonators[1].frequency.rampTo(f2, 0.03);
+        } else {
+            // 指数扫频, 听感上均匀
+            this.vowelResonators[0].frequency.rampTo(350 * Math.pow(2500 / 350, space.openness), 0.03);
+        }
+    }
+
+    /**
+     * 设置和弦轨 (和弦跟随 Auto-Tune)
+     * 有和弦时只吸附到当前和弦音; 无和弦 (N.C.) 时回退到静态调式
+     * @param {import('./core/chord-track.js').ChordTrack|null} track - null = 关闭
+     */
+    setChordTrack(track) {
+        this.chordTrack = track;
+        console.log(`[ContinuousSynth] 🎼 Chord Track: ${track ? track.progression : 'off'}`);
+    }
+
+    /**
+     * 设置和声声部 (最多 MAX_HARMONY_VOICES 个, 跟随主旋律音高)
+     * 同一位置乐器不变时只更新音程 / 电平 / 声像, 不重建合成器
+     * @param {Array<Object>} voices - [] = 关闭
+     * @param {'parallel'|'diatonic'} [voices[].mode='parallel']
+     * @param {number} [voices[].interval=0] - parallel: 半音; diatonic: 调内音级
+     * @param {string} [voices[].instrument] - 乐器预设 (默认: 当前主旋律乐器)
+     * @param {number} [voices[].level=0.7] - 0-1
+     * @param {number} [voices[].pan=0] - -1 (左) ~ 1 (右)
+     */
+    setHarmonyVoices(voices = []) {
+        const configs = voices.slice(0, MAX_HARMONY_VOICES).map(voice => ({
+            mode: HARMONY_MODES.includes(voice.mode) ? voice.mode : 'parallel',
+            interval: Number.isFinite(voice.interval) ? Math.round(voice.interval) : 0,
+            instrument: this.instrumentPresets[voice.instrument] ? voice.instrument : this.currentInstrument,
+            level: Math.max(0, Math.min(1, voice.level ?? 0.7)),
+            pan: Math.max(-1, Math.min(1, voice.pan ?? 0))
+        }));
+
+        const previous = this.harmonyVoices;
+        previous.slice(configs.length).forEach(voice => this._disposeHarmonyVoice(voice));
+        this.harmonyVoices = configs.map((config, i) => {
+            const voice = previous[i];
+            if (voice && voice.instrument === config.instrument) {
+                voice.gain.gain.rampTo(config.level, 0.05);
+                voice.panner.pan.rampTo(config.pan, 0.05);
+                return Object.assign(voice, config);
+            }
+            if (voice) this._disposeHarmonyVoice(voice);
+            return this._createHarmonyVoice(config);
+        });
+
+        // 发声中: 新声部从当前音高起音, 已有声部移到新音程
+        this.harmonyVoices.forEach(voice => {
+            if (!this.isPlaying || !this.currentFrequency) return;
+            const frequency = this._harmonyFrequency(voice, this.currentFrequency);
+            if (voice.sounding) {
+                this._rampSynthFrequency(voice.synth, frequency, 0.05);
+            } else {
+                voice.synth.triggerAttack(frequency, Tone.now(), this._attackVelocity(voice.synth));
+                voice.sounding = true;
+            }
+        });
+        console.log('[ContinuousSynth] 🎶 Harmony Voices:', configs);
+    }
+
+    /**
+     * @returns {Array<{mode: string, interval: number, instrument: string, level: number, pan: number}>}
+     */
+    getHarmonyVoices() {
+        return this.harmonyVoices.map(({ mode, interval, instrument, level, pan }) => ({ mode, interval, instrument, level, pan }));
+    }
+
+    /**
+     * @private
+     */
+    _createHarmonyVoice(config) {
+        const preset = this.instrumentPresets[config.instrument];
+        const synth = this._buildSynth(preset);
+        if (synth.volume) synth.volume.value = -60;
+
+        const gain = new Tone.Gain(config.level);
+        const panner = new Tone.Panner(config.pan);
+        synth.connect(gain);
+        gain.connect(panner);
+        panner.connect(this.vibrato);
+        return { ...config, synth, gain, panner, sounding: false };
+    }
+
+    /**
+     * @private
+     */
+    _disposeHarmonyVoice(voice) {
+        if (voice.sounding) voice.synth.triggerRelease(Tone.now());
+        voice.synth.dispose();
+        voice.gain.dispose();
+        voice.panner.dispose();
+    }
+
+    /**
+     * 主旋律频率 → 和声声部频率
+     * @private
+     */
+    _harmonyFrequency(voice, frequency) {
+        if (voice.mode === 'diatonic') {
+            return transposeInScale(frequency, voice.interval, this.scaleKey, this.scaleType);
+        }
+        return frequency * Math.pow(2, voice.interval / 12);
+    }
+
+    /**
+     * @private
+     */
+    _rampSynthFrequency(synth, frequency, rampTime) {
+        if (synth instanceof KarplusStrong || synth instanceof SampleVoice) {
+            synth.setFrequency(frequency, rampTime);
+        } else if (synth.frequency) {
+            synth.frequency.rampTo(frequency, rampTime);
+        }
+    }
+
+    /**
+     * 和声声部起音 (主旋律 start / 重新触发时)
+     * @private
+     */
+    _attackHarmonyVoices(frequency, time) {
+        this.harmonyVoices.forEach(voice => {
+            voice.synth.triggerAttack(this._harmonyFrequency(voice, frequency), time, this._attackVelocity(voice.synth));
+            voice.sounding = true;
+        });
+    }
+
+    /**
+     * 起音力度: 其他合成器固定 1.0 (动态交给音量);
+     * Sampler 按演唱力度选录音的力度层 (音量仍由 volume 控制)
+     * @private
+     */
+    _attackVelocity(synth) {
+        return synth instanceof SampleVoice ? this.volumeNormalized : 1.0;
+    }
+
+    /**
+     * @private
+     */
+    _releaseHarmonyVoices(time) {
+        this.harmonyVoices.forEach(voice => {
+            if (!voice.sounding) return;
+            voice.synth.triggerRelease(time);
+            voice.sounding = false;
+        });
+    }
+
+    /**
+     * 设置 Wavetable 预设使用的波表 (内置或 registerWavetable 注册的)
+     * 正在发声的主旋律 / 和声声部立即换表, 不重建合成器
+     * @param {string|null} id - null = 恢复预设自带的波表
+     */
+    setWavetable(id) {
+        if (id && !getWavetable(id)) throw new Error(`[ContinuousSynth] Unknown wavetable "${id}"`);
+        this.wavetableId = id || null;
+
+        this._wavetableVoices().forEach(({ synth, preset }) => {
+            synth.setTable(getWavetable(this.wavetableId || preset.wavetable) || getWavetable('basic'));
+        });
+        console.log(`[ContinuousSynth] 🌊 Wavetable: ${this.wavetableId || 'preset'}`);
+    }
+
+    /**
+     * 当前的 Wavetable 声部 (主旋律 + 和声声部) 及其预设
+     * @private
+     */
+    _wavetableVoices() {
+        return [
+            { synth: this.currentSynth, instrument: this.currentInstrument },
+            ...this.harmonyVoices
+        ]
+            .filter(({ synth }) => synth instanceof WavetableSynth)
+            .map(({ synth, instrument }) => ({ synth, preset: this.instrumentPresets[instrument] || {} }));
+    }
+
+    /**
+     * 表现力特征 → Wavetable 位置
+     * @private
+     * @param {'brightness'|'volume'|'breathiness'} source
+     * @param {number} value - 0-1
+     */
+    _modulateWavetable(source, value) {
+        this._wavetableVoices().forEach(({ synth, preset }) => {
+            const mod = preset.positionModulation;
+            if (!mod || mod.source !== source) return;
+            synth.setPosition((preset.position || 0) + (mod.amount ?? 1) * value, 0.03);
+        });
+    }
+
+    /**
+     * 重建使用该采样集的主旋律 / 和声声部 (导入或替换采样后调用)
+     * 采样集未加载时, 这些预设回退到各自的合成音色
+     * @param {string} id - 预设的 `sampleSet`
+     */
+    reloadSampleSet(id) {
+        const usesSet = (instrument) => this.instrumentPresets[instrument]?.sampleSet === id;
+
+        if (this.currentSynth && usesSet(this.currentInstrument)) {
+            this.createSynthesizer(this.currentInstrument);
+        }
+        if (this.harmonyVoices.some(voice => usesSet(voice.instrument))) {
+            const configs = this.getHarmonyVoices();
+            this.harmonyVoices.forEach(voice => this._disposeHarmonyVoice(voice));
+            this.harmonyVoices = [];
+            this.setHarmonyVoices(configs);
+        }
+        console.log(`[ContinuousSynth] 🎷 Sample set reloaded: ${id}`);
+    }
+
     /**
      * 初始化合成器
      */
@@ -178,6 +546,72 @@ export class ContinuousSynthEngine {
         console.log('[ContinuousSynth] ✓ Ready');
     }
 
+    /**
+     * 按乐器预设创建合成器 (主旋律与和声声部共用)
+     * @private
+     * @param {Object} preset
+     * @returns {Tone.Monophonic|KarplusStrong|WavetableSynth|SampleVoice}
+     */
+    _buildSynth(preset) {
+        // 预设的采样集已加载时用录音, 否则用预设的合成音色
+        const sampleSet = preset.sampleSet ? getSampleSet(preset.sampleSet) : null;
+        const type = sampleSet ? 'Sampler' : (preset.type || 'MonoSynth');
+        switch (type) {
+            case 'KarplusStrong':
+                return new KarplusStrong({
+                    damping: preset.damping,
+                    resonance: preset.resonance
+                });
+
+            case 'Wavetable':
+                return new WavetableSynth({
+                    table: getWavetable(this.wavetableId || preset.wavetable) || getWavetable('basic'),
+                    position: preset.position,
+                    envelope: preset.envelope
+                });
+
+            case 'FMSynth':
+                return new Tone.FMSynth({
+                    harmonicity: preset.harmonicity || 3,
+                    modulationIndex: preset.modulationIndex || 10,
+                    oscillator: preset.oscillator,
+                    modulation: preset.modulation,
+                    envelope: preset.envelope,
+                    modulationEnvelope: preset.filterEnvelope, // Map filterEnvelope to modulationEnvelope for FM
+                    portamento: preset.portamento
+                });
+
+            case 'AMSynth':
+                return new Tone.AMSynth({
+                    harmonicity: preset.harmonicity || 3,
+                    oscillator: preset.oscillator,
+                    modulation: preset.modulation,
+                    envelope: preset.envelope,
+                    modulationEnvelope: preset.filterEnvelope, // Map filterEnvelope to modulationEnvelope
+                    portamento: preset.portamento
+                });
+
+            case 'Sampler':
+                if (sampleSet) {
+                    return new SampleVoice({ sampleSet, envelope: preset.envelope });
+                }
+                console.warn(`[ContinuousSynth] Sample set '${preset.sampleSet}' is not loaded, falling back to MonoSynth`);
+                return this._buildSynth({ ...preset, type: 'MonoSynth' });
+
+            case 'MonoSynth':
+            default:
+                if (type !== 'MonoSynth') {
+                    console.warn(`[ContinuousSynth] Unknown type '${type}', falling back to MonoSynth`);
+                }
+                return new Tone.MonoSynth({
+                    oscillator: preset.oscillator,
+                    envelope: preset.envelope,
+                    filterEnvelope: preset.filterEnvelope,
+                    portamento: preset.portamento
+                });
+        }
+    }
+
     /**
      * 创建特定乐器的合成器
      */
@@ -192,50 +626,7 @@ export class ContinuousSynthEngine {
         const type = preset.type || 'MonoSynth';
 
         try {
-            switch (type) {
-                case 'KarplusStrong':
-                    this.currentSynth = new KarplusStrong({
-                        damping: preset.damping,
-                        resonance: preset.resonance
-                    });
-                    break;
-
-                case 'FMSynth':
-                    this.currentSynth = new Tone.FMSynth({
-                        harmonicity: preset.harmonicity || 3,
-                        modulationIndex: preset.modulationIndex || 10,
-                        oscillator: preset.oscillator,
-                        modulation: preset.modulation,
-                        envelope: preset.envelope,
-                        modulationEnvelope: preset.filterEnvelope, // Map filterEnvelope to modulationEnvelope for FM
-                        portamento: preset.portamento
-                    });
-                    break;
-
-                case 'AMSynth':
-                    this.currentSynth = new Tone.AMSynth({
-                        harmonicity: preset.harmonicity || 3,
-                        oscillator: preset.oscillator,
-                        modulation: preset.modulation,
-                        envelope: preset.envelope,
-                        modulationEnvelope: preset.filterEnvelope, // Map filterEnvelope to modulationEnvelope
-                        portamento: preset.portamento
-                    });
-                    break;
-
-                case 'MonoSynth':
-                default:
-                    if (type !== 'MonoSynth') {
-                        console.warn(`[ContinuousSynth] Unknown type '${type}', falling back to MonoSynth`);
-                    }
-                    this.currentSynth = new Tone.MonoSynth({
-                        oscillator: preset.oscillator,
-                        envelope: preset.envelope,
-                        filterEnvelope: preset.filterEnvelope,
-                        portamento: preset.portamento
-                    });
-                    break;
-            }
+            this.currentSynth = this._buildSynth(preset);
 
             // 初始音量设为静音，防止 start() 时的瞬时爆音
             // 注意：KarplusStrong 使用 .output.gain 或 .volume
@@ -248,6 +639,7 @@ export class ContinuousSynthEngine {
             this.currentSynth.connect(this.vibrato);
 
             this.currentInstrument = instrument;
+            this.setVibratoStyle(preset.vibrato);
             console.log(`[ContinuousSynth] Created: ${instrument} (${type}, portamento: ${preset.portamento || 0}s)`);
 
         } catch (error) {
@@ -280,7 +672,11 @@ export class ContinuousSynthEngine {
             brightness,      //  音色亮度
             breathiness,     //  气声度
             articulation,    //  起音状态
-            volumeLinear     //  音量
+            volumeLinear,    //  音量
+            vibratoRate,     //  颤音速率
+            vibratoDepth,    //  颤音深度
+            formantF1,       //  第一共振峰
+            formantF2        //  第二共振峰
         } = pitchFrame;
 
         const now = Date.now();
@@ -299,7 +695,8 @@ export class ContinuousSynthEngine {
 
             // 如果正在播放，更新表现力参数
             if (this.isPlaying) {
-                // Task 1: Cents → Pitch Bend
+                // Task 1: Cents → Pitch Bend (含颤音处理)
+                this.singerVibrato = { rate: vibratoRate || 0, depth: vibratoDepth || 0 };
                 this.updateFrequencyWithCents(frequency, cents, now);
 
                 // Task 2: Brightness → Filter Cutoff
@@ -310,6 +707,9 @@ export class ContinuousSynthEngine {
 
                 // Task 5: Volume → Continuous Gain Control (New!)
                 this.updateVolume(volumeLinear);
+
+                // Task 6: Formants → Talkbox / Wah
+                this.updateFormants(formantF1, formantF2);
             }
         } else {
             // 无效音高：不立即停止，等待silenceDetection超时
@@ -355,13 +755,13 @@ export class ContinuousSynthEngine {
         try {
             const now = Tone.now();
             
-            // 🔥 [CONTINUOUS CONTROL FIX]
-            // 使用固定 Velocity 1.0，将动态完全交给 Volume 控制
-            const velocity = 1.0;
-
             // 立即更新目标音量 (从 -60dB 平滑上升)
             this.updateVolume(volume);
 
+            // 🔥 [CONTINUOUS CONTROL FIX]
+            // 使用固定 Velocity 1.0，将动态完全交给 Volume 控制 (Sampler 用力度选力度层)
+            const velocity = this._attackVelocity(this.currentSynth);
+
             // 触发包络启动
             if (this.currentSynth instanceof KarplusStrong) {
                 this.currentSynth.triggerAttack(initialFrequency, now, velocity);
@@ -369,6 +769,7 @@ export class ContinuousSynthEngine {
                 // Standard Tone.js Synth
                 this.currentSynth.triggerAttack(initialFrequency, now, velocity);
             }
+            this._attackHarmonyVoices(initialFrequency, now);
 
             this.isPlaying = true;
             this.currentFrequency = initialFrequency;
@@ -393,39 +794,59 @@ export class ContinuousSynthEngine {
             return;
         }
 
-        // 1. 计算目标音高 (Scale Quantization)
-        // 根据当前调式找到最近的合法音符
-        const { frequency: scaleFreq } = getNearestScaleNote(frequency, this.scaleKey, this.scaleType);
+        // 1. 量化函数 (Scale Quantization)
+        // 和弦轨优先: 当前和弦音; 否则按当前调式的音分表 (含微分音 / 纯律 / Scala 调律)
+        const chord = this.chordTrack ? this.chordTrack.chordAt(timestamp) : null;
+        const quantize = (hz) => (chord
+            ? getNearestScaleNote(hz, chord.root, chord.scale)
+            : getNearestScaleNote(hz, this.scaleKey, this.scaleType)).frequency;
+
+        // 2. 修正模型: 按中心音高修正 (保留颤音), 起音快速吸附, 持续阶段按 retuneSpeed 平滑,
+        //    目标音之间滑音, 长音按 humanize 放松
+        const onset = this.lastArticulationState === 'attack' && this._retuneArticulation !== 'attack';
+        this._retuneArticulation = this.lastArticulationState;
+        const { frequency: targetFrequency, target: scaleFreq, rampMs, vibratoCents } = this.retuneModel.process({
+            frequency,
+            quantize,
+            time: timestamp,
+            onset
+        });
 
-        // 2. 混合原始音高与目标音高 (Correction Strength)
-        // autoTuneStrength: 0.0 (完全原始) -> 1.0 (完全修正)
-        // 使用线性插值 (Lerp)
-        const targetFrequency = frequency + (scaleFreq - frequency) * this.autoTuneStrength;
+        // 3. 颤音处理: 演唱者颤音 = 输入与中心音高之差; preset 去掉 (amount 0), exaggerate 放大
+        //    修正模型的输出只剩 vibratoCents (vibratoPreserve < 1 时已部分拉平), 用 amount × 演唱者颤音替换它
+        const { mode, amount } = this.vibratoStyle;
+        const singerVibrato = this.singerVibrato.depth > 0;
+        let outputFrequency = targetFrequency;
+        if (singerVibrato && amount !== 1) {
+            const oscillation = 1200 * Math.log2(frequency) - this.retuneModel.centre;
+            outputFrequency = targetFrequency * Math.pow(2, (amount * oscillation - vibratoCents) / 1200);
+        }
 
-        // 3. 计算平滑时间 (Retune Speed / Humanize)
-        // retuneSpeed: 0.0 (Robotic/Fast, 5ms) -> 1.0 (Natural/Slow, 100ms)
-        // 较慢的速度可以保留更多的滑音和颤音细节
-        const rampTime = 0.005 + (this.retuneSpeed * 0.1);
+        // 4. 振荡器过渡时间: 平滑已在模型中完成, 这里只需短 ramp 防止爆音
+        const rampTime = Math.max(0.005, rampMs / 1000);
 
         // 计算相对于当前振荡器频率的变化 (防抖)
         const currentOscFreq = (this.currentSynth instanceof KarplusStrong) 
             ? this.currentSynth.currentFrequency 
-            : (this.currentSynth.frequency ? this.currentSynth.frequency.value : targetFrequency);
+            : (this.currentSynth.frequency ? this.currentSynth.frequency.value : outputFrequency);
             
-        const deviation = Math.abs(targetFrequency - currentOscFreq) / (currentOscFreq || 1);
+        const deviation = Math.abs(outputFrequency - currentOscFreq) / (currentOscFreq || 1);
 
-        // 只有明显变化才更新（避免微小抖动）
-        if (deviation > this.frequencyUpdateThreshold) {
+        // 只有明显变化才更新（避免微小抖动）; 跟随颤音时用更细的阈值, 否则颤音被量化成台阶
+        const threshold = singerVibrato && mode !== 'preset'
+            ? Math.min(this.frequencyUpdateThreshold, VIBRATO_UPDATE_THRESHOLD)
+            : this.frequencyUpdateThreshold;
+        if (deviation > threshold) {
             const startTime = performance.now();
             
             // Unified Continuous Slide Logic
             // Since we removed discrete instruments (Piano/Guitar), all instruments 
             // now benefit from smooth continuous frequency updates (Portamento).
-            if (this.currentSynth instanceof KarplusStrong) {
-                this.currentSynth.setFrequency(targetFrequency, rampTime);
-            } else if (this.currentSynth.frequency) {
-                this.currentSynth.frequency.rampTo(targetFrequency, rampTime);
-            }
+            this._rampSynthFrequency(this.currentSynth, outputFrequency, rampTime);
+            // 和声声部跟随修正后的主旋律 (含滑音 / 颤音)
+            this.harmonyVoices.forEach(voice => {
+                this._rampSynthFrequency(voice.synth, this._harmonyFrequency(voice, outputFrequency), rampTime);
+            });
 
             // 性能监控
             const latency = performance.now() - startTime;
@@ -435,7 +856,7 @@ export class ContinuousSynthEngine {
                 this.performanceMetrics.updateLatency.shift();
             }
 
-            this.currentFrequency = targetFrequency;
+            this.currentFrequency = outputFrequency;
             this.lastUpdateTime = timestamp;
 
             // Debug (Log occasional large corrections)
@@ -487,6 +908,7 @@ export class ContinuousSynthEngine {
 
         // 🔥 [LATENCY FIX] 缩短平滑时间 (20ms → 10ms)
         this.filter.frequency.rampTo(filterFreq, 0.01);
+        this._modulateWavetable('brightness', brightness);
 
         // Debug 日志（仅在亮度明显变化时）
         if (brightness < 0.3 || brightness > 0.7) {
@@ -514,6 +936,7 @@ export class ContinuousSynthEngine {
         // 🔥 [LATENCY FIX] 缩短平滑时间 (50ms → 20ms)
         // 噪声变化不需要太长的过渡时间
         this.noiseGain.gain.rampTo(noiseAmount, 0.02);
+        this._modulateWavetable('breathiness', breathiness);
 
         // 让噪声滤波器跟随音高 (让气声更自然)
         if (frequency && frequency > 0) {
@@ -549,6 +972,7 @@ export class ContinuousSynthEngine {
         // 2. 归一化与钳位 (Normalize & Clamp)
         let normalized = (inputVolume - minInput) / (maxInput - minInput);
         normalized = Math.max(0, Math.min(1, normalized));
+        this.volumeNormalized = normalized;
 
         // 3. 映射曲线 (Transfer Function)
         // 使用指数曲线 (Power Law) 增加动态感
@@ -572,6 +996,12 @@ export class ContinuousSynthEngine {
         if (this.currentSynth && this.currentSynth.volume) {
             this.currentSynth.volume.rampTo(targetDb, 0.05);
         }
+        // 和声声部跟随演唱力度, 各自的电平在 Gain 上
+        this.harmonyVoices.forEach(voice => {
+            if (voice.synth.volume) voice.synth.volume.rampTo(targetDb, 0.05);
+        });
+
+        this._modulateWavetable('volume', normalized);
 
         // 🔥 Dynamic FM: Map Volume to Brightness (Modulation Index)
         // Essential for Brass/Winds (Louder = Brighter)
@@ -616,14 +1046,16 @@ export class ContinuousSynthEngine {
                 this.startSilenceDetection();
             } else {
                 // 重新触发 attack (retriggering)
-                // 同样使用 velocity 1.0
+                // 同样使用 velocity 1.0 (Sampler: 演唱力度)
                 this.updateVolume(volume || 0.5);
+                const velocity = this._attackVelocity(this.currentSynth);
                 
                 if (this.currentSynth instanceof KarplusStrong) {
-                    this.currentSynth.triggerAttack(frequency, Tone.now(), 1.0);
+                    this.currentSynth.triggerAttack(frequency, Tone.now(), velocity);
                 } else {
-                    this.currentSynth.triggerAttack(frequency, Tone.now(), 1.0);
+                    this.currentSynth.triggerAttack(frequency, Tone.now(), velocity);
                 }
+                this._attackHarmonyVoices(frequency, Tone.now());
             }
         }
 
@@ -638,6 +1070,7 @@ export class ContinuousSynthEngine {
             console.log('[ContinuousSynth] 🔇 Silence detected - triggering release');
             if (this.isPlaying) {
                 this.currentSynth.triggerRelease(Tone.now());
+                this._releaseHarmonyVoices(Tone.now());
             }
         }
 
@@ -699,6 +1132,10 @@ export class ContinuousSynthEngine {
      * 停止合成器
      */
     stop() {
+        // 下一个音从新音符开始修正 (无论是否在发声)
+        this._retuneArticulation = 'silence';
+        this.retuneModel.reset();
+
         if (this.isPlaying && this.currentSynth) {
             try {
                 const now = Tone.now();
@@ -708,6 +1145,7 @@ export class ContinuousSynthEngine {
                 } else {
                     this.currentSynth.triggerRelease(now);
                 }
+                this._releaseHarmonyVoices(now);
                 
                 this.isPlaying = false;
                 this.currentFrequency = 0;
@@ -786,6 +1224,14 @@ export class ContinuousSynthEngine {
         }
     }
 
+    /**
+     * 获取最终输出节点 (reverb 之后, 供录音等旁路使用)
+     * @returns {Tone.ToneAudioNode|null}
+     */
+    getOutputNode() {
+        return this.reverb || null;
+    }
+
     /**
      * 清理资源
      */
@@ -800,7 +1246,12 @@ export class ContinuousSynthEngine {
 
         // 清理音频资源
         if (this.currentSynth) this.currentSynth.dispose();
+        this.harmonyVoices.forEach(voice => this._disposeHarmonyVoice(voice));
+        this.harmonyVoices = [];
         this.vibrato.dispose();
+        this.vowelDry.dispose();
+        this.vowelResonators.forEach(node => node.dispose());
+        this.vowelWet.forEach(node => node.dispose());
         this.filter.dispose();
         this.delay.dispose();
         this.reverb.dispose();
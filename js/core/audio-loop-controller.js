@@ -15,6 +15,10 @@ class AudioLoopController {
      * @param {Object} [services.pitchDetector] - For ScriptProcessor fallback
      * @param {Object} [services.expressiveFeatures] - For additional feature extraction
      * @param {Object} [services.aiHarmonizer] - For AI accompaniment
+     * @param {Object} [services.keyDetector] - Key / scale estimation for auto-tune
+     * @param {Object} [services.tempoDetector] - Tempo from sung onsets (drives the transport)
+     * @param {Object} [services.voiceModulation] - Voice features → app parameters
+     * @param {Object} [services.loopStation] - Records PitchFrame loop layers
      */
     constructor({ 
         synthManager, 
@@ -22,7 +26,11 @@ class AudioLoopController {
         performanceMonitor, 
         pitchDetector, 
         expressiveFeatures, 
-        aiHarmonizer 
+        aiHarmonizer,
+        keyDetector,
+        tempoDetector,
+        voiceModulation,
+        loopStation
     }) {
         this.synthManager = synthManager;
         this.visualizerManager = visualizerManager;
@@ -30,6 +38,10 @@ class AudioLoopController {
         this.pitchDetector = pitchDetector;
         this.expressiveFeatures = expressiveFeatures;
         this.aiHarmonizer = aiHarmonizer;
+        this.keyDetector = keyDetector || null;
+        this.tempoDetector = tempoDetector || null;
+        this.voiceModulation = voiceModulation || null;
+        this.loopStation = loopStation || null;
 
         this.isRunning = false;
         this.latencyMeasurements = [];
@@ -88,6 +100,11 @@ class AudioLoopController {
                 activeEngine.processPitch(pitchFrame);
             }
         }
+        this._sendToMidiOutput(pitchFrame);
+        this._analyzeKey(pitchFrame);
+        this._detectTempo(pitchFrame);
+        this._modulateFromVoice(pitchFrame);
+        this._recordLoop(pitchFrame);
 
         // 4. Visualization
         if (this.visualizerManager) {
@@ -151,6 +168,11 @@ class AudioLoopController {
                     activeEngine.processPitch(pitchInfo);
                 }
             }
+            this._sendToMidiOutput(pitchFrame);
+            this._analyzeKey(pitchFrame);
+            this._detectTempo(pitchFrame);
+            this._modulateFromVoice(pitchFrame);
+            this._recordLoop(pitchFrame);
 
             // 5. Visualization
             if (this.visualizerManager) {
@@ -200,6 +222,11 @@ class AudioLoopController {
                 activeEngine.processPitch(pitchInfo);
             }
         }
+        this._sendToMidiOutput(pitchFrame);
+        this._analyzeKey(pitchFrame);
+        this._detectTempo(pitchFrame);
+        this._modulateFromVoice(pitchFrame);
+        this._recordLoop(pitchFrame);
 
         if (this.visualizerManager) {
             this.visualizerManager.update(pitchFrame);
@@ -218,6 +245,57 @@ class AudioLoopController {
         this.performanceMonitor.updateFPS();
     }
 
+    /**
+     * Feed the key detector (the estimate reaches the app through its onKeyChange)
+     * @private
+     */
+    _analyzeKey(pitchFrame) {
+        if (this.keyDetector) {
+            this.keyDetector.process(pitchFrame);
+        }
+    }
+
+    /**
+     * Collect attack onsets for the tempo estimate
+     * @private
+     */
+    _detectTempo(pitchFrame) {
+        if (this.tempoDetector) {
+            this.tempoDetector.process(pitchFrame);
+        }
+    }
+
+    /**
+     * Let voice features (vowel, brightness, ...) drive mapped parameters
+     * @private
+     */
+    _modulateFromVoice(pitchFrame) {
+        if (this.voiceModulation) {
+            this.voiceModulation.process(pitchFrame);
+        }
+    }
+
+    /**
+     * Hand the frame to the loop station (kept while a PitchFrame pass records)
+     * @private
+     */
+    _recordLoop(pitchFrame) {
+        if (this.loopStation) {
+            this.loopStation.processPitchFrame(pitchFrame);
+        }
+    }
+
+    /**
+     * Forward a frame to the MIDI output engine (runs in parallel to the audio engine)
+     * @private
+     */
+    _sendToMidiOutput(pitchFrame) {
+        const midiEngine = this.synthManager.getMidiEngine ? this.synthManager.getMidiEngine() : null;
+        if (midiEngine && midiEngine.enabled) {
+            midiEngine.processPitchFrame(pitchFrame);
+        }
+    }
+
     /**
      * Get latency statistics
      * Note: These measurements are for Worklet → Main Thread only.
@@ -0,0 +1,181 @@
+/**
+ * Chord Track - 和弦进行驱动的 Auto-Tune 目标
+ *
+ * 文本格式: 小节用 '|' 分隔, 同一小节内的多个和弦平分该小节
+ *   "Am | F | C | G"          每小节一个和弦
+ *   "C G/B | Am7 | Fmaj7 G"   一小节两个和弦
+ *   "N.C." / "-"              无和弦 (回退到静态调式)
+ * 进行按 BPM 循环播放; chordAt(time) 给出当前和弦的可用音 (作为调式对象,
+ * 可直接传给 getNearestScaleNote)。
+ *
+ * @module ChordTrack
+ */
+
+import { KEYS } from './music-scales.js';
+
+/**
+ * 和弦类型 → 相对根音的半音
+ * 按长度从长到短匹配 (m7b5 要先于 m7 / m)
+ */
+export const CHORD_QUALITIES = {
+    '': [0, 4, 7],
+    'maj': [0, 4, 7],
+    'M': [0, 4, 7],
+    'm': [0, 3, 7],
+    'min': [0, 3, 7],
+    '-': [0, 3, 7],
+    'dim': [0, 3, 6],
+    'aug': [0, 4, 8],
+    '+': [0, 4, 8],
+    'sus2': [0, 2, 7],
+    'sus4': [0, 5, 7],
+    'sus': [0, 5, 7],
+    '5': [0, 7],
+    '6': [0, 4, 7, 9],
+    'm6': [0, 3, 7, 9],
+    '7': [0, 4, 7, 10],
+    'maj7': [0, 4, 7, 11],
+    'M7': [0, 4, 7, 11],
+    'm7': [0, 3, 7, 10],
+    'min7': [0, 3, 7, 10],
+    'mM7': [0, 3, 7, 11],
+    'm7b5': [0, 3, 6, 10],
+    'dim7': [0, 3, 6, 9],
+    '7sus4': [0, 5, 7, 10],
+    'add9': [0, 2, 4, 7],
+    '9': [0, 2, 4, 7, 10],
+    'maj9': [0, 2, 4, 7, 11],
+    'm9': [0, 2, 3, 7, 10]
+};
+
+const NO_CHORD = ['N.C.', 'NC', '-', '%%'];
+
+// 降号 → KEYS 中的升号写法
+const FLAT_NAMES = { Cb: 'B', Db: 'C#', Eb: 'D#', Fb: 'E', Gb: 'F#', Ab: 'G#', Bb: 'A#' };
+
+function parseNoteName(name) {
+    const normalized = FLAT_NAMES[name] || (name === 'E#' ? 'F' : name === 'B#' ? 'C' : name);
+    const index = KEYS.indexOf(normalized);
+    if (index < 0) throw new Error(`Unknown note: ${name}`);
+    return index;
+}
+
+/**
+ * 解析和弦符号
+ *
+ * @param {string} symbol - e.g. "Am", "F#m7b5", "Bbmaj7", "C/E", "N.C."
+ * @returns {{symbol: string, root: string, intervals: number[], scale: {name: string, cents: number[]}}|null}
+ *          null = 无和弦; scale.cents 相对 root (含斜线和弦的低音)
+ */
+export function parseChord(symbol) {
+    const text = String(symbol).trim();
+    if (NO_CHORD.includes(text)) return null;
+
+    const match = /^([A-G][#b]?)([^/]*)(?:\/([A-G][#b]?))?$/.exec(text);
+    if (!match) throw new Error(`Cannot parse chord: "${text}"`);
+
+    const [, rootName, quality, bassName] = match;
+    const intervals = CHORD_QUALITIES[quality];
+    if (!intervals) throw new Error(`Unknown chord quality "${quality}" in "${text}"`);
+
+    const rootIndex = parseNoteName(rootName);
+    const tones = new Set(intervals);
+    if (bassName) tones.add((parseNoteName(bassName) - rootIndex + 12) % 12);
+
+    const sorted = [...tones].sort((a, b) => a - b);
+    return {
+        symbol: text,
+        root: KEYS[rootIndex],
+        intervals: sorted,
+        scale: { name: text, cents: sorted.map(semitones => semitones * 100) }
+    };
+}
+
+/**
+ * 解析和弦进行文本
+ *
+ * @param {string} text - e.g. "Am | F | C | G"
+ * @param {number} [beatsPerBar=4]
+ * @returns {Array<{chord: Object|null, startBeat: number, beats: number}>}
+ */
+export function parseProgression(text, beatsPerBar = 4) {
+    const bars = String(text).split('|').map(bar => bar.trim()).filter(bar => bar.length > 0);
+    if (bars.length === 0) throw new Error('The chord progression is empty');
+
+    const events = [];
+    bars.forEach((bar, barIndex) => {
+        const symbols = bar.split(/\s+/);
+        const beats = beatsPerBar / symbols.length;
+        symbols.forEach((symbol, i) => {
+            events.push({
+                chord: parseChord(symbol),
+                startBeat: barIndex * beatsPerBar + i * beats,
+                beats
+            });
+        });
+    });
+    return events;
+}
+
+export class ChordTrack {
+    /**
+     * @param {Object} options
+     * @param {string} options.progression - 和弦进行文本
+     * @param {number} [options.bpm=120]
+     * @param {number} [options.beatsPerBar=4]
+     * @param {boolean} [options.loop=true]
+     */
+    constructor({ progression, bpm = 120, beatsPerBar = 4, loop = true }) {
+        if (!(bpm > 0)) throw new Error(`BPM must be positive, got ${bpm}`);
+
+        this.progression = progression;
+        this.bpm = bpm;
+        this.beatsPerBar = beatsPerBar;
+        this.loop = loop;
+        this.events = parseProgression(progression, beatsPerBar);
+        this.totalBeats = this.events.reduce((sum, event) => sum + event.beats, 0);
+        this.startTime = null;
+    }
+
+    /**
+     * 从第一小节开始 (与伴奏同步时调用)
+     * @param {number} [time=Date.now()] - ms, 与 chordAt 使用同一时钟
+     */
+    start(time = Date.now()) {
+        this.startTime = time;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isStarted() {
+        return this.startTime !== null;
+    }
+
+    /**
+     * 某时刻所在的拍 (未 start 时为 null)
+     * @param {number} time - ms
+     * @returns {number|null}
+     */
+    beatAt(time) {
+        if (this.startTime === null) return null;
+        const beat = Math.max(0, (time - this.startTime) / 60000 * this.bpm);
+        if (this.loop) return beat % this.totalBeats;
+        return beat < this.totalBeats ? beat : null;
+    }
+
+    /**
+     * 当前和弦
+     * @param {number} time - ms (与 start 同一时钟)
+     * @returns {Object|null} parseChord 的结果; 无和弦 / 未开始 / 已结束时为 null
+     */
+    chordAt(time) {
+        const beat = this.beatAt(time);
+        if (beat === null) return null;
+
+        for (const event of this.events) {
+            if (beat < event.startBeat + event.beats) return event.chord;
+        }
+        return null;
+    }
+}
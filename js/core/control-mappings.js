@@ -0,0 +1,171 @@
+/**
+ * Control Mappings - app parameters driven by a normalized 0-1 control
+ *
+ * The part shared by MidiLearnManager (knobs, faders, pads) and
+ * VoiceModulationManager (vowel, brightness, ...): targets registered by the
+ * app ({ id, label, kind, apply }), at most one mapping per target with
+ * min / max / curve, and the mappings persisted as JSON in localStorage.
+ * The owner decides what a source is and when a mapping is applied.
+ *
+ * @module ControlMappings
+ */
+
+/**
+ * Response curves applied to the normalized (0-1) control value
+ * @enum {Function}
+ */
+export const CONTROL_CURVES = {
+    linear: (x) => x,
+    exponential: (x) => x * x,      // Fine control at the low end
+    logarithmic: (x) => Math.sqrt(x) // Fine control at the high end
+};
+
+export class ControlMappings {
+    /**
+     * @param {Object} options
+     * @param {string} options.storageKey - localStorage key of the mappings
+     * @param {Storage} [options.storage] - null disables persistence
+     * @param {string} options.sourceField - Mapping property that holds the source ('source', 'sourceId')
+     * @param {function(*): boolean} [options.isValidSource] - Which saved sources are kept
+     * @param {string} options.logTag - Log prefix of the owner, e.g. '[MidiLearn]'
+     * @param {function(Object[]): void} [options.onChange] - (mappings) after every saved change
+     */
+    constructor({ storageKey, storage = null, sourceField, isValidSource = Boolean, logTag, onChange = null }) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.sourceField = sourceField;
+        this.isValidSource = isValidSource;
+        this.logTag = logTag;
+        this.onChange = onChange;
+
+        /** @type {Map<string, {id: string, label: string, kind: 'continuous'|'trigger', apply: Function}>} */
+        this.targets = new Map();
+
+        /** @type {Map<string, {targetId: string, min: number, max: number, curve: string}>} */
+        this.mappings = new Map();
+    }
+
+    /**
+     * @param {{id: string, label: string, kind?: 'continuous'|'trigger', apply: Function}} target
+     */
+    registerTarget({ id, label, kind = 'continuous', apply }) {
+        this.targets.set(id, { id, label, kind, apply });
+    }
+
+    /**
+     * @returns {Object[]} Targets in registration order
+     */
+    getTargets() {
+        return Array.from(this.targets.values());
+    }
+
+    /**
+     * @param {string} targetId
+     * @returns {Object|null}
+     */
+    getMapping(targetId) {
+        return this.mappings.get(targetId) || null;
+    }
+
+    /**
+     * @returns {Object[]}
+     */
+    getMappings() {
+        return Array.from(this.mappings.values());
+    }
+
+    /**
+     * Map a target to a source; the range and curve of its previous mapping are kept
+     * @param {string} targetId
+     * @param {*} source
+     * @returns {Object} The new mapping
+     */
+    setMapping(targetId, source) {
+        const existing = this.mappings.get(targetId);
+        const mapping = {
+            targetId,
+            [this.sourceField]: source,
+            min: existing ? existing.min : 0,
+            max: existing ? existing.max : 1,
+            curve: existing ? existing.curve : 'linear'
+        };
+
+        this.mappings.set(targetId, mapping);
+        this.save();
+        return mapping;
+    }
+
+    /**
+     * Change range / curve of an existing mapping
+     * @param {string} targetId
+     * @param {{min?: number, max?: number, curve?: string}} changes
+     * @returns {boolean} False if the target has no mapping
+     */
+    updateMapping(targetId, changes) {
+        const mapping = this.mappings.get(targetId);
+        if (!mapping) return false;
+
+        if (typeof changes.min === 'number' && !Number.isNaN(changes.min)) mapping.min = changes.min;
+        if (typeof changes.max === 'number' && !Number.isNaN(changes.max)) mapping.max = changes.max;
+        if (changes.curve && CONTROL_CURVES[changes.curve]) mapping.curve = changes.curve;
+
+        this.save();
+        return true;
+    }
+
+    /**
+     * @param {string} targetId
+     * @returns {boolean} False if the target had no mapping
+     */
+    removeMapping(targetId) {
+        if (!this.mappings.delete(targetId)) return false;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Map a normalized control value through a mapping's curve and range
+     * @param {Object} mapping
+     * @param {number} value - 0-1 (clamped)
+     * @returns {number}
+     */
+    mapValue(mapping, value) {
+        const curve = CONTROL_CURVES[mapping.curve] || CONTROL_CURVES.linear;
+        return mapping.min + (mapping.max - mapping.min) * curve(Math.max(0, Math.min(1, value)));
+    }
+
+    /**
+     * Restore saved mappings (corrupt data is ignored)
+     */
+    load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            saved
+                .filter(m => m && m.targetId && this.isValidSource(m[this.sourceField]))
+                .forEach(m => this.mappings.set(m.targetId, {
+                    targetId: m.targetId,
+                    [this.sourceField]: m[this.sourceField],
+                    min: typeof m.min === 'number' ? m.min : 0,
+                    max: typeof m.max === 'number' ? m.max : 1,
+                    curve: CONTROL_CURVES[m.curve] ? m.curve : 'linear'
+                }));
+        } catch (error) {
+            console.warn(`${this.logTag} Ignoring corrupt saved mappings:`, error);
+        }
+    }
+
+    /**
+     * Persist the mappings and notify the owner
+     */
+    save() {
+        if (this.storage) {
+            try {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.getMappings()));
+            } catch (error) {
+                console.warn(`${this.logTag} Unable to persist mappings:`, error);
+            }
+        }
+        if (this.onChange) this.onChange(this.getMappings());
+    }
+}
@@ -6,13 +6,29 @@
  * @module MusicScales
  */
 
+/**
+ * 内置调式
+ *
+ * - `intervals`: 十二平均律半音 (0-11)
+ * - `cents`: 任意音分表 (微分音 / 纯律 / 非 12 平均律), 从 0 开始, 小于 `period`
+ * - `period`: 循环周期 (音分, 默认 1200 = 八度)
+ */
 export const SCALES = {
     chromatic: { name: 'Chromatic', intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
     major:     { name: 'Major',     intervals: [0, 2, 4, 5, 7, 9, 11] },
     minor:     { name: 'Minor',     intervals: [0, 2, 3, 5, 7, 8, 10] },
     pentatonic_major: { name: 'Major Pentatonic', intervals: [0, 2, 4, 7, 9] },
     pentatonic_minor: { name: 'Minor Pentatonic', intervals: [0, 3, 5, 7, 10] },
-    blues:     { name: 'Blues',     intervals: [0, 3, 5, 6, 7, 10] }
+    blues:     { name: 'Blues',     intervals: [0, 3, 5, 6, 7, 10] },
+
+    // 微分音 / 非平均律
+    just_major:    { name: 'Just Major (5-limit)', cents: ratiosToCents([1, 9 / 8, 5 / 4, 4 / 3, 3 / 2, 5 / 3, 15 / 8]) },
+    pentatonic_pythagorean: { name: 'Gong Pentatonic (Pythagorean)', cents: ratiosToCents([1, 9 / 8, 81 / 64, 3 / 2, 27 / 16]) },
+    maqam_rast:    { name: 'Maqam Rast', cents: [0, 200, 350, 500, 700, 900, 1050] },
+    maqam_bayati:  { name: 'Maqam Bayati', cents: [0, 150, 300, 500, 700, 800, 1000] },
+    maqam_saba:    { name: 'Maqam Saba', cents: [0, 150, 300, 400, 700, 800, 1000] },
+    slendro:       { name: 'Slendro (5-EDO)', cents: [0, 240, 480, 720, 960] },
+    edo24:         { name: 'Quarter Tones (24-EDO)', cents: Array.from({ length: 24 }, (_, i) => i * 50) }
 };
 
 export const KEYS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
@@ -32,66 +48,312 @@ export function midiToFreq(midi) {
     return 440 * Math.pow(2, (midi - 69) / 12);
 }
 
+/**
+ * 频率比转音分
+ * @param {number[]} ratios - e.g. [1, 9/8, 5/4]
+ * @returns {number[]}
+ */
+export function ratiosToCents(ratios) {
+    return ratios.map(ratio => 1200 * Math.log2(ratio));
+}
+
+/**
+ * 等分平均律 (EDO) 调式
+ *
+ * @param {number} divisions - 每个周期的等分数 (e.g. 19, 24, 31)
+ * @param {number[]} [steps] - 选用的步 (默认全部)
+ * @param {number} [period=1200] - 周期音分 (Bohlen-Pierce 等非八度调律可改)
+ * @returns {{name: string, cents: number[], period: number}}
+ */
+export function createEdoScale(divisions, steps = null, period = 1200) {
+    if (!Number.isInteger(divisions) || divisions < 1) {
+        throw new Error(`EDO divisions must be a positive integer, got ${divisions}`);
+    }
+    const stepList = steps || Array.from({ length: divisions }, (_, i) => i);
+    return {
+        name: `${divisions}-EDO`,
+        cents: stepList.map(step => step * period / divisions),
+        period
+    };
+}
+
+/**
+ * Non-comment lines of a Scala file (comments start with '!')
+ * @private
+ */
+function scalaLines(text) {
+    return String(text).split(/\r?\n/).filter(line => !line.trimStart().startsWith('!'));
+}
+
+/**
+ * Scala pitch value: cents when it contains a '.', otherwise a ratio ("3/2", "2")
+ * @private
+ */
+function parseScalaPitch(token) {
+    if (token.includes('.')) {
+        const cents = parseFloat(token);
+        if (!Number.isFinite(cents)) throw new Error(`Invalid cents value: ${token}`);
+        return cents;
+    }
+    const [num, den = '1'] = token.split('/');
+    const ratio = parseInt(num, 10) / parseInt(den, 10);
+    if (!(ratio > 0) || !Number.isFinite(ratio)) throw new Error(`Invalid ratio: ${token}`);
+    return 1200 * Math.log2(ratio);
+}
+
+/**
+ * 解析 Scala 调律文件 (.scl)
+ *
+ * 格式: 描述行, 音数 N, 然后 N 个音高 (不含 1/1; 最后一个是周期, 通常 2/1)。
+ * 音高含 '.' 为音分, 否则为比值。
+ *
+ * @param {string} text - .scl 文件内容
+ * @returns {{name: string, cents: number[], period: number}}
+ */
+export function parseScl(text) {
+    const lines = scalaLines(text);
+    if (lines.length < 2) throw new Error('Scala file is missing the description or note count');
+
+    const description = lines[0].trim();
+    const count = parseInt(lines[1].trim(), 10);
+    if (!Number.isInteger(count) || count < 1) throw new Error(`Invalid note count: ${lines[1].trim()}`);
+
+    const pitches = lines.slice(2)
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .slice(0, count)
+        .map(line => parseScalaPitch(line.split(/\s+/)[0]));
+    if (pitches.length < count) throw new Error(`Expected ${count} pitches, found ${pitches.length}`);
+
+    const period = pitches[count - 1];
+    if (!(period > 0)) throw new Error('The last pitch (period) must be above 1/1');
+
+    const cents = [0, ...pitches.slice(0, count - 1).filter(c => c > 0 && c < period)].sort((a, b) => a - b);
+    return { name: description || `${count}-note Scala scale`, cents, period };
+}
+
+/**
+ * 解析 Scala 键盘映射 (.kbm)
+ *
+ * @param {string} text - .kbm 文件内容
+ * @returns {{mapSize: number, firstNote: number, lastNote: number, middleNote: number,
+ *            referenceNote: number, referenceFrequency: number, octaveDegree: number,
+ *            mapping: Array<number|null>}} mapping 中 null = 'x' (不映射)
+ */
+export function parseKbm(text) {
+    const values = scalaLines(text).map(line => line.trim()).filter(line => line.length > 0);
+    if (values.length < 7) throw new Error('Keyboard mapping needs at least 7 header values');
+
+    const int = (value, label) => {
+        const n = parseInt(value, 10);
+        if (!Number.isInteger(n)) throw new Error(`Invalid ${label}: ${value}`);
+        return n;
+    };
+
+    const mapSize = int(values[0], 'map size');
+    const referenceFrequency = parseFloat(values[5]);
+    if (!(referenceFrequency > 0)) throw new Error(`Invalid reference frequency: ${values[5]}`);
+
+    const mapping = values.slice(7, 7 + mapSize).map(value => (value === 'x' ? null : int(value, 'mapping entry')));
+    // Scala: missing trailing entries are unmapped
+    while (mapping.length < mapSize) mapping.push(null);
+
+    return {
+        mapSize,
+        firstNote: int(values[1], 'first note'),
+        lastNote: int(values[2], 'last note'),
+        middleNote: int(values[3], 'middle note'),
+        referenceNote: int(values[4], 'reference note'),
+        referenceFrequency,
+        octaveDegree: int(values[6], 'octave degree'),
+        mapping
+    };
+}
+
+/**
+ * 由 .scl (+ 可选 .kbm) 创建调式
+ *
+ * 有 .kbm 时调式锚定在其参考频率上 (`rootFrequency`, 忽略 Key 选择),
+ * 且只保留映射到琴键的音级。
+ *
+ * @param {string} sclText
+ * @param {string} [kbmText]
+ * @returns {{name: string, cents: number[], period: number, rootFrequency?: number}}
+ */
+export function createScaleFromScala(sclText, kbmText = null) {
+    const scale = parseScl(sclText);
+    if (!kbmText) return scale;
+
+    const kbm = parseKbm(kbmText);
+    const size = scale.cents.length;
+    const centsOfDegree = (degree) => {
+        const cycle = Math.floor(degree / size);
+        return scale.cents[degree - cycle * size] + cycle * scale.period;
+    };
+
+    // Degree of the reference key, relative to the middle note (degree 0)
+    let referenceDegree = kbm.referenceNote - kbm.middleNote;
+    if (kbm.mapSize > 0) {
+        const offset = kbm.referenceNote - kbm.middleNote;
+        const octaves = Math.floor(offset / kbm.mapSize);
+        const entry = kbm.mapping[offset - octaves * kbm.mapSize];
+        if (entry === null) throw new Error('The reference note is not mapped to a scale degree');
+        referenceDegree = entry + octaves * kbm.octaveDegree;
+    }
+
+    let cents = scale.cents;
+    if (kbm.mapSize > 0) {
+        const used = new Set(kbm.mapping.filter(d => d !== null).map(d => ((d % size) + size) % size));
+        cents = scale.cents.filter((_, degree) => used.has(degree));
+        if (cents.length === 0) throw new Error('The keyboard mapping uses no scale degrees');
+    }
+
+    // If degree 0 is unmapped, the lowest mapped degree becomes the root
+    const rootCents = cents[0];
+    return {
+        ...scale,
+        cents: cents.map(c => c - rootCents),
+        rootFrequency: kbm.referenceFrequency / Math.pow(2, (centsOfDegree(referenceDegree) - rootCents) / 1200)
+    };
+}
+
+// 用户自定义调式 (由 App 持久化)
+const customScales = new Map();
+
+/**
+ * 校验并规范化调式定义
+ * @private
+ */
+function normalizeScale(scale) {
+    const period = scale.period ?? 1200;
+    const cents = scale.cents ?? (scale.intervals || []).map(semitones => semitones * 100);
+    if (!(period > 0)) throw new Error(`Scale period must be positive, got ${period}`);
+    if (!Array.isArray(cents) || cents.length === 0 || cents.some(c => !Number.isFinite(c))) {
+        throw new Error('Scale needs a non-empty list of cents');
+    }
+
+    const sorted = [...new Set(cents.map(c => ((c % period) + period) % period))].sort((a, b) => a - b);
+    return {
+        name: scale.name || 'Custom',
+        cents: sorted,
+        period,
+        ...(scale.rootFrequency > 0 ? { rootFrequency: scale.rootFrequency } : {})
+    };
+}
+
+/**
+ * 注册自定义调式 (同 id 覆盖)
+ * @param {string} id - 用于 setScale / getNearestScaleNote 的调式名
+ * @param {{name?: string, cents?: number[], intervals?: number[], period?: number, rootFrequency?: number}} scale
+ * @returns {Object} 规范化后的调式
+ */
+export function registerScale(id, scale) {
+    if (!id || SCALES[id]) throw new Error(`Cannot register scale "${id}": the id is empty or built in`);
+    const normalized = normalizeScale(scale);
+    customScales.set(id, normalized);
+    return normalized;
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} 是否删除了
+ */
+export function unregisterScale(id) {
+    return customScales.delete(id);
+}
+
+/**
+ * 查找调式 (内置或自定义), 统一为音分表
+ * @param {string|Object} scaleType - 调式名, 或直接传调式对象
+ * @returns {{name: string, cents: number[], period: number, rootFrequency?: number}|null}
+ */
+export function getScale(scaleType) {
+    if (scaleType && typeof scaleType === 'object') return normalizeScale(scaleType);
+    if (customScales.has(scaleType)) return customScales.get(scaleType);
+    return SCALES[scaleType] ? normalizeScale(SCALES[scaleType]) : null;
+}
+
+/**
+ * @returns {Array<{id: string, name: string, custom: boolean}>}
+ */
+export function listScales() {
+    return [
+        ...Object.entries(SCALES).map(([id, scale]) => ({ id, name: scale.name, custom: false })),
+        ...[...customScales.entries()].map(([id, scale]) => ({ id, name: scale.name, custom: true }))
+    ];
+}
+
 /**
  * 获取最近的调内音符
- * 
+ *
+ * 在调式的音分表中按音分距离查找 (支持任意周期 / 非 12 平均律)。
+ * 调式带 `rootFrequency` (来自 .kbm) 时以它为根音, 否则以 rootKey 的十二平均律音高为根音。
+ *
  * @param {number} inputFreq - 输入频率
  * @param {string} rootKey - 根音 (e.g., 'C', 'F#')
- * @param {string} scaleType - 调式类型 key of SCALES
- * @returns {Object} { frequency, midi, noteName, deviation }
+ * @param {string|Object} scaleType - 调式名 (内置或 registerScale 注册的), 或调式对象
+ * @returns {Object} { frequency, midi, noteName, degree, centsDeviation }
  */
 export function getNearestScaleNote(inputFreq, rootKey = 'C', scaleType = 'chromatic') {
     const inputMidi = freqToMidi(inputFreq);
-    const rootIndex = KEYS.indexOf(rootKey);
-    const scale = SCALES[scaleType] || SCALES.chromatic;
-    
-    // 1. 找到最近的 Chromatic Semitone (整数 MIDI)
-    const nearestSemi = Math.round(inputMidi);
-    
-    // 2. 检查这个音是否在调内
-    // (Note - Root) % 12 = Interval
-    let noteChroma = (nearestSemi % 12 + 12) % 12; // 0-11
-    let rootChroma = rootIndex;
-    let interval = (noteChroma - rootChroma + 12) % 12;
-    
-    // 3. 如果不在调内，寻找最近的调内音
-    if (!scale.intervals.includes(interval)) {
-        // 寻找最近的合法 interval
-        let minDist = 100;
-        let bestInterval = 0;
-        
-        for (let validInterval of scale.intervals) {
-            // 计算距离 (考虑循环，比如 11 到 0 的距离是 1)
-            let dist = Math.abs(validInterval - interval);
-            if (dist > 6) dist = 12 - dist; // Wrap around correction
-            
-            if (dist < minDist) {
-                minDist = dist;
-                bestInterval = validInterval;
-            }
+    const scale = getScale(scaleType) || getScale('chromatic');
+    const { cents, period } = scale;
+
+    const rootMidi = scale.rootFrequency ? freqToMidi(scale.rootFrequency) : Math.max(0, KEYS.indexOf(rootKey));
+
+    // 1. 把输入折叠进一个周期
+    const relative = (inputMidi - rootMidi) * 100;
+    let cycle = Math.floor(relative / period);
+    const position = relative - cycle * period;
+
+    // 2. 最近的音级 (包括下一周期的第 0 级)
+    let degree = 0;
+    let minDist = Infinity;
+    for (let i = 0; i <= cents.length; i++) {
+        const target = i < cents.length ? cents[i] : period;
+        const dist = Math.abs(position - target);
+        if (dist < minDist) {
+            minDist = dist;
+            degree = i;
         }
-        
-        // 修正 Note Chroma
-        // NewNote = Root + BestInterval
-        let targetChroma = (rootChroma + bestInterval) % 12;
-        
-        // 决定是向上修还是向下修
-        // 简单做法：直接替换 Chroma，保持 Octave
-        // 复杂做法：判断最近的邻居是在上面还是下面
-        // 这里使用简单的 diff 方法
-        let diff = targetChroma - noteChroma;
-        if (diff > 6) diff -= 12;
-        if (diff < -6) diff += 12;
-        
-        var targetMidi = nearestSemi + diff;
-    } else {
-        var targetMidi = nearestSemi;
     }
-    
+    if (degree === cents.length) {
+        degree = 0;
+        cycle++;
+    }
+
+    const targetMidi = rootMidi + (cycle * period + cents[degree]) / 100;
+    // 十二平均律音级直接得到整数 MIDI (避免浮点误差)
+    const roundedMidi = Math.abs(targetMidi - Math.round(targetMidi)) < 1e-9 ? Math.round(targetMidi) : targetMidi;
+
     return {
-        frequency: midiToFreq(targetMidi),
-        midi: targetMidi,
-        noteName: KEYS[targetMidi % 12],
-        centsDeviation: (inputMidi - targetMidi) * 100
+        frequency: midiToFreq(roundedMidi),
+        midi: roundedMidi,
+        noteName: KEYS[((Math.round(roundedMidi) % 12) + 12) % 12],
+        degree,
+        centsDeviation: (inputMidi - roundedMidi) * 100
     };
 }
+
+/**
+ * 在调式内按音级移动 (和声声部: 调内三度 / 五度 ...)
+ *
+ * 以最近的调内音级为起点移动 steps 级 (可跨周期), 输入相对该音级的音分偏差原样保留,
+ * 滑音和颤音因此跟着主旋律走。
+ *
+ * @param {number} inputFreq - 输入频率
+ * @param {number} steps - 音级数 (七声音阶: 2 = 三度, 4 = 五度, 7 = 八度; 负数向下)
+ * @param {string} rootKey - 根音 (e.g., 'C', 'F#')
+ * @param {string|Object} scaleType - 调式名 (内置或 registerScale 注册的), 或调式对象
+ * @returns {number} 目标频率 (Hz)
+ */
+export function transposeInScale(inputFreq, steps, rootKey = 'C', scaleType = 'chromatic') {
+    const { degree } = getNearestScaleNote(inputFreq, rootKey, scaleType);
+    const { cents, period } = getScale(scaleType) || getScale('chromatic');
+
+    const target = degree + Math.round(steps);
+    const cycles = Math.floor(target / cents.length);
+    const targetDegree = target - cycles * cents.length;
+    const shift = cycles * period + cents[targetDegree] - cents[degree];
+    return inputFreq * Math.pow(2, shift / 1200);
+}
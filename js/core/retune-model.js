@@ -0,0 +1,168 @@
+/**
+ * Retune Model - Auto-Tune 的修正曲线与音符过渡模型
+ *
+ * 全部在音分域中计算 (绝对音分 = 1200 * log2(Hz)):
+ * - 起音 / 持续分开: 起音阶段 (onsetMs 内) 用 onsetSpeedMs 快速吸附,
+ *   之后用 sustainSpeedMs 平滑修正
+ * - 保留颤音: 修正量按音高 "中心" (慢速 EMA) 计算, 而非瞬时音高,
+ *   所以中心被拉到目标音上, 颤音的起伏原样保留 (vibratoPreserve: 0-1)
+ * - 过渡: 连奏中目标音改变时 (换音或滑音越过分界), 在 transitionMs 内线性滑到新目标;
+ *   新起音 (articulation / 断开) 则直接吸附
+ * - 人性化: 长音持续超过 humanizeAfterMs 后修正强度逐渐放松 (humanize: 0-1)
+ *
+ * @module RetuneModel
+ */
+
+const toCents = (hz) => 1200 * Math.log2(hz);
+const toHz = (cents) => Math.pow(2, cents / 1200);
+
+export const DEFAULT_RETUNE_PARAMS = {
+    strength: 0,            // 0 = 不修正, 1 = 完全吸附
+    onsetMs: 80,            // 起音阶段长度
+    onsetSpeedMs: 5,        // 起音阶段的修正时间常数 (0 = 立即)
+    sustainSpeedMs: 15,     // 持续阶段的修正时间常数
+    transitionMs: 40,       // 目标音之间的滑音时间
+    vibratoPreserve: 1,     // 0 = 拉平颤音, 1 = 完整保留
+    vibratoWindowMs: 120,   // 中心音高 EMA 时间常数 (> 颤音周期的一半)
+    humanize: 0,            // 长音放松量 (0 = 不放松, 1 = 最终不修正)
+    humanizeAfterMs: 400,   // 多长算 "长音"
+    humanizeRampMs: 1000,   // 放松过程时长
+    gapMs: 150,             // 两帧间隔超过此值视为新音符
+    noteChangeCents: 90     // 音高偏离中心超过此值视为连奏换音
+};
+
+export class RetuneModel {
+    /**
+     * @param {Partial<typeof DEFAULT_RETUNE_PARAMS>} [params]
+     */
+    constructor(params = {}) {
+        this.params = { ...DEFAULT_RETUNE_PARAMS };
+        this.setParams(params);
+        this.reset();
+    }
+
+    /**
+     * @param {Partial<typeof DEFAULT_RETUNE_PARAMS>} params
+     */
+    setParams(params) {
+        for (const [name, value] of Object.entries(params)) {
+            if (!(name in DEFAULT_RETUNE_PARAMS) || typeof value !== 'number' || !Number.isFinite(value)) continue;
+            const isAmount = name === 'strength' || name === 'vibratoPreserve' || name === 'humanize';
+            this.params[name] = isAmount ? Math.max(0, Math.min(1, value)) : Math.max(0, value);
+        }
+    }
+
+    /**
+     * 清空状态 (停止 / 换乐器)
+     */
+    reset() {
+        this.lastTime = null;
+        this.noteStart = 0;
+        this.centre = 0;          // 中心音高 (音分)
+        this.correction = 0;      // 当前施加的修正 (音分)
+        this.vibratoCorrection = 0; // 修正中拉平颤音的部分 (音分, vibratoPreserve < 1 时)
+        this.target = null;       // 当前目标 (音分)
+        this.glideFrom = 0;
+        this.glideStart = 0;
+    }
+
+    /**
+     * 处理一帧
+     *
+     * 目标音由 quantize(参考音高) 得到: 参考音高是中心音高 (保留颤音时),
+     * 所以颤音越过两个音的分界时目标不会来回跳。
+     *
+     * @param {Object} frame
+     * @param {number} frame.frequency - 输入音高 (Hz)
+     * @param {Function} frame.quantize - (Hz) => 目标 Hz (e.g. getNearestScaleNote)
+     * @param {number} frame.time - 时间戳 (ms)
+     * @param {boolean} [frame.onset=false] - 外部检测到的起音 (articulation === 'attack')
+     * @returns {{frequency: number, target: number, rampMs: number, phase: 'onset'|'sustain', correctionCents: number, vibratoCents: number}}
+     *          rampMs: 建议的振荡器过渡时间 (新音符 = onsetSpeedMs, 其余由模型自身平滑)
+     *          vibratoCents: 输出中剩余的颤音 (相对中心音高; 已扣除 vibratoPreserve 拉平的部分)
+     */
+    process({ frequency, quantize, time, onset = false }) {
+        const p = this.params;
+        const input = toCents(frequency);
+        const dt = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+
+        // 1. 新音符: 外部起音 / 首帧 / 断开太久; 连奏换音: 音高跳离中心
+        const isNewNote = onset || this.lastTime === null || dt > p.gapMs;
+        const isNoteChange = !isNewNote && Math.abs(input - this.centre) > p.noteChangeCents;
+        this.lastTime = time;
+
+        if (isNewNote || isNoteChange) {
+            this.noteStart = time;
+            this.centre = input;
+        } else {
+            this.centre += (input - this.centre) * this._smoothing(dt, p.vibratoWindowMs);
+        }
+
+        // 2. 修正参考: 中心音高 (保留颤音) 与瞬时音高的混合
+        const reference = input + (this.centre - input) * p.vibratoPreserve;
+        const goal = toCents(quantize(toHz(reference)));
+
+        if (isNewNote || this.target === null) {
+            this.target = goal;
+            this.glideFrom = goal;
+            this.glideStart = time;
+        } else if (Math.abs(goal - this.target) > 1e-6) {
+            // 目标音改变 (连奏): 从当前滑音位置出发, 在 transitionMs 内滑到新目标
+            this.glideFrom = this._glidePosition(time);
+            this.glideStart = time;
+            this.target = goal;
+        }
+
+        // 3. 强度: 长音逐渐放松
+        const held = time - this.noteStart;
+        const relax = held > p.humanizeAfterMs
+            ? p.humanize * Math.min(1, (held - p.humanizeAfterMs) / Math.max(1, p.humanizeRampMs))
+            : 0;
+        const strength = p.strength * (1 - relax);
+
+        const desired = (this._glidePosition(time) - reference) * strength;
+        // 其中拉平颤音的部分 (reference 偏离中心的量), 与总修正同步平滑
+        const desiredVibrato = (this.centre - reference) * strength;
+
+        // 4. 起音 / 持续阶段不同的修正速度; 新音符 / 换音直接跟随 (过渡由滑音和 onsetSpeedMs 负责)
+        const phase = held < p.onsetMs ? 'onset' : 'sustain';
+        if (isNewNote || isNoteChange) {
+            this.correction = desired;
+            this.vibratoCorrection = desiredVibrato;
+        } else {
+            const speedMs = phase === 'onset' ? p.onsetSpeedMs : p.sustainSpeedMs;
+            const smoothing = this._smoothing(dt, speedMs);
+            this.correction += (desired - this.correction) * smoothing;
+            this.vibratoCorrection += (desiredVibrato - this.vibratoCorrection) * smoothing;
+        }
+
+        return {
+            frequency: toHz(input + this.correction),
+            target: toHz(this.target),
+            rampMs: isNewNote ? p.onsetSpeedMs : 0,
+            phase,
+            correctionCents: this.correction,
+            vibratoCents: input - this.centre + this.vibratoCorrection
+        };
+    }
+
+    /**
+     * 当前滑音位置 (音分)
+     * @private
+     */
+    _glidePosition(time) {
+        const { transitionMs } = this.params;
+        if (transitionMs <= 0) return this.target;
+        const progress = Math.min(1, (time - this.glideStart) / transitionMs);
+        return this.glideFrom + (this.target - this.glideFrom) * progress;
+    }
+
+    /**
+     * 一阶平滑系数 (时间常数 tauMs, 0 = 立即)
+     * @private
+     */
+    _smoothing(dtMs, tauMs) {
+        if (tauMs <= 0) return 1;
+        return 1 - Math.exp(-dtMs / tauMs);
+    }
+}
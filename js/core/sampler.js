@@ -0,0 +1,355 @@
+/**
+ * Sample-based Instrument (multi-sampled recordings, continuous repitch)
+ *
+ * A sample set is a list of zones. Each zone is one recording with its root
+ * note, the key range it covers and the velocity range of its layer:
+ *
+ *   { buffer, root: 60, lowKey: 57, highKey: 62, velocityLow: 0, velocityHigh: 0.5,
+ *     loopStart: 0.42, loopEnd: 1.37 }   // loop points in seconds
+ *
+ * Zones are picked on every attack (key, then velocity layer). While the note
+ * sounds, the voice follows the pitch by ramping the playback rate, so slides
+ * and vibrato stay smooth. Sustain loops are crossfaded into the sample data
+ * once, when the set is registered, so the native loop point is seamless.
+ *
+ * Sets are built from local files: roots and velocity layers come from the file
+ * names ("AltoSax_C#4_mf.wav"), or from the WAV 'smpl' chunk when the name has
+ * no note. Loop points are read from the 'smpl' chunk as well.
+ */
+
+import { freqToMidi, midiToFreq } from './music-scales.js';
+import { findWavChunk } from '../utils/wav-codec.js';
+
+export const DEFAULT_LOOP_CROSSFADE = 0.05; // s
+
+// Recordings without loop points loop this part of their length
+const AUTO_LOOP = { start: 0.4, end: 0.9, minDuration: 0.5 };
+
+const NOTE_OFFSETS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const DYNAMICS = ['ppp', 'pp', 'p', 'mp', 'mf', 'f', 'ff', 'fff'];
+
+// User sample sets (imported files, kept for the session)
+const sampleSets = new Map();
+
+/**
+ * Read the root note from a file name ("Sax_C#4.wav" → 61, "tpt-Eb3-ff" → 51)
+ * @param {string} name
+ * @returns {number|null} MIDI note (C4 = 60)
+ */
+export function parseSampleNote(name) {
+    const match = /(?:^|[^A-Za-z])([A-Ga-g])([#b]?)(-?\d)(?![0-9])/.exec(name);
+    if (!match) return null;
+    const [, letter, accidental, octave] = match;
+    const offset = NOTE_OFFSETS[letter.toUpperCase()] + (accidental === '#' ? 1 : accidental === 'b' ? -1 : 0);
+    return (parseInt(octave, 10) + 1) * 12 + offset;
+}
+
+/**
+ * Velocity layer rank from a file name: "v3", or a dynamic mark (pp … ff)
+ * @private
+ */
+function parseLayer(name) {
+    const tokens = name.replace(/\.[^.]+$/, '').split(/[^A-Za-z0-9]+/);
+    for (const token of tokens) {
+        const velocity = /^v(\d+)$/i.exec(token);
+        if (velocity) return parseInt(velocity[1], 10);
+        const dynamic = DYNAMICS.indexOf(token.toLowerCase());
+        if (dynamic >= 0) return dynamic;
+    }
+    return 0;
+}
+
+/**
+ * Map recordings to key zones and velocity layers
+ *
+ * Each root covers the keys up to halfway to its neighbouring roots (the lowest
+ * and highest reach the ends of the keyboard). Layers split 0-1 evenly, softest first.
+ *
+ * @param {Array<{name: string, root?: number}>} entries - `root` (e.g. from the 'smpl' chunk) is used when the name has no note
+ * @returns {Array<Object>} The entries with root, lowKey, highKey, velocityLow, velocityHigh
+ * @throws {Error} If a recording has no root note
+ */
+export function mapSampleZones(entries) {
+    const parsed = entries.map(entry => {
+        const root = parseSampleNote(entry.name) ?? entry.root;
+        if (!Number.isFinite(root)) throw new Error(`Cannot find the root note of "${entry.name}"`);
+        return { ...entry, root, layer: parseLayer(entry.name) };
+    });
+
+    const roots = [...new Set(parsed.map(entry => entry.root))].sort((a, b) => a - b);
+    const layers = [...new Set(parsed.map(entry => entry.layer))].sort((a, b) => a - b);
+
+    return parsed.map(({ layer, ...entry }) => {
+        const i = roots.indexOf(entry.root);
+        const j = layers.indexOf(layer);
+        return {
+            ...entry,
+            lowKey: i === 0 ? 0 : Math.floor((roots[i - 1] + entry.root) / 2) + 1,
+            highKey: i === roots.length - 1 ? 127 : Math.floor((entry.root + roots[i + 1]) / 2),
+            velocityLow: j / layers.length,
+            velocityHigh: (j + 1) / layers.length
+        };
+    });
+}
+
+/**
+ * Pick the zone for a note: inside its key range (else the nearest root),
+ * then the velocity layer containing the velocity (else the nearest layer)
+ *
+ * @param {Array<Object>} zones
+ * @param {number} midi - Fractional MIDI note
+ * @param {number} velocity - 0-1
+ * @returns {Object|null}
+ */
+export function selectZone(zones, midi, velocity) {
+    if (!zones.length) return null;
+    const note = Math.round(midi);
+
+    let candidates = zones.filter(zone => note >= zone.lowKey && note <= zone.highKey);
+    if (!candidates.length) {
+        const nearest = Math.min(...zones.map(zone => Math.abs(zone.root - midi)));
+        candidates = zones.filter(zone => Math.abs(zone.root - midi) === nearest);
+    }
+
+    const distance = (zone) => Math.max(0, zone.velocityLow - velocity, velocity - zone.velocityHigh);
+    return candidates.reduce((best, zone) => (distance(zone) < distance(best) ? zone : best));
+}
+
+/**
+ * Crossfade the end of a loop with the audio before its start (equal power),
+ * so jumping from loopEnd back to loopStart is continuous. Modifies `data`.
+ *
+ * @param {Float32Array} data - One channel
+ * @param {number} loopStart - Frame
+ * @param {number} loopEnd - Frame (exclusive)
+ * @param {number} length - Crossfade length in frames (capped by the loop and the audio before it)
+ * @returns {Float32Array} data
+ */
+export function crossfadeLoop(data, loopStart, loopEnd, length) {
+    loopEnd = Math.min(loopEnd, data.length);
+    const fade = Math.floor(Math.min(length, loopStart, loopEnd - loopStart));
+    for (let i = 0; i < fade; i++) {
+        const t = (i + 1) / fade;
+        const tail = loopEnd - fade + i;
+        data[tail] = data[tail] * Math.cos(0.5 * Math.PI * t) + data[loopStart - fade + i] * Math.sin(0.5 * Math.PI * t);
+    }
+    return data;
+}
+
+/**
+ * Read the root note and first loop of a WAV 'smpl' chunk
+ *
+ * Loop points are frames at the file's own rate ('fmt ' chunk, else the
+ * 'smpl' sample period). They are returned in seconds because decodeAudioData
+ * resamples the audio to the context rate.
+ *
+ * @param {ArrayBuffer|Uint8Array} input - Complete WAV file
+ * @returns {{root: number, loopStart: number|null, loopEnd: number|null}|null} Loop in seconds; null without a 'smpl' chunk
+ */
+export function readSampleLoop(input) {
+    const chunk = findWavChunk(input, 'smpl');
+    if (!chunk || chunk.length < 36) return null;
+
+    const view = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    const root = view.getUint32(12, true);
+    const fmt = findWavChunk(input, 'fmt ');
+    const samplePeriod = view.getUint32(8, true); // ns
+    const sampleRate = fmt && fmt.length >= 8
+        ? new DataView(fmt.buffer, fmt.byteOffset, fmt.byteLength).getUint32(4, true)
+        : (samplePeriod > 0 ? 1e9 / samplePeriod : 0);
+
+    const hasLoop = view.getUint32(28, true) > 0 && chunk.length >= 60 && sampleRate > 0;
+    return {
+        root,
+        loopStart: hasLoop ? view.getUint32(44, true) / sampleRate : null,
+        // The 'smpl' end frame is played, so the loop ends after it
+        loopEnd: hasLoop ? (view.getUint32(48, true) + 1) / sampleRate : null
+    };
+}
+
+/**
+ * Register a sample set (same id overwrites)
+ *
+ * Loops are crossfaded into the buffers here (the buffers are modified).
+ *
+ * @param {string} id - Used by the `sampleSet` field of a preset
+ * @param {{name?: string, zones: Array<Object>}} set - Zones with `buffer` (AudioBuffer-like) and loop points in seconds
+ * @param {Object} [options]
+ * @param {number} [options.loopCrossfade=DEFAULT_LOOP_CROSSFADE] - s
+ * @param {boolean} [options.autoLoop=true] - Loop the middle of recordings that have no loop points
+ * @returns {{name: string, zones: Array<Object>}}
+ */
+export function registerSampleSet(id, set, { loopCrossfade = DEFAULT_LOOP_CROSSFADE, autoLoop = true } = {}) {
+    if (!id) throw new Error('Cannot register a sample set without an id');
+    if (!set.zones || set.zones.length === 0 || set.zones.some(zone => !zone.buffer || !Number.isFinite(zone.root))) {
+        throw new Error('Sample set needs zones with a buffer and a root note');
+    }
+
+    const zones = set.zones.map(zone => {
+        const { buffer } = zone;
+        let { loopStart = null, loopEnd = null } = zone;
+        if (loopEnd !== null) loopEnd = Math.min(loopEnd, buffer.duration);
+        if (!(loopEnd > loopStart) && autoLoop && buffer.duration >= AUTO_LOOP.minDuration) {
+            loopStart = buffer.duration * AUTO_LOOP.start;
+            loopEnd = buffer.duration * AUTO_LOOP.end;
+        }
+
+        const looped = loopEnd > loopStart;
+        if (looped) {
+            const rate = buffer.sampleRate;
+            for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+                crossfadeLoop(buffer.getChannelData(ch), Math.round(loopStart * rate), Math.round(loopEnd * rate), loopCrossfade * rate);
+            }
+        }
+
+        return {
+            lowKey: 0,
+            highKey: 127,
+            velocityLow: 0,
+            velocityHigh: 1,
+            ...zone,
+            loopStart: looped ? loopStart : null,
+            loopEnd: looped ? loopEnd : null
+        };
+    });
+
+    const registered = { name: set.name || id, zones };
+    sampleSets.set(id, registered);
+    return registered;
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} Whether a set was removed
+ */
+export function unregisterSampleSet(id) {
+    return sampleSets.delete(id);
+}
+
+/**
+ * @param {string} id
+ * @returns {{name: string, zones: Array<Object>}|null}
+ */
+export function getSampleSet(id) {
+    return sampleSets.get(id) || null;
+}
+
+/**
+ * @returns {Array<{id: string, name: string, zones: number}>}
+ */
+export function listSampleSets() {
+    return [...sampleSets.entries()].map(([id, set]) => ({ id, name: set.name, zones: set.zones.length }));
+}
+
+/**
+ * Monophonic sampler voice (Tone.js compatible)
+ *
+ * Velocity only picks the layer; loudness stays with `volume`, like the other
+ * continuous instruments.
+ */
+export class SampleVoice {
+    /**
+     * @param {Object} options
+     * @param {{zones: Array<Object>}} options.sampleSet
+     * @param {Object} [options.envelope] - attack / release (s) of each note
+     */
+    constructor(options = {}) {
+        this.sampleSet = options.sampleSet;
+        this.envelope = { attack: 0.01, release: 0.3, ...options.envelope };
+
+        // Output Volume (engine ramps it like any Tone.js synth)
+        this.output = new Tone.Volume(0);
+        this.volume = this.output.volume;
+
+        this.source = null;
+        this.zone = null;
+        this.currentFrequency = 440;
+    }
+
+    /**
+     * Start a note from the zone for this pitch and velocity
+     * @param {number} frequency - Pitch in Hz
+     * @param {number} time - AudioContext time
+     * @param {number} velocity - 0-1, picks the velocity layer
+     */
+    triggerAttack(frequency, time, velocity = 1) {
+        this._stopSource(time);
+
+        const zone = selectZone(this.sampleSet.zones, freqToMidi(frequency), velocity);
+        if (!zone) return;
+
+        const source = new Tone.ToneBufferSource({
+            url: zone.buffer,
+            loop: zone.loopEnd !== null,
+            loopStart: zone.loopStart ?? 0,
+            loopEnd: zone.loopEnd ?? 0,
+            fadeIn: this.envelope.attack,
+            fadeOut: this.envelope.release
+        });
+        source.playbackRate.value = frequency / midiToFreq(zone.root);
+        source.connect(this.output);
+        source.start(time);
+
+        this.source = source;
+        this.zone = zone;
+        this.currentFrequency = frequency;
+    }
+
+    /**
+     * @param {number} time
+     */
+    triggerRelease(time) {
+        this._stopSource(time);
+    }
+
+    /**
+     * Continuous frequency update (for slides/vibrato)
+     * @param {number} frequency
+     * @param {number} rampTime
+     */
+    setFrequency(frequency, rampTime = 0.01) {
+        if (!frequency || frequency <= 0) return;
+        this.currentFrequency = frequency;
+        if (this.source) {
+            this.source.playbackRate.rampTo(frequency / midiToFreq(this.zone.root), rampTime);
+        }
+    }
+
+    /**
+     * Fade out the sounding note (its source disposes itself when it ends)
+     * @private
+     */
+    _stopSource(time) {
+        if (!this.source) return;
+        const source = this.source;
+        source.onended = () => source.dispose();
+        source.stop(time);
+        this.source = null;
+    }
+
+    /**
+     * Connect to destination or other nodes
+     */
+    connect(destination) {
+        this.output.connect(destination);
+        return this;
+    }
+
+    /**
+     * Cleanup
+     */
+    dispose() {
+        if (this.source) this.source.dispose();
+        this.source = null;
+        this.output.dispose();
+    }
+
+    // Property proxies for compatibility
+    get frequency() {
+        return {
+            value: this.currentFrequency,
+            rampTo: (val, time) => this.setFrequency(val, time),
+            setValueAtTime: (val) => this.setFrequency(val, 0)
+        };
+    }
+}
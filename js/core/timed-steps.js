@@ -0,0 +1,125 @@
+/**
+ * Timed Steps - a fixed sequence of timed steps with a progress timer
+ *
+ * The flow shared by CalibrationSystem (lowest note, highest note) and
+ * BeatboxTrainer (one step per drum): each step runs for `duration` ms, a
+ * timer reports progress every `interval` ms and ends the step when its time
+ * is up; after the last step the run finishes. The owner collects its own
+ * samples in the callbacks.
+ *
+ * step: 0 = idle, 1..count = running, count + 1 = finished
+ *
+ * @module TimedSteps
+ */
+
+export class TimedSteps {
+    /**
+     * @param {Object} options
+     * @param {number} options.count - Number of steps
+     * @param {number} options.duration - ms per step
+     * @param {number} [options.interval=50] - Progress timer period (ms)
+     * @param {function(number): void} [options.onStepStart] - (step) a step begins
+     * @param {function({step: number, progress: number, elapsed: number, remaining: number}): void} [options.onProgress]
+     * @param {function(number): void} [options.onStepEnd] - (step) a step is over, before the next begins
+     * @param {function(): void} [options.onFinish] - The last step is over
+     */
+    constructor({ count, duration, interval = 50, onStepStart = null, onProgress = null, onStepEnd = null, onFinish = null }) {
+        this.count = count;
+        this.duration = duration;
+        this.interval = interval;
+        this.onStepStart = onStepStart;
+        this.onProgress = onProgress;
+        this.onStepEnd = onStepEnd;
+        this.onFinish = onFinish;
+
+        this.isRunning = false;
+        this.step = 0;
+        this.stepStartTime = 0;
+        this.timerInterval = null;
+    }
+
+    /**
+     * Begin at step 1
+     */
+    start() {
+        this.isRunning = true;
+        this.step = 1;
+        this._beginStep();
+    }
+
+    /**
+     * Stop without finishing (back to idle)
+     */
+    cancel() {
+        this.isRunning = false;
+        this.stopTimer();
+        this.step = 0;
+    }
+
+    startTimer() {
+        this.stopTimer();
+
+        this.timerInterval = setInterval(() => {
+            if (!this.isRunning) {
+                this.stopTimer();
+                return;
+            }
+
+            const elapsed = Date.now() - this.stepStartTime;
+            if (this.onProgress) {
+                this.onProgress({
+                    step: this.step,
+                    progress: Math.min((elapsed / this.duration) * 100, 100),
+                    elapsed,
+                    remaining: Math.max(0, this.duration - elapsed)
+                });
+            }
+
+            // The timer ends the step, so a step with no samples still moves on
+            if (elapsed >= this.duration) {
+                this.completeStep();
+            }
+        }, this.interval);
+    }
+
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+
+    /**
+     * End the current step now; moves to the next one or finishes
+     */
+    completeStep() {
+        this.stopTimer();
+        if (this.onStepEnd) this.onStepEnd(this.step);
+
+        if (this.step < this.count) {
+            this.step++;
+            this._beginStep();
+        } else {
+            this.finish();
+        }
+    }
+
+    /**
+     * End the run after the last step
+     */
+    finish() {
+        this.isRunning = false;
+        this.step = this.count + 1;
+        this.stopTimer();
+        if (this.onFinish) this.onFinish();
+    }
+
+    /**
+     * @private
+     */
+    _beginStep() {
+        this.stepStartTime = Date.now();
+        this.startTimer();
+        if (this.onStepStart) this.onStepStart(this.step);
+    }
+}
@@ -0,0 +1,299 @@
+/**
+ * Wavetable Synthesis
+ *
+ * A wavetable is a list of single-cycle frames. Each frame is stored as the
+ * amplitudes of its harmonics (Tone.Oscillator `partials`), so the browser
+ * band-limits every pitch and no resampling is needed.
+ *
+ * Position morphing: frame k always plays on oscillator k % 2, and the two
+ * oscillators are crossfaded. Moving from frame i to i + 1 only ever rewrites
+ * the oscillator that is currently silent, so sweeping the position is click-free.
+ *
+ * Tables are imported from WAV files: single-cycle waves (any length up to
+ * 4096 samples) or Serum-style tables (frames of 2048 samples, or the frame
+ * size written in the 'clm ' chunk).
+ */
+
+import { decodeWav, findWavChunk } from '../utils/wav-codec.js';
+
+export const DEFAULT_FRAME_SIZE = 2048; // Serum
+export const MAX_FRAMES = 256;
+export const MAX_PARTIALS = 128;
+
+// Harmonic amplitudes of the classic shapes (phase is not kept)
+const sawPartials = (count) => Array.from({ length: count }, (_, i) => 1 / (i + 1));
+const squarePartials = (count) => Array.from({ length: count }, (_, i) => ((i + 1) % 2 ? 1 / (i + 1) : 0));
+const trianglePartials = (count) => Array.from({ length: count }, (_, i) => ((i + 1) % 2 ? 1 / ((i + 1) * (i + 1)) : 0));
+const pulsePartials = (count, duty) => Array.from({ length: count }, (_, i) => Math.abs(Math.sin(Math.PI * (i + 1) * duty)) / (i + 1));
+
+const BUILTIN_WAVETABLES = {
+    basic: {
+        name: 'Basic Shapes',
+        frames: [
+            [1],
+            trianglePartials(32),
+            sawPartials(32),
+            squarePartials(32)
+        ]
+    },
+    pulse: {
+        name: 'Pulse Width',
+        frames: Array.from({ length: 8 }, (_, i) => pulsePartials(32, 0.5 - i * 0.06))
+    }
+};
+
+// User wavetables (imported WAVs, persisted by the App)
+const customWavetables = new Map();
+
+/**
+ * Validate and normalize a wavetable definition
+ * @private
+ */
+function normalizeWavetable(table) {
+    const frames = (table.frames || []).slice(0, MAX_FRAMES);
+    const valid = frames.length > 0 && frames.every(frame =>
+        frame.length > 0 && Array.from(frame).every(value => Number.isFinite(value)));
+    if (!valid) throw new Error('Wavetable needs at least one frame of finite partial amplitudes');
+
+    return {
+        name: table.name || 'Custom',
+        frames: frames.map(frame => Array.from(frame).slice(0, MAX_PARTIALS))
+    };
+}
+
+/**
+ * Register a user wavetable (same id overwrites)
+ * @param {string} id - Used by the `wavetable` field of a preset
+ * @param {{name?: string, frames: number[][]}} table - Partial amplitudes per frame
+ * @returns {{name: string, frames: number[][]}} The normalized table
+ */
+export function registerWavetable(id, table) {
+    if (!id || BUILTIN_WAVETABLES[id]) throw new Error(`Cannot register wavetable "${id}": the id is empty or built in`);
+    const normalized = normalizeWavetable(table);
+    customWavetables.set(id, normalized);
+    return normalized;
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} Whether a table was removed
+ */
+export function unregisterWavetable(id) {
+    return customWavetables.delete(id);
+}
+
+/**
+ * Look up a wavetable (built in or registered)
+ * @param {string|Object} id - Table id, or a table object
+ * @returns {{name: string, frames: number[][]}|null}
+ */
+export function getWavetable(id) {
+    if (id && typeof id === 'object') return normalizeWavetable(id);
+    if (customWavetables.has(id)) return customWavetables.get(id);
+    return BUILTIN_WAVETABLES[id] || null;
+}
+
+/**
+ * @returns {Array<{id: string, name: string, frames: number, custom: boolean}>}
+ */
+export function listWavetables() {
+    return [
+        ...Object.entries(BUILTIN_WAVETABLES).map(([id, table]) => ({ id, name: table.name, frames: table.frames.length, custom: false })),
+        ...[...customWavetables.entries()].map(([id, table]) => ({ id, name: table.name, frames: table.frames.length, custom: true }))
+    ];
+}
+
+/**
+ * Harmonic amplitudes of one single-cycle frame (DFT at the harmonics)
+ *
+ * @param {Float32Array|number[]} samples - One cycle
+ * @param {number} [count=MAX_PARTIALS] - Number of harmonics (capped at half the frame length)
+ * @returns {number[]} Amplitude of harmonics 1..count
+ */
+export function framePartials(samples, count = MAX_PARTIALS) {
+    const size = samples.length;
+    const harmonics = Math.min(count, Math.floor(size / 2));
+    const cos = new Float64Array(size);
+    const sin = new Float64Array(size);
+    for (let n = 0; n < size; n++) {
+        cos[n] = Math.cos(2 * Math.PI * n / size);
+        sin[n] = Math.sin(2 * Math.PI * n / size);
+    }
+
+    const partials = new Array(harmonics);
+    for (let k = 1; k <= harmonics; k++) {
+        let re = 0;
+        let im = 0;
+        for (let n = 0; n < size; n++) {
+            const index = (k * n) % size;
+            re += samples[n] * cos[index];
+            im -= samples[n] * sin[index];
+        }
+        partials[k - 1] = 2 * Math.sqrt(re * re + im * im) / size;
+    }
+    return partials;
+}
+
+/**
+ * Read the frame size a wavetable editor wrote into the 'clm ' chunk ("<!>2048 ...")
+ * @private
+ */
+function readClmFrameSize(input) {
+    const chunk = findWavChunk(input, 'clm ');
+    if (!chunk) return null;
+    const match = /^<!>(\d+)/.exec(String.fromCharCode(...chunk.subarray(0, 16)));
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Decode a WAV file into a wavetable
+ *
+ * Frame size: `options.frameSize`, else the 'clm ' chunk, else the whole file
+ * is one cycle when it has up to 4096 samples, else 2048 when the length is a
+ * multiple of it (Serum tables without a 'clm ' chunk).
+ *
+ * @param {ArrayBuffer|Uint8Array} input - Complete WAV file
+ * @param {Object} [options]
+ * @param {string} [options.name='Custom']
+ * @param {number} [options.frameSize]
+ * @param {number} [options.partials=MAX_PARTIALS]
+ * @returns {{name: string, frames: number[][]}}
+ * @throws {RangeError} If the WAV is not a single cycle or a framed table
+ */
+export function decodeWavetable(input, { name = 'Custom', frameSize, partials = MAX_PARTIALS } = {}) {
+    const samples = decodeWav(input).channels[0];
+
+    let size = frameSize || readClmFrameSize(input);
+    if (!size) {
+        if (samples.length <= 2 * DEFAULT_FRAME_SIZE) {
+            size = samples.length;
+        } else if (samples.length % DEFAULT_FRAME_SIZE === 0) {
+            size = DEFAULT_FRAME_SIZE;
+        } else {
+            throw new RangeError(`Not a wavetable: ${samples.length} samples is neither one cycle nor whole ${DEFAULT_FRAME_SIZE}-sample frames`);
+        }
+    }
+    if (size < 2 || samples.length < size) {
+        throw new RangeError(`Wavetable frame size ${size} does not fit ${samples.length} samples`);
+    }
+
+    const count = Math.min(MAX_FRAMES, Math.floor(samples.length / size));
+    const frames = Array.from({ length: count }, (_, i) => framePartials(samples.subarray(i * size, (i + 1) * size), partials));
+    return normalizeWavetable({ name, frames });
+}
+
+/**
+ * Wavetable voice with a continuous position (Tone.js compatible, monophonic)
+ */
+export class WavetableSynth {
+    /**
+     * @param {Object} options
+     * @param {{name?: string, frames: number[][]}} options.table
+     * @param {number} [options.position=0] - 0 (first frame) … 1 (last frame)
+     * @param {Object} [options.envelope] - ADSR (Tone.AmplitudeEnvelope)
+     */
+    constructor(options = {}) {
+        this.options = {
+            position: 0,
+            envelope: { attack: 0.02, decay: 0.2, sustain: 0.8, release: 0.4 },
+            ...options
+        };
+
+        // Pitch is shared by both oscillators
+        this.frequency = new Tone.Signal({ value: 440, units: 'frequency' });
+        this.oscillators = [0, 1].map(() => new Tone.Oscillator({ type: 'sine', frequency: 0 }));
+        this.slotGains = [new Tone.Gain(1), new Tone.Gain(0)];
+        this.envelope = new Tone.AmplitudeEnvelope(this.options.envelope);
+
+        // Output Volume (engine ramps it like any Tone.js synth)
+        this.output = new Tone.Volume(0);
+        this.volume = this.output.volume;
+
+        // Connections: Signal -> Oscillator.frequency; Oscillator -> SlotGain -> Envelope -> Output
+        this.oscillators.forEach((osc, i) => {
+            this.frequency.connect(osc.frequency);
+            osc.connect(this.slotGains[i]);
+            this.slotGains[i].connect(this.envelope);
+        });
+        this.envelope.connect(this.output);
+
+        this.slotFrames = [null, null];
+        this.position = 0;
+        this.setTable(this.options.table);
+        this.setPosition(this.options.position, 0);
+        this.oscillators.forEach(osc => osc.start());
+    }
+
+    /**
+     * Swap the wavetable, keeping the position
+     * @param {{name?: string, frames: number[][]}} table
+     */
+    setTable(table) {
+        if (!table || !Array.isArray(table.frames) || table.frames.length === 0) {
+            throw new Error('[WavetableSynth] Wavetable has no frames');
+        }
+        this.table = table;
+        this.slotFrames = [null, null];
+        this.setPosition(this.position, 0);
+    }
+
+    /**
+     * Move through the table (crossfade between neighbouring frames)
+     * @param {number} position - 0-1
+     * @param {number} [rampTime=0.02]
+     */
+    setPosition(position, rampTime = 0.02) {
+        this.position = Math.max(0, Math.min(1, position || 0));
+
+        const frames = this.table.frames;
+        const x = this.position * (frames.length - 1);
+        const index = Math.max(0, Math.min(Math.floor(x), frames.length - 2));
+        const mix = frames.length > 1 ? x - index : 0;
+
+        [index, index + 1].forEach(frame => {
+            const slot = frame % 2;
+            if (frame < frames.length && this.slotFrames[slot] !== frame) {
+                this.oscillators[slot].partials = frames[frame];
+                this.slotFrames[slot] = frame;
+            }
+        });
+        this.slotGains[index % 2].gain.rampTo(1 - mix, rampTime);
+        this.slotGains[(index + 1) % 2].gain.rampTo(mix, rampTime);
+    }
+
+    /**
+     * @param {number} frequency - Pitch in Hz
+     * @param {number} time - AudioContext time
+     * @param {number} velocity - Velocity (0-1)
+     */
+    triggerAttack(frequency, time, velocity = 1) {
+        this.frequency.setValueAtTime(frequency, time);
+        this.envelope.triggerAttack(time, velocity);
+    }
+
+    /**
+     * @param {number} time
+     */
+    triggerRelease(time) {
+        this.envelope.triggerRelease(time);
+    }
+
+    /**
+     * Connect to destination or other nodes
+     */
+    connect(destination) {
+        this.output.connect(destination);
+        return this;
+    }
+
+    /**
+     * Cleanup
+     */
+    dispose() {
+        this.oscillators.forEach(osc => osc.dispose());
+        this.slotGains.forEach(gain => gain.dispose());
+        this.frequency.dispose();
+        this.envelope.dispose();
+        this.output.dispose();
+    }
+}
@@ -1,7 +1,7 @@
 /**
  * ExpressiveFeatures - 表现力特征提取主模块
  *
- * 统一入口，协调所有子模块（平滑、起音、频谱）来生成完整的 PitchFrame。
+ * 统一入口，协调所有子模块（平滑、起音、频谱、颤音、共振峰）来生成完整的 PitchFrame。
  *
  *  完整集成 SmoothingFilters、OnsetDetector、SpectralFeatures
  *
@@ -13,6 +13,7 @@ import * as AudioUtils from './utils/audio-utils.js';
 import { SpectralFeatures } from './features/spectral-features.js';
 import { KalmanFilter, EMAFilter } from './features/smoothing-filters.js';
 import { OnsetDetector } from './features/onset-detector.js';
+import { VibratoTracker, FORMANT_MAX_PITCH, estimateFormants, classifyVowel } from './pitch-dsp.js';
 
 /**
  * ExpressiveFeatures 主类
@@ -55,7 +56,10 @@ export class ExpressiveFeatures {
       // EMA Filter 用于亮度平滑
       brightness: new EMAFilter({
         alpha: appConfig?.smoothing.brightness.alpha ?? 0.2
-      })
+      }),
+      // EMA Filter 用于共振峰平滑 (LPC 估计逐帧抖动)
+      formantF1: new EMAFilter({ alpha: 0.4 }),
+      formantF2: new EMAFilter({ alpha: 0.4 })
     };
 
     //  初始化起音检测器 (Phase 2.10: 完整参数映射)
@@ -91,6 +95,9 @@ export class ExpressiveFeatures {
       });
     }
 
+    //  颤音检测 (与 Worklet 同一实现)
+    this.vibratoTracker = new VibratoTracker();
+
     //  音高稳定性计算 (滑动窗口)
     this.centsHistory = [];
     this.centsHistoryMaxLength = 10;  // 保存最近 10 帧的 cents 值
@@ -213,6 +220,22 @@ export class ExpressiveFeatures {
 
         // 平滑 brightness
         frame.brightness = this.smoothingFilters.brightness.update(frame.brightness);
+
+        // LPC 共振峰 & 元音 (与 Worklet 同一实现; 口哨 / 高音没有足够的谐波)
+        if (pitchInfo.frequency > 0 && pitchInfo.frequency <= FORMANT_MAX_PITCH) {
+          const formants = estimateFormants(audioBuffer, this.sampleRate);
+          if (formants) {
+            this.smoothingFilters.formantF1.update(formants.f1);
+            this.smoothingFilters.formantF2.update(formants.f2);
+          }
+        }
+        if (this.smoothingFilters.formantF1.initialized) {
+          frame.formantF1 = this.smoothingFilters.formantF1.value;
+          frame.formantF2 = this.smoothingFilters.formantF2.value;
+          const { vowel, confidence } = classifyVowel(frame.formantF1, frame.formantF2);
+          frame.vowel = vowel;
+          frame.vowelConfidence = confidence;
+        }
       } catch (error) {
         console.error('[ExpressiveFeatures] SpectralFeatures 失败:', error);
         // 降级: 使用默认值
@@ -233,9 +256,13 @@ export class ExpressiveFeatures {
     this.stats.spectralTime = performance.now() - spectralStart;
     this.stats.totalSpectralTime += this.stats.spectralTime;
 
-    // 6.  音高稳定性计算 
+    // 6.  音高稳定性 & 颤音
     // 仅在置信度足够时记录 cents 值，避免静音时零值污染
     if (pitchInfo.frequency > 0 && pitchInfo.confidence > 0.5) {
+      const vibrato = this.vibratoTracker.update(pitchInfo.frequency, timestamp);
+      frame.vibratoRate = vibrato.rate;
+      frame.vibratoDepth = vibrato.depth;
+
       this.centsHistory.push(rawCents);
       if (this.centsHistory.length > this.centsHistoryMaxLength) {
         this.centsHistory.shift();
@@ -289,6 +316,8 @@ export class ExpressiveFeatures {
     this.smoothingFilters.cents.reset();
     this.smoothingFilters.volumeDb.reset();
     this.smoothingFilters.brightness.reset();
+    this.smoothingFilters.formantF1.reset();
+    this.smoothingFilters.formantF2.reset();
 
     //  重置起音检测器
     this.onsetDetector.reset();
@@ -298,8 +327,9 @@ export class ExpressiveFeatures {
       this.spectralFeatures.reset();
     }
 
-    //  重置音高稳定性历史
+    //  重置音高稳定性历史 & 颤音
     this.centsHistory = [];
+    this.vibratoTracker.reset();
 
     //  重置 attackTime 相关状态
     this.lastArticulationState = 'silence';
@@ -0,0 +1,332 @@
+/**
+ * @fileoverview Accompaniment - turns Smart Jam's harmony into a band.
+ *
+ * AiHarmonizer hands over the backend's notes (on the sixteenth grid);
+ * harmonyFromNotes() reads them as one chord per half bar, and each part
+ * plays that chord its own way:
+ * - bass: root / fifth / octave on the style's bass rhythm
+ * - pad: the chord held (or comped on the style's rhythm)
+ * - arp: chord tones one at a time, up / down / up-down
+ * - drums: the style's kick / snare / hi-hat groove on the built-in DrumKit
+ *
+ * Styles (ACCOMPANIMENT_STYLES) set rhythms, sounds and swing. Every part
+ * has its own volume and mute; all parts share one output so SessionRecorder
+ * can record the band. Nodes are created on the first backing.
+ */
+
+import { DrumKit } from './drum-kit.js';
+
+export const ACCOMPANIMENT_PARTS = ['bass', 'pad', 'arp', 'drums'];
+
+/**
+ * Style presets. Rhythms are steps of a 16-step (4/4) bar; bars of other
+ * lengths play the steps that fit. Bass hits: [step, 'root'|'fifth'|'octave', length].
+ * Pad hits: [step, length], or null to hold the chord. Arp rate: steps per note.
+ * swing: fraction of a step that off-beat eighths are late.
+ */
+export const ACCOMPANIMENT_STYLES = {
+    ballad: {
+        name: 'Ballad',
+        swing: 0,
+        bass: { oscillator: 'triangle', hits: [[0, 'root', 8], [8, 'fifth', 8]] },
+        pad: { oscillator: 'fatsine', attack: 0.8, release: 2, hits: null },
+        arp: { oscillator: 'triangle', rate: 2, order: 'up' },
+        drums: {
+            kick: [[0, 0.7], [10, 0.5]],
+            snare: [[8, 0.4]],
+            hihat: [[0, 0.4], [4, 0.3], [8, 0.4], [12, 0.3]]
+        }
+    },
+    bossa: {
+        name: 'Bossa Nova',
+        swing: 0,
+        bass: { oscillator: 'sine', hits: [[0, 'root', 5], [6, 'fifth', 2], [8, 'fifth', 5], [14, 'root', 2]] },
+        pad: { oscillator: 'triangle', attack: 0.01, release: 0.3, hits: [[0, 2], [3, 2], [6, 2], [10, 2], [13, 2]] },
+        arp: { oscillator: 'sine', rate: 4, order: 'updown' },
+        drums: {
+            kick: [[0, 0.8], [6, 0.6], [8, 0.8], [14, 0.6]],
+            snare: [[0, 0.4], [3, 0.4], [6, 0.4], [10, 0.4], [13, 0.4]],
+            hihat: [[0, 0.5], [2, 0.4], [4, 0.5], [6, 0.4], [8, 0.5], [10, 0.4], [12, 0.5], [14, 0.4]]
+        }
+    },
+    lofi: {
+        name: 'Lo-fi',
+        swing: 0.3,
+        bass: { oscillator: 'sine', hits: [[0, 'root', 6], [10, 'root', 4]] },
+        pad: { oscillator: 'fatsawtooth', attack: 0.3, release: 1.5, hits: null },
+        arp: { oscillator: 'triangle', rate: 4, order: 'down' },
+        drums: {
+            kick: [[0, 0.9], [7, 0.6], [10, 0.8]],
+            snare: [[4, 0.8], [12, 0.8]],
+            hihat: [[0, 0.5], [2, 0.3], [4, 0.5], [6, 0.3], [8, 0.5], [10, 0.3], [12, 0.5], [14, 0.3]]
+        }
+    },
+    rock: {
+        name: 'Rock',
+        swing: 0,
+        bass: {
+            oscillator: 'sawtooth',
+            hits: [[0, 'root', 2], [2, 'root', 2], [4, 'root', 2], [6, 'root', 2], [8, 'root', 2], [10, 'root', 2], [12, 'root', 2], [14, 'octave', 2]]
+        },
+        pad: { oscillator: 'fatsawtooth', attack: 0.01, release: 0.2, hits: [[0, 4], [4, 4], [8, 4], [12, 4]] },
+        arp: { oscillator: 'square', rate: 2, order: 'up' },
+        drums: {
+            kick: [[0, 1], [8, 1], [10, 0.8]],
+            snare: [[4, 1], [12, 1]],
+            hihat: [[0, 0.8], [2, 0.5], [4, 0.8], [6, 0.5], [8, 0.8], [10, 0.5], [12, 0.8], [14, 0.5]]
+        }
+    }
+};
+
+const DEFAULT_LEVELS = { bass: 0.8, pad: 0.5, arp: 0.4, drums: 0.7 };
+const BASS_ROOT = 36;   // C2
+const PAD_LOW = 55;     // G3: pad voicings stay within G3 … F#4
+const ARP_LOW = 60;     // C4
+
+/**
+ * Read backend notes as chords: the notes sounding in each window
+ * @param {{pitch: number, startStep: number, endStep: number}[]} notes - Steps from the backing start
+ * @param {Object} [options]
+ * @param {number} [options.chordSteps=8] - Window length (half a 4/4 bar)
+ * @returns {{startStep: number, endStep: number, root: number, pitches: number[]}[]}
+ *          root: the lowest note (MIDI); pitches: the chord's MIDI notes, low to high
+ */
+export function harmonyFromNotes(notes, { chordSteps = 8 } = {}) {
+    if (notes.length === 0) return [];
+
+    const end = Math.max(...notes.map(note => note.endStep));
+    const chords = [];
+    for (let start = 0; start < end; start += chordSteps) {
+        const windowEnd = start + chordSteps;
+        const pitches = [...new Set(notes
+            .filter(note => note.startStep < windowEnd && note.endStep > start)
+            .map(note => note.pitch))]
+            .sort((a, b) => a - b);
+        if (pitches.length === 0) continue;
+
+        chords.push({ startStep: start, endStep: windowEnd, root: pitches[0], pitches });
+    }
+    return chords;
+}
+
+export class Accompaniment {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.style='ballad'] - Key of ACCOMPANIMENT_STYLES
+     * @param {DrumKit} [options.kit] - Drum part (default: its own kit, routed to the band output)
+     */
+    constructor({ style = 'ballad', kit = null } = {}) {
+        this.style = ACCOMPANIMENT_STYLES[style] ? style : 'ballad';
+        this.parts = Object.fromEntries(ACCOMPANIMENT_PARTS.map(id => [id, { volume: DEFAULT_LEVELS[id], muted: false }]));
+
+        this.kit = kit;
+        this.output = null;
+        this.partGains = null;
+        this.voices = null;
+    }
+
+    /**
+     * Schedule one backing
+     * @param {{pitch: number, startStep: number, endStep: number}[]} notes - Steps from the backing start
+     * @param {Object} options
+     * @param {number} options.startAt - Context time of step 0
+     * @param {number} options.step - Seconds per sixteenth
+     * @param {number} [options.barSteps=16] - Sixteenths per bar (rhythms restart every bar)
+     */
+    play(notes, { startAt, step, barSteps = 16 }) {
+        const chords = harmonyFromNotes(notes, { chordSteps: Math.max(1, Math.round(barSteps / 2)) });
+        if (chords.length === 0) return;
+
+        const voices = this._ensureVoices();
+        const style = ACCOMPANIMENT_STYLES[this.style];
+        const timeOf = (s) => startAt + s * step + (s % 4 === 2 ? style.swing * step : 0);
+        const hitsAt = (hits, stepInBar) => (hits || []).filter(([at]) => at === stepInBar);
+
+        chords.forEach(chord => {
+            const bassRoot = BASS_ROOT + (chord.root % 12);
+            const padTones = [...new Set(chord.pitches.map(pitch => PAD_LOW + ((pitch % 12) - (PAD_LOW % 12) + 12) % 12))].sort((a, b) => a - b);
+            const arpTones = this._arpOrder([...new Set(chord.pitches.map(pitch => ARP_LOW + (pitch % 12)))].sort((a, b) => a - b), style.arp.order);
+
+            if (!style.pad.hits) {
+                voices.pad.triggerAttackRelease(padTones.map(pitch => Tone.Frequency(pitch, 'midi')), (chord.endStep - chord.startStep) * step, timeOf(chord.startStep), 0.6);
+            }
+
+            for (let s = chord.startStep; s < chord.endStep; s++) {
+                const stepInBar = s % barSteps;
+                const left = chord.endStep - s;
+
+                hitsAt(style.bass.hits, stepInBar).forEach(([, tone, length]) => {
+                    const pitch = bassRoot + (tone === 'fifth' ? 7 : tone === 'octave' ? 12 : 0);
+                    voices.bass.triggerAttackRelease(Tone.Frequency(pitch, 'midi'), Math.min(length, left) * step * 0.9, timeOf(s), 0.9);
+                });
+
+                hitsAt(style.pad.hits, stepInBar).forEach(([, length]) => {
+                    voices.pad.triggerAttackRelease(padTones.map(pitch => Tone.Frequency(pitch, 'midi')), Math.min(length, left) * step * 0.8, timeOf(s), 0.5);
+                });
+
+                const arpIndex = s - chord.startStep;
+                if (arpIndex % style.arp.rate === 0) {
+                    const pitch = arpTones[(arpIndex / style.arp.rate) % arpTones.length];
+                    voices.arp.triggerAttackRelease(Tone.Frequency(pitch, 'midi'), style.arp.rate * step * 0.8, timeOf(s), 0.6);
+                }
+
+                ['kick', 'snare', 'hihat'].forEach(drum => {
+                    hitsAt(style.drums[drum], stepInBar).forEach(([, velocity]) => this.kit.trigger(drum, velocity, timeOf(s)));
+                });
+            }
+        });
+    }
+
+    /**
+     * Release held notes (scheduled notes of the current backing still play)
+     */
+    stop() {
+        if (!this.voices) return;
+        this.voices.pad.releaseAll();
+        this.voices.bass.triggerRelease();
+        this.voices.arp.triggerRelease();
+    }
+
+    /**
+     * @param {string} style - Key of ACCOMPANIMENT_STYLES
+     * @throws {Error} For an unknown style
+     */
+    setStyle(style) {
+        if (!ACCOMPANIMENT_STYLES[style]) {
+            throw new Error(`[Accompaniment] Unknown style: ${style}`);
+        }
+        if (style === this.style) return;
+
+        this.style = style;
+        // Sounds belong to the style: rebuild the synths on the next backing
+        this._disposeSynths();
+    }
+
+    /**
+     * @param {string} part - One of ACCOMPANIMENT_PARTS
+     * @param {number} volume - 0-1
+     */
+    setPartVolume(part, volume) {
+        this._getPart(part).volume = Math.max(0, Math.min(1, volume));
+        this._applyLevel(part);
+    }
+
+    /**
+     * @param {string} part - One of ACCOMPANIMENT_PARTS
+     * @param {boolean} muted
+     */
+    setPartMuted(part, muted) {
+        this._getPart(part).muted = Boolean(muted);
+        this._applyLevel(part);
+    }
+
+    /**
+     * @returns {{id: string, volume: number, muted: boolean}[]}
+     */
+    getParts() {
+        return ACCOMPANIMENT_PARTS.map(id => ({ id, ...this.parts[id] }));
+    }
+
+    /**
+     * Band output (for recording taps)
+     * @returns {Tone.ToneAudioNode}
+     */
+    getOutputNode() {
+        this._ensureOutput();
+        return this.output;
+    }
+
+    dispose() {
+        this._disposeSynths();
+        if (this.kit) this.kit.dispose();
+        if (this.partGains) Object.values(this.partGains).forEach(gain => gain.dispose());
+        if (this.output) this.output.dispose();
+        this.partGains = null;
+        this.output = null;
+    }
+
+    /**
+     * @private
+     */
+    _arpOrder(tones, order) {
+        if (order === 'down') return [...tones].reverse();
+        if (order === 'updown' && tones.length > 2) return [...tones, ...tones.slice(1, -1).reverse()];
+        return tones;
+    }
+
+    /**
+     * @private
+     */
+    _getPart(part) {
+        if (!this.parts[part]) {
+            throw new Error(`[Accompaniment] Unknown part: ${part}`);
+        }
+        return this.parts[part];
+    }
+
+    /**
+     * @private
+     */
+    _applyLevel(part) {
+        const { volume, muted } = this.parts[part];
+        const level = muted ? 0 : volume;
+        if (part === 'drums') {
+            if (this.kit) this.kit.setVolume(level);
+        } else if (this.partGains) {
+            this.partGains[part].gain.rampTo(level, 0.05);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _ensureOutput() {
+        if (this.output) return;
+
+        this.output = new Tone.Gain(0.8).toDestination();
+        this.partGains = {};
+        ['bass', 'pad', 'arp'].forEach(part => {
+            this.partGains[part] = new Tone.Gain(0).connect(this.output);
+            this._applyLevel(part);
+        });
+
+        if (!this.kit) this.kit = new DrumKit({ destination: this.output });
+        this._applyLevel('drums');
+    }
+
+    /**
+     * @private
+     */
+    _ensureVoices() {
+        this._ensureOutput();
+        if (this.voices) return this.voices;
+
+        const style = ACCOMPANIMENT_STYLES[this.style];
+        this.voices = {
+            bass: new Tone.MonoSynth({
+                oscillator: { type: style.bass.oscillator },
+                envelope: { attack: 0.01, decay: 0.2, sustain: 0.6, release: 0.2 },
+                filterEnvelope: { attack: 0.01, decay: 0.2, sustain: 0.4, baseFrequency: 120, octaves: 2.5 }
+            }),
+            pad: new Tone.PolySynth(Tone.Synth, {
+                oscillator: { type: style.pad.oscillator },
+                envelope: { attack: style.pad.attack, decay: 0.2, sustain: 0.7, release: style.pad.release }
+            }),
+            arp: new Tone.Synth({
+                oscillator: { type: style.arp.oscillator },
+                envelope: { attack: 0.005, decay: 0.15, sustain: 0.2, release: 0.3 }
+            })
+        };
+        Object.entries(this.voices).forEach(([part, voice]) => voice.connect(this.partGains[part]));
+        return this.voices;
+    }
+
+    /**
+     * @private
+     */
+    _disposeSynths() {
+        if (!this.voices) return;
+        Object.values(this.voices).forEach(voice => voice.dispose());
+        this.voices = null;
+    }
+}
@@ -1,3 +1,7 @@
+import { DEFAULT_CONFIG } from '../config/app-config.js';
+import { freqToMidi } from '../core/music-scales.js';
+import { createHarmonizerBackend, RuleBasedBackend } from './harmonizer-backends.js';
+
 // Tone.js is loaded globally via <script>; stay resilient in non-browser envs (tests)
 const Tone = (typeof window !== 'undefined' && window.Tone) ? window.Tone : null;
 
@@ -8,24 +12,41 @@ const Tone = (typeof window !== 'undefined' && window.Tone) ? window.Tone : null
  * - Lazy loads the heavy ML model only when enabled.
  * - Runs as a "Sidechain" to the main audio loop.
  * - Buffers incoming pitch data, quantizes it, and periodically asks the AI for accompaniment.
- * - Manages its own simple PolySynth for backing chords/arpeggios.
+ * - Plays the backing as a band (bass, pad, arpeggio, drums) through an
+ *   Accompaniment in the chosen style; without one, on its own simple PolySynth.
+ * - The model sits behind a HarmonizerBackend (harmonizer-backends.js). With
+ *   `backend: 'auto'` a Magenta load failure (offline, proxy) falls back to
+ *   rule-based diatonic chords in the detected key.
  */
 export class AiHarmonizer {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.transport] - TransportManager; sets the step length, the
+     *        generation interval and starts each backing on a downbeat
+     * @param {Object} [options.keyDetector] - KeyDetector; its current key guides rule-based chords
+     * @param {import('../config/app-config.js').HarmonizerConfig} [options.config] - Backend, library / checkpoint URLs
+     * @param {import('./harmonizer-backends.js').HarmonizerBackend} [options.backend] - Custom backend (skips `config.backend`)
+     * @param {import('./accompaniment.js').Accompaniment} [options.accompaniment] - Turns each backing into bass / pad / arp / drum parts
+     */
+    constructor({ transport = null, keyDetector = null, config = DEFAULT_CONFIG.harmonizer, backend = null, accompaniment = null } = {}) {
         this.enabled = false;
         this.status = 'idle'; // idle, loading, ready, error
-        this.model = null;
+        this.backend = backend;
         this.backingSynth = null;
+        this.accompaniment = accompaniment;
         
         // Configuration
-        this.checkpointURL = 'https://storage.googleapis.com/magentadata/js/checkpoints/music_rnn/chord_pitches_improv';
+        this.config = { ...DEFAULT_CONFIG.harmonizer, ...config };
         this.temperature = 1.1; // Higher = more random/creative
         
         // Data Buffering
         this.noteBuffer = [];
         this.maxBufferLength = 32; // Number of quantized steps to keep
         this.lastProcessTime = 0;
-        this.processInterval = 4000; // Generate new backing every 4 seconds
+        this.processInterval = 4000; // Generate new backing every 4 seconds (no transport)
+        this.processBars = 2; // With a transport: generate every 2 bars
+        this.transport = transport;
+        this.keyDetector = keyDetector;
         
         // State
         this.currentChord = null;
@@ -40,7 +61,7 @@ export class AiHarmonizer {
     }
 
     /**
-     * Lazy load the Magenta library and model
+     * Lazy load the backend (Magenta library and model unless configured otherwise)
      */
     async enable() {
         if (this.enabled) return;
@@ -51,16 +72,9 @@ export class AiHarmonizer {
         try {
             this._updateStatus('loading', 'Loading Neural Net...');
 
-            // 1. Dynamic Import of Magenta (CDN) to avoid loading it on initial page load
-            // We use the global script tag approach for Magenta as it's often more stable for the browser bundle
-            if (!window.mm) {
-                await this._loadScript('https://cdn.jsdelivr.net/npm/@magenta/music@1.23.1/dist/magentamusic.min.js');
-            }
-
-            // 2. Initialize Model
-            if (!this.model) {
-                this.model = new window.mm.MusicRNN(this.checkpointURL);
-                await this.model.initialize();
+            // 1. Load the backend only now, to keep it off the initial page load
+            if (!this.backend) {
+                this.backend = await this._loadBackend();
             }
 
             // Ensure AudioContext resumed after user gesture
@@ -68,8 +82,8 @@ export class AiHarmonizer {
                 await Tone.start();
             }
 
-            // 3. Initialize Backing Synth (Simple Pad)
-            if (!this.backingSynth && Tone) {
+            // 3. Initialize Backing Synth (Simple Pad) unless a band plays the backing
+            if (!this.accompaniment && !this.backingSynth && Tone) {
                 this.backingSynth = new Tone.PolySynth(Tone.Synth, {
                     oscillator: { type: "fatsawtooth", count: 3, spread: 30 },
                     envelope: { attack: 0.2, decay: 0.1, sustain: 0.5, release: 1 }
@@ -85,7 +99,7 @@ export class AiHarmonizer {
 
             this.enabled = true;
             this._updateStatus('ready', 'AI Listening...');
-            console.log('🤖 AI Harmonizer Ready');
+            console.log(`🤖 AI Harmonizer Ready (${this.backend.name})`);
 
         } catch (error) {
             console.error('AI Harmonizer Failed to Load:', error);
@@ -102,8 +116,11 @@ export class AiHarmonizer {
         if (this.backingSynth) {
             this.backingSynth.releaseAll();
         }
+        if (this.accompaniment) {
+            this.accompaniment.stop();
+        }
         
-        // We DO NOT dispose the model here to avoid re-downloading/re-initializing cost
+        // We DO NOT dispose the backend here to avoid re-downloading/re-initializing cost
         // if the user toggles it back on. Memory vs. Speed trade-off.
         // If memory is critical, we could adding a explicit 'dispose' method.
         
@@ -115,7 +132,7 @@ export class AiHarmonizer {
      * @param {Object} pitchFrame - The detected pitch data
      */
     processFrame(pitchFrame = {}) {
-        if (!this.enabled || !this.model || this.status !== 'ready') return;
+        if (!this.enabled || !this.backend || this.status !== 'ready') return;
 
         const now = Date.now();
         const clarity = typeof pitchFrame.confidence === 'number'
@@ -133,7 +150,7 @@ export class AiHarmonizer {
 
         // 2. Trigger Generation Logic
         // If enough time has passed, ask the AI for a new layer
-        if (now - this.lastProcessTime > this.processInterval && !this.isGenerating) {
+        if (now - this.lastProcessTime > this._getProcessInterval() && !this.isGenerating) {
             this._generateBackingSequence();
             this.lastProcessTime = now;
         }
@@ -143,9 +160,7 @@ export class AiHarmonizer {
      * Add a pitch to the circular buffer (Quantized to MIDI)
      */
     _addToBuffer(freq) {
-        if (!window.mm) return;
-
-        const midi = window.mm.freqToMidi(freq);
+        const midi = Math.round(freqToMidi(freq));
         // Simple deduplication (don't fill buffer with same note 100 times)
         const lastNote = this.noteBuffer[this.noteBuffer.length - 1];
         
@@ -158,7 +173,7 @@ export class AiHarmonizer {
     }
 
     /**
-     * Ask MusicRNN to hallucinate a backing track based on recent notes
+     * Ask the backend (MusicRNN or rules) for a backing track based on recent notes
      */
     async _generateBackingSequence() {
         if (this.noteBuffer.length < 5) return; // Not enough context
@@ -168,25 +183,29 @@ export class AiHarmonizer {
 
         try {
             // Convert simple pitch buffer to NoteSequence format
-            // This is a simplified representation
+            // This is a simplified representation: one buffered note per sixteenth
+            const step = this._getStepDuration();
             const inputSequence = {
                 notes: this.noteBuffer.map((pitch, index) => ({
                     pitch: pitch,
-                    startTime: index * 0.25,
-                    endTime: (index + 1) * 0.25
+                    startTime: index * step,
+                    endTime: (index + 1) * step
                 })),
-                totalTime: this.noteBuffer.length * 0.25,
+                totalTime: this.noteBuffer.length * step,
+                tempos: [{ time: 0, qpm: this.transport ? this.transport.quarterBpm : 120 }],
                 quantizationInfo: { stepsPerQuarter: 4 }
             };
 
             // The Magic: Continue the sequence
-            // We ask for 16 steps (1 bar) of continuation
-            const rnnSteps = 16;
-            const result = await this.model.continueSequence(inputSequence, rnnSteps, this.temperature);
+            // The backing fills the time until the next generation (processBars with a transport)
+            const rnnSteps = this._getContinuationSteps();
+            const result = await this.backend.continueSequence(inputSequence, rnnSteps, this.temperature, {
+                key: this.keyDetector ? this.keyDetector.currentKey : null
+            });
 
-            // Play the result
+            // Play the result on the same step grid the input was written in
             if (result && result.notes) {
-                this._playBacking(result.notes);
+                this._playBacking(result.notes, step);
             }
 
             this._updateStatus('ready', 'AI Jamming');
@@ -199,35 +218,109 @@ export class AiHarmonizer {
     }
 
     /**
-     * Play the generated notes using the local backing synth
+     * Play the generated notes with the accompaniment (or the local backing synth)
      */
-    _playBacking(notes) {
-        if (!Tone) {
+    _playBacking(notes, step = this._getStepDuration()) {
+        if (!Tone || notes.length === 0) {
             return;
         }
 
-        const now = Tone.now();
+        // Start on the next downbeat when the transport runs
+        const startAt = this.transport && this.transport.isRunning
+            ? this.transport.nextBarTime()
+            : Tone.now() + 0.1;
+        
+        // MusicRNN answers in quantized steps; plain times are read on the input grid
+        const toStep = (quantizedStep, seconds) => (typeof quantizedStep === 'number' ? quantizedStep : seconds / step);
+        const firstStep = toStep(notes[0].quantizedStartStep, notes[0].startTime);
+
+        if (this.accompaniment) {
+            const stepNotes = notes.map(note => ({
+                pitch: note.pitch,
+                startStep: toStep(note.quantizedStartStep, note.startTime) - firstStep,
+                endStep: toStep(note.quantizedEndStep, note.endTime) - firstStep
+            }));
+            this.accompaniment.play(stepNotes, { startAt, step, barSteps: this._getBarSteps() });
+            return;
+        }
         
         // Play each note in the sequence
         notes.forEach(note => {
-            const duration = note.endTime - note.startTime;
-            // Scale time to match current approximate tempo (fixed for now)
-            const timeOffset = (note.startTime - notes[0].startTime) * 0.5; 
+            const startStep = toStep(note.quantizedStartStep, note.startTime);
+            const endStep = toStep(note.quantizedEndStep, note.endTime);
+            // One step = one sixteenth at the transport tempo (followed from the voice or tapped)
+            const duration = (endStep - startStep) * step;
+            const timeOffset = (startStep - firstStep) * step;
             
             // Convert MIDI to Frequency
             const freq = Tone.Frequency(note.pitch, "midi");
             
             // Trigger
-            this.backingSynth.triggerAttackRelease(freq, duration, now + timeOffset + 0.1);
+            this.backingSynth.triggerAttackRelease(freq, duration, startAt + timeOffset);
         });
     }
 
+    /**
+     * Length of one input step (a sixteenth) in seconds
+     * @private
+     */
+    _getStepDuration() {
+        return this.transport ? this.transport.getSubdivisionDuration('16n') : 0.25;
+    }
+
+    /**
+     * Sixteenths per bar of the transport's meter (4/4 without one)
+     * @private
+     */
+    _getBarSteps() {
+        const steps = this.transport ? this.transport.beatsPerBar * 16 / this.transport.beatUnit : NaN;
+        return Number.isFinite(steps) && steps > 0 ? Math.round(steps) : 16;
+    }
+
+    /**
+     * Steps to generate: one generation interval of sixteenths
+     * (processBars bars with a transport, 16 steps = 4 s without one)
+     * @private
+     */
+    _getContinuationSteps() {
+        return this.transport ? this.processBars * this._getBarSteps() : 16;
+    }
+
+    /**
+     * Time between generations in ms
+     * @private
+     */
+    _getProcessInterval() {
+        return this.transport ? this.processBars * this.transport.barDuration * 1000 : this.processInterval;
+    }
+
+    /**
+     * Build and load the configured backend; 'auto' falls back to rules
+     * @private
+     */
+    async _loadBackend() {
+        const backend = createHarmonizerBackend(this.config, { loadScript: (src) => this._loadScript(src) });
+        try {
+            await backend.load();
+            return backend;
+        } catch (error) {
+            if (this.config.backend !== 'auto') throw error;
+
+            console.warn('[AI Harmonizer] Magenta unavailable, using rule-based chords:', error);
+            const fallback = new RuleBasedBackend();
+            await fallback.load();
+            return fallback;
+        }
+    }
+
     /**
      * Helper to load the script dynamically
      */
     _loadScript(src) {
         return new Promise((resolve, reject) => {
             const script = document.createElement('script');
+            // CORS mode: the model cache worker can only store non-opaque responses
+            script.crossOrigin = 'anonymous';
             script.src = src;
             script.onload = resolve;
             script.onerror = reject;
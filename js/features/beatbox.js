@@ -0,0 +1,397 @@
+/**
+ * @fileoverview Beatbox - vocal percussion → kick / snare / hi-hat.
+ *
+ * Architecture:
+ * - The worklet's PercussionOnsetDetector reports unpitched hits
+ *   ('percussion-onset': centroid, flatness, attack / decay of the envelope).
+ * - BeatboxClassifier: nearest class in a 4-D feature space, each feature
+ *   scaled by the class spread (diagonal Gaussian). Ships with a generic
+ *   profile; training replaces it with the user's own sounds.
+ * - BeatboxTrainer: one TimedSteps step per drum (the runner CalibrationSystem
+ *   uses too), reported through onTrainingUpdate / onTrainingComplete.
+ * - BeatboxManager: routes hits to training or to the DrumKit, persists the
+ *   trained profile in localStorage (`mambo:beatboxProfile`) and runs its own
+ *   detector for the ScriptProcessor fallback.
+ */
+
+import { PercussionOnsetDetector, WORKLET_BLOCK_SIZE } from '../pitch-dsp.js';
+import { DRUM_TYPES } from './drum-kit.js';
+import { TimedSteps } from '../core/timed-steps.js';
+
+export const BEATBOX_STORAGE_KEY = 'mambo:beatboxProfile';
+
+/**
+ * Feature vector of a hit: [octaves of centroid above 100 Hz, flatness, attack ms, decay dB]
+ * @param {{centroid: number, flatness: number, attackMs: number, decayDb: number}} hit
+ * @returns {number[]}
+ */
+export function beatboxFeatures(hit) {
+    return [
+        Math.log2(Math.max(hit.centroid, 50) / 100),
+        hit.flatness,
+        hit.attackMs,
+        hit.decayDb
+    ];
+}
+
+/**
+ * Generic profile (mean / spread per feature), e.g. "b" kick, "k" / "pf" snare, "ts" hi-hat
+ */
+export const DEFAULT_BEATBOX_PROFILE = {
+    kick: { mean: [1.3, 0.03, 4, 8], spread: [0.8, 0.08, 4, 6] },
+    snare: { mean: [4.9, 0.15, 2, 10], spread: [0.7, 0.12, 4, 6] },
+    hihat: { mean: [6.6, 0.2, 2, 18], spread: [0.6, 0.12, 4, 8] }
+};
+
+export class BeatboxClassifier {
+    /**
+     * @param {Object} [profile=DEFAULT_BEATBOX_PROFILE] - { drum: { mean: number[], spread: number[] } }
+     */
+    constructor(profile = DEFAULT_BEATBOX_PROFILE) {
+        this.setProfile(profile);
+    }
+
+    /**
+     * @param {Object} profile - Missing drums keep the default profile
+     */
+    setProfile(profile) {
+        this.profile = {};
+        DRUM_TYPES.forEach(drum => {
+            const entry = profile?.[drum];
+            const isValid = entry && Array.isArray(entry.mean) && Array.isArray(entry.spread) &&
+                entry.mean.length === 4 && entry.spread.length === 4;
+            const source = isValid ? entry : DEFAULT_BEATBOX_PROFILE[drum];
+            this.profile[drum] = { mean: [...source.mean], spread: [...source.spread] };
+        });
+    }
+
+    /**
+     * @param {Object} hit - 'percussion-onset' data
+     * @returns {{drum: 'kick'|'snare'|'hihat', confidence: number}}
+     *          confidence 0-1: how much closer the winner is than the runner-up
+     */
+    classify(hit) {
+        const features = beatboxFeatures(hit);
+        const distances = DRUM_TYPES.map(drum => {
+            const { mean, spread } = this.profile[drum];
+            const distance = Math.sqrt(features.reduce((sum, value, i) => {
+                const z = (value - mean[i]) / spread[i];
+                return sum + z * z;
+            }, 0));
+            return { drum, distance };
+        }).sort((a, b) => a.distance - b.distance);
+
+        const [best, second] = distances;
+        const confidence = (second.distance - best.distance) / (second.distance + best.distance || 1);
+        return { drum: best.drum, confidence };
+    }
+
+    /**
+     * Fit the drums that have enough examples; the others keep their profile.
+     * Spreads are floored at half the generic spread so a few very similar
+     * examples do not make a class impossibly narrow.
+     * @param {Object<string, Object[]>} examples - { drum: hits[] }
+     * @param {number} [minExamples=3]
+     * @returns {string[]} Drums that were trained
+     */
+    train(examples, minExamples = 3) {
+        const trained = [];
+        DRUM_TYPES.forEach(drum => {
+            const hits = examples[drum] || [];
+            if (hits.length < minExamples) return;
+
+            const vectors = hits.map(beatboxFeatures);
+            const mean = [0, 1, 2, 3].map(i => vectors.reduce((sum, v) => sum + v[i], 0) / vectors.length);
+            const spread = [0, 1, 2, 3].map(i => {
+                const variance = vectors.reduce((sum, v) => sum + (v[i] - mean[i]) ** 2, 0) / vectors.length;
+                return Math.max(Math.sqrt(variance), DEFAULT_BEATBOX_PROFILE[drum].spread[i] / 2);
+            });
+            this.profile[drum] = { mean, spread };
+            trained.push(drum);
+        });
+        return trained;
+    }
+
+    /**
+     * @returns {Object} Serializable profile
+     */
+    toJSON() {
+        return JSON.parse(JSON.stringify(this.profile));
+    }
+}
+
+const TRAINING_INSTRUCTIONS = {
+    kick: 'Make your kick sound ("b", "boom") a few times.',
+    snare: 'Now your snare ("k", "pff") a few times.',
+    hihat: 'Last, your hi-hat ("ts", "t") a few times.'
+};
+
+/**
+ * Per-user training through the same TimedSteps flow as CalibrationSystem:
+ * one timed step per drum, a 50 ms progress timer and update / complete callbacks.
+ */
+export class BeatboxTrainer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.sampleDuration=4000] - ms per drum
+     */
+    constructor({ sampleDuration = 4000 } = {}) {
+        this.examples = {};
+        this.samples = [];
+
+        this.steps = new TimedSteps({
+            count: DRUM_TYPES.length,
+            duration: sampleDuration,
+            onStepStart: () => this._beginStep(),
+            onProgress: (progress) => this._notify({ ...progress, count: this.samples.length }),
+            onStepEnd: () => { this.examples[this.currentDrum] = this.samples; },
+            onFinish: () => this.finishTraining()
+        });
+
+        // onTrainingUpdate: ({step, drum, instruction?, progress, elapsed, remaining?, count}) => void
+        this.onTrainingUpdate = null;
+        // onTrainingComplete: (examples) => void
+        this.onTrainingComplete = null;
+    }
+
+    get isTraining() {
+        return this.steps.isRunning;
+    }
+
+    /**
+     * 0: idle, 1..3: DRUM_TYPES[step - 1], 4: done
+     */
+    get trainingStep() {
+        return this.steps.step;
+    }
+
+    /**
+     * ms per drum
+     */
+    get sampleDuration() {
+        return this.steps.duration;
+    }
+
+    get timerInterval() {
+        return this.steps.timerInterval;
+    }
+
+    /**
+     * Drum of the current step
+     * @returns {string|null}
+     */
+    get currentDrum() {
+        return DRUM_TYPES[this.trainingStep - 1] || null;
+    }
+
+    start() {
+        this.examples = {};
+        this.steps.start();
+    }
+
+    cancel() {
+        this.steps.cancel();
+        this.samples = [];
+        this.examples = {};
+    }
+
+    /**
+     * Collect a hit for the current step
+     * @param {Object} hit - 'percussion-onset' data
+     */
+    processHit(hit) {
+        if (!this.isTraining || !hit) return;
+        this.samples.push(hit);
+    }
+
+    /**
+     * End the current drum's step now
+     */
+    completeCurrentStep() {
+        this.steps.completeStep();
+    }
+
+    /**
+     * After the last drum's step (TimedSteps onFinish)
+     */
+    finishTraining() {
+        if (this.onTrainingComplete) {
+            this.onTrainingComplete(this.examples);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _beginStep() {
+        this.samples = [];
+        this._notify({
+            step: this.trainingStep,
+            instruction: TRAINING_INSTRUCTIONS[this.currentDrum],
+            progress: 0,
+            elapsed: 0,
+            count: 0
+        });
+    }
+
+    /**
+     * @private
+     */
+    _notify(update) {
+        if (this.onTrainingUpdate) {
+            this.onTrainingUpdate({ ...update, drum: this.currentDrum });
+        }
+    }
+}
+
+export class BeatboxManager {
+    /**
+     * @param {Object} options
+     * @param {import('./drum-kit.js').DrumKit} options.kit
+     * @param {BeatboxClassifier} [options.classifier]
+     * @param {BeatboxTrainer} [options.trainer]
+     * @param {Storage} [options.storage] - Defaults to window.localStorage
+     */
+    constructor({ kit, classifier = null, trainer = null, storage = null }) {
+        this.kit = kit;
+        this.classifier = classifier || new BeatboxClassifier();
+        this.trainer = trainer || new BeatboxTrainer();
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this.enabled = false;
+        this.isTrained = false;
+        this.fallbackDetector = null; // ScriptProcessor mode
+
+        // onHit: ({drum, confidence, hit}) => void
+        this.onHit = null;
+        // onTrainingComplete: (trainedDrums[]) => void
+        this.onTrainingComplete = null;
+
+        this.trainer.onTrainingComplete = (examples) => {
+            const trained = this.classifier.train(examples);
+            if (trained.length > 0) {
+                this.isTrained = true;
+                this._saveProfile();
+            }
+            if (this.onTrainingComplete) this.onTrainingComplete(trained);
+        };
+
+        this._loadProfile();
+    }
+
+    /**
+     * Hits are needed while playing drums or training
+     * @returns {boolean}
+     */
+    get isListening() {
+        return this.enabled || this.trainer.isTraining;
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        console.log(`[Beatbox] ${this.enabled ? 'On' : 'Off'}`);
+    }
+
+    /**
+     * Route one hit: to the trainer while training, else classify and play it
+     * @param {Object} hit - 'percussion-onset' data
+     * @returns {{drum: string, confidence: number}|null} What was played
+     */
+    handleHit(hit) {
+        if (!hit) return null;
+
+        if (this.trainer.isTraining) {
+            this.trainer.processHit(hit);
+            return null;
+        }
+        if (!this.enabled) return null;
+
+        const result = this.classifier.classify(hit);
+        // -40 dB → soft, -5 dB → full
+        const velocity = Math.max(0, Math.min(1, (hit.peakDb + 40) / 35));
+        this.kit.trigger(result.drum, velocity);
+
+        if (this.onHit) this.onHit({ ...result, hit });
+        return result;
+    }
+
+    /**
+     * ScriptProcessor fallback: detect hits on the main thread
+     * @param {Float32Array} buffer
+     * @param {number} time - Buffer start in seconds
+     * @param {number} [sampleRate=44100]
+     */
+    processBuffer(buffer, time, sampleRate = 44100) {
+        if (!this.isListening) return;
+        if (!this.fallbackDetector || this.fallbackDetector.sampleRate !== sampleRate) {
+            this.fallbackDetector = new PercussionOnsetDetector({ sampleRate });
+        }
+
+        for (let start = 0; start + WORKLET_BLOCK_SIZE <= buffer.length; start += WORKLET_BLOCK_SIZE) {
+            const hit = this.fallbackDetector.process(
+                buffer.subarray(start, start + WORKLET_BLOCK_SIZE),
+                time + start / sampleRate
+            );
+            if (hit) this.handleHit(hit);
+        }
+    }
+
+    startTraining() {
+        this.trainer.start();
+    }
+
+    cancelTraining() {
+        this.trainer.cancel();
+    }
+
+    /**
+     * Back to the generic profile
+     */
+    resetTraining() {
+        this.classifier.setProfile(DEFAULT_BEATBOX_PROFILE);
+        this.isTrained = false;
+        if (this.storage) {
+            try {
+                this.storage.removeItem(BEATBOX_STORAGE_KEY);
+            } catch (error) {
+                console.warn('[Beatbox] Unable to clear the saved profile:', error);
+            }
+        }
+    }
+
+    dispose() {
+        this.trainer.cancel();
+        this.kit.dispose();
+    }
+
+    /**
+     * @private
+     */
+    _loadProfile() {
+        if (!this.storage) return;
+        try {
+            const saved = this.storage.getItem(BEATBOX_STORAGE_KEY);
+            if (saved) {
+                this.classifier.setProfile(JSON.parse(saved));
+                this.isTrained = true;
+            }
+        } catch (error) {
+            console.warn('[Beatbox] Ignoring corrupt saved profile:', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _saveProfile() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(BEATBOX_STORAGE_KEY, JSON.stringify(this.classifier.toJSON()));
+        } catch (error) {
+            console.warn('[Beatbox] Unable to persist the profile:', error);
+        }
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Drum Kit - the built-in kit played by beatbox mode.
+ *
+ * Synthesized with Tone.js, so there are no sample files to fetch:
+ * - kick: MembraneSynth (pitch-swept sine)
+ * - snare: NoiseSynth + a short MembraneSynth body
+ * - hihat: MetalSynth (closed, short decay)
+ *
+ * All voices share one output gain; getOutputNode() lets SessionRecorder
+ * record the drums together with the synth engines. Nodes are created on
+ * the first hit so the kit costs nothing until beatbox mode (or the Smart
+ * Jam drum part) is used.
+ */
+
+export const DRUM_TYPES = ['kick', 'snare', 'hihat'];
+
+export class DrumKit {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.volume=0.8] - Output gain (0-1)
+     * @param {Tone.ToneAudioNode} [options.destination] - Where the kit plays into (default: speakers)
+     */
+    constructor({ volume = 0.8, destination = null } = {}) {
+        this.volume = volume;
+        this.destination = destination;
+        this.output = null;
+        this.voices = null;
+    }
+
+    /**
+     * Play one drum, now or at a scheduled context time
+     * @param {'kick'|'snare'|'hihat'} drum
+     * @param {number} [velocity=1] - 0-1
+     * @param {number} [time=Tone.now()]
+     */
+    trigger(drum, velocity = 1, time = Tone.now()) {
+        if (!DRUM_TYPES.includes(drum)) {
+            console.warn(`[DrumKit] Unknown drum: ${drum}`);
+            return;
+        }
+
+        const voices = this._ensureVoices();
+        const level = Math.max(0.05, Math.min(1, velocity));
+
+        switch (drum) {
+            case 'kick':
+                voices.kick.triggerAttackRelease('C1', 0.4, time, level);
+                break;
+            case 'snare':
+                voices.snare.triggerAttackRelease(0.15, time, level);
+                voices.snareBody.triggerAttackRelease('G2', 0.1, time, level * 0.5);
+                break;
+            case 'hihat':
+                voices.hihat.triggerAttackRelease(400, 0.05, time, level * 0.6);
+                break;
+        }
+    }
+
+    /**
+     * @param {number} volume - 0-1
+     */
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        if (this.output) this.output.gain.rampTo(this.volume, 0.05);
+    }
+
+    /**
+     * Kit output (for recording taps)
+     * @returns {Tone.ToneAudioNode}
+     */
+    getOutputNode() {
+        this._ensureVoices();
+        return this.output;
+    }
+
+    dispose() {
+        if (!this.voices) return;
+        Object.values(this.voices).forEach(voice => voice.dispose());
+        this.output.dispose();
+        this.voices = null;
+        this.output = null;
+    }
+
+    /**
+     * @private
+     */
+    _ensureVoices() {
+        if (this.voices) return this.voices;
+
+        this.output = new Tone.Gain(this.volume);
+        if (this.destination) {
+            this.output.connect(this.destination);
+        } else {
+            this.output.toDestination();
+        }
+        this.voices = {
+            kick: new Tone.MembraneSynth({
+                pitchDecay: 0.05,
+                octaves: 6,
+                envelope: { attack: 0.001, decay: 0.35, sustain: 0, release: 0.1 }
+            }),
+            snare: new Tone.NoiseSynth({
+                noise: { type: 'white' },
+                envelope: { attack: 0.001, decay: 0.15, sustain: 0 }
+            }),
+            snareBody: new Tone.MembraneSynth({
+                pitchDecay: 0.02,
+                octaves: 2,
+                envelope: { attack: 0.001, decay: 0.1, sustain: 0, release: 0.05 }
+            }),
+            hihat: new Tone.MetalSynth({
+                harmonicity: 5.1,
+                modulationIndex: 32,
+                resonance: 4000,
+                octaves: 1.5,
+                envelope: { attack: 0.001, decay: 0.05, release: 0.01 }
+            })
+        };
+        Object.values(this.voices).forEach(voice => voice.connect(this.output));
+        return this.voices;
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Harmonizer Backends - what AiHarmonizer asks for a backing.
+ *
+ * A backend continues the buffered melody by a number of sixteenth steps:
+ * - MagentaBackend: MusicRNN (chord_pitches_improv) from a CDN or a
+ *   self-hosted path, optionally cached by the service worker in sw.js.
+ * - RuleBasedBackend: deterministic diatonic triads in the detected key.
+ *   Needs no network, so Smart Jam still works offline and in tests.
+ *
+ * @typedef {Object} HarmonizerBackend
+ * @property {string} name - 'magenta' | 'rules' | custom
+ * @property {() => Promise<void>} load - Fetch / initialize the model (throws when it cannot)
+ * @property {(sequence: Object, steps: number, temperature: number, context: {key: ?{key: string, scale: string}}) => Promise<{notes: Object[]}>} continueSequence
+ *           Continuation as a NoteSequence; notes carry quantizedStartStep / quantizedEndStep (or startTime / endTime)
+ */
+
+import { DEFAULT_CONFIG } from '../config/app-config.js';
+import { KEYS, SCALES } from '../core/music-scales.js';
+
+const MODEL_CACHE_SCRIPT = new URL('../../sw.js', import.meta.url);
+
+/**
+ * Let the service worker cache the model files (best effort).
+ * Resolves once the worker is active and controls the page (sw.js claims open
+ * pages on activate), so the fetches that follow go through it; gives up
+ * waiting after `controlTimeout` (e.g. a hard reload the worker cannot claim).
+ * @param {string[]} prefixes - URLs whose responses are cached (the library, the checkpoint directory)
+ * @param {Object} [options]
+ * @param {string|URL} [options.scriptUrl] - Service worker script
+ * @param {number} [options.controlTimeout=3000] - ms to wait for the worker to take control
+ * @returns {Promise<ServiceWorkerRegistration|null>} Null when service workers are unavailable
+ */
+export async function registerModelCache(prefixes, { scriptUrl = MODEL_CACHE_SCRIPT, controlTimeout = 3000 } = {}) {
+    const container = typeof navigator !== 'undefined' ? navigator.serviceWorker : null;
+    if (!container) return null;
+
+    // The prefixes travel in the script URL so a restarted worker still knows them
+    const url = new URL(scriptUrl, typeof location !== 'undefined' ? location.href : undefined);
+    prefixes.forEach(prefix => url.searchParams.append('model', new URL(prefix, url).href));
+
+    try {
+        const registration = await container.register(url.href);
+        await waitForController(container, controlTimeout);
+        return registration;
+    } catch (error) {
+        console.warn('[Harmonizer] Model cache unavailable:', error);
+        return null;
+    }
+}
+
+/**
+ * Resolve when a service worker is ready and controls the page, or after timeoutMs
+ * @private
+ */
+function waitForController(container, timeoutMs) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            container.removeEventListener('controllerchange', done);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            console.warn('[Harmonizer] Model cache not controlling this page yet; loading without it');
+            done();
+        }, timeoutMs);
+
+        container.addEventListener('controllerchange', done);
+        Promise.resolve(container.ready).then(() => {
+            if (container.controller) done();
+        });
+    });
+}
+
+export class MagentaBackend {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.libraryUrl] - Magenta.js bundle
+     * @param {string} [options.checkpointUrl] - MusicRNN checkpoint directory
+     * @param {boolean} [options.cacheModel=true] - Register the service worker model cache first
+     * @param {Function} [options.loadScript] - (src) => Promise, adds a <script> tag
+     */
+    constructor({
+        libraryUrl = DEFAULT_CONFIG.harmonizer.libraryUrl,
+        checkpointUrl = DEFAULT_CONFIG.harmonizer.checkpointUrl,
+        cacheModel = true,
+        loadScript = null
+    } = {}) {
+        this.name = 'magenta';
+        this.libraryUrl = libraryUrl;
+        this.checkpointUrl = checkpointUrl;
+        this.cacheModel = cacheModel;
+        this.loadScript = loadScript;
+        this.model = null;
+    }
+
+    async load() {
+        if (this.model) return;
+
+        if (this.cacheModel) {
+            await registerModelCache([this.libraryUrl, this.checkpointUrl]);
+        }
+
+        // Global script tag: the browser bundle is more stable than the ES build
+        if (!window.mm) {
+            if (!this.loadScript) throw new Error('[Harmonizer] No script loader for Magenta');
+            await this.loadScript(this.libraryUrl);
+        }
+
+        const model = new window.mm.MusicRNN(this.checkpointUrl);
+        await model.initialize();
+        this.model = model;
+    }
+
+    async continueSequence(sequence, steps, temperature) {
+        return this.model.continueSequence(sequence, steps, temperature);
+    }
+}
+
+/**
+ * Degrees tried, in order, to harmonize the last sung note: I, IV, V, vi, ii, iii, vii
+ */
+const DEGREE_PREFERENCE = [0, 3, 4, 5, 1, 2, 6];
+
+/**
+ * Where each degree goes next: a plain functional progression
+ */
+const NEXT_DEGREE = { 0: 3, 1: 4, 2: 5, 3: 4, 4: 0, 5: 3, 6: 0 };
+
+export class RuleBasedBackend {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.chordSteps=8] - Sixteenths per chord (half a 4/4 bar)
+     * @param {number} [options.baseMidi=48] - Chord roots sit in the octave above this (C3)
+     */
+    constructor({ chordSteps = 8, baseMidi = 48 } = {}) {
+        this.name = 'rules';
+        this.chordSteps = chordSteps;
+        this.baseMidi = baseMidi;
+    }
+
+    async load() {}
+
+    /**
+     * Harmonize the last note with a diatonic triad, then move on I → IV → V → I
+     * @param {{notes: {pitch: number}[]}} sequence - Buffered melody
+     * @param {number} steps - Sixteenths to fill
+     * @param {number} [temperature] - Ignored: the result is deterministic
+     * @param {{key: ?{key: string, scale: string}}} [context] - Detected key; inferred from the melody when null
+     * @returns {Promise<{notes: Object[], totalQuantizedSteps: number}>}
+     */
+    async continueSequence(sequence, steps, temperature, { key = null } = {}) {
+        const pitches = (sequence.notes || []).map(note => note.pitch);
+        if (pitches.length === 0) return { notes: [], totalQuantizedSteps: steps };
+
+        const { tonic, intervals } = this._resolveKey(key, pitches);
+        const lastDegree = ((pitches[pitches.length - 1] % 12) - tonic + 12) % 12;
+
+        let degree = DEGREE_PREFERENCE.find(candidate => this._triad(intervals, candidate).includes(lastDegree)) ?? 0;
+        const notes = [];
+        for (let start = 0; start < steps; start += this.chordSteps) {
+            const end = Math.min(steps, start + this.chordSteps);
+            const root = this.baseMidi + ((tonic + intervals[degree]) % 12);
+            const triad = this._triad(intervals, degree);
+
+            triad.forEach(pitchClass => {
+                const above = (pitchClass - intervals[degree] + 12) % 12;
+                notes.push({ pitch: root + above, quantizedStartStep: start, quantizedEndStep: end });
+            });
+            degree = NEXT_DEGREE[degree];
+        }
+
+        return { notes, totalQuantizedSteps: steps };
+    }
+
+    /**
+     * Pitch classes (relative to the tonic) of the triad on a scale degree
+     * @private
+     */
+    _triad(intervals, degree) {
+        return [0, 2, 4].map(third => intervals[(degree + third) % 7]);
+    }
+
+    /**
+     * Detected key, or the major key that fits the melody best
+     * @private
+     */
+    _resolveKey(key, pitches) {
+        if (key && KEYS.includes(key.key)) {
+            const scale = key.scale === 'minor' ? SCALES.minor : SCALES.major;
+            return { tonic: KEYS.indexOf(key.key), intervals: scale.intervals };
+        }
+
+        const first = pitches[0] % 12;
+        let best = { tonic: 0, score: -1 };
+        for (let offset = 0; offset < 12; offset++) {
+            // Start from the first note so ties go to the key it is the tonic of
+            const tonic = (first + offset) % 12;
+            const score = pitches.filter(pitch => SCALES.major.intervals.includes(((pitch % 12) - tonic + 12) % 12)).length;
+            if (score > best.score) best = { tonic, score };
+        }
+        return { tonic: best.tonic, intervals: SCALES.major.intervals };
+    }
+}
+
+/**
+ * Backend for `harmonizer.backend` ('auto' resolves to Magenta; AiHarmonizer falls back)
+ * @param {import('../config/app-config.js').HarmonizerConfig} config
+ * @param {Object} [options]
+ * @param {Function} [options.loadScript]
+ * @returns {HarmonizerBackend}
+ */
+export function createHarmonizerBackend(config, { loadScript = null } = {}) {
+    if (config.backend === 'rules') return new RuleBasedBackend();
+    return new MagentaBackend({ ...config, loadScript });
+}
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Key Detector - estimates key and mode from what is being sung.
+ *
+ * - Builds a pitch-class histogram from PitchFrames, each frame weighted by
+ *   its duration (time since the previous frame) and confidence. Older
+ *   evidence decays exponentially, so the estimate follows modulations.
+ * - Correlates the histogram with the 24 rotated Krumhansl-Kessler major /
+ *   minor profiles; the best match is the estimate.
+ * - Hysteresis: a new key only replaces the current one after it has led for
+ *   `holdMs` and beats the current key's correlation by `switchMargin`.
+ *   onKeyChange fires only for those stable changes.
+ */
+
+import { KEYS, freqToMidi } from '../core/music-scales.js';
+
+/**
+ * Krumhansl-Kessler key profiles (probe-tone ratings, C = index 0)
+ */
+export const KEY_PROFILES = {
+    major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+    minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+
+const DEFAULT_FRAME_MS = 11.6; // Worklet hop (512 samples @ 44.1 kHz) when frames carry no time
+
+function pearson(a, b) {
+    const n = a.length;
+    let meanA = 0;
+    let meanB = 0;
+    for (let i = 0; i < n; i++) {
+        meanA += a[i] / n;
+        meanB += b[i] / n;
+    }
+    let cov = 0;
+    let varA = 0;
+    let varB = 0;
+    for (let i = 0; i < n; i++) {
+        cov += (a[i] - meanA) * (b[i] - meanB);
+        varA += (a[i] - meanA) * (a[i] - meanA);
+        varB += (b[i] - meanB) * (b[i] - meanB);
+    }
+    return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+}
+
+export class KeyDetector {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.halfLifeSeconds=10] - Histogram memory
+     * @param {number} [options.minFrameConfidence=0.5] - Frames below this are ignored
+     * @param {number} [options.maxFrameGapMs=100] - Longest duration credited to one frame
+     * @param {number} [options.minEvidenceSeconds=3] - Voiced time needed before the first estimate
+     * @param {number} [options.minConfidence=0.35] - Estimate confidence needed to (re)declare a key
+     * @param {number} [options.holdMs=2500] - How long a challenger must lead before the key changes
+     * @param {number} [options.switchMargin=0.05] - Correlation lead a challenger needs over the current key
+     * @param {Function} [options.onKeyChange] - ({key, scale, confidence, correlation}) => void
+     */
+    constructor({
+        halfLifeSeconds = 10,
+        minFrameConfidence = 0.5,
+        maxFrameGapMs = 100,
+        minEvidenceSeconds = 3,
+        minConfidence = 0.35,
+        holdMs = 2500,
+        switchMargin = 0.05,
+        onKeyChange = null
+    } = {}) {
+        this.halfLifeSeconds = halfLifeSeconds;
+        this.minFrameConfidence = minFrameConfidence;
+        this.maxFrameGapMs = maxFrameGapMs;
+        this.minEvidenceSeconds = minEvidenceSeconds;
+        this.minConfidence = minConfidence;
+        this.holdMs = holdMs;
+        this.switchMargin = switchMargin;
+        this.onKeyChange = onKeyChange;
+
+        this.reset();
+    }
+
+    /**
+     * Forget everything (new song / stop)
+     */
+    reset() {
+        this.histogram = new Float64Array(12);
+        this.evidenceSeconds = 0;
+        this.lastTime = null;
+        this.clock = 0;
+
+        /** @type {{key: string, scale: 'major'|'minor', confidence: number, correlation: number}|null} */
+        this.currentKey = null;
+        this.challenger = null;
+        this.challengerSince = 0;
+    }
+
+    /**
+     * Add one PitchFrame
+     * @param {import('../types/app-types.js').PitchFrame} frame
+     * @returns {{key: string, scale: string, confidence: number, correlation: number}|null} Current (stable) key
+     */
+    process(frame) {
+        const time = typeof frame?.captureTime === 'number' ? frame.captureTime : null;
+        let durationMs = DEFAULT_FRAME_MS;
+        if (time !== null && this.lastTime !== null) {
+            durationMs = Math.min(Math.max(time - this.lastTime, 0), this.maxFrameGapMs);
+        }
+        if (time !== null) this.lastTime = time;
+        this.clock += durationMs;
+
+        if (!frame || !(frame.frequency > 0) || !((frame.confidence ?? 1) >= this.minFrameConfidence)) {
+            return this.currentKey;
+        }
+
+        // Exponential forgetting, then credit this frame's pitch class
+        const decay = Math.pow(0.5, durationMs / 1000 / this.halfLifeSeconds);
+        for (let i = 0; i < 12; i++) this.histogram[i] *= decay;
+
+        const pitchClass = ((Math.round(freqToMidi(frame.frequency)) % 12) + 12) % 12;
+        this.histogram[pitchClass] += (durationMs / 1000) * (frame.confidence ?? 1);
+        this.evidenceSeconds += durationMs / 1000;
+
+        this._updateKey(this.estimate());
+        return this.currentKey;
+    }
+
+    /**
+     * Best match for the current histogram (no hysteresis)
+     *
+     * Confidence combines the correlation of the winner with its lead over the
+     * best key that has a different pitch set (the relative major/minor shares
+     * the winner's notes, so it is not a competitor for auto-tune).
+     *
+     * @returns {{key: string, scale: 'major'|'minor', confidence: number, correlation: number}|null}
+     */
+    estimate() {
+        if (this.evidenceSeconds < this.minEvidenceSeconds) return null;
+
+        const scores = [];
+        for (const scale of ['major', 'minor']) {
+            const profile = KEY_PROFILES[scale];
+            for (let tonic = 0; tonic < 12; tonic++) {
+                const rotated = Array.from({ length: 12 }, (_, i) => profile[(i - tonic + 12) % 12]);
+                scores.push({ tonic, scale, correlation: pearson(this.histogram, rotated) });
+            }
+        }
+        scores.sort((a, b) => b.correlation - a.correlation);
+
+        const best = scores[0];
+        // Relative key: minor tonic = major tonic + 9 semitones
+        const relativeTonic = best.scale === 'major' ? (best.tonic + 9) % 12 : (best.tonic + 3) % 12;
+        const rival = scores.find(s => !(s.tonic === relativeTonic && s.scale !== best.scale) && s !== best);
+
+        const lead = best.correlation - (rival ? rival.correlation : 0);
+        const confidence = Math.max(0, Math.min(1, best.correlation)) * Math.min(1, lead / 0.15);
+
+        return { key: KEYS[best.tonic], scale: best.scale, confidence, correlation: best.correlation };
+    }
+
+    /**
+     * @private
+     */
+    _updateKey(estimate) {
+        if (!estimate) return;
+
+        const sameKey = (a, b) => a && b && a.key === b.key && a.scale === b.scale;
+
+        if (sameKey(estimate, this.currentKey)) {
+            this.currentKey = estimate;
+            this.challenger = null;
+            return;
+        }
+
+        if (estimate.confidence < this.minConfidence) {
+            this.challenger = null;
+            return;
+        }
+
+        if (!this.currentKey) {
+            this._declare(estimate);
+            return;
+        }
+
+        // Keep the challenger's clock running only while it keeps winning
+        if (!sameKey(estimate, this.challenger)) {
+            this.challenger = estimate;
+            this.challengerSince = this.clock;
+            return;
+        }
+        this.challenger = estimate;
+
+        const currentCorrelation = this._correlationOf(this.currentKey);
+        if (this.clock - this.challengerSince >= this.holdMs &&
+            estimate.correlation - currentCorrelation >= this.switchMargin) {
+            this._declare(estimate);
+        }
+    }
+
+    /**
+     * Correlation of a given key with the current histogram
+     * @private
+     */
+    _correlationOf({ key, scale }) {
+        const tonic = KEYS.indexOf(key);
+        const profile = KEY_PROFILES[scale];
+        return pearson(this.histogram, Array.from({ length: 12 }, (_, i) => profile[(i - tonic + 12) % 12]));
+    }
+
+    /**
+     * @private
+     */
+    _declare(estimate) {
+        this.currentKey = estimate;
+        this.challenger = null;
+        if (this.onKeyChange) this.onKeyChange({ ...estimate });
+    }
+}
@@ -0,0 +1,735 @@
+/**
+ * @fileoverview Loop Station - bar-aligned loops with overdub layers.
+ *
+ * Architecture:
+ * - Tempo, meter and click come from the TransportManager. The loop is a number
+ *   of its bars; BPM and meter are taken when the loop starts and kept until
+ *   it is cleared, so every layer lines up on bar 1 even if the tempo moves.
+ * - While the transport runs, bar 1 falls on one of its downbeats.
+ * - Each pass records exactly one loop, starting on a loop boundary: after a
+ *   count-in when the loop is stopped, at the next boundary while it plays.
+ * - Two layer sources:
+ *   - 'frames': the PitchFrame stream, replayed through a dedicated synth
+ *     engine per layer, so the line can be re-voiced (flute → cello) later.
+ *   - 'audio': the live synth output, captured as PCM and looped as-is.
+ * - Per-layer mute / volume; undo drops the last layer (or the pass in progress).
+ * - The count-in always clicks; while the loop plays the transport's click
+ *   setting applies. Clicks go through the transport's clicker (which bypasses
+ *   the loop output, so takes stay clean), never doubling its own beat clicks.
+ *
+ * The clock is the AudioContext time, which schedules clicks and audio layers;
+ * a short interval timer replays PitchFrames and moves between passes.
+ */
+
+/**
+ * Layer sources understood by `record()`
+ */
+export const LOOP_SOURCES = ['frames', 'audio'];
+
+const LOOKAHEAD = 0.1;          // s: clicks are scheduled this far ahead
+const CAPTURE_BUFFER_SIZE = 4096;
+
+export class LoopStation {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.engineFactory] - async (instrument) => engine with
+     *        processPitchFrame / changeInstrument / stop / getOutputNode / dispose ('frames' layers)
+     * @param {Function} [options.getLiveOutput] - () => output node of the active synth ('audio' layers)
+     * @param {AudioContext} [options.audioContext] - Defaults to Tone's raw context
+     * @param {import('../managers/transport-manager.js').TransportManager} options.transport - Tempo, meter and click
+     * @param {number} [options.bars=2] - Loop length
+     * @param {number} [options.countInBars=1] - Clicks before the first pass
+     * @param {number} [options.maxLayers=8] - Each 'frames' layer runs its own engine
+     * @param {number} [options.tickMs=25]
+     */
+    constructor({
+        engineFactory = null,
+        getLiveOutput = null,
+        audioContext = null,
+        transport,
+        bars = 2,
+        countInBars = 1,
+        maxLayers = 8,
+        tickMs = 25
+    } = {}) {
+        this.engineFactory = engineFactory;
+        this.getLiveOutput = getLiveOutput;
+        this.audioContext = audioContext;
+        this.maxLayers = maxLayers;
+        this.tickMs = tickMs;
+        this.transport = transport;
+
+        this.bars = bars;
+        this.countInBars = countInBars;
+        // { bpm, beatsPerBar } taken from the transport while the loop exists
+        this._lockedTempo = null;
+
+        /** @type {'stopped'|'count-in'|'playing'} */
+        this.state = 'stopped';
+        this.layers = [];
+        // Pass in progress: { source, instrument, start, end, started, frames, capture }
+        this.recording = null;
+        // Context time of bar 1 (the first pass)
+        this.loopStart = 0;
+
+        this.output = null;
+        this._nextBeat = 0;
+        this._lastPlayTime = 0;
+        this._nextLayerId = 1;
+        this._timer = null;
+
+        // Callbacks for UI updates
+        // onStateChange: ({ state, recording: 'armed'|'recording'|null, layers }) => void
+        this.onStateChange = null;
+        // onLayersChange: (layers[]) => void (see getLayers)
+        this.onLayersChange = null;
+        // onBeat: ({ bar, beat, countIn }) => void (fires when the click is scheduled)
+        this.onBeat = null;
+    }
+
+    /**
+     * @returns {number} Beats per minute (the transport's until the loop starts)
+     */
+    get bpm() {
+        return this._lockedTempo ? this._lockedTempo.bpm : this.transport.bpm;
+    }
+
+    /**
+     * @returns {number}
+     */
+    get beatsPerBar() {
+        return this._lockedTempo ? this._lockedTempo.beatsPerBar : this.transport.beatsPerBar;
+    }
+
+    /**
+     * @returns {number} Seconds per beat
+     */
+    get beatDuration() {
+        return 60 / this.bpm;
+    }
+
+    /**
+     * @returns {number} Seconds per loop
+     */
+    get loopDuration() {
+        return this.beatDuration * this.beatsPerBar * this.bars;
+    }
+
+    /**
+     * Change the loop length in bars (only while there are no layers) or the count-in
+     * @param {{bars?: number, countInBars?: number}} settings
+     * @throws {Error} Once layers exist the loop length is locked
+     */
+    setLength({ bars, countInBars } = {}) {
+        if (bars !== undefined && (this.layers.length > 0 || this.state !== 'stopped')) {
+            throw new Error('[LoopStation] Clear the loop before changing its length');
+        }
+
+        if (Number.isFinite(bars)) this.bars = Math.max(1, Math.min(16, Math.round(bars)));
+        if (Number.isFinite(countInBars)) this.countInBars = Math.max(0, Math.min(4, Math.round(countInBars)));
+    }
+
+    /**
+     * Record one pass as a new layer. Stopped: count-in, then bar 1.
+     * Playing: starts at the next loop boundary (overdub).
+     * @param {Object} [options]
+     * @param {'frames'|'audio'} [options.source='frames']
+     * @param {string} [options.instrument='flute'] - Instrument of a 'frames' layer
+     * @throws {Error} For unknown sources, a full layer stack or no audio to capture
+     */
+    record({ source = 'frames', instrument = 'flute' } = {}) {
+        if (this.recording) return;
+        if (!LOOP_SOURCES.includes(source)) {
+            throw new Error(`[LoopStation] Unknown source: ${source}`);
+        }
+        if (this.layers.length >= this.maxLayers) {
+            throw new Error(`[LoopStation] At most ${this.maxLayers} layers - undo one first`);
+        }
+        if (source === 'frames' && !this.engineFactory) {
+            throw new Error('[LoopStation] No engine factory for PitchFrame layers');
+        }
+
+        const capture = source === 'audio' ? this._startAudioCapture() : null;
+
+        if (this.state === 'stopped') {
+            this._startTransport(this.countInBars);
+        }
+
+        const start = this._nextBoundary(this._now());
+        this.recording = {
+            source,
+            instrument,
+            start,
+            end: start + this.loopDuration,
+            started: false,
+            frames: [],
+            capture
+        };
+        this._emitState();
+    }
+
+    /**
+     * Start playing the layers from bar 1 (no count-in)
+     */
+    play() {
+        if (this.state !== 'stopped' || this.layers.length === 0) return;
+        this._startTransport(0);
+    }
+
+    /**
+     * Stop playback; a pass in progress is discarded, layers are kept
+     */
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        this._cancelRecording();
+        this.layers.forEach(layer => this._silenceLayer(layer));
+        this.state = 'stopped';
+        this._unlockTempo();
+        this._emitState();
+    }
+
+    /**
+     * Drop the pass in progress, or else the last layer
+     * @returns {boolean} Whether anything was undone
+     */
+    undo() {
+        if (this.recording) {
+            this._cancelRecording();
+            this._emitState();
+            return true;
+        }
+
+        const layer = this.layers.pop();
+        if (!layer) return false;
+
+        this._disposeLayer(layer);
+        this._unlockTempo();
+        this._emitLayers();
+        this._emitState();
+        return true;
+    }
+
+    /**
+     * Stop and remove every layer (the next loop takes the transport's tempo again)
+     */
+    clear() {
+        this.stop();
+        this.layers.forEach(layer => this._disposeLayer(layer));
+        this.layers = [];
+        this._unlockTempo();
+        this._emitLayers();
+    }
+
+    /**
+     * Feed one PitchFrame (recorded while a 'frames' pass runs)
+     * @param {import('../types/pitch-frame.js').PitchFrame} frame
+     */
+    processPitchFrame(frame) {
+        const rec = this.recording;
+        if (!frame || !rec || rec.source !== 'frames') return;
+
+        const time = this._now() - rec.start;
+        if (time >= 0 && time < this.loopDuration) {
+            rec.frames.push({ time, frame: { ...frame } });
+        }
+    }
+
+    /**
+     * @param {number} id
+     * @param {boolean} muted
+     */
+    setLayerMuted(id, muted) {
+        const layer = this._getLayer(id);
+        layer.muted = Boolean(muted);
+        if (layer.muted) this._silenceLayer(layer, { keepSource: true });
+        this._applyLayerGain(layer);
+        this._emitLayers();
+    }
+
+    /**
+     * @param {number} id
+     * @param {number} volume - 0-1
+     */
+    setLayerVolume(id, volume) {
+        const layer = this._getLayer(id);
+        layer.volume = Math.max(0, Math.min(1, volume));
+        this._applyLayerGain(layer);
+        this._emitLayers();
+    }
+
+    /**
+     * Re-voice a 'frames' layer with another instrument
+     * @param {number} id
+     * @param {string} instrument
+     * @throws {Error} For 'audio' layers (their sound is fixed)
+     */
+    setLayerInstrument(id, instrument) {
+        const layer = this._getLayer(id);
+        if (layer.source !== 'frames') {
+            throw new Error('[LoopStation] Audio layers cannot be re-voiced');
+        }
+
+        layer.instrument = instrument;
+        if (layer.engine) {
+            layer.engine.stop();
+            layer.engine.changeInstrument(instrument);
+        }
+        this._emitLayers();
+    }
+
+    /**
+     * Layer summaries for the UI
+     * @returns {{id: number, source: string, instrument: string, volume: number, muted: boolean, revoiceable: boolean}[]}
+     */
+    getLayers() {
+        return this.layers.map(({ id, source, instrument, volume, muted }) => ({
+            id,
+            source,
+            instrument,
+            volume,
+            muted,
+            revoiceable: source === 'frames'
+        }));
+    }
+
+    /**
+     * Where the loop is now
+     * @returns {{bar: number, beat: number, countIn: boolean}|null} 1-based bar / beat, null while stopped
+     */
+    getPosition() {
+        if (this.state === 'stopped') return null;
+
+        const beatIndex = Math.floor((this._now() - this.loopStart) / this.beatDuration);
+        return this._describeBeat(Math.max(beatIndex, this._firstBeat()));
+    }
+
+    /**
+     * Loop output (all layers, without the clicks) for recording taps
+     * @returns {Tone.ToneAudioNode}
+     */
+    getOutputNode() {
+        if (!this.output) {
+            this.output = new Tone.Gain(1).toDestination();
+        }
+        return this.output;
+    }
+
+    dispose() {
+        this.clear();
+        if (this.output) this.output.dispose();
+        this.output = null;
+    }
+
+    /**
+     * Advance the loop: clicks, pass transitions, PitchFrame playback
+     */
+    tick() {
+        if (this.state === 'stopped') return;
+
+        const now = this._now();
+        this._scheduleClicks(now);
+
+        if (this.state === 'count-in' && now >= this.loopStart) {
+            this.state = 'playing';
+            this._emitState();
+        }
+
+        const rec = this.recording;
+        if (rec && !rec.started && now >= rec.start) {
+            rec.started = true;
+            this._emitState();
+        }
+
+        if (this.state === 'playing') {
+            this._playFrames(now);
+        }
+
+        if (rec && now >= rec.end) {
+            this._finishRecording();
+        }
+    }
+
+    /**
+     * Start the loop clock: bar 1 comes `countInBars` after the next downbeat
+     * @private
+     */
+    _startTransport(countInBars) {
+        if (!this._lockedTempo) {
+            this._lockedTempo = { bpm: this.transport.bpm, beatsPerBar: this.transport.beatsPerBar };
+        }
+
+        const now = this._now();
+        const downbeat = this.transport.isRunning ? Math.max(now, this.transport.nextBarTime()) : now;
+        const loopStart = downbeat + countInBars * this.beatsPerBar * this.beatDuration;
+        this.loopStart = loopStart;
+        this.state = loopStart > now ? 'count-in' : 'playing';
+        // Beats while waiting for the transport's downbeat are not counted in
+        this._nextBeat = Math.max(Math.ceil((now - loopStart) / this.beatDuration), this._firstBeat());
+        this._lastPlayTime = loopStart;
+
+        this.layers.forEach(layer => {
+            if (layer.source === 'audio') this._startAudioLayer(layer, loopStart);
+        });
+
+        if (!this._timer) {
+            this._timer = setInterval(() => this.tick(), this.tickMs);
+        }
+        this._emitState();
+    }
+
+    /**
+     * Follow the transport's tempo again once there is no loop left
+     * @private
+     */
+    _unlockTempo() {
+        if (this.state === 'stopped' && this.layers.length === 0) this._lockedTempo = null;
+    }
+
+    /**
+     * @private
+     */
+    _nextBoundary(time) {
+        if (time <= this.loopStart) return this.loopStart;
+        const passes = Math.ceil((time - this.loopStart) / this.loopDuration - 1e-9);
+        return this.loopStart + passes * this.loopDuration;
+    }
+
+    /**
+     * Index of the first count-in beat (bar 1 is beat 0)
+     * @private
+     */
+    _firstBeat() {
+        return -this.countInBars * this.beatsPerBar;
+    }
+
+    /**
+     * @private
+     */
+    _describeBeat(beatIndex) {
+        const countIn = beatIndex < 0;
+        const beatsPerLoop = this.beatsPerBar * this.bars;
+        const index = countIn
+            ? beatIndex + this.countInBars * this.beatsPerBar
+            : beatIndex % beatsPerLoop;
+
+        return {
+            bar: Math.floor(index / this.beatsPerBar) + 1,
+            beat: (index % this.beatsPerBar) + 1,
+            countIn
+        };
+    }
+
+    /**
+     * Schedule the clicks that fall inside the look-ahead window
+     * @private
+     */
+    _scheduleClicks(now) {
+        const transport = this.transport;
+        // A running transport already clicks every beat while its click is on
+        const transportClicks = transport.isRunning && transport.clickEnabled;
+
+        while (true) {
+            const time = this.loopStart + this._nextBeat * this.beatDuration;
+            if (time > now + LOOKAHEAD) break;
+
+            const beatIndex = this._nextBeat++;
+            // Skip clicks the timer was too late for (e.g. a throttled background tab)
+            if (time < now - this.tickMs / 1000) continue;
+
+            const position = this._describeBeat(beatIndex);
+            if (!transportClicks && (position.countIn || transport.clickEnabled)) {
+                transport.click(time, position.beat === 1);
+            }
+            if (this.onBeat) this.onBeat(position);
+        }
+    }
+
+    /**
+     * Replay the PitchFrames that fell between the previous tick and now
+     * @private
+     */
+    _playFrames(now) {
+        const from = Math.max(this._lastPlayTime, this.loopStart);
+        this._lastPlayTime = now;
+        if (now <= from) return;
+
+        const duration = this.loopDuration;
+        const start = (from - this.loopStart) % duration;
+        const span = Math.min(now - from, duration);
+
+        this.layers.forEach(layer => {
+            if (layer.source !== 'frames' || layer.muted || !layer.engine) return;
+
+            const dispatch = ({ frame }) => layer.engine.processPitchFrame(frame);
+            if (start + span <= duration) {
+                this._framesBetween(layer, start, start + span).forEach(dispatch);
+            } else {
+                this._framesBetween(layer, start, duration).forEach(dispatch);
+                this._framesBetween(layer, 0, start + span - duration).forEach(dispatch);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _framesBetween(layer, from, to) {
+        return layer.frames.filter(({ time }) => time >= from && time < to);
+    }
+
+    /**
+     * Turn the finished pass into a layer
+     * @private
+     */
+    _finishRecording() {
+        const rec = this.recording;
+        this.recording = null;
+
+        const layer = {
+            id: this._nextLayerId++,
+            source: rec.source,
+            instrument: rec.instrument,
+            volume: 0.8,
+            muted: false,
+            frames: rec.frames,
+            engine: null,
+            buffer: null,
+            sourceNode: null,
+            output: null
+        };
+
+        if (rec.source === 'frames') {
+            if (rec.frames.length === 0) {
+                console.warn('[LoopStation] Nothing was sung during the pass - no layer added');
+                this._emitState();
+                return;
+            }
+            layer.output = new Tone.Gain(layer.volume).connect(this.getOutputNode());
+            this._voiceLayer(layer);
+        } else {
+            this._stopAudioCapture(rec.capture);
+            layer.buffer = this._buildAudioBuffer(rec);
+            const ctx = this._getContext();
+            layer.output = ctx.createGain();
+            layer.output.gain.value = layer.volume;
+            layer.output.connect(this.getOutputNode().input);
+            this._startAudioLayer(layer, rec.end);
+        }
+
+        this.layers.push(layer);
+        console.log(`[LoopStation] + Layer ${layer.id} (${layer.source}, ${layer.instrument})`);
+        this._emitLayers();
+        this._emitState();
+    }
+
+    /**
+     * Give a 'frames' layer its own engine, routed into the layer gain
+     * @private
+     */
+    async _voiceLayer(layer) {
+        try {
+            const engine = await this.engineFactory(layer.instrument);
+            if (!this.layers.includes(layer)) {
+                // Undone while the engine was being built
+                engine.dispose();
+                return;
+            }
+            if (engine.currentInstrument !== layer.instrument) {
+                engine.changeInstrument(layer.instrument);
+            }
+            const engineOutput = engine.getOutputNode();
+            engineOutput.disconnect();
+            engineOutput.connect(layer.output);
+            layer.engine = engine;
+        } catch (error) {
+            console.error(`[LoopStation] Failed to create an engine for layer ${layer.id}:`, error);
+        }
+    }
+
+    /**
+     * Tap the live synth output into a ScriptProcessor
+     * @private
+     */
+    _startAudioCapture() {
+        const ctx = this._getContext();
+        const liveOutput = this.getLiveOutput ? this.getLiveOutput() : null;
+        if (!ctx || !liveOutput) {
+            throw new Error('[LoopStation] No synth output to record - start the engine first');
+        }
+
+        const tap = ctx.createGain();
+        const node = ctx.createScriptProcessor(CAPTURE_BUFFER_SIZE, 1, 1);
+        const capture = { tap, node, liveOutput, chunks: [] };
+
+        node.onaudioprocess = (event) => {
+            // playbackTime is when the block would be heard; its input was captured one buffer earlier
+            capture.chunks.push({
+                time: event.playbackTime - CAPTURE_BUFFER_SIZE / ctx.sampleRate,
+                data: new Float32Array(event.inputBuffer.getChannelData(0))
+            });
+        };
+        liveOutput.connect(tap);
+        tap.connect(node);
+        // ScriptProcessor only runs while pulled by the destination (its output stays silent)
+        node.connect(ctx.destination);
+        return capture;
+    }
+
+    /**
+     * @private
+     */
+    _stopAudioCapture(capture) {
+        if (!capture) return;
+        try {
+            capture.liveOutput.disconnect(capture.tap);
+            capture.tap.disconnect();
+            capture.node.disconnect();
+        } catch (error) {
+            // Engine output was disposed meanwhile
+        }
+        capture.node.onaudioprocess = null;
+    }
+
+    /**
+     * Cut exactly one loop out of the captured blocks
+     * @private
+     */
+    _buildAudioBuffer(rec) {
+        const ctx = this._getContext();
+        const sampleRate = ctx.sampleRate;
+        const length = Math.round(this.loopDuration * sampleRate);
+        const samples = new Float32Array(length);
+
+        rec.capture.chunks.forEach(({ time, data }) => {
+            const offset = Math.round((time - rec.start) * sampleRate);
+            const from = Math.max(0, -offset);
+            const to = Math.min(data.length, length - offset);
+            if (to > from) samples.set(data.subarray(from, to), offset + from);
+        });
+
+        const buffer = ctx.createBuffer(1, length, sampleRate);
+        buffer.copyToChannel(samples, 0);
+        return buffer;
+    }
+
+    /**
+     * Loop an 'audio' layer in phase with the loop
+     * @private
+     */
+    _startAudioLayer(layer, when) {
+        const ctx = this._getContext();
+        const at = Math.max(when, this.loopStart, ctx.currentTime);
+
+        const source = ctx.createBufferSource();
+        source.buffer = layer.buffer;
+        source.loop = true;
+        source.connect(layer.output);
+        source.start(at, (at - this.loopStart) % this.loopDuration);
+        layer.sourceNode = source;
+    }
+
+    /**
+     * @private
+     */
+    _applyLayerGain(layer) {
+        if (!layer.output) return;
+        const value = layer.muted ? 0 : layer.volume;
+
+        if (typeof layer.output.gain.rampTo === 'function') {
+            layer.output.gain.rampTo(value, 0.05);
+        } else {
+            layer.output.gain.setTargetAtTime(value, this._now(), 0.02);
+        }
+    }
+
+    /**
+     * Stop a layer's sound (its engine note, or its looping buffer)
+     * @private
+     */
+    _silenceLayer(layer, { keepSource = false } = {}) {
+        if (layer.engine) layer.engine.stop();
+        if (layer.sourceNode && !keepSource) {
+            try {
+                layer.sourceNode.stop();
+                layer.sourceNode.disconnect();
+            } catch (error) {
+                // Never started
+            }
+            layer.sourceNode = null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _disposeLayer(layer) {
+        this._silenceLayer(layer);
+        if (layer.engine) layer.engine.dispose();
+        if (layer.output) {
+            if (typeof layer.output.dispose === 'function') {
+                layer.output.dispose();
+            } else {
+                layer.output.disconnect();
+            }
+        }
+        layer.engine = null;
+        layer.output = null;
+    }
+
+    /**
+     * @private
+     */
+    _cancelRecording() {
+        if (!this.recording) return;
+        this._stopAudioCapture(this.recording.capture);
+        this.recording = null;
+    }
+
+    /**
+     * @private
+     */
+    _getLayer(id) {
+        const layer = this.layers.find(l => l.id === id);
+        if (!layer) throw new Error(`[LoopStation] Unknown layer: ${id}`);
+        return layer;
+    }
+
+    /**
+     * @private
+     */
+    _now() {
+        return this._getContext()?.currentTime ?? 0;
+    }
+
+    /**
+     * @private
+     */
+    _getContext() {
+        if (this.audioContext) return this.audioContext;
+        const Tone = typeof window !== 'undefined' ? window.Tone : null;
+        if (!Tone) return null;
+        const context = typeof Tone.getContext === 'function' ? Tone.getContext() : Tone.context;
+        return context?.rawContext || context || null;
+    }
+
+    /**
+     * @private
+     */
+    _emitState() {
+        if (!this.onStateChange) return;
+
+        let recording = null;
+        if (this.recording) recording = this.recording.started ? 'recording' : 'armed';
+        this.onStateChange({ state: this.state, recording, layers: this.layers.length });
+    }
+
+    /**
+     * @private
+     */
+    _emitLayers() {
+        if (this.onLayersChange) this.onLayersChange(this.getLayers());
+    }
+}
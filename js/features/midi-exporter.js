@@ -0,0 +1,283 @@
+/**
+ * @fileoverview MIDI Exporter - turns a hummed session into a Standard MIDI File.
+ *
+ * Input is `VisualizerManager.fullSessionData`: one point per pitch frame
+ * `{ t, m, c, v, a }` (seconds, float MIDI, confidence, volumeLinear, articulation).
+ *
+ * Pipeline:
+ * 1. segmentNotes()  - split the stream into notes at articulation onsets,
+ *                      silences and new stable pitch regions.
+ * 2. buildMidiFile() - each note becomes note on/off at its median pitch;
+ *                      the continuous pitch inside it becomes pitch bend,
+ *                      volume becomes velocity (onset) and CC11 expression.
+ *
+ * With `gridOffset` (the session time of a transport downbeat) the file starts
+ * on the bar before the first note, so notes land on the transport's grid.
+ */
+
+import {
+    encodeMidiFile,
+    noteOn,
+    noteOff,
+    controlChange,
+    pitchBend,
+    pitchBendRangeRpn,
+    metaTempo,
+    metaTimeSignature,
+    metaTrackName,
+    PITCH_BEND_CENTER
+} from '../utils/midi-file.js';
+
+export const DEFAULT_MIDI_EXPORT_OPTIONS = {
+    // Segmentation
+    minConfidence: 0.5,       // Frames below this count as unvoiced
+    minNoteDuration: 0.06,    // Seconds - shorter blips are dropped
+    maxGap: 0.08,             // Seconds of unvoiced frames tolerated inside a note
+    splitThreshold: 0.7,      // Semitones away from the note before a new region is considered
+    splitHoldTime: 0.1,       // Seconds the new region must stay stable to split the note
+
+    // Dynamics (same mic RMS range ContinuousSynthEngine.updateVolume maps)
+    volumeRange: { min: 0.01, max: 0.2 },
+    defaultVelocity: 100,     // Used when the session has no volume data
+
+    // File
+    format: 1,                // 0 = single track, 1 = conductor + note track
+    ppq: 480,
+    bpm: 120,                 // Quarter notes per minute
+    timeSignature: [4, 4],
+    gridOffset: null,         // Session seconds of a downbeat; null = tick 0 is the session start
+    channel: 0,
+    pitchBendRange: 2,        // Semitones (written as RPN 0)
+    bendResolution: 32,       // Min 14-bit change before another bend event
+    trackName: 'Mambo Whistle'
+};
+
+const CC_EXPRESSION = 11;
+
+/**
+ * Segment a session stream into notes
+ *
+ * @param {Array<{t: number, m: number|null, c: number, v?: number, a?: string}>} sessionData
+ * @param {Object} [options] - Overrides for DEFAULT_MIDI_EXPORT_OPTIONS
+ * @returns {Array<{start: number, end: number, midi: number, velocity: number, points: Object[]}>}
+ */
+export function segmentNotes(sessionData, options = {}) {
+    const opts = { ...DEFAULT_MIDI_EXPORT_OPTIONS, ...options };
+    const notes = [];
+
+    let current = null;
+    let prevArticulation = null;
+
+    const close = (endTime) => {
+        const note = finalizeNote(current, endTime, opts);
+        if (note) notes.push(note);
+        current = null;
+    };
+
+    for (const point of sessionData) {
+        const voiced = point.m !== null && point.m !== undefined && point.c >= opts.minConfidence;
+        const isOnset = point.a === 'attack' && prevArticulation !== 'attack';
+        prevArticulation = point.a;
+
+        if (current && point.t - current.lastTime > opts.maxGap) {
+            close();
+        }
+
+        if (!voiced) {
+            if (current && point.a === 'silence') close();
+            continue;
+        }
+
+        if (current && isOnset && point.t - current.start >= opts.minNoteDuration) {
+            close(point.t);
+        }
+
+        if (current) {
+            const anchor = median(current.recent);
+
+            if (Math.abs(point.m - anchor) > opts.splitThreshold) {
+                current.drift.push(point);
+                current.lastTime = point.t;
+
+                const driftSpan = point.t - current.drift[0].t;
+                if (driftSpan >= opts.splitHoldTime && isStable(current.drift, opts.splitThreshold)) {
+                    // The voice has settled on a new pitch: split at the start of the drift
+                    const drift = current.drift;
+                    current.drift = [];
+                    close(drift[0].t);
+                    current = startNote(drift[0]);
+                    drift.slice(1).forEach(p => addPoint(current, p));
+                }
+                continue;
+            }
+
+            // Back inside the note: the excursion was a scoop or vibrato, keep it
+            current.drift.forEach(p => addPoint(current, p));
+            current.drift = [];
+            addPoint(current, point);
+        } else {
+            current = startNote(point);
+        }
+    }
+
+    if (current) close();
+
+    return notes;
+}
+
+/**
+ * Build a Standard MIDI File from a session stream
+ *
+ * @param {Array<Object>} sessionData - VisualizerManager.fullSessionData
+ * @param {Object} [options] - Overrides for DEFAULT_MIDI_EXPORT_OPTIONS
+ * @returns {Uint8Array} .mid file bytes
+ */
+export function buildMidiFile(sessionData, options = {}) {
+    const opts = { ...DEFAULT_MIDI_EXPORT_OPTIONS, ...options };
+    const notes = segmentNotes(sessionData, opts);
+
+    const ticksPerSecond = opts.ppq * opts.bpm / 60;
+    const origin = gridOrigin(notes, opts);
+    const toTick = (seconds) => Math.round((seconds - origin) * ticksPerSecond);
+    const ch = opts.channel;
+
+    const conductor = [
+        { tick: 0, bytes: metaTrackName(opts.trackName) },
+        { tick: 0, bytes: metaTempo(opts.bpm) },
+        { tick: 0, bytes: metaTimeSignature(...opts.timeSignature) }
+    ];
+
+    const events = pitchBendRangeRpn(ch, opts.pitchBendRange).map(bytes => ({ tick: 0, bytes }));
+
+    for (const note of notes) {
+        const startTick = toTick(note.start);
+        const endTick = Math.max(startTick + 1, toTick(note.end));
+
+        // Bend/expression are set just before the note so it starts at the right pitch
+        let lastBend = bendValue(note.points[0].m - note.midi, opts.pitchBendRange);
+        let lastExpression = expressionValue(note.points[0].v, opts);
+        events.push({ tick: startTick, bytes: pitchBend(ch, lastBend) });
+        if (lastExpression !== null) {
+            events.push({ tick: startTick, bytes: controlChange(ch, CC_EXPRESSION, lastExpression) });
+        }
+        events.push({ tick: startTick, bytes: noteOn(ch, note.midi, note.velocity) });
+
+        for (const point of note.points.slice(1)) {
+            const tick = toTick(point.t);
+            const bend = bendValue(point.m - note.midi, opts.pitchBendRange);
+            if (Math.abs(bend - lastBend) >= opts.bendResolution) {
+                events.push({ tick, bytes: pitchBend(ch, bend) });
+                lastBend = bend;
+            }
+
+            const expression = expressionValue(point.v, opts);
+            if (expression !== null && Math.abs(expression - lastExpression) >= 2) {
+                events.push({ tick, bytes: controlChange(ch, CC_EXPRESSION, expression) });
+                lastExpression = expression;
+            }
+        }
+
+        events.push({ tick: endTick, bytes: noteOff(ch, note.midi) });
+    }
+
+    const tracks = opts.format === 0
+        ? [[...conductor, ...events]]
+        : [conductor, events];
+
+    return encodeMidiFile({ format: opts.format, ppq: opts.ppq, tracks });
+}
+
+/**
+ * Build and download a session as .mid
+ *
+ * @param {Array<Object>} sessionData - VisualizerManager.fullSessionData
+ * @param {Object} [options] - Overrides for DEFAULT_MIDI_EXPORT_OPTIONS
+ * @returns {boolean} False if there was nothing to export
+ */
+export function downloadSessionMidi(sessionData, options = {}) {
+    if (!sessionData || sessionData.length === 0 || segmentNotes(sessionData, options).length === 0) {
+        alert("No notes to export. Start the engine and hum a melody first!");
+        return false;
+    }
+
+    const bytes = buildMidiFile(sessionData, options);
+    const blob = new Blob([bytes], { type: 'audio/midi' });
+
+    const link = document.createElement('a');
+    link.download = `mambo-session-${new Date().toISOString().replace(/[:.]/g, '-')}.mid`;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    return true;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Session time of tick 0: the last downbeat at or before the first note
+ */
+function gridOrigin(notes, opts) {
+    if (opts.gridOffset === null || opts.gridOffset === undefined || notes.length === 0) return 0;
+
+    const [numerator, denominator] = opts.timeSignature;
+    const barSeconds = numerator * (4 / denominator) * 60 / opts.bpm;
+    const bars = Math.floor((notes[0].start - opts.gridOffset) / barSeconds);
+    return opts.gridOffset + bars * barSeconds;
+}
+
+function startNote(point) {
+    return { start: point.t, lastTime: point.t, points: [point], recent: [point.m], drift: [] };
+}
+
+function addPoint(note, point) {
+    note.points.push(point);
+    note.recent.push(point.m);
+    if (note.recent.length > 8) note.recent.shift();
+    note.lastTime = point.t;
+}
+
+function finalizeNote(note, endTime, opts) {
+    if (!note) return null;
+
+    const end = endTime ?? note.lastTime;
+    if (end - note.start < opts.minNoteDuration) return null;
+
+    const midi = Math.max(0, Math.min(127, Math.round(median(note.points.map(p => p.m)))));
+
+    // Velocity from the loudest frame of the first 100ms (the onset)
+    const onsetVolumes = note.points
+        .filter(p => p.t - note.start <= 0.1 && typeof p.v === 'number')
+        .map(p => p.v);
+    const velocity = onsetVolumes.length > 0
+        ? Math.max(1, Math.round(1 + 126 * normalizeVolume(Math.max(...onsetVolumes), opts)))
+        : opts.defaultVelocity;
+
+    return { start: note.start, end, midi, velocity, points: note.points };
+}
+
+function isStable(points, threshold) {
+    const values = points.map(p => p.m);
+    return Math.max(...values) - Math.min(...values) <= threshold;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function normalizeVolume(volume, opts) {
+    const { min, max } = opts.volumeRange;
+    return Math.max(0, Math.min(1, (volume - min) / (max - min)));
+}
+
+function bendValue(semitones, range) {
+    return Math.max(0, Math.min(16383, Math.round(PITCH_BEND_CENTER + (semitones / range) * PITCH_BEND_CENTER)));
+}
+
+function expressionValue(volume, opts) {
+    if (typeof volume !== 'number') return null;
+    return Math.round(127 * normalizeVolume(volume, opts));
+}
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview MIDI Learn - hardware knobs, faders and pads control app parameters.
+ *
+ * Architecture:
+ * - Listens to every MIDI input port (CC + note messages).
+ * - Targets are registered by the app ({ id, label, kind, apply }), so this
+ *   module knows nothing about SynthManager or the DOM. Targets, mappings and
+ *   their storage are a ControlMappings shared with Voice Modulation.
+ * - learn(targetId) binds the next incoming control to that target.
+ * - Each mapping has min / max / curve; 'trigger' targets fire on note-on or
+ *   when a CC crosses the half-way point upwards.
+ * - Mappings persist in localStorage (`mambo:midiMappings`).
+ */
+
+import { ControlMappings } from '../core/control-mappings.js';
+
+export const MIDI_LEARN_STORAGE_KEY = 'mambo:midiMappings';
+
+export class MidiLearnManager {
+    /**
+     * @param {Object} [options]
+     * @param {MIDIAccess} [options.midiAccess] - Pre-acquired access (tests / shared access)
+     * @param {Function} [options.requestMIDIAccess] - Defaults to navigator.requestMIDIAccess
+     * @param {Storage} [options.storage] - Defaults to window.localStorage
+     */
+    constructor({ midiAccess = null, requestMIDIAccess = null, storage = null } = {}) {
+        this.midiAccess = midiAccess;
+        this.requestMIDIAccess = requestMIDIAccess ||
+            (typeof navigator !== 'undefined' && navigator.requestMIDIAccess
+                ? navigator.requestMIDIAccess.bind(navigator)
+                : null);
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        // Mappings: { targetId, source: {type: 'cc'|'note', channel, number}, min, max, curve }
+        this.controls = new ControlMappings({
+            storageKey: MIDI_LEARN_STORAGE_KEY,
+            storage: this.storage,
+            sourceField: 'source',
+            logTag: '[MidiLearn]',
+            onChange: (mappings) => {
+                if (this.onMappingsChange) this.onMappingsChange(mappings);
+            }
+        });
+
+        this.learningTarget = null;
+
+        // Last raw value per source (edge detection for triggers)
+        this._lastRaw = new Map();
+
+        // Re-attaches ports on hot-plug; added once, whatever the number of init() calls
+        this._onStateChange = null;
+
+        // Callbacks for UI
+        // onLearn: (mapping) => void - a control was bound
+        // onMappingsChange: (mappings[]) => void
+        this.onLearn = null;
+        this.onMappingsChange = null;
+
+        this.controls.load();
+    }
+
+    /**
+     * @returns {Map<string, Object>} Registered targets by ID
+     */
+    get targets() {
+        return this.controls.targets;
+    }
+
+    /**
+     * @returns {Map<string, Object>} Mappings by target ID
+     */
+    get mappings() {
+        return this.controls.mappings;
+    }
+
+    /**
+     * Whether the browser exposes Web MIDI
+     * @returns {boolean}
+     */
+    isSupported() {
+        return Boolean(this.midiAccess || this.requestMIDIAccess);
+    }
+
+    /**
+     * Acquire MIDIAccess and listen to all input ports
+     * @returns {Promise<MIDIAccess>}
+     * @throws {Error} If Web MIDI is unavailable or permission is denied
+     */
+    async init() {
+        if (!this.midiAccess) {
+            if (!this.requestMIDIAccess) {
+                throw new Error('[MidiLearn] Web MIDI is not supported in this browser');
+            }
+            this.midiAccess = await this.requestMIDIAccess({ sysex: false });
+        }
+
+        this._attachInputs();
+        if (!this._onStateChange) {
+            this._onStateChange = () => this._attachInputs();
+            this.midiAccess.addEventListener?.('statechange', this._onStateChange);
+        }
+
+        console.log(`[MidiLearn] Listening on ${this.midiAccess.inputs.size} input(s)`);
+        return this.midiAccess;
+    }
+
+    /**
+     * Register a controllable parameter
+     * @param {Object} target
+     * @param {string} target.id - Stable ID (used in storage)
+     * @param {string} target.label - Display name
+     * @param {'continuous'|'trigger'} [target.kind='continuous']
+     * @param {Function} target.apply - Receives the mapped value (continuous) or nothing (trigger)
+     */
+    registerTarget(target) {
+        this.controls.registerTarget(target);
+    }
+
+    /**
+     * Registered targets in registration order
+     * @returns {Object[]}
+     */
+    getTargets() {
+        return this.controls.getTargets();
+    }
+
+    /**
+     * Bind the next incoming control to a target
+     * @param {string} targetId
+     */
+    learn(targetId) {
+        if (!this.targets.has(targetId)) {
+            throw new Error(`[MidiLearn] Unknown target: ${targetId}`);
+        }
+        this.learningTarget = targetId;
+    }
+
+    /**
+     * Leave learn mode without binding anything
+     */
+    cancelLearn() {
+        this.learningTarget = null;
+    }
+
+    /**
+     * @param {string} targetId
+     * @returns {Object|null} Mapping for the target
+     */
+    getMapping(targetId) {
+        return this.controls.getMapping(targetId);
+    }
+
+    /**
+     * @returns {Object[]} All mappings
+     */
+    getMappings() {
+        return this.controls.getMappings();
+    }
+
+    /**
+     * Change range / curve of an existing mapping
+     * @param {string} targetId
+     * @param {{min?: number, max?: number, curve?: string}} changes
+     */
+    updateMapping(targetId, changes) {
+        this.controls.updateMapping(targetId, changes);
+    }
+
+    /**
+     * Remove the mapping of a target
+     * @param {string} targetId
+     */
+    removeMapping(targetId) {
+        this.controls.removeMapping(targetId);
+    }
+
+    /**
+     * Handle one raw MIDI message (also the entry point for tests)
+     * @param {Uint8Array|number[]} data - [status, data1, data2]
+     */
+    handleMessage(data) {
+        if (!data || data.length < 2) return;
+
+        const [status, number, rawValue = 0] = data;
+        const kind = status & 0xF0;
+        const channel = status & 0x0F;
+
+        let source;
+        let value;
+        if (kind === 0xB0) {
+            source = { type: 'cc', channel, number };
+            value = rawValue;
+        } else if (kind === 0x90 || kind === 0x80) {
+            source = { type: 'note', channel, number };
+            value = kind === 0x90 ? rawValue : 0; // Note on with velocity 0 = note off
+        } else {
+            return;
+        }
+
+        if (this.learningTarget) {
+            // Note-offs never start a binding (they follow the note-on that did)
+            if (source.type === 'note' && value === 0) return;
+            this._bind(this.learningTarget, source);
+            return;
+        }
+
+        const key = sourceKey(source);
+        const previous = this._lastRaw.get(key) ?? 0;
+        this._lastRaw.set(key, value);
+
+        for (const mapping of this.mappings.values()) {
+            if (sourceKey(mapping.source) !== key) continue;
+
+            const target = this.targets.get(mapping.targetId);
+            if (!target) continue;
+
+            try {
+                if (target.kind === 'trigger') {
+                    // Rising edge only: pad press / fader pushed past the middle
+                    if (value >= 64 && previous < 64) target.apply();
+                } else {
+                    target.apply(this.mapValue(mapping, value));
+                }
+            } catch (error) {
+                console.error(`[MidiLearn] Failed to apply ${mapping.targetId}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Map a raw 7-bit value through a mapping's curve and range
+     * @param {Object} mapping
+     * @param {number} rawValue - 0-127
+     * @returns {number}
+     */
+    mapValue(mapping, rawValue) {
+        return this.controls.mapValue(mapping, rawValue / 127);
+    }
+
+    /**
+     * Stop listening
+     */
+    dispose() {
+        if (this.midiAccess) {
+            this.midiAccess.inputs.forEach(input => { input.onmidimessage = null; });
+            if (this._onStateChange) this.midiAccess.removeEventListener?.('statechange', this._onStateChange);
+        }
+        this._onStateChange = null;
+        this.learningTarget = null;
+    }
+
+    /**
+     * @private
+     */
+    _bind(targetId, source) {
+        const key = sourceKey(source);
+
+        // One control drives one target: steal the source from any other mapping
+        for (const [id, mapping] of this.mappings) {
+            if (id !== targetId && sourceKey(mapping.source) === key) {
+                this.mappings.delete(id);
+            }
+        }
+
+        this.learningTarget = null;
+        const mapping = this.controls.setMapping(targetId, source);
+
+        console.log(`[MidiLearn] ${targetId} ← ${describeMidiSource(source)}`);
+        if (this.onLearn) this.onLearn(mapping);
+    }
+
+    /**
+     * @private
+     */
+    _attachInputs() {
+        this.midiAccess.inputs.forEach(input => {
+            input.onmidimessage = (event) => this.handleMessage(event.data);
+        });
+    }
+
+}
+
+/**
+ * Human-readable source label, e.g. "CC 21 · Ch 1"
+ * @param {{type: 'cc'|'note', channel: number, number: number}} source
+ * @returns {string}
+ */
+export function describeMidiSource(source) {
+    const kind = source.type === 'cc' ? 'CC' : 'Note';
+    return `${kind} ${source.number} · Ch ${source.channel + 1}`;
+}
+
+function sourceKey(source) {
+    return `${source.type}:${source.channel}:${source.number}`;
+}
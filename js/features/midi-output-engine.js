@@ -0,0 +1,469 @@
+/**
+ * @fileoverview MIDI Output Engine - drives external synths with the tracked voice.
+ *
+ * Sits alongside ContinuousSynthEngine / SynthesizerEngine and consumes the same
+ * PitchFrames (via SynthManager + AudioLoopController):
+ * - note on/off at the nearest semitone, legato re-trigger when the voice
+ *   leaves the pitch-bend range
+ * - 14-bit pitch bend for everything in between (range = synthesizer.pitchBendRange)
+ * - brightness / breathiness → CC (74 / 2 by default)
+ * - volumeLinear → velocity (onset) and channel pressure
+ *
+ * MPE mode (lower zone, manager = channel 1): every 'attack' from the worklet's
+ * onset detector allocates the next member channel, so each note owns its
+ * ±48-semitone pitch bend, CC74 timbre (brightness) and pressure (volumeLinear)
+ * and the previous note's release tail is left untouched.
+ *
+ * MIDIAccess is injected (or requested lazily), so the engine runs against a mock in tests.
+ */
+
+import {
+    noteOn,
+    noteOff,
+    controlChange,
+    channelPressure,
+    pitchBend,
+    pitchBendRangeRpn,
+    PITCH_BEND_CENTER
+} from '../utils/midi-file.js';
+
+const CC_ALL_NOTES_OFF = 123;
+const CC_TIMBRE = 74;
+
+/**
+ * Output modes
+ * @enum {string}
+ */
+export const MIDI_OUTPUT_MODES = {
+    MONO: 'mono',
+    MPE: 'mpe'
+};
+
+export class MidiOutputEngine {
+    /**
+     * @param {Object} [options]
+     * @param {MIDIAccess} [options.midiAccess] - Pre-acquired access (tests / shared access)
+     * @param {Function} [options.requestMIDIAccess] - Defaults to navigator.requestMIDIAccess
+     * @param {number} [options.pitchBendRange=100] - Bend range in cents (synthesizer.pitchBendRange)
+     * @param {number} [options.channel=0] - Output channel (0-15)
+     * @param {number} [options.minConfidence=0.5] - Frames below this are treated as unvoiced
+     * @param {number} [options.releaseTime=80] - ms of unvoiced input before note off
+     * @param {{brightness: number, breathiness: number}} [options.ccMap] - CC numbers per feature
+     * @param {'mono'|'mpe'} [options.mode='mono'] - Output mode
+     * @param {{memberChannels: number, pitchBendRange: number}} [options.mpe] - MPE zone (bend range in semitones)
+     */
+    constructor({
+        midiAccess = null,
+        requestMIDIAccess = null,
+        pitchBendRange = 100,
+        channel = 0,
+        minConfidence = 0.5,
+        releaseTime = 80,
+        ccMap = { brightness: 74, breathiness: 2 },
+        mode = MIDI_OUTPUT_MODES.MONO,
+        mpe = { memberChannels: 15, pitchBendRange: 48 }
+    } = {}) {
+        this.midiAccess = midiAccess;
+        this.requestMIDIAccess = requestMIDIAccess ||
+            (typeof navigator !== 'undefined' && navigator.requestMIDIAccess
+                ? navigator.requestMIDIAccess.bind(navigator)
+                : null);
+
+        this.pitchBendRange = pitchBendRange;
+        this.channel = channel;
+        this.minConfidence = minConfidence;
+        this.releaseTime = releaseTime;
+        this.ccMap = { ...ccMap };
+        this.mode = mode;
+        this.mpe = { ...mpe };
+
+        // Dynamic range of mic RMS (same as ContinuousSynthEngine.updateVolume)
+        this.volumeRange = { min: 0.01, max: 0.2 };
+
+        this.enabled = false;
+        this.output = null;
+        this.outputId = null;
+
+        // Note state
+        this.isPlaying = false;
+        this.currentNote = null;
+        this.noteChannel = channel;     // Channel of the sounding note (rotates in MPE)
+        this.nextMemberIndex = 0;       // MPE round-robin position
+        this.lastVoicedTime = 0;
+        this.lastArticulation = null;
+
+        // Last sent values (avoid flooding the port with duplicates)
+        this._resetLastSent();
+
+        // Callback when the port list changes: (outputs: {id, name}[]) => void
+        this.onOutputsChange = null;
+    }
+
+    /**
+     * Whether the browser exposes Web MIDI
+     * @returns {boolean}
+     */
+    isSupported() {
+        return Boolean(this.midiAccess || this.requestMIDIAccess);
+    }
+
+    /**
+     * Acquire MIDIAccess (once) and start watching for port changes
+     * @returns {Promise<MIDIAccess>}
+     * @throws {Error} If Web MIDI is unavailable or permission is denied
+     */
+    async init() {
+        if (this.midiAccess) return this.midiAccess;
+        if (!this.requestMIDIAccess) {
+            throw new Error('[MidiOutput] Web MIDI is not supported in this browser');
+        }
+
+        this.midiAccess = await this.requestMIDIAccess({ sysex: false });
+        this.midiAccess.onstatechange = () => {
+            // Port we were using disappeared
+            if (this.outputId && !this.midiAccess.outputs.get(this.outputId)) {
+                console.warn('[MidiOutput] Output port disconnected');
+                this.output = null;
+                this.isPlaying = false;
+                this.currentNote = null;
+            } else if (this.outputId && !this.output) {
+                this.output = this.midiAccess.outputs.get(this.outputId) || null;
+            }
+            if (this.onOutputsChange) this.onOutputsChange(this.getOutputs());
+        };
+
+        console.log(`[MidiOutput] MIDI access granted (${this.getOutputs().length} outputs)`);
+        return this.midiAccess;
+    }
+
+    /**
+     * List available output ports
+     * @returns {{id: string, name: string}[]}
+     */
+    getOutputs() {
+        if (!this.midiAccess) return [];
+        return Array.from(this.midiAccess.outputs.values()).map(port => ({
+            id: port.id,
+            name: port.name || port.id
+        }));
+    }
+
+    /**
+     * Select the output port
+     * @param {string|null} outputId - Port id, or null to disconnect
+     * @returns {boolean} True if the port was found
+     */
+    setOutput(outputId) {
+        this.allNotesOff();
+
+        this.outputId = outputId || null;
+        this.output = (outputId && this.midiAccess?.outputs.get(outputId)) || null;
+
+        if (this.output) {
+            this._sendBendRange();
+            console.log(`[MidiOutput] Output: ${this.output.name || outputId}`);
+        }
+        return Boolean(this.output) || !outputId;
+    }
+
+    /**
+     * Select the output channel
+     * @param {number} channel - 0-15
+     */
+    setChannel(channel) {
+        const next = Math.max(0, Math.min(15, Math.round(channel)));
+        if (next === this.channel) return;
+
+        this.allNotesOff();
+        this.channel = next;
+        this._sendBendRange();
+    }
+
+    /**
+     * Switch between plain (mono) and MPE output
+     * @param {'mono'|'mpe'} mode
+     */
+    setMode(mode) {
+        if (!Object.values(MIDI_OUTPUT_MODES).includes(mode) || mode === this.mode) return;
+
+        this.allNotesOff();
+        this.mode = mode;
+        this.nextMemberIndex = 0;
+        this._sendBendRange();
+        console.log(`[MidiOutput] Mode: ${mode.toUpperCase()}`);
+    }
+
+    /**
+     * Enable / disable output (disabling releases the current note)
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        if (!enabled) this.allNotesOff();
+        this.enabled = Boolean(enabled);
+        if (this.enabled) this._sendBendRange();
+    }
+
+    /**
+     * Change the pitch bend range
+     * @param {number} cents - Range in cents (e.g. 200 = ±2 semitones)
+     */
+    setPitchBendRange(cents) {
+        this.pitchBendRange = Math.max(1, cents);
+        this._sendBendRange();
+    }
+
+    /**
+     * Translate one PitchFrame into MIDI messages
+     * @param {PitchFrame} pitchFrame
+     */
+    processPitchFrame(pitchFrame) {
+        if (!this.enabled || !this.output || !pitchFrame) return;
+
+        const {
+            frequency,
+            confidence = 0,
+            volumeLinear,
+            brightness,
+            breathiness,
+            articulation
+        } = pitchFrame;
+
+        const now = this._now();
+        const isOnset = articulation === 'attack' && this.lastArticulation !== 'attack';
+        this.lastArticulation = articulation;
+
+        const voiced = frequency > 0 && confidence >= this.minConfidence && articulation !== 'silence';
+
+        if (!voiced) {
+            const silentFor = now - this.lastVoicedTime;
+            if (this.isPlaying && (articulation === 'silence' || silentFor >= this.releaseTime)) {
+                this._endNote();
+            }
+            return;
+        }
+
+        this.lastVoicedTime = now;
+        const midiFloat = 69 + 12 * Math.log2(frequency / 440);
+
+        const expression = { volumeLinear, brightness, breathiness };
+
+        if (!this.isPlaying || isOnset) {
+            if (this.isPlaying) this._endNote();
+            this._startNote(midiFloat, expression);
+        } else if (Math.abs(midiFloat - this.currentNote) * 100 > this._getBendRangeCents()) {
+            // Out of bend range: re-trigger legato (new note before releasing the old one)
+            this._startNote(midiFloat, expression, { note: this.currentNote, channel: this.noteChannel });
+        } else {
+            this._sendBend(midiFloat);
+        }
+
+        this._sendExpression(expression);
+    }
+
+    /**
+     * Release the current note (engine stop / mode switch)
+     */
+    stop() {
+        if (this.isPlaying) this._endNote();
+    }
+
+    /**
+     * Release everything and reset controllers on every channel in use
+     */
+    allNotesOff() {
+        if (!this.output) {
+            this.isPlaying = false;
+            this.currentNote = null;
+            return;
+        }
+        this.stop();
+
+        const channels = this.mode === MIDI_OUTPUT_MODES.MPE
+            ? [0, ...this._getMemberChannels()]
+            : [this.channel];
+        channels.forEach(ch => {
+            this._send(controlChange(ch, CC_ALL_NOTES_OFF, 0));
+            this._send(pitchBend(ch, PITCH_BEND_CENTER));
+        });
+        this._resetLastSent();
+    }
+
+    /**
+     * Release ports and listeners
+     */
+    dispose() {
+        this.allNotesOff();
+        if (this.midiAccess) this.midiAccess.onstatechange = null;
+        this.output = null;
+        this.enabled = false;
+    }
+
+    // -------------------------------------------------------------------------
+    // Internals
+    // -------------------------------------------------------------------------
+
+    /**
+     * @private
+     */
+    _startNote(midiFloat, expression, legatoFrom = null) {
+        const note = Math.max(0, Math.min(127, Math.round(midiFloat)));
+        const velocity = Math.max(1, Math.round(1 + 126 * this._normalizeVolume(expression.volumeLinear)));
+
+        this.currentNote = note;
+
+        if (this.mode === MIDI_OUTPUT_MODES.MPE) {
+            // New member channel per note; its bend/timbre/pressure must be set before note on
+            this.noteChannel = this._allocateMemberChannel();
+            this._resetLastSent();
+            this._sendBend(midiFloat, true);
+            this._sendExpression(expression);
+        } else {
+            this.noteChannel = this.channel;
+            this._sendBend(midiFloat, true);
+        }
+
+        this._send(noteOn(this.noteChannel, note, velocity));
+
+        if (legatoFrom && (legatoFrom.note !== note || legatoFrom.channel !== this.noteChannel)) {
+            this._send(noteOff(legatoFrom.channel, legatoFrom.note));
+        }
+        this.isPlaying = true;
+    }
+
+    /**
+     * @private
+     */
+    _endNote() {
+        if (this.currentNote !== null) {
+            this._send(noteOff(this.noteChannel, this.currentNote));
+        }
+        this.isPlaying = false;
+        this.currentNote = null;
+    }
+
+    /**
+     * @private
+     */
+    _sendBend(midiFloat, force = false) {
+        const cents = (midiFloat - this.currentNote) * 100;
+        const value = Math.max(0, Math.min(16383,
+            Math.round(PITCH_BEND_CENTER + (cents / this._getBendRangeCents()) * PITCH_BEND_CENTER)));
+
+        if (force || value !== this.lastSent.bend) {
+            this._send(pitchBend(this.noteChannel, value));
+            this.lastSent.bend = value;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _sendExpression({ volumeLinear, brightness, breathiness }) {
+        if (typeof volumeLinear === 'number') {
+            const pressure = Math.round(127 * this._normalizeVolume(volumeLinear));
+            if (pressure !== this.lastSent.pressure) {
+                this._send(channelPressure(this.noteChannel, pressure));
+                this.lastSent.pressure = pressure;
+            }
+        }
+
+        for (const [feature, value] of [['brightness', brightness], ['breathiness', breathiness]]) {
+            // MPE fixes the per-note timbre dimension to CC74
+            const controller = this.mode === MIDI_OUTPUT_MODES.MPE && feature === 'brightness'
+                ? CC_TIMBRE
+                : this.ccMap[feature];
+            if (typeof value !== 'number' || controller === null || controller === undefined) continue;
+
+            const ccValue = Math.round(127 * Math.max(0, Math.min(1, value)));
+            if (ccValue !== this.lastSent[feature]) {
+                this._send(controlChange(this.noteChannel, controller, ccValue));
+                this.lastSent[feature] = ccValue;
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _sendBendRange() {
+        if (!this.output) return;
+
+        if (this.mode === MIDI_OUTPUT_MODES.MPE) {
+            // MPE Configuration Message (RPN 6) on the lower-zone manager channel
+            this._send(controlChange(0, 101, 0));
+            this._send(controlChange(0, 100, 6));
+            this._send(controlChange(0, 6, this.mpe.memberChannels));
+            this._getMemberChannels().forEach(ch => {
+                pitchBendRangeRpn(ch, this.mpe.pitchBendRange).forEach(message => this._send(message));
+            });
+            return;
+        }
+
+        const semitones = Math.floor(this.pitchBendRange / 100);
+        const cents = Math.round(this.pitchBendRange % 100);
+        pitchBendRangeRpn(this.channel, semitones, cents).forEach(message => this._send(message));
+    }
+
+    /**
+     * Bend range of the channel the current note plays on, in cents
+     * @private
+     */
+    _getBendRangeCents() {
+        return this.mode === MIDI_OUTPUT_MODES.MPE ? this.mpe.pitchBendRange * 100 : this.pitchBendRange;
+    }
+
+    /**
+     * Member channels of the MPE lower zone (manager = channel 0)
+     * @private
+     */
+    _getMemberChannels() {
+        const count = Math.max(1, Math.min(15, this.mpe.memberChannels));
+        return Array.from({ length: count }, (_, i) => i + 1);
+    }
+
+    /**
+     * Round-robin member channel allocation (oldest channel is reused first)
+     * @private
+     */
+    _allocateMemberChannel() {
+        const members = this._getMemberChannels();
+        const channel = members[this.nextMemberIndex % members.length];
+        this.nextMemberIndex = (this.nextMemberIndex + 1) % members.length;
+        return channel;
+    }
+
+    /**
+     * @private
+     */
+    _resetLastSent() {
+        this.lastSent = { bend: null, pressure: null, brightness: null, breathiness: null };
+    }
+
+    /**
+     * @private
+     */
+    _normalizeVolume(volume) {
+        if (typeof volume !== 'number') return 0.75;
+        const { min, max } = this.volumeRange;
+        return Math.max(0, Math.min(1, (volume - min) / (max - min)));
+    }
+
+    /**
+     * @private
+     */
+    _send(message) {
+        if (!this.output) return;
+        try {
+            this.output.send(message);
+        } catch (error) {
+            console.error('[MidiOutput] Send failed:', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Octave Corrector - snaps implausible ×2 / ×0.5 pitch jumps back.
+ *
+ * Sits between the detector (worklet PitchFrames) and
+ * AudioLoopController.handleWorkletPitchFrame. A frame that lands one octave
+ * away from the recent pitch history is a correction candidate; the decision
+ * is a vote over:
+ * - Harmonic evidence: frame.harmonicProfile from the worklet FFT
+ *   (subharmonic energy → estimate too high, only even harmonics → too low).
+ * - Calibrated range: CalibrationSystem.calibrationData lowest/highest note.
+ * - Duration: a jump that persists for more than `maxConsecutive` frames is a
+ *   real octave leap, so the corrector follows it.
+ */
+
+// Harmonic profile thresholds (measured on sine / sawtooth / voice renders at 150-880 Hz)
+const SUBHARMONIC_SUPPORT = 0.4;   // True pitch at f/2: 0.6-1.0, correct estimate: < 0.2
+const SUBHARMONIC_REJECT = 0.25;
+const EVEN_HARMONIC_SUPPORT = 0.8; // True pitch at 2f: ~1.0, correct estimate: < 0.4
+const EVEN_HARMONIC_REJECT = 0.5;
+
+export class OctaveCorrector {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.calibration] - CalibrationSystem (calibrationData is read on every frame)
+     * @param {number} [options.historySize=8] - Frames in the reference median
+     * @param {number} [options.toleranceCents=100] - How close to ±1200 cents counts as an octave jump
+     * @param {number} [options.maxConsecutive=3] - Longest jump (frames) that is still corrected
+     * @param {number} [options.gapMs=250] - Silence after which history is dropped (new phrase)
+     * @param {Function} [options.onCorrection] - ({from, to, timestamp}) => void
+     */
+    constructor({
+        calibration = null,
+        historySize = 8,
+        toleranceCents = 100,
+        maxConsecutive = 3,
+        gapMs = 250,
+        onCorrection = null
+    } = {}) {
+        this.calibration = calibration;
+        this.historySize = historySize;
+        this.toleranceCents = toleranceCents;
+        this.maxConsecutive = maxConsecutive;
+        this.gapMs = gapMs;
+        this.onCorrection = onCorrection;
+
+        this.corrections = 0;
+        this.reset();
+    }
+
+    /**
+     * Forget the pitch history (stop, device change, new phrase)
+     */
+    reset() {
+        this.history = [];
+        this.jumpDirection = 0;
+        this.jumpFrames = 0;
+        this.lastTime = null;
+    }
+
+    /**
+     * @param {import('../types/app-types.js').PitchFrame} frame
+     * @returns {import('../types/app-types.js').PitchFrame} The same frame, or a corrected copy
+     */
+    process(frame) {
+        if (!frame || !(frame.frequency > 0)) return frame;
+
+        const time = frame.captureTime;
+        if (typeof time === 'number' && this.lastTime !== null && time - this.lastTime > this.gapMs) {
+            this.reset();
+        }
+        if (typeof time === 'number') this.lastTime = time;
+
+        const reference = this._reference();
+        const direction = reference === null ? 0 : this._octaveJump(frame.frequency, reference);
+
+        if (direction === 0) {
+            this.jumpDirection = 0;
+            this.jumpFrames = 0;
+            this._remember(frame.frequency);
+            return frame;
+        }
+
+        this.jumpFrames = direction === this.jumpDirection ? this.jumpFrames + 1 : 1;
+        this.jumpDirection = direction;
+
+        const corrected = frame.frequency / Math.pow(2, direction);
+        if (this.jumpFrames > this.maxConsecutive || this._vote(frame, corrected, direction) < 0) {
+            // A real leap: start over in the new octave
+            this.history = [frame.frequency];
+            this.jumpDirection = 0;
+            this.jumpFrames = 0;
+            return frame;
+        }
+
+        this._remember(corrected);
+        this.corrections++;
+        if (this.onCorrection) {
+            this.onCorrection({ from: frame.frequency, to: corrected, timestamp: time });
+        }
+
+        return {
+            ...frame,
+            frequency: corrected,
+            octave: frame.octave - direction,
+            octaveCorrected: true
+        };
+    }
+
+    /**
+     * @returns {{corrections: number}}
+     */
+    getStats() {
+        return { corrections: this.corrections };
+    }
+
+    /**
+     * +1 when frequency is an octave above the reference, -1 below, 0 otherwise
+     * @private
+     */
+    _octaveJump(frequency, reference) {
+        const cents = 1200 * Math.log2(frequency / reference);
+        if (Math.abs(cents - 1200) <= this.toleranceCents) return 1;
+        if (Math.abs(cents + 1200) <= this.toleranceCents) return -1;
+        return 0;
+    }
+
+    /**
+     * Sum of the harmonic and range votes: > 0 favours the correction,
+     * < 0 says the detected octave is real, 0 = no evidence (history decides)
+     * @private
+     */
+    _vote(frame, corrected, direction) {
+        let votes = 0;
+
+        const profile = frame.harmonicProfile;
+        if (profile) {
+            if (direction > 0) {
+                if (profile.subharmonic >= SUBHARMONIC_SUPPORT) votes++;
+                else if (profile.subharmonic < SUBHARMONIC_REJECT) votes--;
+            } else {
+                if (profile.evenHarmonic >= EVEN_HARMONIC_SUPPORT) votes++;
+                else if (profile.evenHarmonic < EVEN_HARMONIC_REJECT) votes--;
+            }
+        }
+
+        const range = this._calibratedRange();
+        if (range) {
+            const inRange = (f) => f >= range.low && f <= range.high;
+            if (inRange(corrected) && !inRange(frame.frequency)) votes++;
+            else if (!inRange(corrected) && inRange(frame.frequency)) votes--;
+        }
+
+        return votes;
+    }
+
+    /**
+     * Calibrated range with a semitone of slack, or null when not calibrated
+     * @private
+     */
+    _calibratedRange() {
+        const data = this.calibration && this.calibration.calibrationData;
+        if (!data || !(data.lowestFreq > 0) || !(data.highestFreq > data.lowestFreq)) return null;
+        const slack = Math.pow(2, 1 / 12);
+        return { low: data.lowestFreq / slack, high: data.highestFreq * slack };
+    }
+
+    /**
+     * @private
+     */
+    _reference() {
+        if (this.history.length === 0) return null;
+        const sorted = [...this.history].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? Math.sqrt(sorted[mid - 1] * sorted[mid]) : sorted[mid];
+    }
+
+    /**
+     * @private
+     */
+    _remember(frequency) {
+        this.history.push(frequency);
+        if (this.history.length > this.historySize) this.history.shift();
+    }
+}
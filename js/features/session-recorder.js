@@ -0,0 +1,466 @@
+/**
+ * @fileoverview Session Recorder - captures what the instrument actually sounded like.
+ *
+ * Architecture:
+ * - Taps the final output of each synth engine (after filter → delay → reverb)
+ *   via `engine.getOutputNode()`, summing them into one tap bus.
+ * - Lossless PCM is captured by `recorder-worklet.js` (ScriptProcessor fallback),
+ *   compressed WebM/Opus by MediaRecorder. Both run in parallel so one take
+ *   can be exported in either format.
+ * - Optionally records the dry microphone as a second, time-aligned track.
+ * - A take can start at a given context time (the next transport bar), so the
+ *   file begins on a downbeat; audio before it is dropped.
+ *
+ * Everything runs in Tone.js's AudioContext: the synth nodes live there, and the
+ * microphone is brought in as a MediaStream (AudioIO uses a separate context).
+ */
+
+import { encodeWav, concatFloat32 } from '../utils/wav-codec.js';
+
+/**
+ * Export formats understood by `download()`
+ * @enum {string}
+ */
+export const RECORDING_FORMATS = {
+    WAV_16: 'wav-16',
+    WAV_24: 'wav-24',
+    WEBM_OPUS: 'webm-opus'
+};
+
+const WEBM_MIME_TYPE = 'audio/webm;codecs=opus';
+
+export class SessionRecorder {
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.engines - Synth engines exposing getOutputNode()
+     * @param {AudioContext} [options.audioContext] - Defaults to Tone's raw context at start()
+     * @param {string} [options.workletUrl='js/recorder-worklet.js'] - Capture processor module
+     * @param {number} [options.channelCount=2] - Channels captured per track
+     */
+    constructor({ engines = [], audioContext = null, workletUrl = 'js/recorder-worklet.js', channelCount = 2 } = {}) {
+        this.engines = engines.filter(Boolean);
+        this.audioContext = audioContext;
+        this.workletUrl = workletUrl;
+        this.channelCount = channelCount;
+
+        /** @type {'inactive'|'recording'|'paused'|'stopping'} */
+        this.state = 'inactive';
+
+        // Active tracks while recording, last finished take afterwards
+        this.tracks = null;
+        this.lastTake = null;
+        this.sampleRate = 0;
+
+        this._tapNode = null;
+        this._tappedOutputs = [];
+        this._workletContexts = new WeakSet();
+        this._startTime = null;
+
+        // Callback for UI updates: ({ state, duration }) => void
+        this.onStateChange = null;
+    }
+
+    /**
+     * Whether the browser can produce WebM/Opus
+     * @returns {boolean}
+     */
+    static isWebmSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            (typeof MediaRecorder.isTypeSupported !== 'function' || MediaRecorder.isTypeSupported(WEBM_MIME_TYPE));
+    }
+
+    /**
+     * Start a new take
+     * @param {Object} [options]
+     * @param {boolean} [options.includeMic=false] - Also record the dry microphone
+     * @param {MediaStream} [options.micStream] - Microphone stream (required when includeMic)
+     * @param {number} [options.startTime] - Context time the take begins at (e.g. the next bar)
+     * @throws {Error} If no engine output is available yet
+     */
+    async start({ includeMic = false, micStream = null, startTime = null } = {}) {
+        if (this.state !== 'inactive') return;
+
+        const ctx = this._getContext();
+        if (!ctx) {
+            throw new Error('[SessionRecorder] No AudioContext available');
+        }
+
+        const outputs = this.engines
+            .map(engine => (typeof engine.getOutputNode === 'function' ? engine.getOutputNode() : null))
+            .filter(Boolean);
+
+        if (outputs.length === 0) {
+            throw new Error('[SessionRecorder] No synth output to record - start the engine first');
+        }
+
+        this.sampleRate = ctx.sampleRate;
+        this._startTime = startTime;
+        this._tapNode = ctx.createGain();
+        outputs.forEach(node => node.connect(this._tapNode));
+        this._tappedOutputs = outputs;
+
+        this.tracks = {
+            synth: await this._createTrack(ctx, 'synth', this._tapNode)
+        };
+
+        if (includeMic && micStream) {
+            const micSource = ctx.createMediaStreamSource(micStream);
+            this.tracks.mic = await this._createTrack(ctx, 'mic', micSource);
+        }
+
+        this._setState('recording');
+        console.log(`[SessionRecorder] ● Recording (${Object.keys(this.tracks).join(' + ')})`);
+    }
+
+    /**
+     * Pause capture without ending the take
+     */
+    pause() {
+        if (this.state !== 'recording') return;
+
+        this._forEachTrack(track => {
+            track.capturing = false;
+            track.captureNode.port?.postMessage({ type: 'stop' });
+            // Not started yet (waiting for the start time): resume() schedules it again
+            clearTimeout(track.startTimer);
+            track.startTimer = null;
+            if (track.mediaRecorder?.state === 'recording') track.mediaRecorder.pause();
+        });
+        this._setState('paused');
+    }
+
+    /**
+     * Resume a paused take
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+
+        this._forEachTrack(track => {
+            track.capturing = true;
+            track.captureNode.port?.postMessage({ type: 'start' });
+            if (track.mediaRecorder?.state === 'paused') {
+                track.mediaRecorder.resume();
+            } else if (track.mediaRecorder?.state === 'inactive') {
+                this._startMediaRecorder(track);
+            }
+        });
+        this._setState('recording');
+    }
+
+    /**
+     * Finish the take and release all taps
+     * @returns {Promise<{duration: number, tracks: string[], empty: boolean}|null>} Take summary;
+     *          `empty` when nothing was captured (e.g. stopped before the start time)
+     */
+    async stop() {
+        if (this.state === 'inactive' || this.state === 'stopping') return null;
+
+        this._setState('stopping');
+
+        const pending = [];
+        this._forEachTrack(track => {
+            track.capturing = false;
+            clearTimeout(track.startTimer);
+            pending.push(track.flushed);
+            track.captureNode.port?.postMessage({ type: 'stop' });
+
+            if (track.mediaRecorder && track.mediaRecorder.state !== 'inactive') {
+                pending.push(new Promise(resolve => {
+                    track.mediaRecorder.addEventListener('stop', resolve, { once: true });
+                    track.mediaRecorder.stop();
+                }));
+            }
+        });
+
+        await Promise.all(pending);
+        this._teardown();
+
+        this.lastTake = this.tracks;
+        this.tracks = null;
+        this._setState('inactive');
+
+        const summary = {
+            duration: this.getDuration(),
+            tracks: Object.keys(this.lastTake),
+            empty: this.getDuration() === 0
+        };
+        if (summary.empty) {
+            console.warn('[SessionRecorder] ■ Take finished before anything was recorded');
+        } else {
+            console.log(`[SessionRecorder] ■ Take finished: ${summary.duration.toFixed(2)}s`);
+        }
+        return summary;
+    }
+
+    /**
+     * Length of the current (or last) take in seconds
+     * @returns {number}
+     */
+    getDuration() {
+        const track = (this.tracks || this.lastTake)?.synth;
+        if (!track || !this.sampleRate) return 0;
+
+        const frames = track.chunks.reduce((sum, block) => sum + block[0].length, 0);
+        return frames / this.sampleRate;
+    }
+
+    /**
+     * Export the last take as PCM WAV
+     * @param {Object} [options]
+     * @param {'synth'|'mic'} [options.track='synth']
+     * @param {16|24} [options.bitDepth=16]
+     * @returns {Blob}
+     */
+    exportWav({ track = 'synth', bitDepth = 16 } = {}) {
+        const take = this._getFinishedTrack(track);
+        const numChannels = take.chunks[0]?.length || 1;
+
+        const channels = [];
+        for (let ch = 0; ch < numChannels; ch++) {
+            channels.push(concatFloat32(take.chunks.map(block => block[ch] || block[0])));
+        }
+
+        return new Blob([encodeWav(channels, this.sampleRate, bitDepth)], { type: 'audio/wav' });
+    }
+
+    /**
+     * Export the last take as WebM/Opus
+     * @param {Object} [options]
+     * @param {'synth'|'mic'} [options.track='synth']
+     * @returns {Blob}
+     */
+    exportWebm({ track = 'synth' } = {}) {
+        const take = this._getFinishedTrack(track);
+        if (take.webmChunks.length === 0) {
+            throw new Error('[SessionRecorder] WebM/Opus is not available for this take');
+        }
+        return new Blob(take.webmChunks, { type: WEBM_MIME_TYPE });
+    }
+
+    /**
+     * Export and download the last take (every recorded track).
+     * Tracks with nothing in the chosen format are skipped.
+     * @param {string} [format=RECORDING_FORMATS.WAV_16] - One of RECORDING_FORMATS
+     * @returns {number} Files downloaded
+     */
+    download(format = RECORDING_FORMATS.WAV_16) {
+        if (!this.lastTake) {
+            alert('No take to export. Record something first!');
+            return 0;
+        }
+
+        const isWebm = format === RECORDING_FORMATS.WEBM_OPUS;
+        const trackNames = Object.keys(this.lastTake).filter(name => {
+            const track = this.lastTake[name];
+            return isWebm ? track.webmChunks.length > 0 : track.chunks.length > 0;
+        });
+        if (trackNames.length === 0) {
+            alert('The take is empty - it was stopped before recording began.');
+            return 0;
+        }
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+        trackNames.forEach(trackName => {
+            let blob;
+            let extension;
+            if (isWebm) {
+                blob = this.exportWebm({ track: trackName });
+                extension = 'webm';
+            } else {
+                const bitDepth = format === RECORDING_FORMATS.WAV_24 ? 24 : 16;
+                blob = this.exportWav({ track: trackName, bitDepth });
+                extension = 'wav';
+            }
+
+            const link = document.createElement('a');
+            link.download = `mambo-take-${stamp}-${trackName}.${extension}`;
+            link.href = URL.createObjectURL(blob);
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        });
+        return trackNames.length;
+    }
+
+    /**
+     * Build one recorded track: PCM capture + optional MediaRecorder
+     * @private
+     */
+    async _createTrack(ctx, name, sourceNode) {
+        const track = {
+            name,
+            chunks: [],
+            webmChunks: [],
+            capturing: true,
+            captureNode: null,
+            mediaRecorder: null,
+            streamDestination: null,
+            startTimer: null,
+            sourceNode,
+            flushed: null,
+            _resolveFlush: null
+        };
+        track.flushed = new Promise(resolve => { track._resolveFlush = resolve; });
+
+        track.captureNode = await this._createCaptureNode(ctx, track);
+        sourceNode.connect(track.captureNode);
+
+        if (SessionRecorder.isWebmSupported() && typeof ctx.createMediaStreamDestination === 'function') {
+            track.streamDestination = ctx.createMediaStreamDestination();
+            sourceNode.connect(track.streamDestination);
+
+            track.mediaRecorder = new MediaRecorder(track.streamDestination.stream, { mimeType: WEBM_MIME_TYPE });
+            track.mediaRecorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) track.webmChunks.push(event.data);
+            };
+            this._startMediaRecorder(track);
+        }
+
+        return track;
+    }
+
+    /**
+     * Start a track's MediaRecorder now, or at the take's start time if that is still ahead.
+     * MediaRecorder has no start time: wait for it on the main thread.
+     * @private
+     */
+    _startMediaRecorder(track) {
+        const ctx = this._getContext();
+        const delay = this._startTime !== null ? (this._startTime - ctx.currentTime) * 1000 : 0;
+        if (delay > 0) {
+            track.startTimer = setTimeout(() => {
+                track.startTimer = null;
+                if (track.capturing) track.mediaRecorder.start(1000);
+            }, delay);
+        } else {
+            track.mediaRecorder.start(1000);
+        }
+    }
+
+    /**
+     * Create the PCM capture node (AudioWorklet preferred, ScriptProcessor fallback)
+     * @private
+     */
+    async _createCaptureNode(ctx, track) {
+        if (ctx.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+            try {
+                if (!this._workletContexts.has(ctx)) {
+                    await ctx.audioWorklet.addModule(this.workletUrl);
+                    this._workletContexts.add(ctx);
+                }
+
+                const node = new AudioWorkletNode(ctx, 'session-recorder', {
+                    numberOfInputs: 1,
+                    numberOfOutputs: 0,
+                    channelCount: this.channelCount,
+                    channelCountMode: 'explicit'
+                });
+                node.port.onmessage = (event) => {
+                    const { type, channels } = event.data;
+                    if (type === 'chunk') {
+                        track.chunks.push(channels);
+                    } else if (type === 'stopped' && this.state === 'stopping') {
+                        track._resolveFlush();
+                    }
+                };
+                node.port.postMessage({ type: 'start', at: this._startTime ?? 0 });
+                return node;
+            } catch (error) {
+                console.warn('[SessionRecorder] AudioWorklet unavailable, falling back to ScriptProcessor:', error);
+            }
+        }
+
+        const node = ctx.createScriptProcessor(4096, this.channelCount, this.channelCount);
+        node.onaudioprocess = (event) => {
+            if (!track.capturing) return;
+
+            // Drop what was captured before the take's start time
+            let offset = 0;
+            if (this._startTime !== null && typeof event.playbackTime === 'number') {
+                const length = event.inputBuffer.getChannelData(0).length;
+                const blockStart = event.playbackTime - length / ctx.sampleRate;
+                offset = Math.round((this._startTime - blockStart) * ctx.sampleRate);
+                if (offset >= length) return;
+            }
+
+            const channels = [];
+            for (let ch = 0; ch < event.inputBuffer.numberOfChannels; ch++) {
+                channels.push(new Float32Array(event.inputBuffer.getChannelData(ch).subarray(Math.max(0, offset))));
+            }
+            track.chunks.push(channels);
+        };
+        // ScriptProcessor only runs while pulled by the destination (its output stays silent)
+        node.connect(ctx.destination);
+        track._resolveFlush();
+        return node;
+    }
+
+    /**
+     * Disconnect taps and capture nodes
+     * @private
+     */
+    _teardown() {
+        this._forEachTrack(track => {
+            try {
+                track.sourceNode.disconnect(track.captureNode);
+                if (track.streamDestination) track.sourceNode.disconnect(track.streamDestination);
+                track.captureNode.disconnect();
+            } catch (error) {
+                // Already disconnected
+            }
+            if (track.captureNode.port) track.captureNode.port.onmessage = null;
+            track.captureNode.onaudioprocess = null;
+        });
+
+        this._tappedOutputs.forEach(node => {
+            try {
+                node.disconnect(this._tapNode);
+            } catch (error) {
+                // Engine output was disposed meanwhile
+            }
+        });
+
+        this._tappedOutputs = [];
+        this._tapNode = null;
+    }
+
+    /**
+     * @private
+     */
+    _getFinishedTrack(name) {
+        const track = this.lastTake?.[name];
+        if (!track) {
+            throw new Error(`[SessionRecorder] No recorded "${name}" track`);
+        }
+        return track;
+    }
+
+    /**
+     * @private
+     */
+    _getContext() {
+        if (this.audioContext) return this.audioContext;
+        const Tone = typeof window !== 'undefined' ? window.Tone : null;
+        if (!Tone) return null;
+        const context = typeof Tone.getContext === 'function' ? Tone.getContext() : Tone.context;
+        return context?.rawContext || context || null;
+    }
+
+    /**
+     * @private
+     */
+    _forEachTrack(fn) {
+        if (!this.tracks) return;
+        Object.values(this.tracks).forEach(fn);
+    }
+
+    /**
+     * @private
+     */
+    _setState(state) {
+        this.state = state;
+        if (this.onStateChange) {
+            this.onStateChange({ state, duration: this.getDuration() });
+        }
+    }
+}
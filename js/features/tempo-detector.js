@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Tempo Detector - estimates the tempo of what is being sung.
+ *
+ * - Onsets are the rising edges of the `attack` articulation that
+ *   OnsetDetector / SimpleOnsetDetector put on each PitchFrame.
+ * - Inter-onset intervals between each onset and its next few successors
+ *   (not only the neighbour) vote in a tempo histogram. Every interval is
+ *   folded into one octave of tempo (minBpm … 2 × minBpm) and spread with a
+ *   Gaussian, so eighth notes, rests and held notes all point at the same
+ *   beat. The histogram peak is the estimate.
+ * - Tap tempo: the mean of the last taps; a long pause starts a new count.
+ * - onTempoChange fires when a confident estimate (or a tap) moves the
+ *   tempo by at least `changeThreshold` BPM.
+ */
+
+const DEFAULT_FRAME_MS = 11.6; // Worklet hop (512 samples @ 44.1 kHz) when frames carry no time
+
+export class TempoDetector {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minBpm=75] - Estimates are folded into minBpm … 2 × minBpm
+     * @param {number} [options.windowSeconds=8] - Onsets older than this are forgotten
+     * @param {number} [options.minOnsets=4] - Onsets needed before the first estimate
+     * @param {number} [options.maxNeighbors=4] - Successors each onset is paired with
+     * @param {number} [options.spreadBpm=3] - Gaussian width of one vote (sung timing is loose)
+     * @param {number} [options.minConfidence=0.3] - Estimate confidence needed to change the tempo
+     * @param {number} [options.changeThreshold=3] - BPM change that counts as a new tempo
+     * @param {number} [options.maxTapGapMs=2000] - Pause that starts a new tap count
+     * @param {Function} [options.onTempoChange] - ({bpm, confidence, source: 'voice'|'tap'}) => void
+     */
+    constructor({
+        minBpm = 75,
+        windowSeconds = 8,
+        minOnsets = 4,
+        maxNeighbors = 4,
+        spreadBpm = 3,
+        minConfidence = 0.3,
+        changeThreshold = 3,
+        maxTapGapMs = 2000,
+        onTempoChange = null
+    } = {}) {
+        this.minBpm = minBpm;
+        this.windowSeconds = windowSeconds;
+        this.minOnsets = minOnsets;
+        this.maxNeighbors = maxNeighbors;
+        this.spreadBpm = spreadBpm;
+        this.minConfidence = minConfidence;
+        this.changeThreshold = changeThreshold;
+        this.maxTapGapMs = maxTapGapMs;
+        this.onTempoChange = onTempoChange;
+
+        this.taps = [];
+        this.reset();
+    }
+
+    /**
+     * Forget the sung onsets (new song / stop); the current tempo is kept
+     */
+    reset() {
+        this.onsets = [];
+        this.lastArticulation = 'silence';
+        this.clock = 0;
+
+        /** @type {{bpm: number, confidence: number, source: 'voice'|'tap'}|null} */
+        this.currentTempo = this.currentTempo || null;
+    }
+
+    /**
+     * Add one PitchFrame
+     * @param {import('../types/app-types.js').PitchFrame} frame
+     * @returns {{bpm: number, confidence: number, source: string}|null} Current tempo
+     */
+    process(frame) {
+        this.clock = typeof frame?.captureTime === 'number' ? frame.captureTime : this.clock + DEFAULT_FRAME_MS;
+
+        const articulation = frame?.articulation;
+        const isOnset = articulation === 'attack' && this.lastArticulation !== 'attack';
+        if (articulation) this.lastArticulation = articulation;
+        if (!isOnset) return this.currentTempo;
+
+        this.onsets.push(this.clock);
+        const oldest = this.clock - this.windowSeconds * 1000;
+        while (this.onsets.length > 0 && this.onsets[0] < oldest) this.onsets.shift();
+
+        const estimate = this.estimate();
+        if (estimate && estimate.confidence >= this.minConfidence) {
+            this._update({ ...estimate, source: 'voice' });
+        }
+        return this.currentTempo;
+    }
+
+    /**
+     * Tempo of the recent onsets (no hysteresis)
+     * @returns {{bpm: number, confidence: number}|null}
+     */
+    estimate() {
+        if (this.onsets.length < this.minOnsets) return null;
+
+        const maxBpm = this.minBpm * 2;
+        const histogram = new Float64Array(Math.ceil(maxBpm - this.minBpm) + 1);
+        const reach = Math.ceil(this.spreadBpm * 3);
+        let total = 0;
+
+        for (let i = 0; i < this.onsets.length; i++) {
+            for (let k = 1; k <= this.maxNeighbors && i + k < this.onsets.length; k++) {
+                const interval = (this.onsets[i + k] - this.onsets[i]) / 1000;
+                if (interval <= 0) continue;
+
+                let bpm = 60 / interval;
+                while (bpm < this.minBpm) bpm *= 2;
+                while (bpm >= maxBpm) bpm /= 2;
+
+                // Nearer pairs are more reliable than ones spanning several notes
+                const weight = 1 / k;
+                const center = bpm - this.minBpm;
+                for (let bin = Math.max(0, Math.floor(center) - reach); bin <= Math.min(histogram.length - 1, Math.ceil(center) + reach); bin++) {
+                    const distance = bin - center;
+                    histogram[bin] += weight * Math.exp(-(distance * distance) / (2 * this.spreadBpm * this.spreadBpm));
+                }
+                total += weight;
+            }
+        }
+        if (total === 0) return null;
+
+        let peak = 0;
+        for (let bin = 1; bin < histogram.length; bin++) {
+            if (histogram[bin] > histogram[peak]) peak = bin;
+        }
+
+        // Refine around the peak and measure how much of the evidence agrees
+        let sum = 0;
+        let weighted = 0;
+        for (let bin = Math.max(0, peak - reach); bin <= Math.min(histogram.length - 1, peak + reach); bin++) {
+            sum += histogram[bin];
+            weighted += histogram[bin] * bin;
+        }
+        const spreadMass = this.spreadBpm * Math.sqrt(2 * Math.PI);
+
+        return {
+            bpm: Math.round((this.minBpm + weighted / sum) * 10) / 10,
+            confidence: Math.min(1, sum / spreadMass / total)
+        };
+    }
+
+    /**
+     * Register one tap of the tap-tempo key
+     * @param {number} [timeMs=performance.now()]
+     * @returns {number|null} Tapped BPM once there are two taps
+     */
+    tap(timeMs = performance.now()) {
+        const last = this.taps[this.taps.length - 1];
+        if (last !== undefined && timeMs - last > this.maxTapGapMs) this.taps = [];
+
+        this.taps.push(timeMs);
+        if (this.taps.length > 8) this.taps.shift();
+        if (this.taps.length < 2) return null;
+
+        const meanInterval = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+        const bpm = Math.round(60000 / meanInterval * 10) / 10;
+        this._update({ bpm, confidence: 1, source: 'tap' }, true);
+        return bpm;
+    }
+
+    /**
+     * @private
+     */
+    _update(tempo, force = false) {
+        const changed = !this.currentTempo || Math.abs(tempo.bpm - this.currentTempo.bpm) >= this.changeThreshold;
+        this.currentTempo = changed || force ? tempo : { ...this.currentTempo, confidence: tempo.confidence };
+
+        if ((changed || force) && this.onTempoChange) {
+            this.onTempoChange(tempo);
+        }
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Voice Modulation - features of the singing voice drive app parameters.
+ *
+ * Architecture:
+ * - Sources read one 0-1 value from each PitchFrame (vowel openness / frontness
+ *   from the LPC formants, brightness, breathiness, volume, vibrato depth).
+ * - Targets are the same { id, label, kind, apply } objects MIDI Learn uses,
+ *   registered by the app; only 'continuous' targets can be modulated.
+ * - One source per target, with min / max / curve like a MIDI mapping (both
+ *   keep targets and mappings in a ControlMappings).
+ * - A small dead band keeps targets from being re-applied on every frame.
+ * - Mappings persist in localStorage (`mambo:voiceMappings`).
+ */
+
+import { ControlMappings } from '../core/control-mappings.js';
+import { vowelSpace } from '../pitch-dsp.js';
+
+export const VOICE_MODULATION_STORAGE_KEY = 'mambo:voiceMappings';
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Modulation sources: read(frame) returns 0-1, or null while the feature is unknown
+ */
+export const VOICE_SOURCES = {
+    vowelOpenness: {
+        label: 'Vowel: open (oo → aa)',
+        read: (frame) => vowelSpace(frame.formantF1, frame.formantF2)?.openness ?? null
+    },
+    vowelFrontness: {
+        label: 'Vowel: front (oo → ee)',
+        read: (frame) => vowelSpace(frame.formantF1, frame.formantF2)?.frontness ?? null
+    },
+    brightness: {
+        label: 'Brightness',
+        read: (frame) => (typeof frame.brightness === 'number' ? clamp01(frame.brightness) : null)
+    },
+    breathiness: {
+        label: 'Breathiness',
+        read: (frame) => (typeof frame.breathiness === 'number' ? clamp01(frame.breathiness) : null)
+    },
+    volume: {
+        label: 'Volume',
+        read: (frame) => (typeof frame.volumeDb === 'number' ? clamp01((frame.volumeDb + 60) / 60) : null)
+    },
+    vibratoDepth: {
+        label: 'Vibrato depth',
+        read: (frame) => (typeof frame.vibratoDepth === 'number' ? clamp01(frame.vibratoDepth / 100) : null)
+    }
+};
+
+export class VoiceModulationManager {
+    /**
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Defaults to window.localStorage
+     * @param {number} [options.deadBand=0.01] - Smallest output change that is applied
+     */
+    constructor({ storage = null, deadBand = 0.01 } = {}) {
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.deadBand = deadBand;
+
+        // Mappings: { targetId, sourceId (key of VOICE_SOURCES), min, max, curve }
+        this.controls = new ControlMappings({
+            storageKey: VOICE_MODULATION_STORAGE_KEY,
+            storage: this.storage,
+            sourceField: 'sourceId',
+            isValidSource: (sourceId) => Boolean(VOICE_SOURCES[sourceId]),
+            logTag: '[VoiceModulation]',
+            onChange: (mappings) => {
+                if (this.onMappingsChange) this.onMappingsChange(mappings);
+            }
+        });
+
+        // Last applied value per target (dead band)
+        this._lastApplied = new Map();
+
+        // onMappingsChange: (mappings[]) => void
+        this.onMappingsChange = null;
+
+        this.controls.load();
+    }
+
+    /**
+     * @returns {Map<string, Object>} Registered targets by ID
+     */
+    get targets() {
+        return this.controls.targets;
+    }
+
+    /**
+     * @returns {Map<string, Object>} Mappings by target ID
+     */
+    get mappings() {
+        return this.controls.mappings;
+    }
+
+    /**
+     * Register a controllable parameter (same shape as MidiLearnManager.registerTarget)
+     * @param {Object} target
+     * @param {string} target.id
+     * @param {string} target.label
+     * @param {'continuous'|'trigger'} [target.kind='continuous']
+     * @param {Function} target.apply - Receives the mapped value
+     */
+    registerTarget(target) {
+        this.controls.registerTarget(target);
+    }
+
+    /**
+     * Targets that can be modulated, in registration order
+     * @returns {Object[]}
+     */
+    getTargets() {
+        return this.controls.getTargets().filter(target => target.kind === 'continuous');
+    }
+
+    /**
+     * @param {string} targetId
+     * @returns {Object|null}
+     */
+    getMapping(targetId) {
+        return this.controls.getMapping(targetId);
+    }
+
+    /**
+     * @returns {Object[]}
+     */
+    getMappings() {
+        return this.controls.getMappings();
+    }
+
+    /**
+     * Drive a target from a voice source (replaces the target's previous source)
+     * @param {string} targetId
+     * @param {string} sourceId - Key of VOICE_SOURCES
+     * @throws {Error} For unknown targets / sources or trigger targets
+     */
+    setMapping(targetId, sourceId) {
+        const target = this.targets.get(targetId);
+        if (!target) throw new Error(`[VoiceModulation] Unknown target: ${targetId}`);
+        if (target.kind !== 'continuous') throw new Error(`[VoiceModulation] ${targetId} is a trigger target`);
+        if (!VOICE_SOURCES[sourceId]) throw new Error(`[VoiceModulation] Unknown source: ${sourceId}`);
+
+        this._lastApplied.delete(targetId);
+        this.controls.setMapping(targetId, sourceId);
+    }
+
+    /**
+     * Change range / curve of an existing mapping
+     * @param {string} targetId
+     * @param {{min?: number, max?: number, curve?: string}} changes
+     */
+    updateMapping(targetId, changes) {
+        this._lastApplied.delete(targetId);
+        this.controls.updateMapping(targetId, changes);
+    }
+
+    /**
+     * @param {string} targetId
+     */
+    removeMapping(targetId) {
+        this._lastApplied.delete(targetId);
+        this.controls.removeMapping(targetId);
+    }
+
+    /**
+     * Apply every mapping to one PitchFrame
+     * @param {import('../types/pitch-frame.js').PitchFrame} frame
+     */
+    process(frame) {
+        if (!frame || this.mappings.size === 0) return;
+
+        for (const mapping of this.mappings.values()) {
+            const target = this.targets.get(mapping.targetId);
+            const source = VOICE_SOURCES[mapping.sourceId];
+            if (!target || !source) continue;
+
+            const raw = source.read(frame);
+            if (raw === null || Number.isNaN(raw)) continue;
+
+            const value = this.mapValue(mapping, raw);
+            const last = this._lastApplied.get(mapping.targetId);
+            if (last !== undefined && Math.abs(value - last) < this.deadBand) continue;
+
+            this._lastApplied.set(mapping.targetId, value);
+            try {
+                target.apply(value);
+            } catch (error) {
+                console.error(`[VoiceModulation] Failed to apply ${mapping.targetId}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Map a normalized source value through a mapping's curve and range
+     * @param {Object} mapping
+     * @param {number} value - 0-1
+     * @returns {number}
+     */
+    mapValue(mapping, value) {
+        return this.controls.mapValue(mapping, value);
+    }
+}
@@ -13,15 +13,38 @@ import { checkBrowserSupport, calculateRMS } from './utils/audio-utils.js';
 import { AppContainer } from './core/app-container.js';
 import { ExpressiveFeatures } from './expressive-features.js';
 import instrumentPresetManager from './config/instrument-presets.js';
-import { ContinuousSynthEngine } from './continuous-synth.js'; // Fixed: Import class
+import { ContinuousSynthEngine, MAX_HARMONY_VOICES } from './continuous-synth.js'; // Fixed: Import class
 import { AiHarmonizer } from './features/ai-harmonizer.js';
+import { SessionRecorder, RECORDING_FORMATS } from './features/session-recorder.js';
+import { downloadSessionMidi } from './features/midi-exporter.js';
+import { MidiOutputEngine } from './features/midi-output-engine.js';
+import { MidiLearnManager, describeMidiSource } from './features/midi-learn.js';
+import { CONTROL_CURVES } from './core/control-mappings.js';
+import { OctaveCorrector } from './features/octave-corrector.js';
+import { CalibrationSystem } from './calibration.js';
+import { KeyDetector } from './features/key-detector.js';
+import { TempoDetector } from './features/tempo-detector.js';
+import { VoiceModulationManager, VOICE_SOURCES } from './features/voice-modulation.js';
+import { BeatboxManager } from './features/beatbox.js';
+import { DrumKit } from './features/drum-kit.js';
+import { Accompaniment, ACCOMPANIMENT_STYLES } from './features/accompaniment.js';
+import { LoopStation } from './features/loop-station.js';
+import { PITCH_ALGORITHMS, createMPMDetector } from './pitch-dsp.js';
+import { registerScale, createScaleFromScala, createEdoScale } from './core/music-scales.js';
+import { registerWavetable, getWavetable, decodeWavetable, listWavetables } from './core/wavetable.js';
+import { registerSampleSet, mapSampleZones, readSampleLoop } from './core/sampler.js';
+import { parseProgression } from './core/chord-track.js';
 import { VisualizerManager } from './managers/visualizer-manager.js'; // Import the new visualizer manager
 import { SynthManager } from './managers/synth-manager.js'; // Import SynthManager
+import { TransportManager } from './managers/transport-manager.js';
 import { AudioLoopController } from './core/audio-loop-controller.js'; // Import AudioLoopController
 import { TIMING_CONSTANTS } from './config/constants.js';
 import { store } from './state/store.js'; // Import StateStore singleton
 import { SafeUI } from './utils/safe-ui.js'; // Import SafeUI wrapper
 
+// Compact inputs / buttons in the rendered settings lists (layers, parts, voices, mappings)
+const LIST_INPUT_CLASS = 'bg-gray-50 border border-gray-200 rounded-lg px-2 py-1 text-xs font-medium focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500';
+
 class MamboApp {
     /**
      * Step 2: Dependency Injection Constructor
@@ -33,11 +56,22 @@ class MamboApp {
      * @param {Object} services.synthesizerEngine - Legacy synthesizer engine
      * @param {Object} services.continuousSynthEngine - Continuous synthesizer engine
      * @param {Object} services.aiHarmonizer - AI Harmonizer module
+     * @param {Object} services.accompaniment - Smart Jam band (bass / pad / arp / drums, style + part mix)
      * @param {Function} services.ExpressiveFeatures - Expressive features extraction class
      * @param {Object} services.visualizerManager - Visualizer manager module
      * @param {Object} services.synthManager - Synth manager (bridge to engines)
      * @param {Object} services.audioLoopController - Audio loop controller
      * @param {Object} services.store - State store (centralized state management)
+     * @param {Object} services.sessionRecorder - Session recorder (audio take export)
+     * @param {Object} services.midiLearn - MIDI learn manager (hardware controller mappings)
+     * @param {Object} services.calibrationSystem - Vocal range calibration (read by the octave corrector)
+     * @param {Object} services.octaveCorrector - Octave-error correction between detection and the audio loop
+     * @param {Object} services.keyDetector - Key / scale estimation (fed by the audio loop)
+     * @param {Object} services.tempoDetector - Tempo from sung onsets + tap tempo (fed by the audio loop)
+     * @param {Object} services.voiceModulation - Voice features → control targets (fed by the audio loop)
+     * @param {Object} services.beatbox - Beatbox manager (percussion hits → drum kit, per-user training)
+     * @param {Object} services.loopStation - Loop station (bar-aligned overdub layers, fed by the audio loop)
+     * @param {Object} services.transportManager - Tempo grid (click, beat marker, AI Jam / recorder / MIDI alignment)
      */
     constructor(services = {}) {
         this.isRunning = false;
@@ -50,16 +84,32 @@ class MamboApp {
         this.synthesizerEngine = services.synthesizerEngine || null;
         this.continuousSynthEngine = services.continuousSynthEngine || null;
         this.aiHarmonizer = services.aiHarmonizer || null;
+        this.accompaniment = services.accompaniment || null; // Injected Accompaniment
         this.ExpressiveFeatures = services.ExpressiveFeatures || null;
         this.visualizerManager = services.visualizerManager || null;
         this.synthManager = services.synthManager || null; // Injected SynthManager
         this.audioLoopController = services.audioLoopController || null; // Injected Controller
         this.store = services.store || null; // Injected State Store
+        this.sessionRecorder = services.sessionRecorder || null; // Injected Session Recorder
+        this.midiLearn = services.midiLearn || null; // Injected MIDI Learn Manager
+        this.calibrationSystem = services.calibrationSystem || null; // Injected Calibration System
+        this.octaveCorrector = services.octaveCorrector || null; // Injected Octave Corrector
+        this.keyDetector = services.keyDetector || null; // Injected Key Detector
+        this.tempoDetector = services.tempoDetector || null; // Injected Tempo Detector
+        this.voiceModulation = services.voiceModulation || null; // Injected Voice Modulation
+        this.beatbox = services.beatbox || null; // Injected Beatbox Manager
+        this.loopStation = services.loopStation || null; // Injected Loop Station
+        this.transportManager = services.transportManager || null; // Injected Transport Manager
+        this.keyDetectionMode = 'off'; // 'off' | 'suggest' | 'auto' (persisted)
+        this._keySuggestion = null;
 
         // Audio System
         // AudioIO is the only supported audio system (AudioWorklet + ScriptProcessor fallback)
         // Legacy audioInputManager is deprecated, code kept for reference only
         this.audioIO = null;  // AudioIO instance (Only audio system)
+        this.pitchAlgorithm = null;  // Per-user choice (persisted), overrides config.pitchDetector.algorithm
+        this.customScales = [];  // [{id, scale}] imported Scala / EDO scales (persisted)
+        this.customWavetables = [];  // [{id, table}] imported WAV wavetables (persisted)
 
         // Dual Engine Mode
         this.useContinuousMode = true;  // Default to Continuous Mode (Phase 2.7 Verified)
@@ -109,8 +159,56 @@ class MamboApp {
             visualizerLatency: document.getElementById('visualizerLatency'),
             visualizerConfidence: document.getElementById('visualizerConfidence'),
             
-            // Export Button
+            // Export Buttons
             exportBtn: document.getElementById('exportBtn'),
+            exportMidiBtn: document.getElementById('exportMidiBtn'),
+
+            // Session Recording
+            recordBtn: document.getElementById('recordBtn'),
+            recordPauseBtn: document.getElementById('recordPauseBtn'),
+            recordFormatSelect: document.getElementById('recordFormatSelect'),
+            recordMicToggle: document.getElementById('recordMicToggle'),
+
+            // MIDI Output
+            midiOutToggle: document.getElementById('midiOutToggle'),
+            midiOutputSelect: document.getElementById('midiOutputSelect'),
+            midiChannelSelect: document.getElementById('midiChannelSelect'),
+            midiModeSelect: document.getElementById('midiModeSelect'),
+            midiOutStatus: document.getElementById('midiOutStatus'),
+
+            // MIDI Learn
+            midiLearnList: document.getElementById('midiLearnList'),
+            midiLearnStatus: document.getElementById('midiLearnStatus'),
+
+            // Voice Modulation
+            voiceModulationList: document.getElementById('voiceModulationList'),
+
+            // Beatbox
+            beatboxToggle: document.getElementById('beatboxToggle'),
+            beatboxTrainBtn: document.getElementById('beatboxTrainBtn'),
+            beatboxResetBtn: document.getElementById('beatboxResetBtn'),
+            beatboxStatus: document.getElementById('beatboxStatus'),
+
+            // Tempo (transport grid)
+            transportBpmInput: document.getElementById('transportBpmInput'),
+            transportMeterSelect: document.getElementById('transportMeterSelect'),
+            transportQuantizeSelect: document.getElementById('transportQuantizeSelect'),
+            transportClickToggle: document.getElementById('transportClickToggle'),
+            transportTapBtn: document.getElementById('transportTapBtn'),
+            transportFollowToggle: document.getElementById('transportFollowToggle'),
+            transportBeat: document.getElementById('transportBeat'),
+
+            // Loop Station
+            loopRecordBtn: document.getElementById('loopRecordBtn'),
+            loopPlayBtn: document.getElementById('loopPlayBtn'),
+            loopUndoBtn: document.getElementById('loopUndoBtn'),
+            loopClearBtn: document.getElementById('loopClearBtn'),
+            loopSourceSelect: document.getElementById('loopSourceSelect'),
+            loopBarsSelect: document.getElementById('loopBarsSelect'),
+            loopStatus: document.getElementById('loopStatus'),
+            loopLayerList: document.getElementById('loopLayerList'),
+            jamStyleSelect: document.getElementById('jamStyleSelect'),
+            jamPartList: document.getElementById('jamPartList'),
 
             // Instrument Buttons
             instrumentBtns: document.querySelectorAll('.instrument-btn'),
@@ -119,11 +217,35 @@ class MamboApp {
             audioInputSelect: document.getElementById('audioInputSelect'),
             audioOutputSelect: document.getElementById('audioOutputSelect'),
             refreshDevicesBtn: document.getElementById('refreshDevicesBtn'),
+            pitchAlgorithmSelect: document.getElementById('pitchAlgorithmSelect'),
+            calibrateRangeBtn: document.getElementById('calibrateRangeBtn'),
+            calibrationResetBtn: document.getElementById('calibrationResetBtn'),
+            calibrationStatus: document.getElementById('calibrationStatus'),
 
             // Auto-Tune UI
             autoTuneToggle: document.getElementById('autoTuneToggle'),
             scaleKeySelect: document.getElementById('scaleKeySelect'),
             scaleTypeSelect: document.getElementById('scaleTypeSelect'),
+            customScalesGroup: document.getElementById('customScalesGroup'),
+            scalaImportInput: document.getElementById('scalaImportInput'),
+            customEdoInput: document.getElementById('customEdoInput'),
+            addEdoBtn: document.getElementById('addEdoBtn'),
+            customScaleStatus: document.getElementById('customScaleStatus'),
+            keyDetectionSelect: document.getElementById('keyDetectionSelect'),
+            keySuggestion: document.getElementById('keySuggestion'),
+            keySuggestionText: document.getElementById('keySuggestionText'),
+            applyKeySuggestionBtn: document.getElementById('applyKeySuggestionBtn'),
+            chordFollowToggle: document.getElementById('chordFollowToggle'),
+            chordProgressionInput: document.getElementById('chordProgressionInput'),
+            chordBpmInput: document.getElementById('chordBpmInput'),
+            chordRestartBtn: document.getElementById('chordRestartBtn'),
+            chordTrackStatus: document.getElementById('chordTrackStatus'),
+            retuneTransitionSlider: document.getElementById('retuneTransitionSlider'),
+            retuneTransitionValue: document.getElementById('retuneTransitionValue'),
+            retuneVibratoSlider: document.getElementById('retuneVibratoSlider'),
+            retuneVibratoValue: document.getElementById('retuneVibratoValue'),
+            retuneHumanizeSlider: document.getElementById('retuneHumanizeSlider'),
+            retuneHumanizeValue: document.getElementById('retuneHumanizeValue'),
             strengthSlider: document.getElementById('strengthSlider'),
             speedSlider: document.getElementById('speedSlider'),
             strengthValue: document.getElementById('strengthValue'),
@@ -140,7 +262,19 @@ class MamboApp {
             reverbSlider: document.getElementById('reverbSlider'),
             delaySlider: document.getElementById('delaySlider'),
             reverbValue: document.getElementById('reverbValue'),
-            delayValue: document.getElementById('delayValue')
+            delayValue: document.getElementById('delayValue'),
+            vowelFilterSelect: document.getElementById('vowelFilterSelect'),
+            vowelFilterSlider: document.getElementById('vowelFilterSlider'),
+            vowelFilterValue: document.getElementById('vowelFilterValue'),
+            harmonyVoiceList: document.getElementById('harmonyVoiceList'),
+            wavetableSelect: document.getElementById('wavetableSelect'),
+            builtinWavetablesGroup: document.getElementById('builtinWavetablesGroup'),
+            customWavetablesGroup: document.getElementById('customWavetablesGroup'),
+            wavetableImportInput: document.getElementById('wavetableImportInput'),
+            wavetableStatus: document.getElementById('wavetableStatus'),
+            sampleSetSelect: document.getElementById('sampleSetSelect'),
+            sampleImportInput: document.getElementById('sampleImportInput'),
+            sampleStatus: document.getElementById('sampleStatus')
         };
 
 
@@ -278,13 +412,37 @@ class MamboApp {
             });
         }
 
+        if (this.ui.exportMidiBtn) {
+            this.ui.exportMidiBtn.addEventListener('click', () => {
+                if (this.visualizerManager) {
+                    downloadSessionMidi(this.visualizerManager.fullSessionData, this._getMidiGridOptions());
+                }
+            });
+        }
+
         // UI Setup
         this._setupSettingsUI();
         this._setupDeviceUI();
+        this._setupPitchAlgorithmUI();
+        this._setupCalibrationUI();
+        this._setupRecorderUI();
+        this._setupMidiOutputUI();
 
         // Auto-Tune & Effects
         this._setupAutoTuneUI();
+        this._setupCustomScalesUI();
+        this._setupKeyDetectionUI();
+        this._setupChordTrackUI();
         this._setupEffectsUI();
+        this._setupWavetableUI();
+        this._setupSamplerUI();
+        this._setupHarmonyVoiceUI();
+        this._setupTransportUI();
+        this._setupAccompanimentUI();
+        this._setupBeatboxUI();
+        this._setupLoopStationUI();
+        this._setupMidiLearnUI();
+        this._setupVoiceModulationUI();
 
         //  模式切换
         this.ui.modeToggle.addEventListener('change', (e) => {
@@ -386,7 +544,8 @@ class MamboApp {
                     setActiveClasses();
                     this.ui.aiIconActive.classList.remove('hidden');
                     this.ui.aiJamTitle.textContent = 'Smart Jam';
-                    this.ui.aiJamStatus.textContent = 'Listening...';
+                    // Rule-based chords when the model could not be loaded
+                    this.ui.aiJamStatus.textContent = this.aiHarmonizer.backend?.name === 'rules' ? 'Listening (offline)...' : 'Listening...';
                     this.ui.aiJamBtn.disabled = false;
 
                 } else if (status === 'processing') {
@@ -462,10 +621,11 @@ class MamboApp {
             });
         }
 
-        // Helper for Segmented Controls
+        // Helper for Segmented Controls; returns highlight(value) to re-sync the buttons
+        // with a value set elsewhere (MIDI Learn), highlighting the nearest segment
         const setupSegmentedControl = (containerId, onSelect, defaultValue) => {
             const container = document.getElementById(containerId);
-            if (!container) return;
+            if (!container) return () => {};
 
             const buttons = container.querySelectorAll('button');
             // Enhanced Active State: White bg, Blue text, Bold, Shadow, Ring border
@@ -473,9 +633,11 @@ class MamboApp {
             // Enhanced Inactive State: Gray text, subtle hover
             const inactiveClass = ['text-gray-500', 'hover:text-gray-700', 'hover:bg-gray-200/50'];
 
-            const updateState = (selectedVal) => {
+            const highlight = (value) => {
+                const nearest = Array.from(buttons).reduce((best, btn) =>
+                    Math.abs(parseFloat(btn.dataset.value) - value) < Math.abs(parseFloat(best.dataset.value) - value) ? btn : best);
                 buttons.forEach(btn => {
-                    if (btn.dataset.value === String(selectedVal)) {
+                    if (btn === nearest) {
                         btn.classList.add(...activeClass);
                         btn.classList.remove(...inactiveClass);
                     } else {
@@ -483,6 +645,10 @@ class MamboApp {
                         btn.classList.add(...inactiveClass);
                     }
                 });
+            };
+
+            const updateState = (selectedVal) => {
+                highlight(parseFloat(selectedVal));
                 onSelect(parseFloat(selectedVal));
             };
 
@@ -500,10 +666,11 @@ class MamboApp {
 
             // Initialize
             updateState(defaultValue);
+            return highlight;
         };
 
         // Init Segmented Controls
-        setupSegmentedControl('strengthControl', (val) => {
+        this._syncStrengthControl = setupSegmentedControl('strengthControl', (val) => {
             // console.log(`[UI] Strength selected: ${val}`);
             // Store for toggle logic
             this._lastStrengthVal = val; 
@@ -512,12 +679,30 @@ class MamboApp {
             }
         }, 1.0); // Default Hard (so toggle ON has immediate effect)
 
-        setupSegmentedControl('speedControl', (val) => {
+        this._syncSpeedControl = setupSegmentedControl('speedControl', (val) => {
             // console.log(`[UI] Speed selected: ${val}`);
             if (this.synthManager) {
                 this.synthManager.setAutoTuneConfig({ speed: val });
             }
         }, 0.0); // Default Robot (Fast)
+
+        // Retune curve sliders
+        const bindSlider = (slider, label, format, toConfig) => {
+            if (!slider) return;
+            slider.addEventListener('input', (e) => {
+                const val = parseInt(e.target.value);
+                if (label) label.textContent = format(val);
+                if (this.synthManager) {
+                    this.synthManager.setAutoTuneConfig(toConfig(val));
+                }
+            });
+        };
+        bindSlider(this.ui.retuneTransitionSlider, this.ui.retuneTransitionValue,
+            val => `${val}ms`, val => ({ transition: val }));
+        bindSlider(this.ui.retuneVibratoSlider, this.ui.retuneVibratoValue,
+            val => `${val}%`, val => ({ vibrato: val / 100 }));
+        bindSlider(this.ui.retuneHumanizeSlider, this.ui.retuneHumanizeValue,
+            val => `${val}%`, val => ({ humanize: val / 100 }));
     }
 
     /**
@@ -535,15 +720,1247 @@ class MamboApp {
             });
         }
 
-        if (this.ui.delaySlider) {
-            this.ui.delaySlider.addEventListener('input', (e) => {
-                const val = parseInt(e.target.value);
-                if (this.ui.delayValue) this.ui.delayValue.textContent = `${val}%`;
-                if (this.synthManager) {
-                    this.synthManager.setDelay(val / 100);
+        if (this.ui.delaySlider) {
+            this.ui.delaySlider.addEventListener('input', (e) => {
+                const val = parseInt(e.target.value);
+                if (this.ui.delayValue) this.ui.delayValue.textContent = `${val}%`;
+                if (this.synthManager) {
+                    this.synthManager.setDelay(val / 100);
+                }
+            });
+        }
+
+        // Vowel filter (talkbox / wah driven by the sung vowel)
+        if (this.ui.vowelFilterSelect) {
+            this.ui.vowelFilterSelect.addEventListener('change', (e) => {
+                if (this.synthManager) this.synthManager.setVowelFilter({ mode: e.target.value });
+            });
+        }
+
+        if (this.ui.vowelFilterSlider) {
+            this.ui.vowelFilterSlider.addEventListener('input', (e) => {
+                const val = parseInt(e.target.value);
+                if (this.ui.vowelFilterValue) this.ui.vowelFilterValue.textContent = `${val}%`;
+                if (this.synthManager) {
+                    this.synthManager.setVowelFilter({ mix: val / 100 });
+                }
+            });
+        }
+    }
+
+    /**
+     * Wavetable choice for Wavetable presets, with WAV import (single cycle / Serum-style).
+     * Imported tables are registered with core/wavetable.js and persisted in
+     * localStorage (`mambo:wavetables`), the choice in `mambo:wavetable`.
+     * @private
+     */
+    _setupWavetableUI() {
+        const select = this.ui.wavetableSelect;
+        if (!select || !this.synthManager) return;
+
+        const setStatus = (text) => {
+            if (this.ui.wavetableStatus) this.ui.wavetableStatus.textContent = text;
+        };
+
+        listWavetables().filter(table => !table.custom).forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            this.ui.builtinWavetablesGroup?.appendChild(option);
+        });
+
+        let saved = [];
+        try {
+            saved = JSON.parse(localStorage.getItem('mambo:wavetables') || '[]');
+        } catch (err) {
+            console.warn('[Main] Unable to load wavetables:', err);
+        }
+        saved.forEach(({ id, table }) => {
+            try {
+                this._addCustomWavetable(id, table, { persist: false });
+            } catch (err) {
+                console.warn(`[Main] Skipping invalid wavetable "${id}":`, err);
+            }
+        });
+
+        const choose = (id) => {
+            this.synthManager.setWavetable(id);
+            select.value = store.getState().synth.wavetable || '';
+            try {
+                localStorage.setItem('mambo:wavetable', select.value);
+            } catch (err) {
+                console.warn('[Main] Unable to persist wavetable choice:', err);
+            }
+        };
+
+        try {
+            const choice = localStorage.getItem('mambo:wavetable');
+            if (choice && getWavetable(choice)) this.synthManager.setWavetable(choice);
+        } catch (err) {
+            console.warn('[Main] Unable to read wavetable choice:', err);
+        }
+        select.value = store.getState().synth.wavetable || '';
+        select.addEventListener('change', (e) => choose(e.target.value || null));
+
+        if (this.ui.wavetableImportInput) {
+            this.ui.wavetableImportInput.addEventListener('change', async (e) => {
+                const [file] = e.target.files;
+                e.target.value = ''; // Allow re-importing the same file
+                if (!file) return;
+
+                try {
+                    const name = file.name.replace(/\.wav$/i, '');
+                    const table = decodeWavetable(await file.arrayBuffer(), { name });
+                    const id = `custom:${name}`;
+                    this._addCustomWavetable(id, table);
+                    choose(id);
+                    setStatus(`Imported "${name}" (${table.frames.length} frame${table.frames.length === 1 ? '' : 's'}).`);
+                } catch (err) {
+                    console.error('[Main] Wavetable import failed:', err);
+                    setStatus(`Cannot import ${file.name}: ${err.message}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Sample import for presets with a `sampleSet` (sax, brass).
+     * Each file is one recording: root note and dynamic come from its name
+     * (or its WAV 'smpl' chunk), loops from the 'smpl' chunk. Sets are kept
+     * for the session only; decoded audio is too large for localStorage.
+     * @private
+     */
+    _setupSamplerUI() {
+        const select = this.ui.sampleSetSelect;
+        if (!select || !this.ui.sampleImportInput || !this.synthManager) return;
+
+        const setStatus = (text) => {
+            if (this.ui.sampleStatus) this.ui.sampleStatus.textContent = text;
+        };
+
+        Object.values(instrumentPresetManager.presets).filter(preset => preset.sampleSet).forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.sampleSet;
+            option.textContent = preset.name;
+            select.appendChild(option);
+        });
+
+        this.ui.sampleImportInput.addEventListener('change', async (e) => {
+            const files = [...e.target.files];
+            e.target.value = ''; // Allow re-importing the same files
+            if (files.length === 0) return;
+
+            const id = select.value;
+            const presetName = select.selectedOptions[0]?.textContent || id;
+            setStatus(`Loading ${files.length} sample${files.length === 1 ? '' : 's'}...`);
+            try {
+                const entries = await Promise.all(files.map(async (file) => {
+                    const bytes = await file.arrayBuffer();
+                    const info = readSampleLoop(bytes);
+                    // decodeAudioData detaches its input, so read the 'smpl' chunk first
+                    const buffer = await Tone.context.decodeAudioData(bytes.slice(0));
+                    const looped = info && info.loopEnd > info.loopStart;
+                    return {
+                        name: file.name,
+                        buffer,
+                        root: info?.root,
+                        loopStart: looped ? info.loopStart : null,
+                        loopEnd: looped ? info.loopEnd : null
+                    };
+                }));
+
+                const zones = mapSampleZones(entries);
+                registerSampleSet(id, { name: presetName, zones });
+                this.synthManager.reloadSampleSet(id);
+
+                const layers = new Set(zones.map(zone => zone.velocityLow)).size;
+                setStatus(`${presetName}: ${zones.length} sample${zones.length === 1 ? '' : 's'}, ${layers} velocity layer${layers === 1 ? '' : 's'}. Load them again after reloading the page.`);
+            } catch (err) {
+                console.error('[Main] Sample import failed:', err);
+                setStatus(`Cannot load samples for ${presetName}: ${err.message}`);
+            }
+        });
+    }
+
+    /**
+     * Register an imported wavetable and list it in the wavetable select
+     * @private
+     */
+    _addCustomWavetable(id, table, { persist = true } = {}) {
+        const normalized = registerWavetable(id, table);
+        this.customWavetables = this.customWavetables.filter(entry => entry.id !== id);
+        this.customWavetables.push({ id, table: normalized });
+
+        const group = this.ui.customWavetablesGroup;
+        if (group) {
+            let option = [...group.children].find(o => o.value === id);
+            if (!option) {
+                option = document.createElement('option');
+                option.value = id;
+                group.appendChild(option);
+            }
+            option.textContent = normalized.name;
+            group.hidden = false;
+        }
+
+        if (persist) {
+            try {
+                localStorage.setItem('mambo:wavetables', JSON.stringify(this.customWavetables));
+            } catch (err) {
+                console.warn('[Main] Unable to persist wavetables:', err);
+            }
+        }
+    }
+
+    /**
+     * Setup harmony voice rows (interval, instrument, level, pan).
+     * The three slots persist in localStorage (`mambo:harmonyVoices`).
+     * @private
+     */
+    _setupHarmonyVoiceUI() {
+        if (!this.ui.harmonyVoiceList || !this.synthManager) return;
+
+        let saved = [];
+        try {
+            saved = JSON.parse(localStorage.getItem('mambo:harmonyVoices') || '[]');
+        } catch (err) {
+            console.warn('[Main] Unable to read harmony voices:', err);
+        }
+        this.harmonyVoiceSlots = Array.from({ length: MAX_HARMONY_VOICES }, (_, i) => saved[i] || null);
+
+        this._applyHarmonyVoices();
+        this._renderHarmonyVoiceList();
+    }
+
+    /**
+     * Send the active harmony slots to the synth and persist them
+     * @private
+     */
+    _applyHarmonyVoices() {
+        this.synthManager.setHarmonyVoices(this.harmonyVoiceSlots.filter(Boolean));
+        try {
+            localStorage.setItem('mambo:harmonyVoices', JSON.stringify(this.harmonyVoiceSlots));
+        } catch (err) {
+            console.warn('[Main] Unable to persist harmony voices:', err);
+        }
+    }
+
+    /**
+     * Render one row per harmony slot (interval, instrument, level, pan)
+     * @private
+     */
+    _renderHarmonyVoiceList() {
+        const list = this.ui.harmonyVoiceList;
+        const intervals = [
+            ['', 'Off'],
+            ['diatonic:2', '3rd above (in key)'],
+            ['diatonic:-2', '3rd below (in key)'],
+            ['diatonic:4', '5th above (in key)'],
+            ['diatonic:5', '6th above (in key)'],
+            ['parallel:3', 'Minor 3rd above'],
+            ['parallel:4', 'Major 3rd above'],
+            ['parallel:7', '5th above'],
+            ['parallel:-5', '4th below'],
+            ['parallel:12', 'Octave above'],
+            ['parallel:-12', 'Octave below']
+        ];
+        list.innerHTML = '';
+
+        this.harmonyVoiceSlots.forEach((voice, index) => {
+            const row = this._createListRow();
+
+            const intervalSelect = document.createElement('select');
+            intervalSelect.className = `${LIST_INPUT_CLASS} flex-1`;
+            intervalSelect.title = 'Interval';
+            intervals.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                intervalSelect.appendChild(option);
+            });
+            intervalSelect.value = voice ? `${voice.mode}:${voice.interval}` : '';
+            intervalSelect.addEventListener('change', (e) => {
+                if (!e.target.value) {
+                    this.harmonyVoiceSlots[index] = null;
+                } else {
+                    const [mode, interval] = e.target.value.split(':');
+                    this.harmonyVoiceSlots[index] = {
+                        instrument: 'trumpet',
+                        level: 0.7,
+                        pan: 0,
+                        ...voice,
+                        mode,
+                        interval: parseInt(interval, 10)
+                    };
+                }
+                this._applyHarmonyVoices();
+                this._renderHarmonyVoiceList();
+            });
+            row.append(this._createRowLabel(`${index + 1}`), intervalSelect);
+
+            if (voice) {
+                row.append(
+                    this._createInstrumentSelect(voice.instrument, 'w-24', (instrument) => {
+                        voice.instrument = instrument;
+                        this._applyHarmonyVoices();
+                    }),
+                    this._createLevelSlider({
+                        value: voice.level,
+                        title: 'Level',
+                        width: 'w-16',
+                        onChange: (level) => {
+                            voice.level = level;
+                            this._applyHarmonyVoices();
+                        }
+                    }),
+                    this._createLevelSlider({
+                        value: voice.pan,
+                        title: 'Pan (left / right)',
+                        width: 'w-16',
+                        bipolar: true,
+                        onChange: (pan) => {
+                            voice.pan = pan;
+                            this._applyHarmonyVoices();
+                        }
+                    })
+                );
+            }
+
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Setup Tempo UI (BPM, meter, click, Legacy quantize) and the beat marker
+     * @private
+     */
+    _setupTransportUI() {
+        if (!this.transportManager) return;
+
+        const transport = this.transportManager;
+        transport.init();
+        const config = transport.getConfig();
+
+        // Legacy onsets wait for the grid only while a quantize grid is selected
+        const syncQuantizer = () => {
+            if (!this.synthesizerEngine || typeof this.synthesizerEngine.setOnsetQuantizer !== 'function') return;
+            this.synthesizerEngine.setOnsetQuantizer(
+                transport.quantizeGrid === 'off' ? null : (time) => transport.quantize(time)
+            );
+        };
+        syncQuantizer();
+
+        transport.onBeat = ({ bar, beat }) => {
+            if (this.ui.transportBeat) this.ui.transportBeat.textContent = `${bar}.${beat}`;
+            if (this.visualizerManager && typeof this.visualizerManager.markBeat === 'function') {
+                this.visualizerManager.markBeat({ bar, beat });
+            }
+        };
+
+        if (this.ui.transportBpmInput) {
+            this.ui.transportBpmInput.value = String(config.bpm);
+            this.ui.transportBpmInput.addEventListener('change', (e) => {
+                transport.setTempo(parseFloat(e.target.value));
+                e.target.value = String(transport.bpm);
+            });
+        }
+
+        if (this.ui.transportMeterSelect) {
+            this.ui.transportMeterSelect.value = `${config.beatsPerBar}/${config.beatUnit}`;
+            this.ui.transportMeterSelect.addEventListener('change', (e) => {
+                const [beatsPerBar, beatUnit] = e.target.value.split('/').map(Number);
+                transport.setTimeSignature(beatsPerBar, beatUnit);
+            });
+        }
+
+        if (this.ui.transportQuantizeSelect) {
+            this.ui.transportQuantizeSelect.value = config.quantize;
+            this.ui.transportQuantizeSelect.addEventListener('change', (e) => {
+                transport.setQuantize(e.target.value);
+                syncQuantizer();
+            });
+        }
+
+        if (this.ui.transportClickToggle) {
+            this.ui.transportClickToggle.checked = config.click;
+            this.ui.transportClickToggle.addEventListener('change', (e) => transport.setClick(e.target.checked));
+        }
+
+        // Tempo from the voice (while followed) and from the tap key
+        if (this.tempoDetector) {
+            this.tempoDetector.onTempoChange = (tempo) => {
+                if (transport.applyDetectedTempo(tempo) && this.ui.transportBpmInput) {
+                    this.ui.transportBpmInput.value = String(transport.bpm);
+                }
+            };
+        }
+
+        if (this.ui.transportTapBtn && this.tempoDetector) {
+            this.ui.transportTapBtn.addEventListener('click', () => this.tempoDetector.tap());
+        }
+
+        if (this.ui.transportFollowToggle) {
+            this.ui.transportFollowToggle.checked = config.followVoice;
+            this.ui.transportFollowToggle.addEventListener('change', (e) => transport.setFollowVoice(e.target.checked));
+        }
+    }
+
+    /**
+     * MIDI export options that put the session on the transport grid
+     * @private
+     */
+    _getMidiGridOptions() {
+        const transport = this.transportManager;
+        if (!transport || !transport.startedAt || !this.visualizerManager) return {};
+
+        return {
+            bpm: transport.quarterBpm,
+            timeSignature: [transport.beatsPerBar, transport.beatUnit],
+            gridOffset: transport.startedAt - this.visualizerManager.startTime
+        };
+    }
+
+    /**
+     * Setup Beatbox UI (on/off, per-user training, back to the generic profile)
+     * @private
+     */
+    _setupBeatboxUI() {
+        if (!this.ui.beatboxToggle || !this.beatbox) return;
+
+        const beatbox = this.beatbox;
+        const setStatus = (text) => {
+            if (this.ui.beatboxStatus) this.ui.beatboxStatus.textContent = text;
+        };
+        const idleStatus = () => {
+            if (!beatbox.enabled) return 'Off';
+            return beatbox.isTrained ? 'On (trained)' : 'On';
+        };
+        const setTraining = (isTraining) => {
+            if (this.ui.beatboxTrainBtn) this.ui.beatboxTrainBtn.textContent = isTraining ? 'Cancel' : 'Train my sounds';
+            this._syncBeatboxDetection();
+        };
+
+        this.ui.beatboxToggle.addEventListener('change', (e) => {
+            beatbox.setEnabled(e.target.checked);
+            this._syncBeatboxDetection();
+            setStatus(idleStatus());
+        });
+
+        beatbox.onHit = ({ drum }) => setStatus(`${idleStatus()} · ${drum}`);
+
+        let stepInstruction = '';
+        beatbox.trainer.onTrainingUpdate = ({ instruction, remaining, count }) => {
+            if (instruction) stepInstruction = instruction;
+            const seconds = Math.ceil((remaining ?? beatbox.trainer.sampleDuration) / 1000);
+            setStatus(`${stepInstruction} ${count} hit${count === 1 ? '' : 's'}, ${seconds}s`);
+        };
+
+        beatbox.onTrainingComplete = (trained) => {
+            setTraining(false);
+            setStatus(trained.length > 0
+                ? `Trained: ${trained.join(', ')}`
+                : 'Not enough hits - kept the previous profile');
+        };
+
+        if (this.ui.beatboxTrainBtn) {
+            this.ui.beatboxTrainBtn.addEventListener('click', () => {
+                if (beatbox.trainer.isTraining) {
+                    beatbox.cancelTraining();
+                    setTraining(false);
+                    setStatus(idleStatus());
+                    return;
+                }
+                if (!this.isRunning) {
+                    setStatus('Press Start first, then train');
+                    return;
+                }
+                beatbox.startTraining();
+                setTraining(true);
+            });
+        }
+
+        if (this.ui.beatboxResetBtn) {
+            this.ui.beatboxResetBtn.addEventListener('click', () => {
+                beatbox.resetTraining();
+                setStatus(idleStatus());
+            });
+        }
+
+        setStatus(idleStatus());
+    }
+
+    /**
+     * Worklet percussion detection runs only while beatbox needs hits
+     * @private
+     */
+    _syncBeatboxDetection() {
+        if (this.audioIO && this.beatbox) {
+            this.audioIO.setBeatboxEnabled(this.beatbox.isListening);
+        }
+    }
+
+    /**
+     * Setup Loop Station UI (record / overdub, transport, loop length, layer list).
+     * Tempo, meter and click are the Tempo section's (TransportManager).
+     * @private
+     */
+    _setupLoopStationUI() {
+        if (!this.ui.loopRecordBtn || !this.loopStation) return;
+
+        const looper = this.loopStation;
+        let recordingState = null;
+
+        const setStatus = (text) => {
+            if (this.ui.loopStatus) this.ui.loopStatus.textContent = text;
+        };
+        const idleStatus = () => {
+            if (looper.state === 'stopped') {
+                return looper.layers.length > 0 ? `Stopped (${looper.layers.length} layers)` : 'Empty';
+            }
+            if (recordingState === 'armed') return 'Overdub starts at bar 1';
+            return recordingState === 'recording' ? 'Recording' : 'Playing';
+        };
+        const syncControls = () => {
+            if (this.ui.loopBarsSelect) {
+                this.ui.loopBarsSelect.disabled = looper.layers.length > 0 || looper.state !== 'stopped';
+            }
+            this.ui.loopRecordBtn.textContent = looper.layers.length > 0 ? 'Overdub' : 'Record';
+            if (this.ui.loopPlayBtn) {
+                this.ui.loopPlayBtn.textContent = looper.state === 'stopped' ? 'Play' : 'Stop';
+                this.ui.loopPlayBtn.disabled = looper.state === 'stopped' && looper.layers.length === 0;
+            }
+        };
+
+        looper.onStateChange = ({ recording }) => {
+            recordingState = recording;
+            syncControls();
+            setStatus(idleStatus());
+        };
+        looper.onLayersChange = () => {
+            syncControls();
+            this._renderLoopLayerList();
+        };
+        looper.onBeat = ({ bar, beat, countIn }) => {
+            if (countIn) {
+                setStatus(`Count-in ${beat}`);
+                return;
+            }
+            setStatus(`${idleStatus()} · ${bar}.${beat}`);
+        };
+
+        this.ui.loopRecordBtn.addEventListener('click', () => {
+            if (!this.isRunning) {
+                setStatus('Press Start first, then record');
+                return;
+            }
+            try {
+                looper.record({
+                    source: this.ui.loopSourceSelect?.value || 'frames',
+                    instrument: this.store.getState().synth.instrument
+                });
+            } catch (err) {
+                console.error('[Main] Failed to record a loop:', err);
+                setStatus(err.message.replace('[LoopStation] ', ''));
+            }
+        });
+
+        if (this.ui.loopPlayBtn) {
+            this.ui.loopPlayBtn.addEventListener('click', () => {
+                if (looper.state === 'stopped') {
+                    looper.play();
+                } else {
+                    looper.stop();
+                }
+            });
+        }
+
+        if (this.ui.loopUndoBtn) {
+            this.ui.loopUndoBtn.addEventListener('click', () => looper.undo());
+        }
+
+        if (this.ui.loopClearBtn) {
+            this.ui.loopClearBtn.addEventListener('click', () => looper.clear());
+        }
+
+        if (this.ui.loopBarsSelect) {
+            this.ui.loopBarsSelect.value = String(looper.bars);
+            this.ui.loopBarsSelect.addEventListener('change', (e) => {
+                looper.setLength({ bars: parseInt(e.target.value, 10) });
+            });
+        }
+
+        syncControls();
+        setStatus(idleStatus());
+        this._renderLoopLayerList();
+    }
+
+    /**
+     * Setup Smart Jam band controls (style, per-part volume / mute).
+     * The style persists in localStorage (`mambo:jamStyle`).
+     * @private
+     */
+    _setupAccompanimentUI() {
+        if (!this.accompaniment) return;
+
+        const band = this.accompaniment;
+        try {
+            const saved = localStorage.getItem('mambo:jamStyle');
+            if (saved && ACCOMPANIMENT_STYLES[saved]) band.setStyle(saved);
+        } catch (err) {
+            console.warn('[Main] Unable to read Smart Jam style:', err);
+        }
+
+        const select = this.ui.jamStyleSelect;
+        if (select) {
+            Object.entries(ACCOMPANIMENT_STYLES).forEach(([id, style]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = style.name;
+                select.appendChild(option);
+            });
+            select.value = band.style;
+            select.addEventListener('change', (e) => {
+                band.setStyle(e.target.value);
+                try {
+                    localStorage.setItem('mambo:jamStyle', band.style);
+                } catch (err) {
+                    console.warn('[Main] Unable to persist Smart Jam style:', err);
+                }
+            });
+        }
+
+        this._renderJamPartList();
+    }
+
+    /**
+     * Render one row per Smart Jam part (volume, mute)
+     * @private
+     */
+    _renderJamPartList() {
+        const list = this.ui.jamPartList;
+        if (!list || !this.accompaniment) return;
+
+        const band = this.accompaniment;
+        const names = { bass: 'Bass', pad: 'Pad', arp: 'Arpeggio', drums: 'Drums' };
+        list.innerHTML = '';
+
+        band.getParts().forEach(part => {
+            const name = names[part.id] || part.id;
+            const row = this._createListRow();
+            row.append(
+                this._createRowLabel(name, true),
+                this._createLevelSlider({
+                    value: part.volume,
+                    title: `${name} volume`,
+                    width: 'w-24',
+                    onChange: (volume) => band.setPartVolume(part.id, volume)
+                }),
+                this._createMuteButton(part.muted, () => {
+                    band.setPartMuted(part.id, !part.muted);
+                    this._renderJamPartList();
+                })
+            );
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Render one row per loop layer (instrument, volume, mute)
+     * @private
+     */
+    _renderLoopLayerList() {
+        const list = this.ui.loopLayerList;
+        if (!list || !this.loopStation) return;
+
+        const looper = this.loopStation;
+        const presets = instrumentPresetManager.presets;
+        list.innerHTML = '';
+
+        looper.getLayers().forEach(layer => {
+            const row = this._createListRow();
+            row.appendChild(this._createRowLabel(`${layer.id}`));
+
+            if (layer.revoiceable) {
+                row.appendChild(this._createInstrumentSelect(layer.instrument, 'flex-1', (instrument) => {
+                    looper.setLayerInstrument(layer.id, instrument);
+                }));
+            } else {
+                const audioLabel = document.createElement('span');
+                audioLabel.className = 'flex-1 text-xs text-gray-500';
+                audioLabel.textContent = `${presets[layer.instrument]?.name || layer.instrument} (audio)`;
+                row.appendChild(audioLabel);
+            }
+
+            row.append(
+                this._createLevelSlider({
+                    value: layer.volume,
+                    title: 'Layer volume',
+                    width: 'w-20',
+                    onChange: (volume) => looper.setLayerVolume(layer.id, volume)
+                }),
+                this._createMuteButton(layer.muted, () => looper.setLayerMuted(layer.id, !layer.muted))
+            );
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Row shell of the rendered settings lists
+     * @private
+     * @returns {HTMLDivElement}
+     */
+    _createListRow() {
+        const row = document.createElement('div');
+        row.className = 'flex items-center gap-2 bg-gray-50 border border-gray-100 rounded-xl px-3 py-2';
+        return row;
+    }
+
+    /**
+     * @private
+     * @param {string} text
+     * @param {boolean} [grow=false] - Take the free width of the row
+     * @returns {HTMLSpanElement}
+     */
+    _createRowLabel(text, grow = false) {
+        const label = document.createElement('span');
+        label.className = `${grow ? 'flex-1 ' : ''}text-sm font-medium text-gray-700`;
+        label.textContent = text;
+        return label;
+    }
+
+    /**
+     * Instrument preset picker
+     * @private
+     * @param {string} value - Selected preset ID
+     * @param {string} width - Tailwind width class
+     * @param {function(string): void} onChange - (presetId)
+     * @returns {HTMLSelectElement}
+     */
+    _createInstrumentSelect(value, width, onChange) {
+        const select = document.createElement('select');
+        select.className = `${LIST_INPUT_CLASS} ${width}`;
+        select.title = 'Instrument';
+        Object.entries(instrumentPresetManager.presets).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.name || id;
+            select.appendChild(option);
+        });
+        select.value = value;
+        select.addEventListener('change', (e) => onChange(e.target.value));
+        return select;
+    }
+
+    /**
+     * Percent slider for a 0-1 (or -1-1 with `bipolar`) value
+     * @private
+     * @param {Object} options
+     * @param {number} options.value
+     * @param {string} options.title
+     * @param {string} options.width - Tailwind width class
+     * @param {boolean} [options.bipolar=false] - -1 to 1 (pan)
+     * @param {function(number): void} options.onChange - Receives the value on the same scale
+     * @returns {HTMLInputElement}
+     */
+    _createLevelSlider({ value, title, width, bipolar = false, onChange }) {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = bipolar ? '-100' : '0';
+        slider.max = '100';
+        slider.value = String(Math.round(value * 100));
+        slider.title = title;
+        slider.className = `${width} h-1.5 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-500`;
+        slider.addEventListener('change', (e) => onChange(parseInt(e.target.value, 10) / 100));
+        return slider;
+    }
+
+    /**
+     * @private
+     * @param {boolean} muted
+     * @param {function(): void} onToggle
+     * @returns {HTMLButtonElement}
+     */
+    _createMuteButton(muted, onToggle) {
+        const mute = document.createElement('button');
+        mute.className = `${LIST_INPUT_CLASS} ${muted ? 'text-red-500' : 'text-gray-500'}`;
+        mute.textContent = muted ? 'Muted' : 'Mute';
+        mute.setAttribute('aria-pressed', String(muted));
+        mute.addEventListener('click', onToggle);
+        return mute;
+    }
+
+    /**
+     * Setup Session Recorder UI (record / pause buttons + export format)
+     * @private
+     */
+    _setupRecorderUI() {
+        if (!this.ui.recordBtn || !this.sessionRecorder) return;
+
+        const recorder = this.sessionRecorder;
+
+        if (this.ui.recordFormatSelect && !SessionRecorder.isWebmSupported()) {
+            const webmOption = this.ui.recordFormatSelect.querySelector(`option[value="${RECORDING_FORMATS.WEBM_OPUS}"]`);
+            if (webmOption) webmOption.disabled = true;
+        }
+
+        recorder.onStateChange = ({ state }) => {
+            const isActive = state === 'recording' || state === 'paused';
+            this.ui.recordBtn.classList.toggle('text-red-400', isActive);
+            this.ui.recordBtn.classList.toggle('text-gray-400', !isActive);
+            this.ui.recordBtn.title = isActive ? 'Stop Recording' : 'Record Session';
+            this.ui.recordBtn.setAttribute('aria-pressed', String(isActive));
+
+            if (this.ui.recordPauseBtn) {
+                this.ui.recordPauseBtn.classList.toggle('hidden', !isActive);
+                this.ui.recordPauseBtn.title = state === 'paused' ? 'Resume Recording' : 'Pause Recording';
+            }
+        };
+
+        this.ui.recordBtn.addEventListener('click', async () => {
+            if (recorder.state === 'recording' || recorder.state === 'paused') {
+                try {
+                    const take = await recorder.stop();
+                    if (take && take.empty) {
+                        alert('Nothing was recorded: the take was stopped before its first bar began.');
+                        return;
+                    }
+                    recorder.download(this.ui.recordFormatSelect?.value || RECORDING_FORMATS.WAV_16);
+                } catch (err) {
+                    console.error('[Main] Failed to export the recording:', err);
+                    this._showError('Failed to export the recording: ' + err.message);
+                }
+                return;
+            }
+
+            if (!this.isRunning) {
+                alert("Please click 'Start Engine' first to record a session.");
+                return;
+            }
+
+            try {
+                // Takes start on the next downbeat while the transport runs
+                const transport = this.transportManager;
+                await recorder.start({
+                    includeMic: Boolean(this.ui.recordMicToggle?.checked),
+                    micStream: this.audioIO?.stream || null,
+                    startTime: transport && transport.isRunning ? transport.nextBarTime() : null
+                });
+            } catch (err) {
+                console.error('[Main] Failed to start recording:', err);
+                this._showError('Failed to start recording: ' + err.message);
+            }
+        });
+
+        if (this.ui.recordPauseBtn) {
+            this.ui.recordPauseBtn.addEventListener('click', () => {
+                if (recorder.state === 'paused') {
+                    recorder.resume();
+                } else {
+                    recorder.pause();
+                }
+            });
+        }
+    }
+
+    /**
+     * Setup MIDI Output UI (enable toggle, port + channel selection)
+     * @private
+     */
+    _setupMidiOutputUI() {
+        const midiEngine = this.synthManager ? this.synthManager.getMidiEngine() : null;
+        if (!this.ui.midiOutToggle || !midiEngine) return;
+
+        const setStatus = (text) => {
+            if (this.ui.midiOutStatus) this.ui.midiOutStatus.textContent = text;
+        };
+
+        if (!midiEngine.isSupported()) {
+            this.ui.midiOutToggle.disabled = true;
+            setStatus('Web MIDI is not supported in this browser');
+            return;
+        }
+
+        // Restore saved channel (port is restored once access is granted)
+        const savedChannel = parseInt(this._readMidiPreference('midiOutputChannel'), 10);
+        if (!Number.isNaN(savedChannel) && this.ui.midiChannelSelect) {
+            this.ui.midiChannelSelect.value = String(savedChannel);
+            this.synthManager.setMidiOutputConfig({ channel: savedChannel });
+        }
+
+        const populatePorts = (outputs) => {
+            if (!this.ui.midiOutputSelect) return;
+            const selected = this.store.getState().midi.outputId;
+            this.ui.midiOutputSelect.innerHTML = '';
+
+            if (outputs.length === 0) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.textContent = 'No MIDI outputs found';
+                this.ui.midiOutputSelect.appendChild(option);
+                return;
+            }
+
+            outputs.forEach(({ id, name }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = name;
+                this.ui.midiOutputSelect.appendChild(option);
+            });
+            this.ui.midiOutputSelect.value = outputs.some(o => o.id === selected) ? selected : outputs[0].id;
+        };
+
+        midiEngine.onOutputsChange = populatePorts;
+
+        this.ui.midiOutToggle.addEventListener('change', async (e) => {
+            const enabled = e.target.checked;
+            if (!enabled) {
+                this.synthManager.setMidiOutputConfig({ enabled: false });
+                setStatus('Off');
+                return;
+            }
+
+            try {
+                await midiEngine.init();
+                const outputs = midiEngine.getOutputs();
+                const savedId = this._readMidiPreference('midiOutputId');
+                const outputId = outputs.some(o => o.id === savedId) ? savedId : (outputs[0]?.id || null);
+
+                this.synthManager.setMidiOutputConfig({ outputId, enabled: true });
+                populatePorts(outputs);
+                setStatus(outputId ? 'Sending' : 'No MIDI outputs found');
+            } catch (err) {
+                console.error('[Main] MIDI output unavailable:', err);
+                e.target.checked = false;
+                setStatus('MIDI access denied');
+            }
+        });
+
+        if (this.ui.midiOutputSelect) {
+            this.ui.midiOutputSelect.addEventListener('change', (e) => {
+                this.synthManager.setMidiOutputConfig({ outputId: e.target.value || null });
+                this._persistMidiPreference('midiOutputId', e.target.value);
+            });
+        }
+
+        if (this.ui.midiChannelSelect) {
+            this.ui.midiChannelSelect.addEventListener('change', (e) => {
+                const channel = parseInt(e.target.value, 10);
+                this.synthManager.setMidiOutputConfig({ channel });
+                this._persistMidiPreference('midiOutputChannel', channel);
+            });
+        }
+
+        if (this.ui.midiModeSelect) {
+            // MPE uses channel 1 as manager and 2-16 as member channels
+            const applyMode = (mode) => {
+                this.synthManager.setMidiOutputConfig({ mode });
+                if (this.ui.midiChannelSelect) this.ui.midiChannelSelect.disabled = mode === 'mpe';
+            };
+
+            const savedMode = this._readMidiPreference('midiOutputMode');
+            if (savedMode === 'mono' || savedMode === 'mpe') {
+                this.ui.midiModeSelect.value = savedMode;
+                applyMode(savedMode);
+            }
+
+            this.ui.midiModeSelect.addEventListener('change', (e) => {
+                applyMode(e.target.value);
+                this._persistMidiPreference('midiOutputMode', e.target.value);
+            });
+        }
+    }
+
+    /**
+     * Parameters that MIDI Learn and Voice Modulation can drive.
+     * Targets drive the existing controls so the UI stays in sync with the controller.
+     * @private
+     * @returns {Array<{id: string, label: string, kind?: 'continuous'|'trigger', apply: Function}>}
+     */
+    _getControlTargets() {
+        const driveSlider = (slider, value) => {
+            if (!slider) return;
+            slider.value = String(Math.round(value * 100));
+            slider.dispatchEvent(new Event('input'));
+        };
+
+        return [
+            {
+                id: 'reverb',
+                label: 'Reverb',
+                apply: (value) => driveSlider(this.ui.reverbSlider, value)
+            },
+            {
+                id: 'delay',
+                label: 'Delay',
+                apply: (value) => driveSlider(this.ui.delaySlider, value)
+            },
+            {
+                id: 'vowelFilterMix',
+                label: 'Vowel Filter Mix',
+                apply: (value) => driveSlider(this.ui.vowelFilterSlider, value)
+            },
+            {
+                id: 'autoTuneStrength',
+                label: 'Auto-Tune Strength',
+                apply: (value) => {
+                    // Continuous value for the engine, nearest segment on screen
+                    this._lastStrengthVal = value;
+                    if (this.synthManager) this.synthManager.setAutoTuneConfig({ strength: value });
+                    if (this._syncStrengthControl) this._syncStrengthControl(value);
+                }
+            },
+            {
+                id: 'autoTuneSpeed',
+                label: 'Auto-Tune Speed',
+                apply: (value) => {
+                    if (this.synthManager) this.synthManager.setAutoTuneConfig({ speed: value });
+                    if (this._syncSpeedControl) this._syncSpeedControl(value);
+                }
+            },
+            {
+                id: 'instrument',
+                label: 'Instrument',
+                apply: (value) => {
+                    // Sweep through the instrument buttons in page order
+                    const buttons = Array.from(this.ui.instrumentBtns || []);
+                    if (buttons.length === 0) return;
+                    const index = Math.min(buttons.length - 1, Math.max(0, Math.floor(value * buttons.length)));
+                    if (buttons[index].dataset.instrument !== this.selectedInstrument) {
+                        buttons[index].click();
+                    }
+                }
+            },
+            {
+                id: 'startStop',
+                label: 'Start / Stop',
+                kind: 'trigger',
+                apply: () => (this.isRunning ? this.stop() : this.start())
+            }
+        ];
+    }
+
+    /**
+     * Setup MIDI Learn (hardware knobs/pads -> effects, auto-tune, instrument, transport)
+     * @private
+     */
+    _setupMidiLearnUI() {
+        if (!this.midiLearn) return;
+
+        const learn = this.midiLearn;
+        const setStatus = (text) => {
+            if (this.ui.midiLearnStatus) this.ui.midiLearnStatus.textContent = text;
+        };
+
+        this._getControlTargets().forEach(target => learn.registerTarget(target));
+
+        learn.onLearn = (mapping) => setStatus(`Mapped ${describeMidiSource(mapping.source)}`);
+        learn.onMappingsChange = () => this._renderMidiLearnList();
+
+        if (!learn.isSupported()) {
+            setStatus('Web MIDI is not supported in this browser');
+        } else if (learn.getMappings().length > 0) {
+            // Saved mappings should work without opening the settings panel
+            this._ensureMidiLearnAccess();
+        }
+
+        this._renderMidiLearnList();
+    }
+
+    /**
+     * Request MIDI input access once (first Learn click or saved mappings)
+     * @private
+     * @returns {Promise<boolean>} Whether inputs are being listened to
+     */
+    async _ensureMidiLearnAccess() {
+        if (this._midiLearnReady) return true;
+        try {
+            await this.midiLearn.init();
+            this._midiLearnReady = true;
+            if (this.ui.midiLearnStatus) this.ui.midiLearnStatus.textContent = 'Listening';
+            return true;
+        } catch (err) {
+            console.error('[Main] MIDI input unavailable:', err);
+            if (this.ui.midiLearnStatus) this.ui.midiLearnStatus.textContent = 'MIDI access denied';
+            return false;
+        }
+    }
+
+    /**
+     * Render one row per MIDI Learn target (source, learn/clear, range + curve)
+     * @private
+     */
+    _renderMidiLearnList() {
+        const list = this.ui.midiLearnList;
+        if (!list || !this.midiLearn) return;
+
+        const learn = this.midiLearn;
+        list.innerHTML = '';
+
+        learn.getTargets().forEach(target => {
+            const mapping = learn.getMapping(target.id);
+            const isLearning = learn.learningTarget === target.id;
+
+            const row = document.createElement('div');
+            row.className = 'bg-gray-50 border border-gray-100 rounded-xl px-3 py-2';
+
+            const header = document.createElement('div');
+            header.className = 'flex items-center gap-2';
+
+            const label = document.createElement('span');
+            label.className = 'flex-1 text-sm font-medium text-gray-700';
+            label.textContent = target.label;
+
+            const source = document.createElement('span');
+            source.className = 'text-[11px] text-gray-400';
+            source.textContent = isLearning ? 'Waiting for MIDI…' : (mapping ? describeMidiSource(mapping.source) : 'Unmapped');
+
+            const learnBtn = document.createElement('button');
+            learnBtn.type = 'button';
+            learnBtn.className = `text-xs font-bold px-2 py-1 rounded-lg transition-colors ${isLearning ? 'bg-blue-500 text-white' : 'text-blue-600 hover:bg-blue-50'}`;
+            learnBtn.textContent = isLearning ? 'Cancel' : 'Learn';
+            learnBtn.addEventListener('click', async () => {
+                if (isLearning) {
+                    learn.cancelLearn();
+                } else if (await this._ensureMidiLearnAccess()) {
+                    learn.learn(target.id);
+                }
+                this._renderMidiLearnList();
+            });
+
+            header.append(label, source, learnBtn);
+
+            if (mapping) {
+                const clearBtn = document.createElement('button');
+                clearBtn.type = 'button';
+                clearBtn.className = 'text-xs px-2 py-1 rounded-lg text-gray-400 hover:text-red-500 hover:bg-red-50 transition-colors';
+                clearBtn.textContent = '✕';
+                clearBtn.title = 'Remove mapping';
+                clearBtn.addEventListener('click', () => learn.removeMapping(target.id));
+                header.appendChild(clearBtn);
+            }
+            row.appendChild(header);
+
+            // Range and curve only matter for continuous targets
+            if (mapping && target.kind === 'continuous') {
+                this._renderMappingControls(row, mapping, (changes) => learn.updateMapping(target.id, changes));
+            }
+
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Append the range (min / max) and curve controls of a control mapping to its row
+     * @private
+     * @param {HTMLElement} row
+     * @param {{min: number, max: number, curve: string}} mapping
+     * @param {function(Object): void} update - Receives {min}, {max} or {curve}
+     */
+    _renderMappingControls(row, mapping, update) {
+        const controls = document.createElement('div');
+        controls.className = 'flex items-center gap-2 mt-2 text-[11px] text-gray-400';
+
+        const makeLabel = (text) => {
+            const label = document.createElement('span');
+            label.textContent = text;
+            return label;
+        };
+
+        const makeNumber = (key) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.max = '1';
+            input.step = '0.05';
+            input.value = String(mapping[key]);
+            input.className = `${LIST_INPUT_CLASS} w-16`;
+            input.addEventListener('change', (e) => update({ [key]: parseFloat(e.target.value) }));
+            return input;
+        };
+
+        const curveSelect = document.createElement('select');
+        curveSelect.className = `${LIST_INPUT_CLASS} flex-1`;
+        Object.keys(CONTROL_CURVES).forEach(curve => {
+            const option = document.createElement('option');
+            option.value = curve;
+            option.textContent = curve.charAt(0).toUpperCase() + curve.slice(1);
+            curveSelect.appendChild(option);
+        });
+        curveSelect.value = mapping.curve;
+        curveSelect.addEventListener('change', (e) => update({ curve: e.target.value }));
+
+        controls.append(makeLabel('Min'), makeNumber('min'), makeLabel('Max'), makeNumber('max'), curveSelect);
+        row.appendChild(controls);
+    }
+
+    /**
+     * Setup Voice Modulation (vowel / brightness / volume ... -> the MIDI Learn targets)
+     * @private
+     */
+    _setupVoiceModulationUI() {
+        if (!this.voiceModulation) return;
+
+        const modulation = this.voiceModulation;
+        this._getControlTargets().forEach(target => modulation.registerTarget(target));
+        modulation.onMappingsChange = () => this._renderVoiceModulationList();
+
+        this._renderVoiceModulationList();
+    }
+
+    /**
+     * Render one row per continuous target (voice source, range + curve)
+     * @private
+     */
+    _renderVoiceModulationList() {
+        const list = this.ui.voiceModulationList;
+        if (!list || !this.voiceModulation) return;
+
+        const modulation = this.voiceModulation;
+        list.innerHTML = '';
+
+        modulation.getTargets().forEach(target => {
+            const mapping = modulation.getMapping(target.id);
+
+            const row = document.createElement('div');
+            row.className = 'bg-gray-50 border border-gray-100 rounded-xl px-3 py-2';
+
+            const header = document.createElement('div');
+            header.className = 'flex items-center gap-2';
+
+            const label = document.createElement('span');
+            label.className = 'flex-1 text-sm font-medium text-gray-700';
+            label.textContent = target.label;
+
+            const sourceSelect = document.createElement('select');
+            sourceSelect.className = `${LIST_INPUT_CLASS} w-40`;
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = 'Not modulated';
+            sourceSelect.appendChild(none);
+            Object.entries(VOICE_SOURCES).forEach(([id, source]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = source.label;
+                sourceSelect.appendChild(option);
+            });
+            sourceSelect.value = mapping ? mapping.sourceId : '';
+            sourceSelect.addEventListener('change', (e) => {
+                if (e.target.value) {
+                    modulation.setMapping(target.id, e.target.value);
+                } else {
+                    modulation.removeMapping(target.id);
                 }
             });
-        }
+
+            header.append(label, sourceSelect);
+            row.appendChild(header);
+
+            if (mapping) {
+                this._renderMappingControls(row, mapping, (changes) => modulation.updateMapping(target.id, changes));
+            }
+
+            list.appendChild(row);
+        });
     }
 
     _setupSettingsUI() {
@@ -641,6 +2058,345 @@ class MamboApp {
         }
     }
 
+    /**
+     * Custom scales: Scala (.scl + optional .kbm) import and EDO shortcut.
+     * Registered with music-scales.js and persisted in localStorage (`mambo:customScales`).
+     * @private
+     */
+    _setupCustomScalesUI() {
+        const setStatus = (text) => {
+            if (this.ui.customScaleStatus) this.ui.customScaleStatus.textContent = text;
+        };
+
+        let saved = [];
+        try {
+            saved = JSON.parse(localStorage.getItem('mambo:customScales') || '[]');
+        } catch (err) {
+            console.warn('[Main] Unable to load custom scales:', err);
+        }
+        saved.forEach(({ id, scale }) => {
+            try {
+                this._addCustomScale(id, scale, { persist: false, select: false });
+            } catch (err) {
+                console.warn(`[Main] Skipping invalid custom scale "${id}":`, err);
+            }
+        });
+
+        if (this.ui.scalaImportInput) {
+            this.ui.scalaImportInput.addEventListener('change', async (e) => {
+                const files = [...e.target.files];
+                e.target.value = ''; // Allow re-importing the same file
+                const scl = files.find(f => f.name.toLowerCase().endsWith('.scl'));
+                const kbm = files.find(f => f.name.toLowerCase().endsWith('.kbm'));
+                if (!scl) {
+                    setStatus('Choose a .scl file (optionally together with a .kbm).');
+                    return;
+                }
+
+                try {
+                    const scale = createScaleFromScala(await scl.text(), kbm ? await kbm.text() : null);
+                    const id = `custom:${scl.name.replace(/\.scl$/i, '')}`;
+                    this._addCustomScale(id, scale);
+                    setStatus(`Imported "${scale.name}" (${scale.cents.length} notes${kbm ? `, ${scale.rootFrequency.toFixed(2)} Hz root` : ''}).`);
+                } catch (err) {
+                    console.error('[Main] Scala import failed:', err);
+                    setStatus(`Cannot import ${scl.name}: ${err.message}`);
+                }
+            });
+        }
+
+        if (this.ui.addEdoBtn && this.ui.customEdoInput) {
+            this.ui.addEdoBtn.addEventListener('click', () => {
+                try {
+                    const scale = createEdoScale(parseInt(this.ui.customEdoInput.value, 10));
+                    this._addCustomScale(`custom:${scale.name}`, scale);
+                    setStatus(`Added ${scale.name}.`);
+                } catch (err) {
+                    setStatus(err.message);
+                }
+            });
+        }
+    }
+
+    /**
+     * Register a custom scale, list it in the scale select and optionally select it
+     * @private
+     */
+    _addCustomScale(id, scale, { persist = true, select = true } = {}) {
+        const normalized = registerScale(id, scale);
+        this.customScales = this.customScales.filter(entry => entry.id !== id);
+        this.customScales.push({ id, scale: normalized });
+
+        const group = this.ui.customScalesGroup;
+        if (group) {
+            let option = [...group.children].find(o => o.value === id);
+            if (!option) {
+                option = document.createElement('option');
+                option.value = id;
+                group.appendChild(option);
+            }
+            option.textContent = normalized.name;
+            group.hidden = false;
+        }
+
+        if (persist) {
+            try {
+                localStorage.setItem('mambo:customScales', JSON.stringify(this.customScales));
+            } catch (err) {
+                console.warn('[Main] Unable to persist custom scales:', err);
+            }
+        }
+
+        if (select) {
+            if (this.ui.scaleTypeSelect) this.ui.scaleTypeSelect.value = id;
+            if (this.synthManager) this.synthManager.setAutoTuneConfig({ scale: id });
+        }
+    }
+
+    /**
+     * Key detection: the KeyDetector runs on every frame; depending on the mode its
+     * (hysteresis-filtered) key changes are ignored, offered as a suggestion or
+     * applied to auto-tune directly. Mode persists in localStorage (`mambo:keyDetection`).
+     * @private
+     */
+    _setupKeyDetectionUI() {
+        try {
+            const saved = localStorage.getItem('mambo:keyDetection');
+            if (['off', 'suggest', 'auto'].includes(saved)) this.keyDetectionMode = saved;
+        } catch (err) {
+            console.warn('[Main] Unable to load key detection preference:', err);
+        }
+
+        if (this.keyDetector) {
+            this.keyDetector.onKeyChange = (result) => this._handleDetectedKey(result);
+        }
+
+        const select = this.ui.keyDetectionSelect;
+        if (select) {
+            select.value = this.keyDetectionMode;
+            select.addEventListener('change', (e) => {
+                this.keyDetectionMode = e.target.value;
+                try {
+                    localStorage.setItem('mambo:keyDetection', this.keyDetectionMode);
+                } catch (err) {
+                    console.warn('[Main] Unable to persist key detection preference:', err);
+                }
+                this._showKeySuggestion(null);
+                // Re-apply what is already known instead of waiting for the next change
+                if (this.keyDetectionMode !== 'off' && this.keyDetector?.currentKey) {
+                    this._handleDetectedKey(this.keyDetector.currentKey);
+                }
+            });
+        }
+
+        if (this.ui.applyKeySuggestionBtn) {
+            this.ui.applyKeySuggestionBtn.addEventListener('click', () => {
+                if (this._keySuggestion) this._applyDetectedKey(this._keySuggestion);
+                this._showKeySuggestion(null);
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleDetectedKey(result) {
+        console.log(`[Main] Detected key: ${result.key} ${result.scale} (${Math.round(result.confidence * 100)}%)`);
+        if (this.keyDetectionMode === 'auto') {
+            this._applyDetectedKey(result);
+        } else if (this.keyDetectionMode === 'suggest') {
+            this._showKeySuggestion(result);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _applyDetectedKey({ key, scale }) {
+        if (this.ui.scaleKeySelect) this.ui.scaleKeySelect.value = key;
+        if (this.ui.scaleTypeSelect) this.ui.scaleTypeSelect.value = scale;
+        if (this.synthManager) this.synthManager.setAutoTuneConfig({ key, scale });
+    }
+
+    /**
+     * @private
+     */
+    _showKeySuggestion(result) {
+        this._keySuggestion = result;
+        if (this.ui.keySuggestion) this.ui.keySuggestion.hidden = !result;
+        if (result && this.ui.keySuggestionText) {
+            this.ui.keySuggestionText.textContent =
+                `Sounds like ${result.key} ${result.scale} (${Math.round(result.confidence * 100)}%)`;
+        }
+    }
+
+    /**
+     * Chord-following auto-tune: progression text + BPM → SynthManager chord track
+     * @private
+     */
+    _setupChordTrackUI() {
+        const { chordFollowToggle, chordProgressionInput, chordBpmInput, chordRestartBtn, chordTrackStatus } = this.ui;
+        const setStatus = (text) => {
+            if (chordTrackStatus) chordTrackStatus.textContent = text;
+        };
+
+        const saved = this.store?.getState().synth.autoTune.chords;
+        if (saved) {
+            if (chordFollowToggle) chordFollowToggle.checked = saved.enabled;
+            if (chordProgressionInput) chordProgressionInput.value = saved.progression;
+            if (chordBpmInput) chordBpmInput.value = saved.bpm;
+        }
+
+        const apply = () => {
+            const progression = chordProgressionInput ? chordProgressionInput.value : '';
+            const bpm = chordBpmInput ? parseFloat(chordBpmInput.value) : 120;
+            const enabled = !!chordFollowToggle?.checked;
+
+            if (enabled) {
+                try {
+                    parseProgression(progression);
+                    if (!(bpm > 0)) throw new Error('BPM must be a positive number');
+                } catch (err) {
+                    setStatus(err.message);
+                    return;
+                }
+                // Chord following only makes sense with correction on
+                if (this.ui.autoTuneToggle && !this.ui.autoTuneToggle.checked) {
+                    this.ui.autoTuneToggle.checked = true;
+                    this._updateAutoTuneState();
+                }
+            }
+
+            if (this.synthManager) {
+                this.synthManager.setAutoTuneConfig({ chords: { enabled, progression, bpm } });
+            }
+            setStatus(enabled ? `Following ${progression} at ${bpm} BPM` : 'Chord following off');
+        };
+
+        if (chordFollowToggle) chordFollowToggle.addEventListener('change', apply);
+        if (chordProgressionInput) chordProgressionInput.addEventListener('change', apply);
+        if (chordBpmInput) chordBpmInput.addEventListener('change', apply);
+        if (chordRestartBtn) {
+            chordRestartBtn.addEventListener('click', () => {
+                if (this.synthManager) this.synthManager.restartChordTrack();
+            });
+        }
+    }
+
+    _setupPitchAlgorithmUI() {
+        const select = this.ui.pitchAlgorithmSelect;
+
+        try {
+            const saved = localStorage.getItem('mambo:pitchAlgorithm');
+            if (saved && PITCH_ALGORITHMS.includes(saved)) this.pitchAlgorithm = saved;
+        } catch (err) {
+            console.warn('[Main] Unable to load pitch algorithm preference:', err);
+        }
+
+        if (!select) return;
+        select.value = this.pitchAlgorithm || this.config?.pitchDetector?.algorithm || 'YIN';
+
+        select.addEventListener('change', (e) => {
+            this.pitchAlgorithm = e.target.value;
+            try {
+                localStorage.setItem('mambo:pitchAlgorithm', this.pitchAlgorithm);
+            } catch (err) {
+                console.warn('[Main] Unable to persist pitch algorithm preference:', err);
+            }
+
+            // Both paths: the Worklet gets a new config message, PitchDetector rebuilds its detector
+            if (this.audioIO) this.audioIO.setPitchAlgorithm(this.pitchAlgorithm);
+            if (this.pitchDetector) this.pitchDetector.setAlgorithm(this.pitchAlgorithm);
+            console.log(`[Main] Pitch algorithm: ${this.pitchAlgorithm}`);
+        });
+    }
+
+    /**
+     * Optional vocal range calibration (CalibrationSystem) for the octave corrector.
+     * The range is persisted in localStorage (`mambo:calibration`).
+     * @private
+     */
+    _setupCalibrationUI() {
+        const calibration = this.calibrationSystem;
+        if (!calibration) return;
+
+        // Saved range (also brought back when a new calibration is cancelled)
+        const restore = () => {
+            try {
+                const saved = JSON.parse(localStorage.getItem('mambo:calibration') || 'null');
+                if (saved && saved.lowestFreq > 0 && saved.highestFreq > saved.lowestFreq) {
+                    calibration.calibrationData = saved;
+                    calibration.calibrationStep = 3;
+                }
+            } catch (err) {
+                console.warn('[Main] Unable to load calibration:', err);
+            }
+        };
+        restore();
+
+        const setStatus = (text) => {
+            if (this.ui.calibrationStatus) this.ui.calibrationStatus.textContent = text;
+        };
+        const idleStatus = () => {
+            if (!calibration.isCalibrated()) return 'Not calibrated';
+            const { lowestNote, highestNote } = calibration.calibrationData;
+            return `${lowestNote} - ${highestNote}`;
+        };
+        const setCalibrating = (isCalibrating) => {
+            if (this.ui.calibrateRangeBtn) this.ui.calibrateRangeBtn.textContent = isCalibrating ? 'Cancel' : 'Calibrate my range';
+        };
+
+        let stepInstruction = '';
+        calibration.onCalibrationUpdate = ({ instruction, remaining }) => {
+            if (instruction) stepInstruction = instruction;
+            const seconds = Math.ceil((remaining ?? calibration.sampleDuration) / 1000);
+            setStatus(`${stepInstruction} ${seconds}s`);
+        };
+
+        calibration.onCalibrationComplete = (data) => {
+            setCalibrating(false);
+            try {
+                localStorage.setItem('mambo:calibration', JSON.stringify(data));
+            } catch (err) {
+                console.warn('[Main] Unable to persist calibration:', err);
+            }
+            setStatus(idleStatus());
+        };
+
+        if (this.ui.calibrateRangeBtn) {
+            this.ui.calibrateRangeBtn.addEventListener('click', () => {
+                if (calibration.isCalibrating) {
+                    calibration.cancel();
+                    restore();
+                    setCalibrating(false);
+                    setStatus(idleStatus());
+                    return;
+                }
+                if (!this.isRunning) {
+                    setStatus('Press Start first, then calibrate');
+                    return;
+                }
+                calibration.start();
+                setCalibrating(true);
+            });
+        }
+
+        if (this.ui.calibrationResetBtn) {
+            this.ui.calibrationResetBtn.addEventListener('click', () => {
+                calibration.cancel();
+                setCalibrating(false);
+                try {
+                    localStorage.removeItem('mambo:calibration');
+                } catch (err) {
+                    console.warn('[Main] Unable to clear calibration:', err);
+                }
+                setStatus(idleStatus());
+            });
+        }
+
+        setStatus(idleStatus());
+    }
+
     _setupHelpUI() {
         if (this.ui.helpBtn) {
             this.ui.helpBtn.addEventListener('click', () => {
@@ -672,6 +2428,12 @@ class MamboApp {
 
     _setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
+            // 'B' for Tap Tempo (not while typing into a field)
+            if (e.key.toLowerCase() === 'b' && this.tempoDetector && !e.target.closest?.('input, select, textarea')) {
+                this.tempoDetector.tap();
+                return;
+            }
+
             // 'T' for Auto-Tune Toggle
             if (e.key.toLowerCase() === 't') {
                 const state = this.store.getState().synth;
@@ -906,6 +2668,22 @@ class MamboApp {
         }
     }
 
+    _readMidiPreference(key) {
+        try {
+            return localStorage.getItem(`mambo:${key}`);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    _persistMidiPreference(key, value) {
+        try {
+            localStorage.setItem(`mambo:${key}`, String(value));
+        } catch (err) {
+            console.warn('[Main] Unable to persist MIDI preference:', err);
+        }
+    }
+
     _syncSelectValue(selectEl, deviceId, fallbackLabel) {
         if (!selectEl || !deviceId) return;
         const options = [...selectEl.options];
@@ -1008,6 +2786,10 @@ class MamboApp {
             this.audioLoopController.start();
         }
 
+        if (this.transportManager) {
+            this.transportManager.start();
+        }
+
         return audioStartInfo;
     }
 
@@ -1121,22 +2903,38 @@ class MamboApp {
                 // P0 Fix: Pass complete config object for AudioIO to serialize for Worklet
                 appConfig: this.config
             });
+            if (this.pitchAlgorithm) this.audioIO.setPitchAlgorithm(this.pitchAlgorithm);
+            this._syncBeatboxDetection();
 
             // Register dedicated Worklet callback (avoids conflict with ScriptProcessor path)
             this.audioIO.onWorkletPitchFrame((pitchFrame, timestamp) => {
                 // Use AudioContext.currentTime for latency measurement (same time source as Worklet)
                 const receiveTime = this.audioIO.audioContext ? this.audioIO.audioContext.currentTime * 1000 : performance.now();
+                if (this.calibrationSystem && this.calibrationSystem.isCalibrating) {
+                    this.calibrationSystem.processPitch(pitchFrame);
+                }
+                if (this.octaveCorrector) {
+                    pitchFrame = this.octaveCorrector.process(pitchFrame);
+                }
                 if (this.audioLoopController) {
                     this.audioLoopController.handleWorkletPitchFrame(pitchFrame, timestamp, receiveTime);
                 }
             });
 
+            // Beatbox hits (Worklet mode; detection is switched by _syncBeatboxDetection)
+            this.audioIO.onPercussionOnset((hit) => {
+                if (this.beatbox) this.beatbox.handleHit(hit);
+            });
+
             // ScriptProcessor mode callback (Fallback)
             this.audioIO.onFrame((data, timestamp) => {
                 if (!this.audioLoopController) return;
 
                 // Only handle Float32Array (ScriptProcessor mode)
                 if (data instanceof Float32Array) {
+                    if (this.beatbox) {
+                        this.beatbox.processBuffer(data, timestamp, this.audioIO.audioContext?.sampleRate);
+                    }
                     this.audioLoopController.onAudioProcess(data);
                 }
                 // If PitchFrame object but Worklet callback not registered, warn here
@@ -1245,7 +3043,9 @@ class MamboApp {
         // Initialize Pitch Detector (Needed for ScriptProcessor mode)
         if (mode !== 'worklet' && audioContext && !this.pitchDetector.detector) {
             console.log('Initializing pitch detector...');
-            this.pitchDetector.initialize(audioContext.sampleRate);
+            this.pitchDetector.initialize(audioContext.sampleRate, {
+                algorithm: this.pitchAlgorithm || this.config.pitchDetector?.algorithm
+            });
         }
 
         // Initialize ExpressiveFeatures only in ScriptProcessor mode
@@ -1296,6 +3096,50 @@ class MamboApp {
             this.audioLoopController.stop();
         }
 
+        if (this.transportManager) {
+            this.transportManager.stop();
+            if (this.ui.transportBeat) this.ui.transportBeat.textContent = '--';
+        }
+
+        if (this.octaveCorrector) {
+            this.octaveCorrector.reset();
+        }
+
+        if (this.keyDetector) {
+            this.keyDetector.reset();
+        }
+
+        if (this.tempoDetector) {
+            this.tempoDetector.reset();
+        }
+
+        if (this.beatbox && this.beatbox.trainer.isTraining) {
+            this.beatbox.cancelTraining();
+            if (this.ui.beatboxTrainBtn) this.ui.beatboxTrainBtn.textContent = 'Train my sounds';
+            if (this.ui.beatboxStatus) this.ui.beatboxStatus.textContent = 'Training cancelled';
+        }
+
+        // Loop layers play through the live context; stop them with the session
+        if (this.loopStation && this.loopStation.state !== 'stopped') {
+            this.loopStation.stop();
+        }
+
+        // Release any held external MIDI note
+        const midiEngine = this.synthManager ? this.synthManager.getMidiEngine() : null;
+        if (midiEngine) {
+            midiEngine.stop();
+        }
+
+        // Finish an open take before the mic stream goes away
+        if (this.sessionRecorder && this.sessionRecorder.state !== 'inactive') {
+            try {
+                await this.sessionRecorder.stop();
+                this.sessionRecorder.download(this.ui.recordFormatSelect?.value || RECORDING_FORMATS.WAV_16);
+            } catch (e) {
+                console.error('Error finishing recording:', e);
+            }
+        }
+
         if (this.audioIO) {
             try {
                 await this.audioIO.stop();
@@ -1435,7 +3279,7 @@ container.register('ExpressiveFeatures', () => ExpressiveFeatures, {
 // 5. 音高检测器 (Step 2 Layer 2: 容器创建新实例)
 container.register('pitchDetector', () => {
     console.log('[Container]  创建 PitchDetector 实例...');
-    return new PitchDetector();
+    return new PitchDetector({ createMPMDetector });
 }, {
     singleton: true
 });
@@ -1475,14 +3319,36 @@ container.register('continuousSynthEngine', (c) => {
     dependencies: ['config', 'instrumentPresetManager']
 });
 
-// 8.5 AI 伴奏模块 (Step 2: 容器创建新实例)
-container.register('aiHarmonizer', () => {
-    console.log('[Container]  创建 AiHarmonizer 实例...');
-    return new AiHarmonizer();
+// 8.4 Transport Manager (tempo grid: click, beat marker, AI Jam / recorder / MIDI export alignment)
+container.register('transportManager', () => {
+    console.log('[Container] Creating TransportManager instance...');
+    return new TransportManager();
+}, {
+    singleton: true
+});
+
+// 8.45 Smart Jam band (harmony → bass / pad / arp / drums in the chosen style)
+container.register('accompaniment', () => {
+    console.log('[Container] Creating Accompaniment instance...');
+    return new Accompaniment();
 }, {
     singleton: true
 });
 
+// 8.5 AI 伴奏模块 (Step 2: 容器创建新实例，跟随 Transport 的速度网格, 离线时回退到规则和弦)
+container.register('aiHarmonizer', (c) => {
+    console.log('[Container]  创建 AiHarmonizer 实例...');
+    return new AiHarmonizer({
+        transport: c.get('transportManager'),
+        keyDetector: c.get('keyDetector'),
+        config: c.get('config').harmonizer,
+        accompaniment: c.get('accompaniment')
+    });
+}, {
+    singleton: true,
+    dependencies: ['config', 'transportManager', 'keyDetector', 'accompaniment']
+});
+
 // 8.6 Visualizer Manager
 container.register('visualizerManager', (c) => {
     console.log('[Container]  创建 VisualizerManager 实例...');
@@ -1491,7 +3357,7 @@ container.register('visualizerManager', (c) => {
     if (!pitchCanvas) {
         console.warn('[Container] pitchCanvas element not found for VisualizerManager. Visualizer will not function.');
         // Return a no-op manager or throw error depending on desired behavior
-        return { init: () => {}, update: () => {}, resize: () => {}, destroy: () => {} };
+        return { init: () => {}, update: () => {}, markBeat: () => {}, resize: () => {}, destroy: () => {} };
     }
     return new VisualizerManager(pitchCanvas, config);
 }, {
@@ -1499,16 +3365,133 @@ container.register('visualizerManager', (c) => {
     dependencies: ['config']
 });
 
+// 8.64 Beatbox (percussion hits from the worklet → built-in drum kit)
+container.register('beatbox', () => {
+    console.log('[Container] Creating BeatboxManager instance...');
+    return new BeatboxManager({ kit: new DrumKit() });
+}, {
+    singleton: true
+});
+
+// 8.65 Session Recorder (taps the post-reverb output of both engines, the drum kit, the loop station and the Smart Jam band)
+container.register('sessionRecorder', (c) => {
+    console.log('[Container] Creating SessionRecorder instance...');
+    return new SessionRecorder({
+        engines: [c.get('continuousSynthEngine'), c.get('synthesizerEngine'), c.get('beatbox').kit, c.get('loopStation'), c.get('accompaniment')]
+    });
+}, {
+    singleton: true,
+    dependencies: ['continuousSynthEngine', 'synthesizerEngine', 'beatbox', 'loopStation', 'accompaniment']
+});
+
+// 8.66 MIDI Output Engine (external synths, runs alongside the audio engines)
+container.register('midiOutputEngine', (c) => {
+    console.log('[Container] Creating MidiOutputEngine instance...');
+    const synthConfig = c.get('config').synthesizer || {};
+    return new MidiOutputEngine({
+        pitchBendRange: synthConfig.pitchBendRange
+    });
+}, {
+    singleton: true,
+    dependencies: ['config']
+});
+
+// 8.67 MIDI Learn (hardware controller input, targets are registered by MamboApp)
+container.register('midiLearn', () => {
+    console.log('[Container] Creating MidiLearnManager instance...');
+    return new MidiLearnManager();
+}, {
+    singleton: true
+});
+
+// 8.675 Calibration System (optional vocal range; MamboApp restores / runs it from Settings)
+container.register('calibrationSystem', (c) => {
+    console.log('[Container] Creating CalibrationSystem instance...');
+    return new CalibrationSystem({ pitchDetector: c.get('pitchDetector') });
+}, {
+    singleton: true,
+    dependencies: ['pitchDetector']
+});
+
+// 8.68 Octave Corrector (between worklet PitchFrames and the audio loop)
+container.register('octaveCorrector', (c) => {
+    console.log('[Container] Creating OctaveCorrector instance...');
+    const performanceMonitor = c.get('performanceMonitor');
+    return new OctaveCorrector({
+        calibration: c.get('calibrationSystem'),
+        onCorrection: (correction) => performanceMonitor.recordOctaveCorrection(correction)
+    });
+}, {
+    singleton: true,
+    dependencies: ['performanceMonitor', 'calibrationSystem']
+});
+
+// 8.69 Key Detector (pitch-class histogram → key / mode for auto-tune; MamboApp sets onKeyChange)
+container.register('keyDetector', () => {
+    console.log('[Container] Creating KeyDetector instance...');
+    return new KeyDetector();
+}, {
+    singleton: true
+});
+
+// 8.692 Tempo Detector (attack onsets → BPM for the transport; MamboApp sets onTempoChange)
+container.register('tempoDetector', () => {
+    console.log('[Container] Creating TempoDetector instance...');
+    return new TempoDetector();
+}, {
+    singleton: true
+});
+
+// 8.695 Voice Modulation (PitchFrame features → parameters; targets are registered by MamboApp)
+container.register('voiceModulation', () => {
+    console.log('[Container] Creating VoiceModulationManager instance...');
+    return new VoiceModulationManager();
+}, {
+    singleton: true
+});
+
 // 8.7 Synth Manager (Bridge between Store and Audio Engines)
 container.register('synthManager', (c) => {
     console.log('[Container] Creating SynthManager instance...');
     return new SynthManager({
         continuous: c.get('continuousSynthEngine'),
-        legacy: c.get('synthesizerEngine')
+        legacy: c.get('synthesizerEngine'),
+        midi: c.get('midiOutputEngine')
+    });
+}, {
+    singleton: true,
+    dependencies: ['continuousSynthEngine', 'synthesizerEngine', 'midiOutputEngine']
+});
+
+// 8.75 Loop Station (tempo / meter / click from the transport; PitchFrame layers get their own ContinuousSynthEngine, set up like the live one)
+container.register('loopStation', (c) => {
+    console.log('[Container] Creating LoopStation instance...');
+    const synthManager = c.get('synthManager');
+    return new LoopStation({
+        transport: c.get('transportManager'),
+        engineFactory: async (instrument) => {
+            const engine = new ContinuousSynthEngine({
+                appConfig: c.get('config'),
+                instrumentPresets: c.get('instrumentPresetManager').presets
+            });
+            await engine.initialize();
+            engine.changeInstrument(instrument);
+
+            const { reverbWet, delayWet, autoTune, wavetable } = store.getState().synth;
+            engine.setReverbWet(reverbWet);
+            engine.setDelayWet(delayWet);
+            if (wavetable) engine.setWavetable(wavetable);
+            if (autoTune) {
+                engine.setAutoTuneStrength(autoTune.enabled ? autoTune.strength : 0);
+                engine.setScale(autoTune.key, autoTune.scale);
+            }
+            return engine;
+        },
+        getLiveOutput: () => synthManager.getActiveEngine()?.getOutputNode?.() || null
     });
 }, {
     singleton: true,
-    dependencies: ['continuousSynthEngine', 'synthesizerEngine']
+    dependencies: ['config', 'instrumentPresetManager', 'synthManager', 'transportManager']
 });
 
 // 8.8 Audio Loop Controller
@@ -1519,12 +3502,17 @@ container.register('audioLoopController', (c) => {
         visualizerManager: c.get('visualizerManager'),
         performanceMonitor: c.get('performanceMonitor'),
         pitchDetector: c.get('pitchDetector'),
-        aiHarmonizer: c.get('aiHarmonizer')
+        aiHarmonizer: c.get('aiHarmonizer'),
+        keyDetector: c.get('keyDetector'),
+        tempoDetector: c.get('tempoDetector'),
+        voiceModulation: c.get('voiceModulation'),
+        loopStation: c.get('loopStation')
         // expressiveFeatures will be set by MamboApp after initialization
     });
 }, {
     singleton: true,
-    dependencies: ['synthManager', 'visualizerManager', 'performanceMonitor', 'pitchDetector', 'aiHarmonizer']
+    dependencies: ['synthManager', 'visualizerManager', 'performanceMonitor', 'pitchDetector', 'aiHarmonizer', 'keyDetector',
+                   'tempoDetector', 'voiceModulation', 'loopStation']
 });
 
 // 9. Main App Instance (Step 2: Pass services for Dependency Injection)
@@ -1541,10 +3529,21 @@ container.register('app', (c) => {
             continuousSynthEngine: c.get('continuousSynthEngine'),
                     ExpressiveFeatures: c.get('ExpressiveFeatures'),
                     aiHarmonizer: c.get('aiHarmonizer'),
+                    accompaniment: c.get('accompaniment'), // Inject Smart Jam band
                     visualizerManager: c.get('visualizerManager'),
                     synthManager: c.get('synthManager'), // Inject SynthManager
                     audioLoopController: c.get('audioLoopController'), // Inject AudioLoopController
-                    store: c.get('store') // Inject State Store
+                    store: c.get('store'), // Inject State Store
+                    sessionRecorder: c.get('sessionRecorder'), // Inject Session Recorder
+                    midiLearn: c.get('midiLearn'), // Inject MIDI Learn Manager
+                    calibrationSystem: c.get('calibrationSystem'), // Inject Calibration System
+                    octaveCorrector: c.get('octaveCorrector'), // Inject Octave Corrector
+                    keyDetector: c.get('keyDetector'), // Inject Key Detector
+                    tempoDetector: c.get('tempoDetector'), // Inject Tempo Detector
+                    voiceModulation: c.get('voiceModulation'), // Inject Voice Modulation
+                    beatbox: c.get('beatbox'), // Inject Beatbox Manager
+                    loopStation: c.get('loopStation'), // Inject Loop Station
+                    transportManager: c.get('transportManager') // Inject Transport Manager
                 };
 
                 console.log('[Container]  服务已注入:', Object.keys(services));
@@ -1553,7 +3552,9 @@ container.register('app', (c) => {
                 singleton: true,
                 dependencies: ['config', 'configManager', 'pitchDetector', 'performanceMonitor',
                                'synthesizerEngine', 'continuousSynthEngine', 'ExpressiveFeatures',
-                               'aiHarmonizer', 'visualizerManager', 'synthManager', 'audioLoopController', 'store']
+                               'aiHarmonizer', 'accompaniment', 'visualizerManager', 'synthManager', 'audioLoopController', 'store',
+                               'sessionRecorder', 'midiLearn', 'calibrationSystem', 'octaveCorrector', 'keyDetector', 'tempoDetector', 'voiceModulation', 'beatbox',
+                               'loopStation', 'transportManager']
             });// =============================================================================
 // Global Exposure (App Entry & Container Debug Interface Only)
 // =============================================================================
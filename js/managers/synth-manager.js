@@ -4,6 +4,7 @@
  */
 
 import { store } from '../state/store.js';
+import { ChordTrack } from '../core/chord-track.js';
 import '../types/app-types.js';
 
 class SynthManager {
@@ -11,10 +12,13 @@ class SynthManager {
      * @param {Object} engines
      * @param {Object} engines.continuous - The ContinuousSynthEngine instance
      * @param {Object} engines.legacy - The SynthesizerEngine (Legacy) instance
+     * @param {Object} [engines.midi] - The MidiOutputEngine instance (runs in parallel)
      */
-    constructor({ continuous, legacy }) {
+    constructor({ continuous, legacy, midi = null }) {
         this.continuousEngine = continuous;
         this.legacyEngine = legacy;
+        this.midiEngine = midi;
+        this.chordTrack = null;
 
         // Default to continuous based on store initial state or fallback
         this.activeEngine = this.continuousEngine;
@@ -38,6 +42,15 @@ class SynthManager {
         // Sync Effects
         this.setReverb(state.reverbWet);
         this.setDelay(state.delayWet);
+        if (state.vowelFilter) {
+            this.setVowelFilter(state.vowelFilter);
+        }
+        if (state.harmonyVoices) {
+            this.setHarmonyVoices(state.harmonyVoices);
+        }
+        if (state.wavetable) {
+            this.setWavetable(state.wavetable);
+        }
         
         // Sync Auto-Tune
         if (state.autoTune) {
@@ -131,6 +144,73 @@ class SynthManager {
         });
     }
 
+    /**
+     * Update the vowel filter (talkbox / wah driven by the singer's formants)
+     * @param {{mode?: 'off'|'talkbox'|'wah', mix?: number}} config
+     */
+    setVowelFilter(config) {
+        const newConfig = { mode: 'off', mix: 0.7, ...store.getState().synth.vowelFilter, ...config };
+        newConfig.mix = Math.max(0, Math.min(1, newConfig.mix));
+
+        // Continuous only: the legacy engine has no formant stage
+        if (this.continuousEngine && this.continuousEngine.setVowelFilter) {
+            this.continuousEngine.setVowelFilter(newConfig);
+        }
+
+        store.setState({
+            synth: { ...store.getState().synth, vowelFilter: newConfig }
+        });
+    }
+
+    /**
+     * Update the harmony voices that follow the sung lead (up to three)
+     * @param {Array<{mode?: 'parallel'|'diatonic', interval?: number, instrument?: string, level?: number, pan?: number}>} voices
+     */
+    setHarmonyVoices(voices) {
+        // Continuous only: the legacy engine plays discrete notes
+        if (this.continuousEngine && this.continuousEngine.setHarmonyVoices) {
+            this.continuousEngine.setHarmonyVoices(voices);
+        }
+
+        const newVoices = this.continuousEngine && this.continuousEngine.getHarmonyVoices
+            ? this.continuousEngine.getHarmonyVoices()
+            : voices.map(voice => ({ ...voice }));
+        store.setState({
+            synth: { ...store.getState().synth, harmonyVoices: newVoices }
+        });
+    }
+
+    /**
+     * Choose the table played by Wavetable presets (built in or imported)
+     * @param {string|null} id - null = each preset's own table
+     */
+    setWavetable(id) {
+        // Continuous only: the legacy engine has no wavetable voice
+        if (this.continuousEngine && this.continuousEngine.setWavetable) {
+            try {
+                this.continuousEngine.setWavetable(id);
+            } catch (error) {
+                console.error('[SynthManager] Cannot use wavetable:', error.message);
+                return;
+            }
+        }
+
+        store.setState({
+            synth: { ...store.getState().synth, wavetable: id || null }
+        });
+    }
+
+    /**
+     * Rebuild the voices of presets that play a sample set (after importing it)
+     * @param {string} id - The presets' `sampleSet`
+     */
+    reloadSampleSet(id) {
+        // Continuous only: the legacy engine has no sampler voice
+        if (this.continuousEngine && this.continuousEngine.reloadSampleSet) {
+            this.continuousEngine.reloadSampleSet(id);
+        }
+    }
+
     /**
      * Update Auto-Tune Configuration
      * @param {Partial<AutoTuneConfig>} config 
@@ -138,6 +218,9 @@ class SynthManager {
     setAutoTuneConfig(config) {
         const currentConfig = store.getState().synth.autoTune;
         const newConfig = { ...currentConfig, ...config };
+        if (config.chords) {
+            newConfig.chords = { ...currentConfig.chords, ...config.chords };
+        }
 
         // Apply to Engine (Continuous only)
         if (this.continuousEngine) {
@@ -151,9 +234,21 @@ class SynthManager {
             if (config.speed !== undefined && this.continuousEngine.setRetuneSpeed) {
                 this.continuousEngine.setRetuneSpeed(newConfig.speed);
             }
+            const hasRetuneModel = config.transition !== undefined ||
+                config.vibrato !== undefined || config.humanize !== undefined;
+            if (hasRetuneModel && this.continuousEngine.setRetuneModel) {
+                this.continuousEngine.setRetuneModel({
+                    transitionMs: newConfig.transition,
+                    vibratoPreserve: newConfig.vibrato,
+                    humanize: newConfig.humanize
+                });
+            }
             if ((config.key || config.scale) && this.continuousEngine.setScale) {
                 this.continuousEngine.setScale(newConfig.key, newConfig.scale);
             }
+            if (config.chords && this.continuousEngine.setChordTrack) {
+                this._applyChordTrack(newConfig.chords, currentConfig.chords);
+            }
         }
 
         // Update Store
@@ -165,12 +260,86 @@ class SynthManager {
         });
     }
 
+    /**
+     * Rebuild the chord track when the progression or tempo changes.
+     * The track restarts from bar 1 whenever it is (re)enabled or rebuilt.
+     * @private
+     * @param {ChordTrackConfig} chords
+     * @param {ChordTrackConfig} [previous]
+     */
+    _applyChordTrack(chords, previous = {}) {
+        if (!chords.enabled) {
+            this.chordTrack = null;
+            this.continuousEngine.setChordTrack(null);
+            return;
+        }
+
+        const unchanged = this.chordTrack && previous.enabled &&
+            chords.progression === previous.progression &&
+            chords.bpm === previous.bpm &&
+            chords.beatsPerBar === previous.beatsPerBar;
+        if (unchanged) return;
+
+        try {
+            this.chordTrack = new ChordTrack(chords);
+            this.chordTrack.start();
+            this.continuousEngine.setChordTrack(this.chordTrack);
+        } catch (error) {
+            console.error('[SynthManager] Invalid chord progression:', error.message);
+            this.chordTrack = null;
+            this.continuousEngine.setChordTrack(null);
+            chords.enabled = false;
+        }
+    }
+
+    /**
+     * Restart the chord track from bar 1 (sync with a backing track)
+     */
+    restartChordTrack() {
+        if (this.chordTrack) this.chordTrack.start();
+    }
+
+    /**
+     * Update MIDI Output Configuration
+     * @param {Partial<MidiOutputConfig>} config
+     */
+    setMidiOutputConfig(config) {
+        const currentConfig = store.getState().midi;
+        const newConfig = { ...currentConfig, ...config };
+
+        if (this.midiEngine) {
+            if (config.outputId !== undefined) {
+                this.midiEngine.setOutput(newConfig.outputId);
+            }
+            if (config.channel !== undefined) {
+                this.midiEngine.setChannel(newConfig.channel);
+            }
+            if (config.mode !== undefined) {
+                this.midiEngine.setMode(newConfig.mode);
+            }
+            if (config.enabled !== undefined) {
+                this.midiEngine.setEnabled(newConfig.enabled);
+            }
+        }
+
+        store.setState({
+            midi: newConfig
+        });
+    }
+
     /**
      * Get the currently active engine instance
      */
     getActiveEngine() {
         return this.activeEngine;
     }
+
+    /**
+     * Get the MIDI output engine (null when not configured)
+     */
+    getMidiEngine() {
+        return this.midiEngine;
+    }
 }
 
 export { SynthManager };
\ No newline at end of file
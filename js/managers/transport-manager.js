@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Transport Manager - the session's tempo grid.
+ * Bridges the Global Store (BPM, time signature, click, quantize grid) and
+ * Tone.Transport, which keeps the musical clock in the shared AudioContext.
+ *
+ * Consumers align to it instead of running their own clocks:
+ * - AiHarmonizer: step length, generation interval and backing start (next bar).
+ * - SessionRecorder: takes start on the next downbeat.
+ * - MIDI exporter: tempo / meter meta events and the bar grid (`startedAt`).
+ * - Legacy engine: optional onset quantization through `quantize()`.
+ * - LoopStation: tempo and meter of a new loop, bar 1 on a downbeat, count-in clicks.
+ *
+ * The tempo is set by hand, by tap tempo or, with `followVoice`, by the
+ * TempoDetector's estimate from sung onsets (see `applyDetectedTempo()`).
+ *
+ * BPM counts the beat unit of the time signature (6/8 at 120 = 120 eighths
+ * per minute); Tone.Transport itself is set in quarter notes.
+ */
+
+import { store } from '../state/store.js';
+import '../types/app-types.js';
+
+/**
+ * Quantize grids understood by `setQuantize()` ('off' plays onsets as sung)
+ */
+export const QUANTIZE_GRIDS = ['off', '4n', '8n', '16n'];
+
+const MIN_BPM = 30;
+const MAX_BPM = 300;
+const START_DELAY = 0.05;   // s: lets the first click be scheduled on time
+
+class TransportManager {
+    constructor() {
+        const config = store.getState().transport;
+
+        this.bpm = config.bpm;
+        this.beatsPerBar = config.beatsPerBar;
+        this.beatUnit = config.beatUnit;
+        this.clickEnabled = config.click;
+        this.quantizeGrid = config.quantize;
+        this.followVoice = config.followVoice;
+
+        this.isRunning = false;
+        // Context time and performance.now() seconds of bar 1
+        this.startTime = 0;
+        this.startedAt = 0;
+        // Last beat heard: { bar, beat }
+        this.position = null;
+
+        this._beatIndex = 0;
+        this._repeatId = null;
+        this._clicker = null;
+
+        // Callback for the UI / visualizer: ({ bar, beat, time }) => void, on the beat
+        this.onBeat = null;
+    }
+
+    /**
+     * Sync with the store (called by MamboApp before the first start)
+     */
+    init() {
+        const config = store.getState().transport;
+        this.setTempo(config.bpm);
+        this.setTimeSignature(config.beatsPerBar, config.beatUnit);
+        this.setClick(config.click);
+        this.setQuantize(config.quantize);
+        this.setFollowVoice(config.followVoice);
+    }
+
+    /**
+     * Start the grid: bar 1 begins right away
+     */
+    start() {
+        const transport = this._getTransport();
+        if (this.isRunning || !transport) return;
+
+        this._applyTempo(transport);
+        this._beatIndex = 0;
+        this.position = null;
+        this._repeatId = transport.scheduleRepeat((time) => this._handleBeat(time), `${this.beatUnit}n`, 0);
+
+        const now = Tone.now();
+        this.startTime = now + START_DELAY;
+        this.startedAt = performance.now() / 1000 + START_DELAY;
+        transport.start(this.startTime);
+        this.isRunning = true;
+    }
+
+    stop() {
+        const transport = this._getTransport();
+        if (!this.isRunning || !transport) return;
+
+        transport.stop();
+        if (this._repeatId !== null) transport.clear(this._repeatId);
+        this._repeatId = null;
+        this.isRunning = false;
+        this.position = null;
+    }
+
+    /**
+     * @param {number} bpm - Beats (of the beat unit) per minute
+     */
+    setTempo(bpm) {
+        if (!Number.isFinite(bpm)) return;
+
+        this.bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, bpm));
+        const transport = this._getTransport();
+        if (transport) transport.bpm.value = this.quarterBpm;
+        this._commit();
+    }
+
+    /**
+     * Change the meter; a running grid restarts from bar 1
+     * @param {number} beatsPerBar
+     * @param {number} [beatUnit=4] - 4 = quarter, 8 = eighth
+     * @throws {Error} For an unsupported beat unit
+     */
+    setTimeSignature(beatsPerBar, beatUnit = 4) {
+        if (![2, 4, 8].includes(beatUnit)) {
+            throw new Error(`[Transport] Unsupported beat unit: ${beatUnit}`);
+        }
+
+        this.beatsPerBar = Math.max(1, Math.min(16, Math.round(beatsPerBar) || 4));
+        this.beatUnit = beatUnit;
+        this._commit();
+
+        if (this.isRunning) {
+            this.stop();
+            this.start();
+        } else {
+            const transport = this._getTransport();
+            if (transport) this._applyTempo(transport);
+        }
+    }
+
+    /**
+     * @param {boolean} enabled - Audible click (accented downbeat)
+     */
+    setClick(enabled) {
+        this.clickEnabled = Boolean(enabled);
+        this._commit();
+    }
+
+    /**
+     * @param {string} grid - One of QUANTIZE_GRIDS
+     * @throws {Error} For an unknown grid
+     */
+    setQuantize(grid) {
+        if (!QUANTIZE_GRIDS.includes(grid)) {
+            throw new Error(`[Transport] Unknown quantize grid: ${grid}`);
+        }
+        this.quantizeGrid = grid;
+        this._commit();
+    }
+
+    /**
+     * @param {boolean} enabled - Let tempo estimated from the voice set the BPM
+     */
+    setFollowVoice(enabled) {
+        this.followVoice = Boolean(enabled);
+        this._commit();
+    }
+
+    /**
+     * Take a TempoDetector result: taps always set the tempo, the voice only while followed
+     * @param {{bpm: number, source: 'voice'|'tap'}} tempo
+     * @returns {boolean} True if the tempo was applied
+     */
+    applyDetectedTempo({ bpm, source }) {
+        if (source !== 'tap' && !this.followVoice) return false;
+        this.setTempo(Math.round(bpm));
+        return true;
+    }
+
+    /**
+     * Tone.Transport tempo (quarter notes per minute), also what MIDI files store
+     * @returns {number}
+     */
+    get quarterBpm() {
+        return this.bpm * 4 / this.beatUnit;
+    }
+
+    /**
+     * @returns {number} Seconds per beat
+     */
+    get beatDuration() {
+        return 60 / this.bpm;
+    }
+
+    /**
+     * @returns {number} Seconds per bar
+     */
+    get barDuration() {
+        return this.beatsPerBar * this.beatDuration;
+    }
+
+    /**
+     * Length of a note value at the current tempo
+     * @param {string} subdivision - '4n', '8n', '16n', ...
+     * @returns {number} Seconds
+     */
+    getSubdivisionDuration(subdivision) {
+        return (60 / this.quarterBpm) * 4 / parseInt(subdivision, 10);
+    }
+
+    /**
+     * Context time of the next downbeat (now when the grid is stopped)
+     * @returns {number}
+     */
+    nextBarTime() {
+        const transport = this._getTransport();
+        if (!this.isRunning || !transport) return Tone.now();
+        return transport.nextSubdivision('1m');
+    }
+
+    /**
+     * Snap an onset happening now to the quantize grid.
+     * Onsets just after a grid line are already late and play at once;
+     * onsets closer to the next line wait for it.
+     * @param {number} time - Context time of the onset (about Tone.now())
+     * @returns {number} Context time to play it at
+     */
+    quantize(time) {
+        const transport = this._getTransport();
+        if (this.quantizeGrid === 'off' || !this.isRunning || !transport) return time;
+
+        const step = this.getSubdivisionDuration(this.quantizeGrid);
+        const next = transport.nextSubdivision(this.quantizeGrid);
+        const previous = next - step;
+        return time - previous <= next - time ? time : next;
+    }
+
+    /**
+     * Play one click (also used by the Loop Station for its count-in)
+     * @param {number} time - Context time
+     * @param {boolean} [accent=false] - Downbeat
+     */
+    click(time, accent = false) {
+        this._getClicker().triggerAttackRelease(accent ? 'C6' : 'G5', 0.03, time, accent ? 1 : 0.6);
+    }
+
+    /**
+     * @returns {TransportConfig}
+     */
+    getConfig() {
+        return store.getState().transport;
+    }
+
+    dispose() {
+        this.stop();
+        if (this._clicker) this._clicker.dispose();
+        this._clicker = null;
+    }
+
+    /**
+     * Runs on the audio clock once per beat
+     * @private
+     */
+    _handleBeat(time) {
+        const index = this._beatIndex++;
+        const bar = Math.floor(index / this.beatsPerBar) + 1;
+        const beat = (index % this.beatsPerBar) + 1;
+
+        if (this.clickEnabled) this.click(time, beat === 1);
+
+        // UI work belongs on the animation frame that matches the audio
+        const notify = () => {
+            this.position = { bar, beat };
+            if (this.onBeat) this.onBeat({ bar, beat, time });
+        };
+        const draw = typeof Tone.getDraw === 'function' ? Tone.getDraw() : Tone.Draw;
+        if (draw) {
+            draw.schedule(notify, time);
+        } else {
+            notify();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _applyTempo(transport) {
+        transport.bpm.value = this.quarterBpm;
+        transport.timeSignature = [this.beatsPerBar, this.beatUnit];
+    }
+
+    /**
+     * @private
+     */
+    _getClicker() {
+        if (!this._clicker) {
+            this._clicker = new Tone.Synth({
+                oscillator: { type: 'square' },
+                envelope: { attack: 0.001, decay: 0.03, sustain: 0, release: 0.01 }
+            }).toDestination();
+            this._clicker.volume.value = -10;
+        }
+        return this._clicker;
+    }
+
+    /**
+     * @private
+     */
+    _getTransport() {
+        if (typeof Tone === 'undefined') return null;
+        return typeof Tone.getTransport === 'function' ? Tone.getTransport() : (Tone.Transport || null);
+    }
+
+    /**
+     * @private
+     */
+    _commit() {
+        store.setState({
+            transport: {
+                bpm: this.bpm,
+                beatsPerBar: this.beatsPerBar,
+                beatUnit: this.beatUnit,
+                click: this.clickEnabled,
+                quantize: this.quantizeGrid,
+                followVoice: this.followVoice
+            }
+        });
+    }
+}
+
+export { TransportManager };
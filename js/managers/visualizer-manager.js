@@ -23,6 +23,8 @@ export class VisualizerManager {
             lineWidth: 3,
             gridColor: 'rgba(255, 255, 255, 0.05)',
             textColor: 'rgba(255, 255, 255, 0.4)',
+            beatColor: 'rgba(255, 255, 255, 0.08)',
+            barColor: 'rgba(255, 255, 255, 0.2)',
             ...config
         };
 
@@ -30,9 +32,13 @@ export class VisualizerManager {
         this.points = []; 
         
         // Session State (Full History for Export)
+        // Points: { t: seconds, m: float MIDI|null, c: confidence, v: volumeLinear, a: articulation }
         this.fullSessionData = []; 
         this.startTime = 0;
 
+        // Transport beat waiting to be stamped on the next point: 'beat' | 'bar' | null
+        this._pendingBeat = null;
+
         this.isRunning = false;
         this.animationId = null;
         
@@ -59,7 +65,7 @@ export class VisualizerManager {
     update(pitchFrame) {
         if (!this.isRunning) return;
 
-        const { frequency, confidence } = pitchFrame;
+        const { frequency, confidence, volumeLinear, articulation } = pitchFrame;
         
         // --- 1. Live View Logic (Ring Buffer) ---
         // Convert Freq to Y position (normalized 0-1)
@@ -78,8 +84,10 @@ export class VisualizerManager {
         this.points.push({
             y: normalizedY,
             valid: valid,
-            confidence: confidence
+            confidence: confidence,
+            beat: this._pendingBeat
         });
+        this._pendingBeat = null;
 
         if (this.points.length > this.config.historySize) {
             this.points.shift();
@@ -90,10 +98,21 @@ export class VisualizerManager {
         this.fullSessionData.push({
             t: now - this.startTime, // Relative time
             m: midi, // Raw MIDI value (float) or null
-            c: confidence
+            c: confidence,
+            v: volumeLinear ?? null, // Volume (RMS) - MIDI velocity / expression
+            a: articulation ?? null // Articulation state - MIDI note segmentation
         });
     }
 
+    /**
+     * Mark a transport beat; it scrolls with the pitch line from the next point on
+     * @param {{bar: number, beat: number}} position
+     */
+    markBeat({ beat }) {
+        if (!this.isRunning) return;
+        this._pendingBeat = beat === 1 ? 'bar' : 'beat';
+    }
+
     resize() {
         const parent = this.canvas.parentElement;
         if (parent) {
@@ -129,6 +148,7 @@ export class VisualizerManager {
 
         // 2. Draw Grid (Background)
         this._drawGrid(ctx, width, height);
+        this._drawBeatMarkers(ctx, width, height);
 
         if (points.length < 2) return;
 
@@ -216,6 +236,26 @@ export class VisualizerManager {
         }
     }
 
+    /**
+     * Vertical lines at transport beats, stronger on the downbeat
+     * @private
+     */
+    _drawBeatMarkers(ctx, width, height) {
+        const stepX = width / (this.config.historySize - 1);
+
+        this.points.forEach((point, i) => {
+            if (!point.beat) return;
+            const x = i * stepX;
+
+            ctx.beginPath();
+            ctx.lineWidth = point.beat === 'bar' ? 2 : 1;
+            ctx.strokeStyle = point.beat === 'bar' ? this.config.barColor : this.config.beatColor;
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        });
+    }
+
     /**
      * Export the full session as a high-resolution Piano Roll image
      */
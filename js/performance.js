@@ -24,7 +24,10 @@ class PerformanceMonitor {
             sampleRate: 0,
             //  AudioWorklet 指标
             mode: 'unknown',    // 'worklet' | 'script-processor'
-            workletStats: null  // Worklet 性能统计
+            workletStats: null, // Worklet 性能统计
+            // 八度修正 (OctaveCorrector)
+            octaveCorrections: 0,
+            lastOctaveCorrection: null  // { from, to, timestamp }
         };
 
         // FPS计算
@@ -70,6 +73,15 @@ class PerformanceMonitor {
         this.metrics.workletStats = workletStats;
     }
 
+    /**
+     * 记录一次八度修正
+     * @param {{from: number, to: number, timestamp?: number}} correction - 修正前后频率 (Hz)
+     */
+    recordOctaveCorrection(correction) {
+        this.metrics.octaveCorrections++;
+        this.metrics.lastOctaveCorrection = correction || null;
+    }
+
     /**
      * 计算音频系统延迟
      */
@@ -232,6 +244,8 @@ class PerformanceMonitor {
         this.metrics.lastFrameTime = 0;
         this.fpsHistory = [];
         this.processingTimes = [];
+        this.metrics.octaveCorrections = 0;
+        this.metrics.lastOctaveCorrection = null;
     }
 
     /**
@@ -265,6 +279,10 @@ class PerformanceMonitor {
             metrics: this.getMetrics(),
             rating: this.getPerformanceRating(),
             suggestions: this.getPerformanceSuggestions(),
+            octaveCorrection: {
+                count: this.metrics.octaveCorrections,
+                last: this.metrics.lastOctaveCorrection
+            },
             history: {
                 fpsHistory: [...this.fpsHistory],
                 processingHistory: [...this.processingTimes]
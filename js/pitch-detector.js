@@ -1,14 +1,27 @@
 /**
  * 音高检测模块
- * 使用YIN算法进行实时音高检测
+ * 使用YIN算法进行实时音高检测 (可切换为 McLeod/MPM, 或按音高自动选择)
  */
 
 class PitchDetector {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.createMPMDetector] - McLeod 检测器工厂 (pitch-dsp.js 导出;
+     *        本文件是经典脚本, 不能 import 模块, 由 AppContainer 注入)
+     */
+    constructor({ createMPMDetector = null } = {}) {
+        this.createMPMDetector = createMPMDetector;
         this.detector = null;
         this.sampleRate = 44100;
         this.threshold = 0.1; // YIN算法阈值
 
+        // 检测算法: 'YIN' | 'MPM' | 'AUTO' (低音用 YIN, 高音/口哨用 MPM)
+        this.algorithm = 'YIN';
+        this.activeAlgorithm = 'YIN';
+        this.detectors = {};
+        // AUTO 切换点 (Hz), 中间的空档是迟滞, 避免在边界上来回切换
+        this.autoCrossover = { toMPM: 320, toYIN: 240 };
+
         // 音高历史记录（用于平滑）
         this.pitchHistory = [];
         this.historySize = 5;
@@ -21,10 +34,16 @@ class PitchDetector {
     }
 
     /**
-     * 初始化YIN检测器
+     * 初始化检测器
+     * @param {number} sampleRate - 采样率
+     * @param {Object} [options]
+     * @param {string} [options.algorithm] - 'YIN' | 'MPM' | 'AUTO'
      */
-    initialize(sampleRate) {
+    initialize(sampleRate, options = {}) {
         this.sampleRate = sampleRate;
+        if (options.algorithm) {
+            this.algorithm = this._normalizeAlgorithm(options.algorithm);
+        }
 
         // 检查Pitchfinder库是否加载
         const PitchfinderLib = window.Pitchfinder || window.pitchfinder;
@@ -35,21 +54,81 @@ class PitchDetector {
             throw new Error('音高检测库未加载，请检查网络连接或刷新页面');
         }
 
-        // 使用pitchfinder库的YIN算法
+        if (this.algorithm !== 'YIN' && !this.createMPMDetector) {
+            console.warn(`[PitchDetector] No MPM detector provided, ${this.algorithm} falls back to YIN`);
+            this.algorithm = 'YIN';
+        }
+
+        // YIN 来自 pitchfinder 库, MPM 使用 pitch-dsp.js 中与 Worklet 相同的实现
         try {
-            this.detector = PitchfinderLib.YIN({
-                sampleRate: this.sampleRate,
-                threshold: this.threshold
-            });
-            console.log('YIN pitch detector initialized successfully');
+            this.detectors = {
+                YIN: PitchfinderLib.YIN({
+                    sampleRate: this.sampleRate,
+                    threshold: this.threshold
+                })
+            };
+            if (this.algorithm !== 'YIN') {
+                this.detectors.MPM = this.createMPMDetector({ sampleRate: this.sampleRate });
+            }
+            this._activate(this.algorithm === 'MPM' ? 'MPM' : 'YIN');
+            console.log(`${this.algorithm} pitch detector initialized successfully`);
             console.log('Sample rate:', this.sampleRate);
             console.log('Threshold:', this.threshold);
         } catch (error) {
-            console.error('Failed to create YIN detector:', error);
+            console.error('Failed to create pitch detector:', error);
             throw new Error('无法创建音高检测器: ' + error.message);
         }
     }
 
+    /**
+     * 运行时切换检测算法
+     * @param {string} algorithm - 'YIN' | 'MPM' | 'AUTO'
+     */
+    setAlgorithm(algorithm) {
+        const normalized = this._normalizeAlgorithm(algorithm);
+        if (normalized === this.algorithm) return;
+
+        this.algorithm = normalized;
+        this.pitchHistory = [];
+
+        // 尚未初始化: 记录下来, initialize() 时生效
+        if (this.detectors.YIN) {
+            this.initialize(this.sampleRate);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _normalizeAlgorithm(algorithm) {
+        const name = String(algorithm).toUpperCase();
+        if (name === 'YIN' || name === 'MPM' || name === 'AUTO') return name;
+
+        // PYIN 只在 AudioWorklet 路径实现
+        console.warn(`[PitchDetector] Algorithm "${algorithm}" not available here, using YIN`);
+        return 'YIN';
+    }
+
+    /**
+     * @private
+     */
+    _activate(name) {
+        this.activeAlgorithm = name;
+        this.detector = this.detectors[name];
+    }
+
+    /**
+     * AUTO: 根据平滑后的音高在 YIN / MPM 之间切换
+     * @private
+     */
+    _updateAutoAlgorithm(frequency) {
+        if (this.activeAlgorithm === 'YIN' && frequency > this.autoCrossover.toMPM) {
+            this._activate('MPM');
+        } else if (this.activeAlgorithm === 'MPM' && frequency < this.autoCrossover.toYIN) {
+            this._activate('YIN');
+        }
+    }
+
     /**
      * 检测音频缓冲区的音高
      * @param {Float32Array} audioBuffer - 音频数据
@@ -67,8 +146,13 @@ class PitchDetector {
             return null;
         }
 
-        // 使用YIN算法检测音高
-        const frequency = this.detector(audioBuffer);
+        // 使用当前算法检测音高
+        let frequency = this.detector(audioBuffer);
+        if (!frequency && this.algorithm === 'AUTO') {
+            // 噪声大的口哨可能让 YIN 完全检测不到, 那样永远不会切换到 MPM
+            const fallback = this.activeAlgorithm === 'YIN' ? 'MPM' : 'YIN';
+            frequency = this.detectors[fallback](audioBuffer);
+        }
 
         if (frequency && frequency > 0 && frequency < 2000) {
             // 添加到历史记录
@@ -79,6 +163,9 @@ class PitchDetector {
 
             // 计算平滑后的频率
             const smoothedFrequency = this.getSmoothedPitch();
+            if (this.algorithm === 'AUTO') {
+                this._updateAutoAlgorithm(smoothedFrequency);
+            }
 
             // 转换为音符信息
             const noteInfo = this.frequencyToNote(smoothedFrequency);
@@ -0,0 +1,1542 @@
+/**
+ * Pitch DSP - shared by the AudioWorklet and offline tools
+ *
+ * Everything here is plain ES module code with no AudioWorkletGlobalScope
+ * globals (`sampleRate`, `currentTime`, `registerProcessor`), so the exact
+ * same detection chain runs in `pitch-worklet.js`, in Node scripts and in
+ * unit tests.
+ *
+ * Contents:
+ * - FastFFT: Radix-2 Cooley-Tukey FFT + spectral centroid / flatness / harmonic profile
+ * - EMAFilter: exponential moving average
+ * - SimpleOnsetDetector: energy-based articulation state machine
+ * - VibratoTracker: vibrato rate / depth from the pitch track
+ * - PercussionOnsetDetector: short unpitched hits (beatbox) with centroid / flatness / envelope
+ * - estimateFormants / classifyVowel / vowelSpace: LPC formants (F1 / F2) and the vowel they make
+ * - createYINDetector: YIN pitch estimator
+ * - createMPMDetector: McLeod Pitch Method estimator (algorithm: 'MPM')
+ * - PYINTracker: probabilistic YIN + HMM/Viterbi (algorithm: 'PYIN')
+ * - PitchFrameProcessor: 128-sample blocks in, PitchFrame (+ percussion-onset) messages out
+ * - analyzeOffline: run a whole signal through PitchFrameProcessor
+ */
+
+/**
+ * Default detector configuration (mirrors AudioIO._serializeConfigForWorklet)
+ */
+export const DEFAULT_PITCH_DSP_CONFIG = {
+    sampleRate: 44100,
+    algorithm: 'YIN',           // 'YIN' | 'PYIN' | 'MPM' | 'AUTO'
+    pyinLookahead: 3,           // PYIN: frames of Viterbi lookahead (latency = lookahead x 512 samples)
+    threshold: 0.15,
+    clarityThreshold: 0.85,
+    minFrequency: 80,
+    maxFrequency: 800,
+    smoothingSize: 5,
+    minVolumeThreshold: 0.001,
+    windowSize: 1024,           // Analysis window (power of two); lags reach half of it: 1024 → 86 Hz, 2048 → 43 Hz @ 44.1kHz
+    beatbox: false              // Run PercussionOnsetDetector ('percussion-onset' messages)
+};
+
+/**
+ * Render quantum of an AudioWorklet (samples per process() call)
+ */
+export const WORKLET_BLOCK_SIZE = 128;
+
+/**
+ * Samples between two pitch analyses (the window slides by this much)
+ */
+export const PITCH_HOP_SIZE = 512;
+
+/**
+ * ⚡ FastFFT - Radix-2 Cooley-Tukey Implementation
+ *
+ * Replaces the naive O(N^2) DFT.
+ * Performance: ~100x faster for N=1024
+ */
+export class FastFFT {
+    constructor(size = 1024) {
+        this.size = size;
+        this.halfSize = size / 2;
+
+        // Precompute sine/cosine tables
+        this.sinTable = new Float32Array(size);
+        this.cosTable = new Float32Array(size);
+
+        for (let i = 0; i < size; i++) {
+            this.sinTable[i] = Math.sin(-2 * Math.PI * i / size);
+            this.cosTable[i] = Math.cos(-2 * Math.PI * i / size);
+        }
+
+        // Precompute bit-reversal table
+        this.reverseTable = new Uint32Array(size);
+        let limit = 1;
+        let bit = size >> 1;
+
+        while (limit < size) {
+            for (let i = 0; i < limit; i++) {
+                this.reverseTable[i + limit] = this.reverseTable[i] + bit;
+            }
+            limit <<= 1;
+            bit >>= 1;
+        }
+
+        // Working buffers
+        this.real = new Float32Array(size);
+        this.imag = new Float32Array(size);
+        this.powerSpectrum = new Float32Array(this.halfSize);
+    }
+
+    /**
+     * Compute Power Spectrum
+     * @param {Float32Array} input - Time domain signal
+     */
+    computePowerSpectrum(input) {
+        const size = this.size;
+        const real = this.real;
+        const imag = this.imag;
+
+        // 1. Bit-reversal permutation & Copy input
+        for (let i = 0; i < size; i++) {
+            const rev = this.reverseTable[i];
+            real[rev] = input[i];
+            imag[rev] = 0;
+        }
+
+        // 2. Cooley-Tukey Butterfly Operations
+        let halfSize = 1;
+
+        while (halfSize < size) {
+            const phaseStep = size / (halfSize * 2);
+
+            for (let i = 0; i < halfSize; i++) {
+                // Trigonometric lookups
+                const tableIdx = i * phaseStep;
+                const cos = this.cosTable[tableIdx];
+                const sin = this.sinTable[tableIdx];
+
+                for (let j = i; j < size; j += halfSize * 2) {
+                    const k = j + halfSize;
+
+                    const tReal = real[k] * cos - imag[k] * sin;
+                    const tImag = real[k] * sin + imag[k] * cos;
+
+                    real[k] = real[j] - tReal;
+                    imag[k] = imag[j] - tImag;
+
+                    real[j] += tReal;
+                    imag[j] += tImag;
+                }
+            }
+            halfSize <<= 1;
+        }
+
+        // 3. Compute Magnitude Squared (Power)
+        // Only first N/2 bins are needed (Nyquist)
+        for (let i = 0; i < this.halfSize; i++) {
+            this.powerSpectrum[i] = real[i] * real[i] + imag[i] * imag[i];
+        }
+
+        return this.powerSpectrum;
+    }
+
+    computeSpectralCentroid(powerSpectrum, sampleRate) {
+        let weightedSum = 0;
+        let totalPower = 0;
+        const binWidth = sampleRate / this.size;
+
+        for (let k = 0; k < this.halfSize; k++) {
+            if (powerSpectrum[k] > 1e-10) {
+                weightedSum += k * binWidth * powerSpectrum[k];
+                totalPower += powerSpectrum[k];
+            }
+        }
+
+        return totalPower > 0 ? weightedSum / totalPower : 0;
+    }
+
+    computeSpectralFlatness(powerSpectrum) {
+        let geometricLogSum = 0;
+        let arithmeticSum = 0;
+        let count = 0;
+
+        for (let k = 0; k < this.halfSize; k++) {
+            const p = powerSpectrum[k];
+            if (p > 1e-10) {
+                geometricLogSum += Math.log(p);
+                arithmeticSum += p;
+                count++;
+            }
+        }
+
+        if (count === 0 || arithmeticSum === 0) return 0;
+
+        const geometricMean = Math.exp(geometricLogSum / count);
+        const arithmeticMean = arithmeticSum / count;
+
+        return geometricMean / arithmeticMean;
+    }
+
+    /**
+     * Octave evidence around a pitch estimate
+     *
+     * - subharmonic: energy at odd multiples of f0/2 vs. the harmonics of f0.
+     *   Near 1 when the true pitch is an octave below f0.
+     * - evenHarmonic: energy at 2f0, 4f0... vs. all harmonics of f0.
+     *   Near 1 when f0 has no odd harmonics, i.e. the true pitch is 2f0.
+     *
+     * @param {Float32Array} powerSpectrum
+     * @param {number} f0 - Pitch estimate (Hz)
+     * @param {number} sampleRate
+     * @param {number} [maxHarmonics=8]
+     * @returns {{subharmonic: number, evenHarmonic: number}|null} Ratios in 0-1,
+     *          null when f0/2 is too close to f0 to be resolved at this FFT size
+     */
+    computeHarmonicProfile(powerSpectrum, f0, sampleRate, maxHarmonics = 8) {
+        const binWidth = sampleRate / this.size;
+        const spacingBins = f0 / 2 / binWidth;
+        if (spacingBins < 1.5) return null;
+
+        // Strongest bin near the target (the window is not tapered), as long as
+        // the search does not reach into the neighbouring half-harmonic
+        const radius = spacingBins >= 3 ? 1 : 0;
+        const energyAt = (frequency) => {
+            const bin = Math.round(frequency / binWidth);
+            let peak = 0;
+            for (let k = Math.max(1, bin - radius); k <= Math.min(this.halfSize - 1, bin + radius); k++) {
+                peak = Math.max(peak, powerSpectrum[k]);
+            }
+            return peak;
+        };
+
+        let odd = 0;
+        let even = 0;
+        let sub = 0;
+        for (let h = 1; h <= maxHarmonics && h * f0 < sampleRate / 2; h++) {
+            if (h % 2 === 1) odd += energyAt(h * f0);
+            else even += energyAt(h * f0);
+            sub += energyAt((h - 0.5) * f0);
+        }
+
+        const harmonic = odd + even;
+        return {
+            subharmonic: harmonic + sub > 1e-10 ? sub / (harmonic + sub) : 0,
+            evenHarmonic: harmonic > 1e-10 ? even / harmonic : 0
+        };
+    }
+}
+
+/**
+ * EMA Filter (Exponential Moving Average)
+ */
+export class EMAFilter {
+    constructor(alpha = 0.3) {
+        this.alpha = alpha;
+        this.value = null;
+    }
+
+    update(newValue) {
+        if (this.value === null) {
+            this.value = newValue;
+        } else {
+            this.value = this.alpha * newValue + (1 - this.alpha) * this.value;
+        }
+        return this.value;
+    }
+
+    reset() {
+        this.value = null;
+    }
+}
+
+/**
+ * Simplified Onset Detector
+ */
+export class SimpleOnsetDetector {
+    constructor(config = {}) {
+        this.energyThreshold = config.energyThreshold ?? 3;
+        this.historySize = config.historySize ?? 5;
+        this.silenceThreshold = config.silenceThreshold ?? -40;
+        this.minStateDuration = config.minStateDuration ?? 50;
+
+        this.energyHistory = [];
+        this.currentState = 'silence';
+        this.lastStateChange = 0;
+        this.frameCount = 0;
+    }
+
+    /**
+     * @param {number} volumeDb - Smoothed frame volume
+     * @param {number} currentTime - Seconds (AudioContext time or offline position)
+     * @returns {'silence'|'attack'|'sustain'|'release'}
+     */
+    detect(volumeDb, currentTime) {
+        this.frameCount++;
+
+        this.energyHistory.push(volumeDb);
+        if (this.energyHistory.length > this.historySize) {
+            this.energyHistory.shift();
+        }
+
+        const avgEnergy = this.energyHistory.reduce((a, b) => a + b, 0) / this.energyHistory.length;
+        const energyIncrease = volumeDb - avgEnergy;
+
+        const timeSinceChange = (currentTime - this.lastStateChange) * 1000;
+        const canChangeState = timeSinceChange >= this.minStateDuration;
+
+        let newState = this.currentState;
+
+        switch (this.currentState) {
+            case 'silence':
+                if (volumeDb > this.silenceThreshold) {
+                    if (energyIncrease > this.energyThreshold || volumeDb > -20) {
+                        newState = 'attack';
+                    } else {
+                        newState = 'sustain';
+                    }
+                }
+                break;
+            case 'attack':
+                if (canChangeState) newState = 'sustain';
+                break;
+            case 'sustain':
+                if (volumeDb < this.silenceThreshold + 10) newState = 'release';
+                break;
+            case 'release':
+                if (volumeDb < this.silenceThreshold) newState = 'silence';
+                else if (volumeDb > this.silenceThreshold + 15) newState = 'sustain';
+                break;
+        }
+
+        if (newState !== this.currentState) {
+            this.currentState = newState;
+            this.lastStateChange = currentTime;
+        }
+
+        return this.currentState;
+    }
+
+    reset() {
+        this.energyHistory = [];
+        this.currentState = 'silence';
+        this.lastStateChange = 0;
+    }
+}
+
+/**
+ * Vibrato Tracker
+ *
+ * Keeps the last `windowMs` of voiced pitch (in cents), removes the linear
+ * trend (slow glides) and measures what oscillates around it: the rate from
+ * the spacing of zero crossings (with hysteresis against detector jitter),
+ * the depth as the amplitude of the oscillation. Reports 0 / 0 when it is
+ * too shallow, too irregular or outside the vibrato rate range.
+ */
+export class VibratoTracker {
+    /**
+     * @param {Object} [config]
+     * @param {number} [config.windowMs=800] - Analysis window
+     * @param {number} [config.minRate=3] - Hz
+     * @param {number} [config.maxRate=10] - Hz
+     * @param {number} [config.minDepth=8] - Cents (amplitude); shallower is treated as a straight tone
+     * @param {number} [config.maxJitter=0.35] - Max spread of half-periods (coefficient of variation)
+     * @param {number} [config.maxGapMs=60] - A longer gap between frames starts over
+     * @param {number} [config.noteJumpCents=100] - A larger jump between frames is a new note, starts over
+     */
+    constructor(config = {}) {
+        this.windowMs = config.windowMs ?? 800;
+        this.minRate = config.minRate ?? 3;
+        this.maxRate = config.maxRate ?? 10;
+        this.minDepth = config.minDepth ?? 8;
+        this.maxJitter = config.maxJitter ?? 0.35;
+        this.maxGapMs = config.maxGapMs ?? 60;
+        this.noteJumpCents = config.noteJumpCents ?? 100;
+
+        this.reset();
+    }
+
+    /**
+     * @param {number} frequency - Hz (unsmoothed detector output tracks vibrato best)
+     * @param {number} timeMs
+     * @returns {{rate: number, depth: number}} Hz and cents; 0 / 0 without vibrato
+     */
+    update(frequency, timeMs) {
+        const cents = 1200 * Math.log2(frequency / 440);
+        const last = this.samples[this.samples.length - 1];
+        if (last && (timeMs - last.time > this.maxGapMs || Math.abs(cents - last.cents) > this.noteJumpCents)) {
+            this.samples = [];
+        }
+
+        this.samples.push({ time: timeMs, cents });
+        while (this.samples.length > 0 && timeMs - this.samples[0].time > this.windowMs) {
+            this.samples.shift();
+        }
+
+        const result = this._analyze();
+        this.rate = result.rate;
+        this.depth = result.depth;
+        return result;
+    }
+
+    reset() {
+        this.samples = [];
+        this.rate = 0;
+        this.depth = 0;
+    }
+
+    /**
+     * @private
+     */
+    _analyze() {
+        const none = { rate: 0, depth: 0 };
+        const n = this.samples.length;
+        if (n < 8 || this.samples[n - 1].time - this.samples[0].time < this.windowMs * 0.6) return none;
+
+        // Least-squares line through the window
+        let meanT = 0;
+        let meanC = 0;
+        for (const s of this.samples) {
+            meanT += s.time / n;
+            meanC += s.cents / n;
+        }
+        let cov = 0;
+        let varT = 0;
+        for (const s of this.samples) {
+            cov += (s.time - meanT) * (s.cents - meanC);
+            varT += (s.time - meanT) * (s.time - meanT);
+        }
+        const slope = varT > 0 ? cov / varT : 0;
+        const residuals = this.samples.map(s => s.cents - (meanC + slope * (s.time - meanT)));
+
+        const meanSquare = residuals.reduce((sum, r) => sum + r * r, 0) / n;
+        const depth = Math.sqrt(2 * meanSquare); // Amplitude of a sinusoid with this RMS
+        if (depth < this.minDepth) return none;
+
+        // Zero crossings, counted once the signal has cleared +-hysteresis
+        const hysteresis = depth * 0.5;
+        const crossings = [];
+        let side = 0;
+        let lastZero = null;
+        for (let i = 0; i < n; i++) {
+            const r = residuals[i];
+            if (i > 0 && (residuals[i - 1] < 0) !== (r < 0)) {
+                const t0 = this.samples[i - 1].time;
+                const t1 = this.samples[i].time;
+                const r0 = residuals[i - 1];
+                lastZero = t0 + (t1 - t0) * (r0 / (r0 - r));
+            }
+            const newSide = r > hysteresis ? 1 : r < -hysteresis ? -1 : side;
+            if (newSide !== side) {
+                if (side !== 0 && lastZero !== null) crossings.push(lastZero);
+                side = newSide;
+            }
+        }
+        if (crossings.length < 3) return none;
+
+        const halfPeriods = [];
+        for (let i = 1; i < crossings.length; i++) halfPeriods.push(crossings[i] - crossings[i - 1]);
+        const mean = halfPeriods.reduce((a, b) => a + b, 0) / halfPeriods.length;
+        const spread = Math.sqrt(halfPeriods.reduce((sum, h) => sum + (h - mean) * (h - mean), 0) / halfPeriods.length);
+        if (mean <= 0 || spread / mean > this.maxJitter) return none;
+
+        const rate = 1000 / (2 * mean);
+        if (rate < this.minRate || rate > this.maxRate) return none;
+
+        return { rate, depth };
+    }
+}
+
+/**
+ * Percussion Onset Detector (beatbox)
+ *
+ * Works on the raw 128-sample blocks rather than the 512-sample pitch hop so
+ * attacks are timed to ~3 ms. A hit starts when a block jumps `riseDb` above
+ * the running background level; the next `windowSize` samples are captured
+ * for the spectrum and the block levels for `envelopeMs` trace the envelope.
+ * Only hits that die away by `minDecayDb` within that time are reported -
+ * sung or hummed notes hold their level and are ignored.
+ */
+export class PercussionOnsetDetector {
+    /**
+     * @param {Object} [config]
+     * @param {number} [config.sampleRate=44100]
+     * @param {number} [config.thresholdDb=-45] - Quietest block that can start a hit
+     * @param {number} [config.riseDb=12] - Jump above the background level
+     * @param {number} [config.refractoryMs=90] - Shortest time between two hits
+     * @param {number} [config.envelopeMs=35] - Envelope traced after the onset (= reporting latency)
+     * @param {number} [config.minDecayDb=4] - Level drop from the peak a hit needs
+     * @param {number} [config.windowSize=1024] - Samples analysed for centroid / flatness
+     */
+    constructor(config = {}) {
+        this.sampleRate = config.sampleRate ?? 44100;
+        this.thresholdDb = config.thresholdDb ?? -45;
+        this.riseDb = config.riseDb ?? 12;
+        this.refractoryMs = config.refractoryMs ?? 90;
+        this.envelopeMs = config.envelopeMs ?? 35;
+        this.minDecayDb = config.minDecayDb ?? 4;
+        this.windowSize = config.windowSize ?? 1024;
+
+        this.fft = new FastFFT(this.windowSize);
+        this.reset();
+    }
+
+    reset() {
+        this.background = -100;
+        this.lastOnsetTime = -Infinity;
+        this.capture = null;
+    }
+
+    /**
+     * @param {Float32Array} block - Usually 128 samples
+     * @param {number} currentTime - Block start time in seconds
+     * @returns {{time: number, peakDb: number, centroid: number, flatness: number, attackMs: number, decayDb: number}|null}
+     *          time in ms; centroid in Hz; flatness 0-1; decayDb = drop from the peak by the end of the envelope
+     */
+    process(block, currentTime) {
+        let sum = 0;
+        for (let i = 0; i < block.length; i++) sum += block[i] * block[i];
+        const rms = block.length > 0 ? Math.sqrt(sum / block.length) : 0;
+        const levelDb = rms > 0 ? Math.max(-100, 20 * Math.log10(rms)) : -100;
+
+        if (this.capture) {
+            const capture = this.capture;
+            const copySize = Math.min(block.length, this.windowSize - capture.filled);
+            capture.buffer.set(block.subarray(0, copySize), capture.filled);
+            capture.filled += copySize;
+            capture.envelope.push(levelDb);
+
+            const envelopeBlocks = Math.ceil(this.envelopeMs / 1000 * this.sampleRate / block.length);
+            if (capture.filled < this.windowSize || capture.envelope.length < envelopeBlocks) return null;
+
+            this.capture = null;
+            this.background = levelDb;
+            return this._describe(capture, block.length);
+        }
+
+        const isOnset = levelDb > this.thresholdDb &&
+            levelDb - this.background >= this.riseDb &&
+            (currentTime * 1000 - this.lastOnsetTime) >= this.refractoryMs;
+
+        if (isOnset) {
+            this.lastOnsetTime = currentTime * 1000;
+            this.capture = {
+                time: currentTime * 1000,
+                buffer: new Float32Array(this.windowSize),
+                filled: 0,
+                envelope: []
+            };
+            // Start the capture with this block
+            this.background = levelDb;
+            this.capture.buffer.set(block.subarray(0, Math.min(block.length, this.windowSize)));
+            this.capture.filled = Math.min(block.length, this.windowSize);
+            this.capture.envelope.push(levelDb);
+            return null;
+        }
+
+        this.background += (levelDb - this.background) * 0.2;
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _describe(capture, blockSize) {
+        const { envelope } = capture;
+        let peakIndex = 0;
+        for (let i = 1; i < envelope.length; i++) {
+            if (envelope[i] > envelope[peakIndex]) peakIndex = i;
+        }
+        const peakDb = envelope[peakIndex];
+        const tail = envelope.slice(-3);
+        const decayDb = peakDb - tail.reduce((a, b) => a + b, 0) / tail.length;
+        if (decayDb < this.minDecayDb) return null;
+
+        const powerSpectrum = this.fft.computePowerSpectrum(capture.buffer);
+        return {
+            time: capture.time,
+            peakDb,
+            centroid: this.fft.computeSpectralCentroid(powerSpectrum, this.sampleRate),
+            flatness: Math.min(1, this.fft.computeSpectralFlatness(powerSpectrum)),
+            attackMs: peakIndex * blockSize / this.sampleRate * 1000,
+            decayDb
+        };
+    }
+}
+
+/**
+ * Reference F1 / F2 (Hz) of the five cardinal vowels (average adult voice)
+ */
+export const VOWEL_FORMANTS = {
+    i: [300, 2300],
+    e: [450, 1950],
+    a: [750, 1250],
+    o: [500, 850],
+    u: [320, 800]
+};
+
+/**
+ * Linear prediction coefficients (autocorrelation method + Levinson-Durbin)
+ * @param {Float32Array|Float64Array} samples - Windowed frame
+ * @param {number} order
+ * @returns {Float64Array|null} a[0..order] with a[0] = 1, null for a silent frame
+ */
+export function computeLPC(samples, order) {
+    const r = new Float64Array(order + 1);
+    for (let lag = 0; lag <= order; lag++) {
+        let sum = 0;
+        for (let i = lag; i < samples.length; i++) sum += samples[i] * samples[i - lag];
+        r[lag] = sum;
+    }
+    if (r[0] <= 0) return null;
+    r[0] *= 1 + 1e-9; // White-noise floor keeps the recursion stable
+
+    const a = new Float64Array(order + 1);
+    a[0] = 1;
+    let error = r[0];
+    for (let i = 1; i <= order; i++) {
+        let acc = r[i];
+        for (let j = 1; j < i; j++) acc += a[j] * r[i - j];
+        const k = -acc / error;
+
+        const previous = a.slice();
+        for (let j = 1; j < i; j++) a[j] = previous[j] + k * previous[i - j];
+        a[i] = k;
+
+        error *= 1 - k * k;
+        if (error <= 0) return null;
+    }
+    return a;
+}
+
+const envelopeBases = new Map();
+
+/**
+ * cos / sin(w_p * k) for the LPC envelope grid (cached, the worklet calls this every frame)
+ * @private
+ */
+function envelopeBasis(points, top, rate, order) {
+    const key = `${points}:${top}:${rate}:${order}`;
+    let basis = envelopeBases.get(key);
+    if (!basis) {
+        const cos = new Float64Array(points * (order + 1));
+        const sin = new Float64Array(points * (order + 1));
+        for (let p = 0; p < points; p++) {
+            const w = 2 * Math.PI * (p * top / points) / rate;
+            for (let k = 0; k <= order; k++) {
+                cos[p * (order + 1) + k] = Math.cos(w * k);
+                sin[p * (order + 1) + k] = Math.sin(w * k);
+            }
+        }
+        basis = { cos, sin };
+        envelopeBases.set(key, basis);
+    }
+    return basis;
+}
+
+/**
+ * Estimate the first two formants of a voiced frame
+ *
+ * The frame is low-passed and decimated to ~11 kHz (formants of interest are
+ * below 3.5 kHz), pre-emphasised and Hamming-windowed; the peaks of the LPC
+ * envelope are the formant candidates.
+ *
+ * @param {Float32Array} buffer
+ * @param {number} sampleRate
+ * @param {Object} [options]
+ * @param {number} [options.order=12] - LPC order at the decimated rate
+ * @param {number} [options.targetRate=11025] - Analysis rate after decimation
+ * @param {number} [options.maxFormant=3500] - Hz, top of the envelope search
+ * @returns {{f1: number, f2: number}|null} null when no plausible F1 / F2 pair is found
+ */
+export function estimateFormants(buffer, sampleRate, { order = 12, targetRate = 11025, maxFormant = 3500 } = {}) {
+    const factor = Math.max(1, Math.floor(sampleRate / targetRate));
+    const rate = sampleRate / factor;
+    const length = Math.floor(buffer.length / factor);
+    if (length <= order * 2) return null;
+
+    // Boxcar low-pass + decimation, then pre-emphasis and Hamming window
+    const frame = new Float64Array(length);
+    for (let i = 0; i < length; i++) {
+        let sum = 0;
+        for (let j = 0; j < factor; j++) sum += buffer[i * factor + j];
+        frame[i] = sum / factor;
+    }
+    for (let i = length - 1; i > 0; i--) frame[i] -= 0.97 * frame[i - 1];
+    for (let i = 0; i < length; i++) frame[i] *= 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (length - 1));
+
+    const a = computeLPC(frame, order);
+    if (!a) return null;
+
+    // LPC envelope 1 / |A(e^jw)|^2 on a grid up to maxFormant
+    const points = 512;
+    const top = Math.min(maxFormant, rate / 2);
+    const { cos, sin } = envelopeBasis(points, top, rate, order);
+    const envelope = new Float64Array(points);
+    for (let p = 0; p < points; p++) {
+        let re = 0;
+        let im = 0;
+        for (let k = 0; k <= order; k++) {
+            re += a[k] * cos[p * (order + 1) + k];
+            im -= a[k] * sin[p * (order + 1) + k];
+        }
+        envelope[p] = 1 / (re * re + im * im);
+    }
+
+    const peaks = [];
+    for (let p = 1; p < points - 1; p++) {
+        if (envelope[p] > envelope[p - 1] && envelope[p] >= envelope[p + 1]) peaks.push(p * top / points);
+    }
+
+    const f1 = peaks.find(f => f >= 200 && f <= 1100);
+    if (f1 === undefined) return null;
+    const f2 = peaks.find(f => f > f1 + 150 && f >= 600 && f <= 3000);
+    if (f2 === undefined) return null;
+
+    return { f1, f2 };
+}
+
+/**
+ * Nearest cardinal vowel to an F1 / F2 pair (distance in log frequency)
+ * @param {number} f1 - Hz
+ * @param {number} f2 - Hz
+ * @returns {{vowel: 'a'|'e'|'i'|'o'|'u'|null, confidence: number}}
+ *          confidence 0-1: how much closer the winner is than the runner-up;
+ *          null vowel when even the winner is far off
+ */
+export function classifyVowel(f1, f2) {
+    if (!(f1 > 0) || !(f2 > 0)) return { vowel: null, confidence: 0 };
+
+    const distances = Object.entries(VOWEL_FORMANTS).map(([vowel, [r1, r2]]) => ({
+        vowel,
+        distance: Math.hypot(Math.log(f1 / r1), Math.log(f2 / r2))
+    })).sort((x, y) => x.distance - y.distance);
+
+    const [best, second] = distances;
+    if (best.distance > 0.6) return { vowel: null, confidence: 0 };
+
+    const confidence = (second.distance - best.distance) / (second.distance + best.distance);
+    return { vowel: best.vowel, confidence: Math.max(0, Math.min(1, confidence)) };
+}
+
+/**
+ * Position in the vowel space as two 0-1 controls
+ * - openness from F1: closed i / u = 0 → open a = 1
+ * - frontness from F2: back u / o = 0 → front i = 1
+ * @param {number} f1 - Hz (0 = unknown)
+ * @param {number} f2 - Hz (0 = unknown)
+ * @returns {{openness: number, frontness: number}|null} null while formants are unknown
+ */
+export function vowelSpace(f1, f2) {
+    if (!(f1 > 0) || !(f2 > 0)) return null;
+    const normalize = (f, low, high) => Math.max(0, Math.min(1, Math.log(f / low) / Math.log(high / low)));
+    return { openness: normalize(f1, 300, 800), frontness: normalize(f2, 800, 2300) };
+}
+
+/**
+ * Highest pitch (Hz) for which PitchFrameProcessor tracks formants
+ */
+export const FORMANT_MAX_PITCH = 700;
+
+/**
+ * Pitch algorithms understood by PitchFrameProcessor (`config.algorithm`)
+ * AUTO runs YIN for low voices and MPM for high ones (whistling, head voice)
+ */
+export const PITCH_ALGORITHMS = ['YIN', 'PYIN', 'MPM', 'AUTO'];
+
+/**
+ * AUTO hand-over points (Hz). The gap is hysteresis so a note sitting on
+ * the boundary does not flip detectors every frame.
+ */
+export const AUTO_ALGORITHM_CROSSOVER = { toMPM: 320, toYIN: 240 };
+
+/**
+ * YIN cumulative mean normalized difference function (steps 2 + 3 of YIN)
+ * @param {Float32Array} buffer - Analysis window
+ * @returns {Float32Array} d'(tau) for tau in [0, buffer.length / 2), d'(0) = 1
+ */
+export function computeCMNDF(buffer) {
+    const yinBufferSize = Math.floor(buffer.length / 2);
+    const yinBuffer = new Float32Array(yinBufferSize);
+
+    let delta;
+    for (let t = 1; t < yinBufferSize; t++) {
+        for (let i = 0; i < yinBufferSize; i++) {
+            delta = buffer[i] - buffer[i + t];
+            yinBuffer[t] += delta * delta;
+        }
+    }
+
+    yinBuffer[0] = 1;
+    let runningSum = 0;
+    for (let t = 1; t < yinBufferSize; t++) {
+        runningSum += yinBuffer[t];
+        yinBuffer[t] *= t / runningSum;
+    }
+    return yinBuffer;
+}
+
+/**
+ * Refine a CMNDF dip position with parabolic interpolation
+ * @private
+ */
+function parabolicTau(yinBuffer, tau) {
+    const x0 = (tau < 1) ? tau : tau - 1;
+    const x2 = (tau + 1 < yinBuffer.length) ? tau + 1 : tau;
+
+    if (x0 === tau) return (yinBuffer[tau] <= yinBuffer[x2]) ? tau : x2;
+    if (x2 === tau) return (yinBuffer[tau] <= yinBuffer[x0]) ? tau : x0;
+
+    const s0 = yinBuffer[x0];
+    const s1 = yinBuffer[tau];
+    const s2 = yinBuffer[x2];
+    return tau + (s2 - s0) / (2 * (2 * s1 - s2 - s0));
+}
+
+/**
+ * Create a YIN pitch estimator
+ * @param {Object} config
+ * @param {number} config.sampleRate
+ * @param {number} [config.threshold=0.1] - Absolute threshold on the CMND function
+ * @returns {function(Float32Array): (number|null)} Frequency in Hz, or null when unvoiced
+ */
+export function createYINDetector(config) {
+    const threshold = config.threshold || 0.1;
+    const probabilityThreshold = 0.1;
+    const sampleRate = config.sampleRate;
+
+    return function detectPitch(buffer) {
+        if (!buffer || buffer.length < 2) return null;
+
+        const yinBuffer = computeCMNDF(buffer);
+        const yinBufferSize = yinBuffer.length;
+
+        let tau = -1;
+        for (let t = 2; t < yinBufferSize; t++) {
+            if (yinBuffer[t] < threshold) {
+                while (t + 1 < yinBufferSize && yinBuffer[t + 1] < yinBuffer[t]) t++;
+                tau = t;
+                break;
+            }
+        }
+
+        if (tau === -1) return null;
+
+        const betterTau = parabolicTau(yinBuffer, tau);
+        const frequency = sampleRate / betterTau;
+        if ((1 - yinBuffer[tau]) < probabilityThreshold) return null;
+
+        return frequency;
+    };
+}
+
+/**
+ * McLeod normalized square difference function
+ * @param {Float32Array} buffer - Analysis window
+ * @returns {Float32Array} n'(tau) in [-1, 1] for tau in [0, buffer.length / 2), n'(0) = 1
+ */
+export function computeNSDF(buffer) {
+    const size = Math.floor(buffer.length / 2);
+    const nsdf = new Float32Array(size);
+
+    for (let tau = 0; tau < size; tau++) {
+        let acf = 0;
+        let energy = 0;
+        for (let j = 0; j + tau < buffer.length; j++) {
+            acf += buffer[j] * buffer[j + tau];
+            energy += buffer[j] * buffer[j] + buffer[j + tau] * buffer[j + tau];
+        }
+        nsdf[tau] = energy > 0 ? 2 * acf / energy : 0;
+    }
+    return nsdf;
+}
+
+/**
+ * Create a McLeod Pitch Method (MPM) estimator
+ *
+ * Picks the highest NSDF peak of every positive lobe ("key maxima") and
+ * returns the first one within `mpmCutoff` of the overall best. Tracks high,
+ * near-sinusoidal sources (whistling, head voice) more steadily than YIN.
+ *
+ * @param {Object} config
+ * @param {number} config.sampleRate
+ * @param {number} [config.mpmCutoff=0.93] - Key maximum must reach cutoff x best peak
+ * @param {number} [config.mpmMinClarity=0.5] - Best NSDF peak below this is unvoiced
+ * @returns {function(Float32Array): (number|null)} Frequency in Hz, or null when unvoiced
+ */
+export function createMPMDetector(config) {
+    const sampleRate = config.sampleRate;
+    const cutoff = config.mpmCutoff || 0.93;
+    const minClarity = config.mpmMinClarity ?? 0.5;
+
+    return function detectPitch(buffer) {
+        if (!buffer || buffer.length < 4) return null;
+
+        const nsdf = computeNSDF(buffer);
+        const keyMaxima = [];
+        let best = 0;
+
+        // Skip the zero-lag lobe, then keep the highest point of each positive lobe
+        let tau = 1;
+        while (tau < nsdf.length && nsdf[tau] > 0) tau++;
+        while (tau < nsdf.length - 1) {
+            while (tau < nsdf.length - 1 && nsdf[tau] <= 0) tau++;
+            let peak = tau;
+            while (tau < nsdf.length - 1 && nsdf[tau] > 0) {
+                if (nsdf[tau] > nsdf[peak]) peak = tau;
+                tau++;
+            }
+            // A lobe cut off by the end of the buffer has no confirmed maximum
+            if (tau < nsdf.length - 1 && nsdf[peak] > 0) {
+                keyMaxima.push(peak);
+                best = Math.max(best, nsdf[peak]);
+            }
+        }
+
+        if (keyMaxima.length === 0 || best < minClarity) return null;
+
+        const chosen = keyMaxima.find(t => nsdf[t] >= cutoff * best);
+        const s0 = nsdf[chosen - 1];
+        const s1 = nsdf[chosen];
+        const s2 = nsdf[chosen + 1];
+        const denominator = 2 * (2 * s1 - s2 - s0);
+        const betterTau = denominator !== 0 ? chosen + (s2 - s0) / denominator : chosen;
+
+        return sampleRate / betterTau;
+    };
+}
+
+/**
+ * PYINTracker - probabilistic YIN (Mauch & Dixon, 2014) with fixed-lag Viterbi
+ *
+ * Per frame, every YIN threshold of a Beta(2, 18) prior votes for the first
+ * CMNDF dip below it, giving several pitch candidates with probabilities;
+ * their sum is the voiced probability. An HMM over 20-cent bins (each with a
+ * voiced and an unvoiced state) decodes the most likely path. Decisions are
+ * delayed by `lookahead` frames so a later frame can veto an octave jump.
+ */
+export class PYINTracker {
+    /**
+     * @param {Object} config
+     * @param {number} config.sampleRate
+     * @param {number} [config.minFrequency=80]
+     * @param {number} [config.maxFrequency=800]
+     * @param {number} [config.pyinLookahead=3] - Frames decided late (0 = no lookahead)
+     * @param {number} [config.pyinMaxJumpCents=300] - Largest voiced pitch step per frame
+     */
+    constructor(config) {
+        this.sampleRate = config.sampleRate;
+        this.minFrequency = config.minFrequency || 80;
+        this.maxFrequency = config.maxFrequency || 800;
+        this.lookahead = Math.max(0, config.pyinLookahead ?? 3);
+
+        this.binCents = 20;
+        this.numBins = Math.ceil(1200 * Math.log2(this.maxFrequency / this.minFrequency) / this.binCents) + 1;
+        this.maxJump = Math.round((config.pyinMaxJumpCents ?? 300) / this.binCents);
+
+        // Triangular pitch transition weights, normalized over [-maxJump, maxJump]
+        this.jumpWeights = new Float64Array(2 * this.maxJump + 1);
+        let weightSum = 0;
+        for (let d = -this.maxJump; d <= this.maxJump; d++) {
+            const weight = this.maxJump + 1 - Math.abs(d);
+            this.jumpWeights[d + this.maxJump] = weight;
+            weightSum += weight;
+        }
+        for (let i = 0; i < this.jumpWeights.length; i++) this.jumpWeights[i] /= weightSum;
+
+        this.voicingStay = 0.99;
+        this.voicingSwitch = 0.01;
+
+        // Threshold prior: 100 thresholds 0.01..1.00 weighted by Beta(2, 18) (mean 0.1)
+        this.thresholds = new Float64Array(100);
+        this.thresholdWeights = new Float64Array(100);
+        let priorSum = 0;
+        for (let i = 0; i < 100; i++) {
+            const x = (i + 1) / 100;
+            this.thresholds[i] = x;
+            this.thresholdWeights[i] = x * Math.pow(1 - x, 17); // Beta(2, 18) kernel
+            priorSum += this.thresholdWeights[i];
+        }
+        for (let i = 0; i < 100; i++) this.thresholdWeights[i] /= priorSum;
+
+        // Probability kept for the global minimum when no dip is below a threshold
+        this.absoluteMinWeight = 0.01;
+        // Unvoiced emission = max(1 - voicedProbability, floor) * weight. The weight keeps
+        // weakly periodic (noisy, breathy) frames voiced; the floor stops a frame whose
+        // candidates are all out of reach from zeroing every path.
+        this.unvoicedWeight = 0.05;
+        this.minUnvoicedEmission = 0.01;
+
+        this.reset();
+    }
+
+    /**
+     * Forget the decoded path (e.g. after silence)
+     */
+    reset() {
+        this.delta = null;      // Viterbi scores: [0, numBins) voiced, [numBins, 2*numBins) unvoiced
+        this.backPointers = []; // Last `lookahead` psi arrays
+        this.frames = [];       // Last `lookahead + 1` candidate sets
+    }
+
+    /**
+     * Analyse one window and return the decision for the frame `lookahead` windows ago
+     * @param {Float32Array} buffer - Analysis window
+     * @returns {{frequency: number|null, voicedProbability: number}}
+     */
+    detect(buffer) {
+        const frame = this._extractCandidates(computeCMNDF(buffer));
+        this._viterbiStep(this._observation(frame));
+
+        this.frames.push(frame);
+        if (this.frames.length > this.lookahead + 1) this.frames.shift();
+
+        // Warming up: the delayed frame has not been decoded yet
+        if (this.frames.length <= this.lookahead) {
+            return { frequency: null, voicedProbability: 0 };
+        }
+
+        // Fixed-lag backtrack from the best current state
+        let state = 0;
+        for (let s = 1; s < this.delta.length; s++) {
+            if (this.delta[s] > this.delta[state]) state = s;
+        }
+        for (let k = this.backPointers.length - 1; k >= 0; k--) {
+            state = this.backPointers[k][state];
+        }
+
+        const decided = this.frames[0];
+        if (state >= this.numBins) {
+            return { frequency: null, voicedProbability: decided.voicedProbability };
+        }
+        return { frequency: this._frequencyForBin(decided, state), voicedProbability: decided.voicedProbability };
+    }
+
+    /**
+     * @private
+     * @returns {{candidates: Array<{frequency: number, probability: number, bin: number}>, voicedProbability: number}}
+     */
+    _extractCandidates(yinBuffer) {
+        const minTau = Math.max(2, Math.floor(this.sampleRate / this.maxFrequency));
+        const maxTau = Math.min(yinBuffer.length - 2, Math.ceil(this.sampleRate / this.minFrequency));
+
+        // Local minima of the CMNDF inside the search range, in lag order
+        const dips = [];
+        let globalMin = -1;
+        for (let t = minTau; t <= maxTau; t++) {
+            if (yinBuffer[t] < yinBuffer[t - 1] && yinBuffer[t] <= yinBuffer[t + 1]) {
+                dips.push(t);
+                if (globalMin === -1 || yinBuffer[t] < yinBuffer[globalMin]) globalMin = t;
+            }
+        }
+        if (dips.length === 0) return { candidates: [], voicedProbability: 0 };
+
+        const mass = new Map();
+        for (let i = 0; i < this.thresholds.length; i++) {
+            const threshold = this.thresholds[i];
+            const tau = dips.find(t => yinBuffer[t] < threshold);
+            if (tau !== undefined) {
+                mass.set(tau, (mass.get(tau) || 0) + this.thresholdWeights[i]);
+            } else {
+                mass.set(globalMin, (mass.get(globalMin) || 0) + this.thresholdWeights[i] * this.absoluteMinWeight);
+            }
+        }
+
+        const candidates = [];
+        let voicedProbability = 0;
+        mass.forEach((probability, tau) => {
+            const frequency = this.sampleRate / parabolicTau(yinBuffer, tau);
+            const bin = Math.round(1200 * Math.log2(frequency / this.minFrequency) / this.binCents);
+            if (bin < 0 || bin >= this.numBins) return;
+            candidates.push({ frequency, probability, bin });
+            voicedProbability += probability;
+        });
+
+        return { candidates, voicedProbability: Math.min(1, voicedProbability) };
+    }
+
+    /**
+     * @private
+     */
+    _observation(frame) {
+        const n = this.numBins;
+        const observation = new Float64Array(2 * n);
+        frame.candidates.forEach(({ bin, probability }) => { observation[bin] += probability; });
+
+        // Unvoiced states only remember the last pitch; they all explain the frame equally well
+        const unvoiced = Math.max(1 - frame.voicedProbability, this.minUnvoicedEmission) * this.unvoicedWeight;
+        for (let j = 0; j < n; j++) observation[n + j] = unvoiced;
+        return observation;
+    }
+
+    /**
+     * @private
+     */
+    _viterbiStep(observation) {
+        const n = this.numBins;
+
+        if (!this.delta) {
+            this.delta = Float64Array.from(observation);
+            this._normalize(this.delta);
+            return;
+        }
+
+        const previous = this.delta;
+        const next = new Float64Array(2 * n);
+        const psi = new Int32Array(2 * n);
+
+        for (let j = 0; j < n; j++) {
+            let bestVoiced = 0;
+            let bestVoicedFrom = j;
+            let bestUnvoiced = 0;
+            let bestUnvoicedFrom = n + j;
+
+            for (let d = -this.maxJump; d <= this.maxJump; d++) {
+                const from = j + d;
+                if (from < 0 || from >= n) continue;
+                const jump = this.jumpWeights[d + this.maxJump];
+
+                // Into voiced bin j
+                const vv = previous[from] * jump * this.voicingStay;
+                const uv = previous[n + from] * jump * this.voicingSwitch;
+                if (vv > bestVoiced) { bestVoiced = vv; bestVoicedFrom = from; }
+                if (uv > bestVoiced) { bestVoiced = uv; bestVoicedFrom = n + from; }
+
+                // Into unvoiced bin j
+                const uu = previous[n + from] * jump * this.voicingStay;
+                const vu = previous[from] * jump * this.voicingSwitch;
+                if (uu > bestUnvoiced) { bestUnvoiced = uu; bestUnvoicedFrom = n + from; }
+                if (vu > bestUnvoiced) { bestUnvoiced = vu; bestUnvoicedFrom = from; }
+            }
+
+            next[j] = bestVoiced * observation[j];
+            psi[j] = bestVoicedFrom;
+            next[n + j] = bestUnvoiced * observation[n + j];
+            psi[n + j] = bestUnvoicedFrom;
+        }
+
+        this._normalize(next);
+        this.delta = next;
+
+        if (this.lookahead > 0) {
+            this.backPointers.push(psi);
+            if (this.backPointers.length > this.lookahead) this.backPointers.shift();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _normalize(scores) {
+        let sum = 0;
+        for (let i = 0; i < scores.length; i++) sum += scores[i];
+        if (sum > 0) {
+            for (let i = 0; i < scores.length; i++) scores[i] /= sum;
+        } else {
+            scores.fill(1 / scores.length);
+        }
+    }
+
+    /**
+     * Most probable candidate in the decoded bin, else the bin centre
+     * @private
+     */
+    _frequencyForBin(frame, bin) {
+        let best = null;
+        frame.candidates.forEach(candidate => {
+            if (Math.abs(candidate.bin - bin) <= 1 && (!best || candidate.probability > best.probability)) {
+                best = candidate;
+            }
+        });
+        return best ? best.frequency : this.minFrequency * Math.pow(2, bin * this.binCents / 1200);
+    }
+}
+
+/**
+ * PitchFrameProcessor - the worklet's per-block pipeline without the worklet
+ *
+ * Accumulates 128-sample blocks into a `windowSize` window (1024 samples by
+ * default, 512-sample hop), runs
+ * YIN + FFT features + onset detection, and returns the message the worklet
+ * posts to the main thread.
+ */
+export class PitchFrameProcessor {
+    /**
+     * @param {Object} [config] - Overrides for DEFAULT_PITCH_DSP_CONFIG
+     */
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_PITCH_DSP_CONFIG, ...config };
+
+        this.detector = null;
+        this.pyin = null;
+        this.mpmDetector = null;
+        this.autoAlgorithm = 'YIN';
+        this._buildDetectors();
+        this.pitchHistory = [];
+        this.noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+        this._buildWindow();
+
+        this.volumeFilter = new EMAFilter(0.3);
+        this.brightnessFilter = new EMAFilter(0.3);
+        this.breathinessFilter = new EMAFilter(0.4);
+
+        this.onsetDetector = new SimpleOnsetDetector({
+            energyThreshold: 3,
+            silenceThreshold: -40,
+            minStateDuration: 50
+        });
+
+        this.vibratoTracker = new VibratoTracker();
+        this.formantFilters = { f1: new EMAFilter(0.4), f2: new EMAFilter(0.4) };
+        this.percussionDetector = this.config.beatbox
+            ? new PercussionOnsetDetector({ sampleRate: this.config.sampleRate })
+            : null;
+
+        this.lowVolumeFrameCount = 0;
+        this.pitchDetections = 0;
+        this.fftComputations = 0;
+    }
+
+    /**
+     * Merge a config update (same payload as the worklet 'config' message)
+     * @param {Object} data
+     */
+    updateConfig(data) {
+        const previous = this.config;
+        this.config = { ...this.config, ...data };
+        if (data.volumeAlpha) this.volumeFilter.alpha = data.volumeAlpha;
+        if (data.brightnessAlpha) this.brightnessFilter.alpha = data.brightnessAlpha;
+
+        if ('beatbox' in data || 'sampleRate' in data) {
+            this.percussionDetector = this.config.beatbox
+                ? new PercussionOnsetDetector({ sampleRate: this.config.sampleRate })
+                : null;
+        }
+
+        if ('windowSize' in data && data.windowSize !== previous.windowSize) {
+            this._buildWindow();
+        }
+
+        const detectorKeys = ['algorithm', 'pyinLookahead', 'minFrequency', 'maxFrequency', 'sampleRate', 'threshold', 'mpmCutoff', 'mpmMinClarity'];
+        if (detectorKeys.some(key => key in data && data[key] !== previous[key])) {
+            this._buildDetectors();
+            this.pitchHistory = [];
+        }
+    }
+
+    /**
+     * (Re)size the analysis window and its FFT; the next frame waits for a
+     * full window again
+     * @private
+     */
+    _buildWindow() {
+        const size = this.config.windowSize || 1024;
+        this.accumulationBuffer = new Float32Array(size);
+        this.accumulationIndex = 0;
+        this.accumulationFull = false;
+
+        // Use optimized FastFFT
+        this.fft = new FastFFT(size);
+        this.pyinWindows = [];
+    }
+
+    /**
+     * (Re)create the detectors for the current config: YIN always (the
+     * fallback), the PYIN tracker / MPM detector for the selected algorithm
+     * @private
+     */
+    _buildDetectors() {
+        const algorithm = this.config.algorithm || 'YIN';
+        if (!PITCH_ALGORITHMS.includes(algorithm)) {
+            console.warn(`[PitchDSP] Unknown algorithm "${algorithm}", using YIN`);
+        }
+        this.detector = createYINDetector(this.config);
+        this.pyin = algorithm === 'PYIN' ? new PYINTracker(this.config) : null;
+        // Windows the PYIN decision is still pending for (features are taken from the decided one)
+        this.pyinWindows = [];
+        this.mpmDetector = (algorithm === 'MPM' || algorithm === 'AUTO') ? createMPMDetector(this.config) : null;
+        this.autoAlgorithm = 'YIN';
+    }
+
+    /**
+     * Detector for the next frame (AUTO follows the tracked pitch)
+     * @private
+     */
+    _activeDetector() {
+        const algorithm = this.config.algorithm === 'AUTO' ? this.autoAlgorithm : this.config.algorithm;
+        return algorithm === 'MPM' && this.mpmDetector ? this.mpmDetector : this.detector;
+    }
+
+    /**
+     * AUTO: the detector that is not active
+     * @private
+     */
+    _fallbackDetector() {
+        return this._activeDetector() === this.detector ? this.mpmDetector : this.detector;
+    }
+
+    /**
+     * @private
+     */
+    _updateAutoAlgorithm(frequency) {
+        if (this.autoAlgorithm === 'YIN' && frequency > AUTO_ALGORITHM_CROSSOVER.toMPM) {
+            this.autoAlgorithm = 'MPM';
+        } else if (this.autoAlgorithm === 'MPM' && frequency < AUTO_ALGORITHM_CROSSOVER.toYIN) {
+            this.autoAlgorithm = 'YIN';
+        }
+    }
+
+    /**
+     * Process one block of mono audio
+     * @param {Float32Array} audioBuffer - Usually 128 samples
+     * @param {number} currentTime - Block start time in seconds
+     * @returns {{type: string, data: Object}|null} Message for the main thread, if any
+     */
+    process(audioBuffer, currentTime) {
+        const volume = this._calculateRMS(audioBuffer);
+        this._accumulateAudio(audioBuffer);
+
+        if (!this.accumulationFull) return null;
+
+        let message = null;
+
+        if (volume >= this.config.minVolumeThreshold) {
+            let frequency;
+            let voicedProbability = null;
+            // Window the features and timestamp come from: PYIN decides `lookahead` windows late
+            let analysis = { buffer: this.accumulationBuffer, volume, time: currentTime };
+            if (this.pyin) {
+                ({ frequency, voicedProbability } = this.pyin.detect(this.accumulationBuffer));
+                analysis = this._delayForPyin(analysis);
+            } else {
+                frequency = this._activeDetector()(this.accumulationBuffer);
+                if (frequency === null && this.config.algorithm === 'AUTO') {
+                    // Noisy whistles can defeat YIN entirely, so it would never hand over
+                    frequency = this._fallbackDetector()(this.accumulationBuffer);
+                }
+            }
+
+            if (frequency && frequency >= 20 && frequency <= 2000) {
+                let smoothedFrequency = frequency;
+                let confidence = this._calculateConfidence(analysis.buffer, frequency, analysis.volume);
+
+                if (this.pyin) {
+                    // The Viterbi path is already smooth; a median on top only adds lag
+                    confidence *= voicedProbability;
+                } else {
+                    this.pitchHistory.push(frequency);
+                    if (this.pitchHistory.length > this.config.smoothingSize) this.pitchHistory.shift();
+                    smoothedFrequency = this._getSmoothedPitch();
+                    if (this.config.algorithm === 'AUTO') this._updateAutoAlgorithm(smoothedFrequency);
+                }
+
+                const noteInfo = this._frequencyToNote(smoothedFrequency);
+
+                // Compute FFT Features (Optimized)
+                const powerSpectrum = this.fft.computePowerSpectrum(analysis.buffer);
+                const spectralCentroid = this.fft.computeSpectralCentroid(powerSpectrum, this.config.sampleRate);
+                const spectralFlatness = this.fft.computeSpectralFlatness(powerSpectrum);
+                // Octave evidence for the main-thread OctaveCorrector
+                const harmonicProfile = this.fft.computeHarmonicProfile(powerSpectrum, smoothedFrequency, this.config.sampleRate);
+                this.fftComputations++;
+
+                const rawBrightness = this._normalizeBrightness(spectralCentroid);
+                const rawBreathiness = Math.min(spectralFlatness, 1.0);
+
+                const smoothedVolume = this.volumeFilter.update(analysis.volume);
+                const smoothedBrightness = this.brightnessFilter.update(rawBrightness);
+                const smoothedBreathiness = this.breathinessFilter.update(rawBreathiness);
+                const volumeDb = smoothedVolume > 0 ? 20 * Math.log10(smoothedVolume) : -100;
+
+                const articulation = this.onsetDetector.detect(volumeDb, analysis.time);
+                // Raw detections: the median above would shave the vibrato peaks
+                const vibrato = this.vibratoTracker.update(frequency, analysis.time * 1000);
+                const formants = this._trackFormants(analysis.buffer, smoothedFrequency);
+
+                this.pitchDetections++;
+                message = {
+                    type: 'pitch-frame',
+                    data: {
+                        frequency: smoothedFrequency,
+                        rawFrequency: frequency,
+                        note: noteInfo.note,
+                        octave: noteInfo.octave,
+                        cents: noteInfo.cents,
+                        confidence: confidence,
+                        volumeLinear: smoothedVolume,
+                        volumeDb: volumeDb,
+                        brightness: smoothedBrightness,
+                        breathiness: smoothedBreathiness,
+                        articulation: articulation,
+                        harmonicProfile: harmonicProfile,
+                        vibratoRate: vibrato.rate,
+                        vibratoDepth: vibrato.depth,
+                        formantF1: formants.f1,
+                        formantF2: formants.f2,
+                        vowel: formants.vowel,
+                        vowelConfidence: formants.vowelConfidence,
+                        captureTime: analysis.time * 1000
+                    }
+                };
+                if (this.pyin) message.data.voicedProbability = voicedProbability;
+            } else if (frequency === null) {
+                message = { type: 'no-pitch', data: { volume } };
+            }
+        } else {
+            // Debug: Volume too low
+            if (this.pyin) {
+                this.pyin.reset();
+                this.pyinWindows = [];
+            }
+            this.formantFilters.f1.reset();
+            this.formantFilters.f2.reset();
+            this.lowVolumeFrameCount++;
+            if (this.lowVolumeFrameCount % 100 === 0) {
+                message = {
+                    type: 'volume-too-low',
+                    data: { volume: volume.toFixed(6), threshold: this.config.minVolumeThreshold }
+                };
+            }
+        }
+
+        this.accumulationBuffer.copyWithin(0, PITCH_HOP_SIZE);
+        this.accumulationIndex = this.accumulationBuffer.length - PITCH_HOP_SIZE;
+        this.accumulationFull = false;
+
+        return message;
+    }
+
+    /**
+     * Keep the window PYIN has just analysed and return the one it decides now
+     * (`lookahead` windows back), so pitch and features describe the same audio
+     * @private
+     * @param {{buffer: Float32Array, volume: number, time: number}} current
+     * @returns {{buffer: Float32Array, volume: number, time: number}}
+     */
+    _delayForPyin(current) {
+        const recycled = this.pyinWindows.length > this.pyin.lookahead ? this.pyinWindows.shift() : null;
+        const buffer = recycled ? recycled.buffer : new Float32Array(current.buffer.length);
+        buffer.set(current.buffer);
+        this.pyinWindows.push({ buffer, volume: current.volume, time: current.time });
+        return this.pyinWindows[0];
+    }
+
+    /**
+     * Beatbox hits (config.beatbox): call with the same blocks as process()
+     * @param {Float32Array} audioBuffer
+     * @param {number} currentTime - Block start time in seconds
+     * @returns {{type: 'percussion-onset', data: Object}|null}
+     */
+    processPercussion(audioBuffer, currentTime) {
+        if (!this.percussionDetector) return null;
+        const hit = this.percussionDetector.process(audioBuffer, currentTime);
+        return hit ? { type: 'percussion-onset', data: hit } : null;
+    }
+
+    /**
+     * LPC formants of the analysed window, smoothed; held through frames
+     * where no F1 / F2 pair is found. Whistles and very high notes have too few
+     * harmonics to outline a vocal tract, so they are skipped.
+     * @private
+     */
+    _trackFormants(buffer, frequency) {
+        if (frequency <= FORMANT_MAX_PITCH) {
+            const estimate = estimateFormants(buffer, this.config.sampleRate);
+            if (estimate) {
+                this.formantFilters.f1.update(estimate.f1);
+                this.formantFilters.f2.update(estimate.f2);
+            }
+        }
+
+        const f1 = this.formantFilters.f1.value ?? 0;
+        const f2 = this.formantFilters.f2.value ?? 0;
+        const { vowel, confidence } = classifyVowel(f1, f2);
+        return { f1, f2, vowel, vowelConfidence: confidence };
+    }
+
+    _accumulateAudio(newSamples) {
+        const remaining = this.accumulationBuffer.length - this.accumulationIndex;
+        const copySize = Math.min(newSamples.length, remaining);
+        this.accumulationBuffer.set(newSamples.subarray(0, copySize), this.accumulationIndex);
+        this.accumulationIndex += copySize;
+        if (this.accumulationIndex >= this.accumulationBuffer.length) this.accumulationFull = true;
+    }
+
+    _getSmoothedPitch() {
+        if (this.pitchHistory.length === 0) return 0;
+        const sorted = [...this.pitchHistory].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+    }
+
+    _frequencyToNote(frequency) {
+        const A4 = 440;
+        const halfSteps = 12 * Math.log2(frequency / (A4 * Math.pow(2, -4.75)));
+        const roundedHalfSteps = Math.round(halfSteps);
+        const noteIndex = ((roundedHalfSteps % 12) + 12) % 12;
+        const octave = Math.floor(roundedHalfSteps / 12);
+        const cents = Math.round((halfSteps - roundedHalfSteps) * 100);
+        return { note: this.noteNames[noteIndex], octave, cents };
+    }
+
+    _calculateConfidence(buffer, frequency, volume) {
+        if (!frequency) return 0;
+
+        // Dynamic confidence based on configured threshold
+        // Allows quiet humming (e.g. 0.005) to have non-zero confidence
+        const minVol = this.config.minVolumeThreshold || 0.001;
+        const maxVol = 0.1; // Approximate max volume for normal speech / humming
+
+        let confidence = (volume - minVol) / (maxVol - minVol);
+        confidence = Math.max(0, Math.min(1, confidence));
+
+        // Boost confidence for human voice range
+        if (frequency >= 80 && frequency <= 800) confidence = Math.min(confidence * 1.2, 1);
+
+        return confidence;
+    }
+
+    _calculateRMS(buffer) {
+        if (buffer.length === 0) return 0;
+        let sum = 0;
+        for (let i = 0; i < buffer.length; i++) sum += buffer[i] * buffer[i];
+        return Math.sqrt(sum / buffer.length);
+    }
+
+    _normalizeBrightness(centroid) {
+        if (centroid <= 200) return 0;
+        if (centroid >= 8000) return 1;
+        return Math.max(0, Math.min(1, Math.log(centroid / 200) / Math.log(8000 / 200)));
+    }
+}
+
+/**
+ * Run a whole mono signal through PitchFrameProcessor in worklet-sized blocks
+ *
+ * @param {Float32Array} samples - Mono audio
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate=44100]
+ * @param {number} [options.blockSize=128] - Samples per process() call
+ * @param {Object} [options.config] - Detector overrides (worklet 'config' payload)
+ * @param {Function} [options.onMessage] - Receives every message, not just pitch frames
+ * @returns {Object[]} Pitch frames (the `data` of each 'pitch-frame' message)
+ * @example
+ * const frames = analyzeOffline(channels[0], { sampleRate: 48000 });
+ */
+export function analyzeOffline(samples, { sampleRate = 44100, blockSize = WORKLET_BLOCK_SIZE, config = {}, onMessage = null } = {}) {
+    const processor = new PitchFrameProcessor({ ...config, sampleRate });
+    const frames = [];
+
+    for (let start = 0; start + blockSize <= samples.length; start += blockSize) {
+        const block = samples.subarray(start, start + blockSize);
+        const hit = processor.processPercussion(block, start / sampleRate);
+        if (hit && onMessage) onMessage(hit);
+
+        const message = processor.process(block, start / sampleRate);
+        if (!message) continue;
+
+        if (onMessage) onMessage(message);
+        if (message.type === 'pitch-frame') frames.push(message.data);
+    }
+
+    return frames;
+}
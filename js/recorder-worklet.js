@@ -0,0 +1,78 @@
+/**
+ * AudioWorklet Session Recorder Processor
+ *
+ * Copies the PCM arriving at its input and posts it to the main thread
+ * in batches, so SessionRecorder can build lossless WAV exports.
+ *
+ * Messages:
+ * - in:  { type: 'start', at?: number } / { type: 'stop' }
+ *        `at` is the context time the take begins at; earlier samples are dropped.
+ * - out: { type: 'chunk', channels: Float32Array[] } / { type: 'stopped' } (after the final flush)
+ */
+
+class SessionRecorderProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        // ~93ms @ 44.1kHz - keeps message traffic low without adding much tail latency
+        this.batchSize = options?.processorOptions?.batchSize ?? 4096;
+        this.recording = false;
+        this.startAt = 0;
+        this.pending = [];
+        this.pendingLength = 0;
+
+        this.port.onmessage = (event) => {
+            const { type, at } = event.data;
+            if (type === 'start') {
+                this.recording = true;
+                this.startAt = at ?? 0;
+            } else if (type === 'stop') {
+                this._flush();
+                this.recording = false;
+                this.port.postMessage({ type: 'stopped' });
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!this.recording || !input || input.length === 0) return true;
+
+        // currentTime / sampleRate are AudioWorkletGlobalScope globals
+        const offset = Math.max(0, Math.round((this.startAt - currentTime) * sampleRate));
+        if (offset >= input[0].length) return true;
+
+        this.pending.push(input.map(channel => channel.slice(offset)));
+        this.pendingLength += input[0].length - offset;
+
+        if (this.pendingLength >= this.batchSize) {
+            this._flush();
+        }
+
+        return true;
+    }
+
+    _flush() {
+        if (this.pending.length === 0) return;
+
+        const numChannels = this.pending[0].length;
+        const channels = [];
+        for (let ch = 0; ch < numChannels; ch++) {
+            const joined = new Float32Array(this.pendingLength);
+            let offset = 0;
+            for (const block of this.pending) {
+                // Inputs can drop to mono when upstream disconnects; reuse channel 0
+                const data = block[ch] || block[0];
+                joined.set(data, offset);
+                offset += data.length;
+            }
+            channels.push(joined);
+        }
+
+        this.port.postMessage({ type: 'chunk', channels }, channels.map(c => c.buffer));
+        this.pending = [];
+        this.pendingLength = 0;
+    }
+}
+
+registerProcessor('session-recorder', SessionRecorderProcessor);
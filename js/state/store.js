@@ -32,10 +32,39 @@ class StateStore {
                     key: 'C',
                     scale: 'chromatic',
                     strength: 0.5,
-                    speed: 0.1
+                    speed: 0.1,
+                    transition: 40,
+                    vibrato: 1,
+                    humanize: 0,
+                    chords: {
+                        enabled: false,
+                        progression: 'Am | F | C | G',
+                        bpm: 120,
+                        beatsPerBar: 4
+                    }
                 },
                 reverbWet: 0.2,
-                delayWet: 0.0
+                delayWet: 0.0,
+                vowelFilter: {
+                    mode: 'off',
+                    mix: 0.7
+                },
+                harmonyVoices: [],
+                wavetable: null
+            },
+            transport: {
+                bpm: 120,
+                beatsPerBar: 4,
+                beatUnit: 4,
+                click: false,
+                quantize: 'off',
+                followVoice: true
+            },
+            midi: {
+                enabled: false,
+                outputId: null,
+                channel: 0,
+                mode: 'mono'
             },
             ui: {
                 isSettingsOpen: false,
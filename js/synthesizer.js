@@ -37,6 +37,26 @@ class SynthesizerEngine {
 
         // 音符触发阈值（降低到 0.01 以适应用户的麦克风）
         this.minConfidence = 0.01;
+
+        // 起音量化 (TransportManager.quantize)：(time) => 对齐后的时间，null = 不量化
+        this.onsetQuantizer = null;
+        this.lastAttackTime = 0;
+    }
+
+    /**
+     * 设置起音量化函数
+     * @param {Function|null} quantizer - (time) => time，返回起音应在的时间
+     */
+    setOnsetQuantizer(quantizer) {
+        this.onsetQuantizer = typeof quantizer === 'function' ? quantizer : null;
+    }
+
+    /**
+     * 释放时间：量化后的起音可能还没响，释放不能早于它
+     */
+    getReleaseTime() {
+        if (!this.onsetQuantizer) return Tone.now();
+        return Math.max(Tone.now(), this.lastAttackTime + 0.05);
     }
 
     /**
@@ -319,7 +339,7 @@ class SynthesizerEngine {
             // 立即停止旧音符并触发新音符
             if (this.isPlaying) {
                 try {
-                    this.currentSynth.triggerRelease(Tone.now());
+                    this.currentSynth.triggerRelease(this.getReleaseTime());
                 } catch (e) {}
             }
             this.playNote(fullNote, frequency, volume);
@@ -334,8 +354,9 @@ class SynthesizerEngine {
      */
     playNote(note, frequency, volume = 0.5) {
         try {
-            const now = Tone.now();
+            const now = this.onsetQuantizer ? this.onsetQuantizer(Tone.now()) : Tone.now();
             const velocity = Math.min(Math.max(volume * 2, 0.1), 1);
+            this.lastAttackTime = now;
 
             // 对于弹拨类乐器使用triggerAttackRelease
             if (this.currentInstrument === 'guitar' || this.currentInstrument === 'piano') {
@@ -360,7 +381,7 @@ class SynthesizerEngine {
     stopNote() {
         if (this.isPlaying && this.currentSynth) {
             try {
-                this.currentSynth.triggerRelease(Tone.now());
+                this.currentSynth.triggerRelease(this.getReleaseTime());
                 this.isPlaying = false;
                 this.currentNote = null;
             } catch (error) {
@@ -432,7 +453,7 @@ class SynthesizerEngine {
             // 停止旧音符
             if (this.isPlaying) {
                 try {
-                    this.currentSynth.triggerRelease(Tone.now());
+                    this.currentSynth.triggerRelease(this.getReleaseTime());
                 } catch (e) {}
             }
 
@@ -574,6 +595,14 @@ class SynthesizerEngine {
         }
     }
 
+    /**
+     * 获取最终输出节点 (reverb 之后, 供录音等旁路使用)
+     * 未 initialize() 前为 null
+     */
+    getOutputNode() {
+        return this.reverb || null;
+    }
+
     /**
      * 全局静音
      */
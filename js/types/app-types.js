@@ -18,6 +18,8 @@
  * @property {number} brightness - Spectral Centroid normalized (0.0 to 1.0).
  * @property {number} breathiness - Spectral Flatness / Noise ratio (0.0 to 1.0).
  * @property {string} articulation - State: 'silence' | 'attack' | 'sustain' | 'release'.
+ * @property {?{subharmonic: number, evenHarmonic: number}} [harmonicProfile] - Octave evidence from the FFT (worklet only).
+ * @property {boolean} [octaveCorrected] - Set by OctaveCorrector when frequency was moved by an octave.
  * @property {number} captureTime - High-resolution timestamp of capture.
  */
 
@@ -32,9 +34,39 @@
  * @typedef {Object} AutoTuneConfig
  * @property {boolean} enabled - Is Auto-Tune active?
  * @property {string} key - Root key (e.g., "C", "G").
- * @property {'chromatic'|'major'|'minor'|'pentatonic_major'|'pentatonic_minor'|'blues'} scale - Scale type.
+ * @property {string} scale - Scale id: a key of SCALES (music-scales.js) or a custom scale registered with registerScale().
  * @property {number} strength - Correction amount (0.0 = Natural, 1.0 = Robotic).
  * @property {number} speed - Retune speed (0.0 = Instant, 1.0 = Slow).
+ * @property {number} transition - Glide time between target notes in a legato phrase (ms).
+ * @property {number} vibrato - Vibrato kept through the correction (0.0 = flattened, 1.0 = kept).
+ * @property {number} humanize - How much long notes relax toward the sung pitch (0.0 - 1.0).
+ * @property {ChordTrackConfig} chords - Chord-following mode (overrides key/scale while a chord is active).
+ */
+
+/**
+ * @typedef {Object} ChordTrackConfig
+ * @property {boolean} enabled - Snap to the current chord's tones instead of the scale.
+ * @property {string} progression - Bars separated by '|', e.g. "Am | F | C | G" (see chord-track.js).
+ * @property {number} bpm - Tempo of the progression.
+ * @property {number} beatsPerBar - Beats in one bar.
+ */
+
+/**
+ * @typedef {Object} TransportConfig
+ * @property {number} bpm - Beats (of beatUnit) per minute.
+ * @property {number} beatsPerBar - Time signature numerator.
+ * @property {number} beatUnit - Time signature denominator (4 = quarter, 8 = eighth).
+ * @property {boolean} click - Audible metronome click.
+ * @property {'off'|'4n'|'8n'|'16n'} quantize - Onset grid for the Legacy engine.
+ * @property {boolean} followVoice - Tempo follows the one detected from sung onsets.
+ */
+
+/**
+ * @typedef {Object} MidiOutputConfig
+ * @property {boolean} enabled - Is MIDI output active?
+ * @property {string|null} outputId - Selected MIDIOutput port ID.
+ * @property {number} channel - Output channel (0-15, shown as 1-16). Ignored in MPE mode.
+ * @property {'mono'|'mpe'} mode - Plain single-channel output or MPE (lower zone, member channel per note).
  */
 
 /**
@@ -61,6 +93,11 @@
  * @property {AutoTuneConfig} synth.autoTune - Auto-Tune settings.
  * @property {number} synth.reverbWet - Reverb amount (0-1).
  * @property {number} synth.delayWet - Delay amount (0-1).
+ * @property {{mode: 'off'|'talkbox'|'wah', mix: number}} synth.vowelFilter - Formant-driven resonators (Continuous engine only).
+ * 
+ * @property {TransportConfig} transport - Tempo grid shared by the click, AI Jam, recorder and MIDI export.
+ * 
+ * @property {MidiOutputConfig} midi - External MIDI output settings.
  * 
  * @property {Object} ui
  * @property {boolean} ui.isSettingsOpen - Is the settings modal visible?
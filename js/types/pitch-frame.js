@@ -28,6 +28,8 @@
  * @property {number} cents - 音分偏移 (范围: -50 ~ +50)
  *                            相对于最接近的十二平均律音高
  * @property {number} pitchStability - 音高稳定性 (0-1, 0=不稳定, 1=稳定)
+ * @property {number} vibratoRate - 颤音速率 (Hz, 0 = 无颤音, 范围: 3-10)
+ * @property {number} vibratoDepth - 颤音深度 (音分, 振幅即单边摆幅, 0 = 无颤音)
  *
  * // ===== 新增: 时域特征 =====
  * @property {('attack'|'sustain'|'release'|'silence')} articulation
@@ -37,9 +39,17 @@
  * // ===== 新增: 频域特征 =====
  * @property {number} spectralCentroid - 频谱质心 (Hz, 范围: 0-8000)
  * @property {number} brightness - 音色亮度 (归一化, 范围: 0-1)
- * @property {number} formant - 共振峰估计 (Hz, 范围: 500-3000)
- *                              使用 Spectral Centroid 近似
+ * @property {number} formant - 频谱质心近似的 "共振峰" (Hz, 范围: 500-3000, 仅 ScriptProcessor 路径)
+ *                              真实共振峰见 formantF1 / formantF2
+ * @property {number} formantF1 - 第一共振峰 (Hz, LPC 估计, 0 = 未知); 越高嘴张得越大 (u/i → a)
+ * @property {number} formantF2 - 第二共振峰 (Hz, LPC 估计, 0 = 未知); 越高舌位越靠前 (u/o → i)
+ * @property {('a'|'e'|'i'|'o'|'u'|null)} vowel - 最接近的元音 (null = 无法判断)
+ * @property {number} vowelConfidence - 元音判断置信度 (0-1)
  * @property {number} breathiness - 气声度/频谱平坦度 (0-1, 0=纯音, 1=白噪声)
+ * @property {{subharmonic: number, evenHarmonic: number}|null} [harmonicProfile]
+ *           八度证据 (Worklet 提供): subharmonic 高 = 真实音高低一个八度,
+ *           evenHarmonic 高 = 真实音高高一个八度
+ * @property {boolean} [octaveCorrected] - 是否被 OctaveCorrector 修正过八度
  *
  * // ===== 原始数据 (调试用) =====
  * @property {Float32Array|null} rawAudioBuffer - 原始音频缓冲区 (可选)
@@ -68,6 +78,8 @@ export function createEmptyPitchFrame() {
     // 音高精度
     cents: 0,
     pitchStability: 1,
+    vibratoRate: 0,
+    vibratoDepth: 0,
 
     // 时域特征
     articulation: "silence",
@@ -77,6 +89,10 @@ export function createEmptyPitchFrame() {
     spectralCentroid: 0,
     brightness: 0.5,
     formant: 1000,
+    formantF1: 0,
+    formantF2: 0,
+    vowel: null,
+    vowelConfidence: 0,
     breathiness: 0,
 
     // 原始数据
@@ -0,0 +1,231 @@
+/**
+ * MIDI File - Standard MIDI File (SMF) encoding and MIDI message builders
+ *
+ * Builds type-0 / type-1 .mid files from lists of timed events. The message
+ * builders are plain byte arrays, so live output (Web MIDI) reuses them.
+ * Each event is `{ tick, bytes }` where `bytes` is a complete MIDI or meta
+ * message (status byte included). Works in both the browser and Node.js.
+ *
+ * @module MidiFile
+ */
+
+/**
+ * Center value of a 14-bit pitch bend (no bend)
+ * @type {number}
+ */
+export const PITCH_BEND_CENTER = 8192;
+
+/**
+ * Encode a variable-length quantity (delta times, meta lengths)
+ *
+ * @param {number} value - Non-negative integer (< 2^28)
+ * @returns {number[]} 1-4 bytes
+ */
+export function encodeVarLen(value) {
+  let buffer = value & 0x7F;
+  const bytes = [];
+
+  while ((value >>= 7) > 0) {
+    buffer <<= 8;
+    buffer |= (value & 0x7F) | 0x80;
+  }
+
+  while (true) {
+    bytes.push(buffer & 0xFF);
+    if (buffer & 0x80) buffer >>= 8;
+    else break;
+  }
+  return bytes;
+}
+
+/**
+ * Note On message
+ * @param {number} channel - 0-15
+ * @param {number} note - 0-127
+ * @param {number} velocity - 1-127
+ * @returns {number[]}
+ */
+export function noteOn(channel, note, velocity) {
+  return [0x90 | (channel & 0x0F), note & 0x7F, velocity & 0x7F];
+}
+
+/**
+ * Note Off message
+ * @param {number} channel - 0-15
+ * @param {number} note - 0-127
+ * @returns {number[]}
+ */
+export function noteOff(channel, note) {
+  return [0x80 | (channel & 0x0F), note & 0x7F, 0];
+}
+
+/**
+ * Control Change message
+ * @param {number} channel - 0-15
+ * @param {number} controller - 0-127
+ * @param {number} value - 0-127
+ * @returns {number[]}
+ */
+export function controlChange(channel, controller, value) {
+  return [0xB0 | (channel & 0x0F), controller & 0x7F, value & 0x7F];
+}
+
+/**
+ * Channel Pressure (aftertouch) message
+ * @param {number} channel - 0-15
+ * @param {number} pressure - 0-127
+ * @returns {number[]}
+ */
+export function channelPressure(channel, pressure) {
+  return [0xD0 | (channel & 0x0F), pressure & 0x7F];
+}
+
+/**
+ * Pitch Bend message
+ * @param {number} channel - 0-15
+ * @param {number} value - 14-bit value (0-16383, 8192 = center)
+ * @returns {number[]}
+ */
+export function pitchBend(channel, value) {
+  const clamped = Math.max(0, Math.min(16383, Math.round(value)));
+  return [0xE0 | (channel & 0x0F), clamped & 0x7F, (clamped >> 7) & 0x7F];
+}
+
+/**
+ * RPN 0 (pitch bend sensitivity) as a sequence of CC messages
+ * @param {number} channel - 0-15
+ * @param {number} semitones - Bend range in semitones (0-127)
+ * @param {number} [cents=0] - Additional cents (0-99)
+ * @returns {number[][]} CC messages in send order
+ */
+export function pitchBendRangeRpn(channel, semitones, cents = 0) {
+  return [
+    controlChange(channel, 101, 0),
+    controlChange(channel, 100, 0),
+    controlChange(channel, 6, semitones),
+    controlChange(channel, 38, cents),
+    // Null RPN so later data entry cannot change the range by accident
+    controlChange(channel, 101, 127),
+    controlChange(channel, 100, 127)
+  ];
+}
+
+/**
+ * Tempo meta event
+ * @param {number} bpm - Quarter notes per minute
+ * @returns {number[]}
+ */
+export function metaTempo(bpm) {
+  const mpqn = Math.round(60000000 / bpm);
+  return [0xFF, 0x51, 0x03, (mpqn >> 16) & 0xFF, (mpqn >> 8) & 0xFF, mpqn & 0xFF];
+}
+
+/**
+ * Time signature meta event
+ * @param {number} numerator - Beats per bar
+ * @param {number} denominator - Beat unit (power of two)
+ * @returns {number[]}
+ */
+export function metaTimeSignature(numerator, denominator) {
+  return [0xFF, 0x58, 0x04, numerator, Math.round(Math.log2(denominator)), 24, 8];
+}
+
+/**
+ * Track name meta event
+ * @param {string} name - ASCII track name
+ * @returns {number[]}
+ */
+export function metaTrackName(name) {
+  const bytes = Array.from(name, ch => ch.charCodeAt(0) & 0x7F);
+  return [0xFF, 0x03, ...encodeVarLen(bytes.length), ...bytes];
+}
+
+/**
+ * Encode tracks of timed events as a Standard MIDI File
+ *
+ * Events are stably sorted by tick, so callers can rely on insertion order
+ * for simultaneous events (e.g. note-off before note-on).
+ *
+ * @param {Object} options
+ * @param {number} [options.format=1] - SMF format (0 = single track, 1 = multi-track)
+ * @param {number} [options.ppq=480] - Ticks per quarter note
+ * @param {Array<Array<{tick: number, bytes: number[]}>>} options.tracks - One event list per track
+ * @returns {Uint8Array} Complete .mid file
+ * @throws {RangeError} If format 0 is used with more than one track
+ * @example
+ * const mid = encodeMidiFile({ format: 0, tracks: [[{ tick: 0, bytes: noteOn(0, 60, 100) }]] });
+ */
+export function encodeMidiFile({ format = 1, ppq = 480, tracks }) {
+  if (format !== 0 && format !== 1) {
+    throw new RangeError(`Unsupported SMF format: ${format} (expected 0 or 1)`);
+  }
+  if (!tracks || tracks.length === 0 || (format === 0 && tracks.length !== 1)) {
+    throw new RangeError(`SMF format ${format} cannot hold ${tracks?.length ?? 0} track(s)`);
+  }
+
+  const chunks = [headerChunk(format, tracks.length, ppq)];
+  tracks.forEach(events => chunks.push(trackChunk(events)));
+
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const output = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+/**
+ * @private
+ */
+function headerChunk(format, numTracks, ppq) {
+  return Uint8Array.from([
+    0x4D, 0x54, 0x68, 0x64, // MThd
+    0, 0, 0, 6,
+    0, format,
+    (numTracks >> 8) & 0xFF, numTracks & 0xFF,
+    (ppq >> 8) & 0x7F, ppq & 0xFF
+  ]);
+}
+
+/**
+ * @private
+ */
+function trackChunk(events) {
+  const sorted = events
+    .map((event, index) => ({ ...event, index }))
+    .sort((a, b) => a.tick - b.tick || a.index - b.index);
+
+  const data = [];
+  let lastTick = 0;
+  for (const event of sorted) {
+    const tick = Math.max(lastTick, Math.round(event.tick));
+    data.push(...encodeVarLen(tick - lastTick), ...event.bytes);
+    lastTick = tick;
+  }
+  // End of track
+  data.push(0x00, 0xFF, 0x2F, 0x00);
+
+  const length = data.length;
+  return Uint8Array.from([
+    0x4D, 0x54, 0x72, 0x6B, // MTrk
+    (length >>> 24) & 0xFF, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF,
+    ...data
+  ]);
+}
+
+export default {
+  PITCH_BEND_CENTER,
+  encodeVarLen,
+  encodeMidiFile,
+  noteOn,
+  noteOff,
+  controlChange,
+  channelPressure,
+  pitchBend,
+  pitchBendRangeRpn,
+  metaTempo,
+  metaTimeSignature,
+  metaTrackName
+};
@@ -0,0 +1,247 @@
+/**
+ * WAV Codec - RIFF/WAVE PCM encoding and decoding
+ *
+ * Pure functions that turn planar Float32 channel data into a little-endian
+ * PCM WAV file and back. Works in both the browser and Node.js (no DOM
+ * dependencies).
+ *
+ * @module WavCodec
+ */
+
+/**
+ * Supported PCM bit depths
+ * @type {number[]}
+ */
+export const SUPPORTED_BIT_DEPTHS = [16, 24];
+
+/**
+ * Concatenate a list of Float32Array chunks into one contiguous array
+ *
+ * @param {Float32Array[]} chunks - Recorded blocks in order
+ * @returns {Float32Array} Joined samples
+ */
+export function concatFloat32(chunks) {
+  let total = 0;
+  for (const chunk of chunks) total += chunk.length;
+
+  const output = new Float32Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+/**
+ * Encode planar Float32 channels as a PCM WAV file
+ *
+ * Samples are clamped to [-1, 1] before quantization.
+ *
+ * @param {Float32Array[]} channels - One Float32Array per channel (equal lengths)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} [bitDepth=16] - 16 or 24
+ * @returns {ArrayBuffer} Complete WAV file (44-byte header + interleaved data)
+ * @throws {RangeError} If bitDepth is unsupported or no channels are given
+ * @example
+ * const wav = encodeWav([left, right], 48000, 24);
+ * const blob = new Blob([wav], { type: 'audio/wav' });
+ */
+export function encodeWav(channels, sampleRate, bitDepth = 16) {
+  if (!SUPPORTED_BIT_DEPTHS.includes(bitDepth)) {
+    throw new RangeError(`Unsupported WAV bit depth: ${bitDepth} (expected 16 or 24)`);
+  }
+  if (!channels || channels.length === 0) {
+    throw new RangeError('encodeWav requires at least one channel');
+  }
+
+  const numChannels = channels.length;
+  const numFrames = channels[0].length;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = numFrames * blockAlign;
+
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  // RIFF header
+  writeAscii(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeAscii(view, 8, 'WAVE');
+
+  // fmt chunk (PCM)
+  writeAscii(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  // data chunk
+  writeAscii(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < numFrames; i++) {
+    for (let ch = 0; ch < numChannels; ch++) {
+      const sample = Math.max(-1, Math.min(1, channels[ch][i] || 0));
+
+      if (bitDepth === 16) {
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      } else {
+        const int24 = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+        view.setUint8(offset, int24 & 0xFF);
+        view.setUint8(offset + 1, (int24 >> 8) & 0xFF);
+        view.setUint8(offset + 2, (int24 >> 16) & 0xFF);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Decode a WAV file into planar Float32 channels
+ *
+ * Supports integer PCM (8/16/24/32-bit) and IEEE float (32-bit), including
+ * WAVE_FORMAT_EXTENSIBLE headers. Unknown chunks (LIST, fact, ...) are skipped.
+ *
+ * @param {ArrayBuffer|Uint8Array} input - Complete WAV file
+ * @returns {{sampleRate: number, bitDepth: number, channels: Float32Array[]}}
+ * @throws {RangeError} If the file is not a WAV or uses an unsupported encoding
+ * @example
+ * const { sampleRate, channels } = decodeWav(fs.readFileSync('take.wav'));
+ */
+export function decodeWav(input) {
+  const view = input instanceof ArrayBuffer
+    ? new DataView(input)
+    : new DataView(input.buffer, input.byteOffset, input.byteLength);
+
+  if (view.byteLength < 12 || readAscii(view, 0, 4) !== 'RIFF' || readAscii(view, 8, 4) !== 'WAVE') {
+    throw new RangeError('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = readAscii(view, offset, 4);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      let formatTag = view.getUint16(body, true);
+      if (formatTag === 0xFFFE && size >= 26) {
+        // WAVE_FORMAT_EXTENSIBLE: the real tag is the first word of the sub-format GUID
+        formatTag = view.getUint16(body + 24, true);
+      }
+      format = {
+        formatTag,
+        numChannels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitDepth: view.getUint16(body + 14, true)
+      };
+    } else if (id === 'data') {
+      if (!format) throw new RangeError('WAV data chunk appears before fmt chunk');
+      const length = Math.min(size, view.byteLength - body);
+      return {
+        sampleRate: format.sampleRate,
+        bitDepth: format.bitDepth,
+        channels: readSamples(view, body, length, format)
+      };
+    }
+
+    // Chunks are word-aligned
+    offset = body + size + (size & 1);
+  }
+
+  throw new RangeError('WAV file has no data chunk');
+}
+
+/**
+ * Find a chunk of a WAV file by id (e.g. 'clm ' written by wavetable editors)
+ *
+ * @param {ArrayBuffer|Uint8Array} input - Complete WAV file
+ * @param {string} id - Four-character chunk id
+ * @returns {Uint8Array|null} Chunk body, or null if the file has no such chunk
+ */
+export function findWavChunk(input, id) {
+  const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : input;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.byteLength < 12 || readAscii(view, 0, 4) !== 'RIFF') return null;
+
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const size = view.getUint32(offset + 4, true);
+    if (readAscii(view, offset, 4) === id) {
+      return bytes.subarray(offset + 8, Math.min(offset + 8 + size, view.byteLength));
+    }
+    offset += 8 + size + (size & 1);
+  }
+  return null;
+}
+
+/**
+ * @private
+ */
+function readSamples(view, offset, length, { formatTag, numChannels, bitDepth }) {
+  const isFloat = formatTag === 3;
+  if (!(formatTag === 1 && [8, 16, 24, 32].includes(bitDepth)) && !(isFloat && bitDepth === 32)) {
+    throw new RangeError(`Unsupported WAV encoding: format ${formatTag}, ${bitDepth}-bit`);
+  }
+
+  const bytesPerSample = bitDepth / 8;
+  const numFrames = Math.floor(length / (bytesPerSample * numChannels));
+  const channels = Array.from({ length: numChannels }, () => new Float32Array(numFrames));
+
+  for (let i = 0; i < numFrames; i++) {
+    for (let ch = 0; ch < numChannels; ch++) {
+      let sample;
+      if (isFloat) {
+        sample = view.getFloat32(offset, true);
+      } else if (bitDepth === 8) {
+        sample = (view.getUint8(offset) - 128) / 128; // 8-bit PCM is unsigned
+      } else if (bitDepth === 16) {
+        sample = view.getInt16(offset, true) / 0x8000;
+      } else if (bitDepth === 24) {
+        const int24 = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+        sample = int24 / 0x800000;
+      } else {
+        sample = view.getInt32(offset, true) / 0x80000000;
+      }
+      channels[ch][i] = sample;
+      offset += bytesPerSample;
+    }
+  }
+  return channels;
+}
+
+/**
+ * @private
+ */
+function readAscii(view, offset, length) {
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return text;
+}
+
+/**
+ * @private
+ */
+function writeAscii(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+export default {
+  encodeWav,
+  decodeWav,
+  findWavChunk,
+  concatFloat32,
+  SUPPORTED_BIT_DEPTHS
+};
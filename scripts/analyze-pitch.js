@@ -0,0 +1,154 @@
+/**
+ * Offline pitch analysis: run a WAV file through the AudioWorklet DSP chain
+ *
+ * Uses the same PitchFrameProcessor as js/pitch-worklet.js (YIN/pYIN/MPM, FFT features,
+ * EMA smoothing, onset detection), fed with 128-sample blocks, and prints one
+ * PitchFrame per line as JSON (NDJSON) or CSV.
+ *
+ * Usage:
+ *   node scripts/analyze-pitch.js <input.wav> [options]
+ *
+ * Options:
+ *   --format json|csv      Output format (default: json)
+ *   --channel <n>|mix      Channel to analyse, 0-based (default: mix to mono)
+ *   --min-volume <rms>     Gate below this block RMS (default: worklet default)
+ *   --threshold <0-1>      YIN threshold (default: worklet default)
+ *   --algorithm <name>     yin, pyin, mpm or auto (default: yin; pyin adds voicedProbability)
+ *   --block-size <n>       Samples per process() call (default: 128)
+ *   --window-size <n>      Analysis window: 1024, 2048 or 4096 (default: worklet default, 1024)
+ *   --out <file>           Write to a file instead of stdout
+ *
+ * Example:
+ *   node scripts/analyze-pitch.js take.wav --format csv --out take.csv
+ */
+
+import { readFileSync, createWriteStream } from 'node:fs';
+import { decodeWav } from '../js/utils/wav-codec.js';
+import { analyzeOffline, PITCH_ALGORITHMS, WORKLET_BLOCK_SIZE } from '../js/pitch-dsp.js';
+
+const CSV_COLUMNS = [
+  'time', 'frequency', 'rawFrequency', 'note', 'octave', 'cents', 'confidence',
+  'volumeLinear', 'volumeDb', 'brightness', 'breathiness', 'articulation'
+];
+
+function printUsage() {
+  console.error('Usage: node scripts/analyze-pitch.js <input.wav> [--format json|csv] [--channel <n>|mix]');
+  console.error('       [--min-volume <rms>] [--threshold <0-1>] [--algorithm yin|pyin|mpm|auto] [--block-size <n>]');
+  console.error('       [--window-size 1024|2048|4096] [--out <file>]');
+}
+
+function parseArgs(argv) {
+  const options = { input: null, format: 'json', channel: 'mix', config: {}, blockSize: WORKLET_BLOCK_SIZE, out: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--format': options.format = next(); break;
+      case '--channel': options.channel = next(); break;
+      case '--min-volume': options.config.minVolumeThreshold = Number(next()); break;
+      case '--threshold': options.config.threshold = Number(next()); break;
+      case '--algorithm': options.config.algorithm = next().toUpperCase(); break;
+      case '--block-size': options.blockSize = parseInt(next(), 10); break;
+      case '--window-size': options.config.windowSize = parseInt(next(), 10); break;
+      case '--out': options.out = next(); break;
+      case '-h':
+      case '--help': options.help = true; break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        options.input = arg;
+    }
+  }
+
+  if (!['json', 'csv'].includes(options.format)) {
+    throw new Error(`Unknown format: ${options.format} (expected json or csv)`);
+  }
+  if (options.config.algorithm && !PITCH_ALGORITHMS.includes(options.config.algorithm)) {
+    throw new Error(`Unknown algorithm: ${options.config.algorithm} (expected one of ${PITCH_ALGORITHMS.join(', ').toLowerCase()})`);
+  }
+  if (!Number.isInteger(options.blockSize) || options.blockSize <= 0) {
+    throw new Error('--block-size must be a positive integer');
+  }
+  if (options.config.windowSize !== undefined && ![1024, 2048, 4096].includes(options.config.windowSize)) {
+    throw new Error('--window-size must be 1024, 2048 or 4096');
+  }
+  return options;
+}
+
+function selectChannel(channels, channel) {
+  if (channel === 'mix') {
+    if (channels.length === 1) return channels[0];
+    const mono = new Float32Array(channels[0].length);
+    for (const data of channels) {
+      for (let i = 0; i < mono.length; i++) mono[i] += data[i] / channels.length;
+    }
+    return mono;
+  }
+
+  const index = parseInt(channel, 10);
+  if (!(index >= 0 && index < channels.length)) {
+    throw new Error(`Channel ${channel} does not exist (file has ${channels.length})`);
+  }
+  return channels[index];
+}
+
+function formatCsvRow(frame) {
+  return CSV_COLUMNS.map(column => {
+    const value = column === 'time' ? frame.captureTime / 1000 : frame[column];
+    return typeof value === 'number' ? Number(value.toFixed(6)) : value;
+  }).join(',');
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    printUsage();
+    process.exit(1);
+  }
+
+  if (options.help || !options.input) {
+    printUsage();
+    process.exit(options.help ? 0 : 1);
+  }
+
+  let wav;
+  let samples;
+  try {
+    wav = decodeWav(readFileSync(options.input));
+    samples = selectChannel(wav.channels, options.channel);
+  } catch (error) {
+    console.error(`Cannot read ${options.input}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const output = options.out ? createWriteStream(options.out) : process.stdout;
+  // Stop quietly when piped into `head` and friends
+  output.on('error', (error) => {
+    if (error.code === 'EPIPE') process.exit(0);
+    throw error;
+  });
+
+  if (options.format === 'csv') output.write(CSV_COLUMNS.join(',') + '\n');
+
+  const frames = analyzeOffline(samples, {
+    sampleRate: wav.sampleRate,
+    blockSize: options.blockSize,
+    config: options.config
+  });
+
+  for (const frame of frames) {
+    output.write((options.format === 'csv' ? formatCsvRow(frame) : JSON.stringify(frame)) + '\n');
+  }
+
+  if (options.out) output.end();
+  console.error(`Analysed ${(samples.length / wav.sampleRate).toFixed(2)}s @ ${wav.sampleRate} Hz: ${frames.length} pitch frames`);
+}
+
+main();
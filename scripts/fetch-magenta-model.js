@@ -0,0 +1,103 @@
+/**
+ * Download the Smart Jam model for self-hosting (offline / behind a proxy)
+ *
+ * Fetches the Magenta.js browser bundle and the MusicRNN checkpoint
+ * (config.json, weights_manifest.json and every weight shard it lists)
+ * into a local directory served with the app. Point the harmonizer config at it:
+ *
+ *   configManager.load({
+ *     harmonizer: {
+ *       libraryUrl: 'models/magenta/magentamusic.min.js',
+ *       checkpointUrl: 'models/magenta/chord_pitches_improv'
+ *     }
+ *   });
+ *
+ * Usage:
+ *   node scripts/fetch-magenta-model.js [options]
+ *
+ * Options:
+ *   --out <dir>            Target directory (default: models/magenta)
+ *   --library <url>        Magenta.js bundle (default: harmonizer.libraryUrl)
+ *   --checkpoint <url>     Checkpoint directory (default: harmonizer.checkpointUrl)
+ */
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join, basename } from 'node:path';
+import { DEFAULT_CONFIG } from '../js/config/app-config.js';
+
+function printUsage() {
+  console.error('Usage: node scripts/fetch-magenta-model.js [--out <dir>] [--library <url>] [--checkpoint <url>]');
+}
+
+function parseArgs(argv) {
+  const options = {
+    out: 'models/magenta',
+    library: DEFAULT_CONFIG.harmonizer.libraryUrl,
+    checkpoint: DEFAULT_CONFIG.harmonizer.checkpointUrl
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--out': options.out = next(); break;
+      case '--library': options.library = next(); break;
+      case '--checkpoint': options.checkpoint = next().replace(/\/+$/, ''); break;
+      case '-h':
+      case '--help': options.help = true; break;
+      default: throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function download(url, file) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  writeFileSync(file, bytes);
+  console.error(`${file} (${(bytes.length / 1024).toFixed(0)} KB)`);
+  return bytes;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    printUsage();
+    process.exit(1);
+  }
+
+  if (options.help) {
+    printUsage();
+    process.exit(0);
+  }
+
+  const checkpointDir = join(options.out, basename(options.checkpoint));
+  mkdirSync(checkpointDir, { recursive: true });
+
+  try {
+    await download(options.library, join(options.out, basename(new URL(options.library).pathname)));
+    await download(`${options.checkpoint}/config.json`, join(checkpointDir, 'config.json'));
+
+    const manifestBytes = await download(`${options.checkpoint}/weights_manifest.json`, join(checkpointDir, 'weights_manifest.json'));
+    const manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+    for (const path of manifest.flatMap(group => group.paths)) {
+      await download(`${options.checkpoint}/${path}`, join(checkpointDir, path));
+    }
+  } catch (error) {
+    console.error(`Download failed: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.error(`Model saved to ${options.out}; set harmonizer.libraryUrl / checkpointUrl to serve it from there`);
+}
+
+main();
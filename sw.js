@@ -0,0 +1,46 @@
+/**
+ * Service Worker - Smart Jam model cache
+ *
+ * Registered by js/features/harmonizer-backends.js (registerModelCache) with
+ * the URLs to keep in its script URL: sw.js?model=<prefix>&model=<prefix>.
+ * Requests under those prefixes (the Magenta bundle, the MusicRNN checkpoint
+ * and its weight shards) are served cache-first, so once loaded the AI
+ * harmonizer also starts offline. Every other request goes to the network
+ * untouched. Only successful responses are stored, so cross-origin files must
+ * be requested in CORS mode (AiHarmonizer loads the bundle with crossOrigin).
+ */
+
+const CACHE_NAME = 'mambo-model-v1';
+const MODEL_PREFIXES = new URL(self.location.href).searchParams.getAll('model');
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('mambo-model-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        // Take over the open page so the model it is about to fetch gets cached
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !MODEL_PREFIXES.some(prefix => request.url.startsWith(prefix))) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request);
+        if (cached) return cached;
+
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    })());
+});
@@ -33,9 +33,15 @@ export const createToneMock = () => {
     connect() {
       return this;
     }
+    disconnect() {
+      return this;
+    }
     toDestination() {
       return this;
     }
+    dispose() {
+      this.disposed = true;
+    }
   }
 
   class MockFilter extends MockNode {
@@ -48,17 +54,96 @@ export const createToneMock = () => {
   }
 
   class MockGain extends MockNode {
-    constructor() {
+    constructor(gain = 0) {
       super();
       this.gain = new MockParam();
+      this.gain.value = gain;
       this.volume = new MockParam();
       this.output = this;
     }
   }
 
+  class MockPanner extends MockNode {
+    constructor(pan = 0) {
+      super();
+      this.pan = new MockParam();
+      this.pan.value = pan;
+    }
+  }
+
+  class MockSignal extends MockParam {
+    constructor({ value = 0 } = {}) {
+      super();
+      this.value = value;
+    }
+    connect() {
+      return this;
+    }
+    dispose() {
+      this.disposed = true;
+    }
+  }
+
+  class MockVolume extends MockNode {
+    constructor(volume = 0) {
+      super();
+      this.volume = new MockParam();
+      this.volume.value = volume;
+    }
+  }
+
+  class MockOscillator extends MockNode {
+    constructor({ type = 'sine' } = {}) {
+      super();
+      this.type = type;
+      this.frequency = new MockParam();
+      this.partials = [];
+      this.state = 'stopped';
+    }
+    start() {
+      this.state = 'started';
+    }
+    stop() {
+      this.state = 'stopped';
+    }
+  }
+
+  class MockBufferSource extends MockNode {
+    constructor(options = {}) {
+      super();
+      Object.assign(this, options);
+      this.buffer = options.url;
+      this.playbackRate = new MockParam();
+      this.playbackRate.value = 1;
+      this.onended = null;
+      this.started = [];
+      this.stopped = [];
+    }
+    start(time) {
+      this.started.push(time);
+    }
+    stop(time) {
+      this.stopped.push(time);
+    }
+  }
+
+  class MockEnvelope extends MockNode {
+    constructor() {
+      super();
+      this.triggered = [];
+    }
+    triggerAttack(time, velocity) {
+      this.triggered.push({ time, velocity, type: 'attack' });
+    }
+    triggerRelease(time) {
+      this.triggered.push({ time, type: 'release' });
+    }
+  }
+
   class MockVibrato extends MockNode {
     constructor() {
       super();
+      this.frequency = new MockParam();
       this.depth = new MockParam();
     }
   }
@@ -107,8 +192,8 @@ export const createToneMock = () => {
     triggerRelease(time) {
       this.triggered.push({ time, type: 'release' });
     }
-    triggerAttackRelease(frequency, duration, at) {
-      this.triggered.push({ frequency, duration, at, type: 'attackRelease' });
+    triggerAttackRelease(frequency, duration, at, velocity) {
+      this.triggered.push({ frequency, duration, at, velocity, type: 'attackRelease' });
     }
     dispose() {
       this.disposed = true;
@@ -121,6 +206,47 @@ export const createToneMock = () => {
     }
   }
 
+  // Transport clock: repeats are kept so tests can fire them by hand
+  class MockTransport {
+    constructor() {
+      this.bpm = new MockParam();
+      this.bpm.value = 120;
+      this.timeSignature = 4;
+      this.state = 'stopped';
+      this.startTime = 0;
+      this.repeats = [];
+    }
+    start(time = 0) {
+      this.state = 'started';
+      this.startTime = time;
+    }
+    stop() {
+      this.state = 'stopped';
+    }
+    scheduleRepeat(callback, interval, startTime = 0) {
+      this.repeats.push({ callback, interval, startTime });
+      return this.repeats.length - 1;
+    }
+    clear(id) {
+      this.repeats[id] = null;
+    }
+    // Next grid line strictly after Tone.now(), at a constant tempo from startTime
+    nextSubdivision(subdivision) {
+      const quarter = 60 / this.bpm.value;
+      const beats = Array.isArray(this.timeSignature)
+        ? this.timeSignature[0] * 4 / this.timeSignature[1]
+        : this.timeSignature;
+      const step = subdivision === '1m' ? beats * quarter : quarter * 4 / parseInt(subdivision, 10);
+      const elapsed = Tone.now() - this.startTime;
+      return this.startTime + (Math.floor(elapsed / step + 1e-9) + 1) * step;
+    }
+  }
+
+  const transport = new MockTransport();
+  const draw = {
+    schedule: (callback) => callback()
+  };
+
   const Tone = {
     Vibrato: MockVibrato,
     Filter: MockFilter,
@@ -128,11 +254,25 @@ export const createToneMock = () => {
     Reverb: MockReverb,
     Noise: MockNoise,
     Gain: MockGain,
+    Panner: MockPanner,
+    Volume: MockVolume,
+    Signal: MockSignal,
+    Oscillator: MockOscillator,
+    ToneBufferSource: MockBufferSource,
+    AmplitudeEnvelope: MockEnvelope,
+    Synth: MockSynth,
     MonoSynth: MockSynth,
     FMSynth: MockSynth,
     AMSynth: MockSynth,
     PolySynth: MockPolySynth,
+    MembraneSynth: MockSynth,
+    NoiseSynth: MockSynth,
+    MetalSynth: MockSynth,
     Frequency: (value) => value,
+    Transport: transport,
+    Draw: draw,
+    getTransport: () => transport,
+    getDraw: () => draw,
     context: { lookAhead: 0, latencyHint: 'interactive' },
     start: vi.fn().mockResolvedValue(),
     now: vi.fn(() => 0)
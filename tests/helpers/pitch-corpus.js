@@ -0,0 +1,144 @@
+/**
+ * Pitch tracking corpus + metrics for the golden regression suite
+ *
+ * Cases are described in tests/golden/pitch-tracking.json. Each case is
+ * rendered deterministically (seeded noise), so the ground-truth contour is
+ * known exactly at every sample.
+ */
+
+/**
+ * Deterministic PRNG (mulberry32)
+ * @param {number} seed
+ * @returns {function(): number} Uniform [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Ground-truth fundamental at time t (0 = unvoiced)
+ * @param {Object} contour - { points: [[t, hz]...], interpolation: 'step'|'exponential', vibrato? }
+ * @param {number} t - Seconds
+ * @returns {number} Hz
+ */
+export function contourAt(contour, t) {
+    const points = contour.points;
+    let index = 0;
+    while (index + 1 < points.length && points[index + 1][0] <= t) index++;
+
+    const [t0, f0] = points[index];
+    let frequency = f0;
+
+    if (contour.interpolation === 'exponential' && index + 1 < points.length && f0 > 0) {
+        const [t1, f1] = points[index + 1];
+        frequency = f0 * Math.pow(f1 / f0, (t - t0) / (t1 - t0));
+    }
+
+    if (frequency > 0 && contour.vibrato) {
+        const { rate, depthCents } = contour.vibrato;
+        frequency *= Math.pow(2, (depthCents * Math.sin(2 * Math.PI * rate * t)) / 1200);
+    }
+    return frequency;
+}
+
+/**
+ * Render one corpus case
+ * @param {Object} testCase - Entry of pitch-tracking.json `cases`
+ * @param {number} sampleRate
+ * @returns {Float32Array}
+ */
+export function renderCase(testCase, sampleRate) {
+    const { duration, contour, timbre, amplitude = 0.3, snrDb = null, seed = 1 } = testCase;
+    const samples = new Float32Array(Math.round(duration * sampleRate));
+    const random = createRandom(seed);
+    const nyquist = sampleRate / 2;
+
+    // Harmonic amplitudes: sine = fundamental only, sawtooth = 1/k, voice = 1/k^1.5 (glottal roll-off)
+    const rolloff = { sine: null, sawtooth: 1, voice: 1.5 }[timbre];
+    if (rolloff === undefined) throw new Error(`Unknown timbre: ${timbre}`);
+
+    let phase = 0;
+    let signalPower = 0;
+    let voicedCount = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+        const frequency = contourAt(contour, i / sampleRate);
+        if (frequency <= 0) continue;
+
+        phase += 2 * Math.PI * frequency / sampleRate;
+        let value = Math.sin(phase);
+        if (rolloff !== null) {
+            for (let k = 2; k * frequency < nyquist * 0.9; k++) {
+                value += Math.sin(k * phase) / Math.pow(k, rolloff);
+            }
+        }
+        samples[i] = value;
+        signalPower += value * value;
+        voicedCount++;
+    }
+
+    // Normalize peak to the requested amplitude
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+    const gain = peak > 0 ? amplitude / peak : 0;
+    for (let i = 0; i < samples.length; i++) samples[i] *= gain;
+
+    if (snrDb !== null && voicedCount > 0) {
+        // White noise scaled against the voiced signal power
+        const rms = Math.sqrt((signalPower / voicedCount) * gain * gain / Math.pow(10, snrDb / 10));
+        const noiseScale = rms * Math.sqrt(3); // Uniform [-1, 1] has variance 1/3
+        for (let i = 0; i < samples.length; i++) samples[i] += noiseScale * (2 * random() - 1);
+    }
+
+    return samples;
+}
+
+/**
+ * Compare estimated frames with the ground truth
+ *
+ * - Gross pitch error (GPE): share of frames voiced in both truth and
+ *   estimate that deviate by more than 20% (~316 cents, the usual definition)
+ * - RMS cents: over the non-gross voiced frames
+ * - Voicing recall: share of truly voiced frames with an estimate
+ *
+ * @param {Array<{time: number, frequency: number}>} estimates - time = window centre (s), frequency = 0 if unvoiced
+ * @param {Object} contour
+ * @returns {{frames: number, gpe: number, rmsCents: number, voicingRecall: number}}
+ */
+export function scoreContour(estimates, contour) {
+    let voicedTruth = 0;
+    let both = 0;
+    let gross = 0;
+    let sumSquares = 0;
+    let fine = 0;
+
+    for (const { time, frequency } of estimates) {
+        const truth = contourAt(contour, time);
+        if (truth <= 0) continue;
+        voicedTruth++;
+        if (!(frequency > 0)) continue;
+
+        both++;
+        const cents = 1200 * Math.log2(frequency / truth);
+        if (Math.abs(frequency - truth) > 0.2 * truth) {
+            gross++;
+        } else {
+            sumSquares += cents * cents;
+            fine++;
+        }
+    }
+
+    return {
+        frames: estimates.length,
+        gpe: both > 0 ? gross / both : 1,
+        rmsCents: fine > 0 ? Math.sqrt(sumSquares / fine) : Infinity,
+        voicingRecall: voicedTruth > 0 ? both / voicedTruth : 0
+    };
+}
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Accompaniment, ACCOMPANIMENT_STYLES, harmonyFromNotes } from '../../js/features/accompaniment.js';
+import { installToneMock } from '../helpers/mockTone.js';
+
+const STEP = 0.125; // 120 BPM sixteenths
+
+// C major triad for a whole bar
+const C_CHORD = [60, 64, 67].map(pitch => ({ pitch, startStep: 0, endStep: 16 }));
+
+describe('harmonyFromNotes', () => {
+    it('should read one chord per window, lowest note as root', () => {
+        const chords = harmonyFromNotes([
+            { pitch: 64, startStep: 0, endStep: 8 },
+            { pitch: 60, startStep: 0, endStep: 8 },
+            { pitch: 65, startStep: 8, endStep: 12 },
+            { pitch: 69, startStep: 24, endStep: 32 }
+        ]);
+
+        expect(chords).toEqual([
+            { startStep: 0, endStep: 8, root: 60, pitches: [60, 64] },
+            { startStep: 8, endStep: 16, root: 65, pitches: [65] },
+            { startStep: 24, endStep: 32, root: 69, pitches: [69] }
+        ]);
+    });
+});
+
+describe('Accompaniment', () => {
+    let band;
+
+    beforeEach(() => {
+        installToneMock();
+        band = new Accompaniment({ style: 'rock' });
+    });
+
+    const times = (voice) => voice.triggered.map(note => note.at);
+
+    it('should play rock bass, comped pad and backbeat from the harmony', () => {
+        band.play(C_CHORD, { startAt: 1, step: STEP });
+        const { bass, pad } = band.voices;
+
+        expect(bass.triggered.map(note => note.frequency)).toEqual([36, 36, 36, 36, 36, 36, 36, 48]);
+        expect(times(bass).slice(0, 2)).toEqual([1, 1 + 2 * STEP]);
+        // G3 … F#4 voicing, on every beat of each half-bar chord
+        expect(pad.triggered[0].frequency).toEqual([55, 60, 64]);
+        expect(times(pad)).toEqual([1, 1.5, 2, 2.5]);
+
+        expect(times(band.kit.voices.kick)).toEqual([1, 2, 2.25]);
+        expect(band.kit.voices.snare.triggered).toHaveLength(2);
+    });
+
+    it('should hold the ballad pad and arpeggiate chord tones upwards', () => {
+        band.setStyle('ballad');
+        band.play(C_CHORD.map(note => ({ ...note, endStep: 8 })), { startAt: 0, step: STEP });
+        const { pad, arp } = band.voices;
+
+        expect(pad.triggered).toHaveLength(1);
+        expect(pad.triggered[0].duration).toBeCloseTo(8 * STEP, 6);
+        expect(arp.triggered.map(note => note.frequency)).toEqual([60, 64, 67, 60]);
+        expect(times(arp)).toEqual([0, 0.25, 0.5, 0.75]);
+    });
+
+    it('should swing lo-fi off-beat eighths', () => {
+        band.setStyle('lofi');
+        band.play(C_CHORD, { startAt: 0, step: STEP });
+
+        const hats = times(band.kit.voices.hihat);
+        expect(hats[0]).toBe(0);
+        expect(hats[1]).toBeCloseTo(2 * STEP + ACCOMPANIMENT_STYLES.lofi.swing * STEP, 6);
+    });
+
+    it('should restart rhythms on each bar of the meter', () => {
+        // 3/4: 12-step bars, so the second bar starts at step 12
+        band.play(C_CHORD.map(note => ({ ...note, endStep: 24 })), { startAt: 0, step: STEP, barSteps: 12 });
+
+        expect(times(band.kit.voices.kick)).toEqual([0, 8 * STEP, 10 * STEP, 12 * STEP, 20 * STEP, 22 * STEP]);
+    });
+
+    it('should mute and set the volume of each part', () => {
+        band.setPartVolume('pad', 0.3);
+        band.setPartMuted('bass', true);
+        band.setPartMuted('drums', true);
+        band.getOutputNode();
+
+        expect(band.partGains.pad.gain.value).toBe(0.3);
+        expect(band.partGains.bass.gain.value).toBe(0);
+        expect(band.kit.volume).toBe(0);
+        expect(band.getParts().find(part => part.id === 'bass')).toEqual({ id: 'bass', volume: 0.8, muted: true });
+
+        band.setPartMuted('bass', false);
+        expect(band.partGains.bass.gain.value).toBe(0.8);
+    });
+
+    it('should rebuild its sounds for a new style and reject unknown names', () => {
+        band.play(C_CHORD, { startAt: 0, step: STEP });
+        const rockBass = band.voices.bass;
+
+        band.setStyle('bossa');
+        expect(rockBass.disposed).toBe(true);
+        expect(band.voices).toBe(null);
+
+        expect(() => band.setStyle('polka')).toThrow(/Unknown style/);
+        expect(() => band.setPartMuted('horns', true)).toThrow(/Unknown part/);
+    });
+});
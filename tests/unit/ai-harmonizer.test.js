@@ -43,7 +43,7 @@ describe('AiHarmonizer', () => {
     await harmonizer.enable();
 
     expect(harmonizer.enabled).toBe(true);
-    expect(harmonizer.model).toBeInstanceOf(FakeRNN);
+    expect(harmonizer.backend.model).toBeInstanceOf(FakeRNN);
     expect(statusSpy).toHaveBeenLastCalledWith({ status: 'ready', message: 'AI Listening...' });
     expect(harmonizer.backingSynth).toBeDefined();
   });
@@ -88,4 +88,133 @@ describe('AiHarmonizer', () => {
     expect(harmonizer.isGenerating).toBe(false);
     expect(harmonizer.backingSynth.released).toBe(true);
   });
+
+  it('follows the transport: sixteenth steps and backing on the next downbeat', async () => {
+    const continueSpy = vi.fn().mockResolvedValue({
+      notes: [{ pitch: 64, startTime: 0, endTime: 0.25 }, { pitch: 67, startTime: 0.5, endTime: 0.75 }]
+    });
+    installMagentaMock(continueSpy);
+
+    const { AiHarmonizer } = await import('../../js/features/ai-harmonizer.js');
+    const transport = {
+      isRunning: true,
+      quarterBpm: 90,
+      beatsPerBar: 4,
+      beatUnit: 4,
+      barDuration: 8 / 3,
+      getSubdivisionDuration: () => 1 / 6,
+      nextBarTime: () => 12
+    };
+    const harmonizer = new AiHarmonizer({ transport });
+
+    vi.spyOn(harmonizer, '_loadScript').mockResolvedValue();
+    await harmonizer.enable();
+    harmonizer.noteBuffer = [60, 62, 64, 65, 67];
+
+    await harmonizer._generateBackingSequence();
+
+    const [sequence, steps] = continueSpy.mock.calls[0];
+    expect(sequence.notes[1].startTime).toBeCloseTo(1 / 6, 6);
+    // Two bars of sixteenths: the backing lasts until the next generation
+    expect(steps).toBe(32);
+    expect(sequence.tempos).toEqual([{ time: 0, qpm: 90 }]);
+    expect(harmonizer._getProcessInterval()).toBeCloseTo(2 * 8 / 3 * 1000, 6);
+    // 0.5 s after the first note at the input step = 3 sixteenths
+    expect(harmonizer.backingSynth.triggered.map(note => note.at)).toEqual([12, 12.5]);
+  });
+
+  it('falls back to rule-based chords when Magenta cannot load', async () => {
+    const { AiHarmonizer } = await import('../../js/features/ai-harmonizer.js');
+    const keyDetector = { currentKey: { key: 'A', scale: 'minor' } };
+    const harmonizer = new AiHarmonizer({ keyDetector });
+
+    vi.spyOn(harmonizer, '_loadScript').mockRejectedValue(new Error('offline'));
+    await harmonizer.enable();
+
+    expect(harmonizer.enabled).toBe(true);
+    expect(harmonizer.backend.name).toBe('rules');
+
+    harmonizer.noteBuffer = [69, 71, 72, 74, 72];
+    await harmonizer._generateBackingSequence();
+
+    // Last note C in A minor: i (A C E), then iv (D F A)
+    const pitches = harmonizer.backingSynth.triggered.map(note => note.frequency);
+    expect(pitches).toEqual([57, 60, 64, 50, 53, 57]);
+  });
+
+  it('reports an error when the configured backend cannot load', async () => {
+    const { AiHarmonizer } = await import('../../js/features/ai-harmonizer.js');
+    const harmonizer = new AiHarmonizer({ config: { backend: 'magenta' } });
+    const statusSpy = vi.fn();
+    harmonizer.onStatusChange = statusSpy;
+
+    vi.spyOn(harmonizer, '_loadScript').mockRejectedValue(new Error('offline'));
+    await harmonizer.enable();
+
+    expect(harmonizer.enabled).toBe(false);
+    expect(statusSpy).toHaveBeenLastCalledWith({ status: 'error', message: 'Model Load Failed' });
+  });
+
+  it('hands the backing to the accompaniment on the bar grid', async () => {
+    installMagentaMock();
+    const { AiHarmonizer } = await import('../../js/features/ai-harmonizer.js');
+    const accompaniment = { play: vi.fn(), stop: vi.fn() };
+    const transport = { isRunning: true, beatsPerBar: 6, beatUnit: 8, getSubdivisionDuration: () => 0.1, nextBarTime: () => 4 };
+    const harmonizer = new AiHarmonizer({ transport, accompaniment });
+
+    vi.spyOn(harmonizer, '_loadScript').mockResolvedValue();
+    await harmonizer.enable();
+    expect(harmonizer.backingSynth).toBe(null);
+
+    harmonizer._playBacking([
+      { pitch: 60, quantizedStartStep: 16, quantizedEndStep: 24 },
+      { pitch: 64, quantizedStartStep: 16, quantizedEndStep: 24 }
+    ]);
+
+    expect(accompaniment.play).toHaveBeenCalledWith(
+      [{ pitch: 60, startStep: 0, endStep: 8 }, { pitch: 64, startStep: 0, endStep: 8 }],
+      { startAt: 4, step: 0.1, barSteps: 12 }
+    );
+
+    harmonizer.disable();
+    expect(accompaniment.stop).toHaveBeenCalled();
+  });
+
+  it('plays quantized MusicRNN steps at the transport tempo', async () => {
+    installMagentaMock();
+    const { AiHarmonizer } = await import('../../js/features/ai-harmonizer.js');
+    const transport = { isRunning: false, getSubdivisionDuration: () => 0.2 };
+    const harmonizer = new AiHarmonizer({ transport });
+
+    vi.spyOn(harmonizer, '_loadScript').mockResolvedValue();
+    await harmonizer.enable();
+    global.Tone.now.mockReturnValue(3);
+
+    harmonizer._playBacking([
+      { pitch: 60, quantizedStartStep: 16, quantizedEndStep: 18 },
+      { pitch: 64, quantizedStartStep: 20, quantizedEndStep: 24 }
+    ]);
+
+    const triggered = harmonizer.backingSynth.triggered;
+    expect(triggered[0].at).toBeCloseTo(3.1, 6);
+    expect(triggered[1].at).toBeCloseTo(3.9, 6);
+    expect(triggered[0].duration).toBeCloseTo(0.4, 6);
+    expect(triggered[1].duration).toBeCloseTo(0.8, 6);
+  });
+
+  it('loads the Magenta bundle in CORS mode so the model cache can store it', async () => {
+    const { AiHarmonizer } = await import('../../js/features/ai-harmonizer.js');
+    const harmonizer = new AiHarmonizer();
+    const appendChild = vi.spyOn(document.head, 'appendChild').mockImplementation((script) => {
+      script.onload();
+      return script;
+    });
+
+    await harmonizer._loadScript('https://cdn.example/magenta.js');
+
+    const [script] = appendChild.mock.calls[0];
+    expect(script.crossOrigin).toBe('anonymous');
+    expect(script.src).toBe('https://cdn.example/magenta.js');
+    appendChild.mockRestore();
+  });
 });
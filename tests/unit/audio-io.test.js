@@ -4,7 +4,7 @@
  * 测试范围:
  * - 构造函数和初始化
  * - 配置方法 (configure, _validateConfig)
- * - 回调注册 (onFrame, onPitchDetected, onWorkletPitchFrame, onError, onStateChange)
+ * - 回调注册 (onFrame, onPitchDetected, onWorkletPitchFrame, onPercussionOnset, onError, onStateChange)
  * - 模式选择和切换 (Worklet vs ScriptProcessor)
  * - 生命周期方法 (start, stop, destroy)
  * - 延迟计算 (getLatencyInfo)
@@ -142,9 +142,12 @@ class AudioIO {
             debug: false
         };
         this.appConfig = null;
+        this.pitchAlgorithm = null;
+        this.beatboxEnabled = false;
         this.onFrameCallback = null;
         this.onPitchDetectedCallback = null;
         this.onWorkletPitchFrameCallback = null;
+        this.onPercussionOnsetCallback = null;
         this.onErrorCallback = null;
         this.onStateChangeCallback = null;
         this.stats = {
@@ -188,6 +191,14 @@ class AudioIO {
         return this;
     }
 
+    onPercussionOnset(callback) {
+        if (typeof callback !== 'function') {
+            throw new TypeError('[AudioIO] onPercussionOnset callback must be a function');
+        }
+        this.onPercussionOnsetCallback = callback;
+        return this;
+    }
+
     onError(callback) {
         if (typeof callback !== 'function') {
             throw new TypeError('[AudioIO] onError callback must be a function');
@@ -283,6 +294,20 @@ class AudioIO {
         };
     }
 
+    setPitchAlgorithm(algorithm) {
+        this.pitchAlgorithm = algorithm;
+        if (this.mode === 'worklet' && this.processorNode?.port) {
+            this.processorNode.port.postMessage({ type: 'config', data: this._serializeConfigForWorklet() });
+        }
+    }
+
+    setBeatboxEnabled(enabled) {
+        this.beatboxEnabled = !!enabled;
+        if (this.mode === 'worklet' && this.processorNode?.port) {
+            this.processorNode.port.postMessage({ type: 'config', data: this._serializeConfigForWorklet() });
+        }
+    }
+
     getStats() {
         return { ...this.stats };
     }
@@ -403,20 +428,23 @@ class AudioIO {
             console.warn('[AudioIO]  未提供 appConfig,使用回退默认值');
             return {
                 sampleRate: this.audioContext.sampleRate,
-                algorithm: 'YIN',
+                algorithm: this.pitchAlgorithm ?? 'YIN',
                 threshold: 0.1,
                 clarityThreshold: 0.85,
                 minFrequency: 80,
                 maxFrequency: 800,
                 smoothingSize: 5,
                 minVolumeThreshold: 0.01,
+                beatbox: this.beatboxEnabled,
                 enableProfiling: (typeof window !== 'undefined' && window.__ENABLE_LATENCY_PROFILER__) || false
             };
         }
         const config = this.appConfig;
         return {
             sampleRate: this.audioContext.sampleRate,
-            algorithm: 'YIN',
+            algorithm: this.pitchAlgorithm ?? config.pitchDetector?.algorithm ?? 'YIN',
+            pyinLookahead: config.pitchDetector?.pyinLookahead ?? 3,
+            windowSize: config.pitchDetector?.windowSize ?? 1024,
             threshold: 0.1,
             clarityThreshold: config.pitchDetector?.clarityThreshold ?? 0.85,
             minFrequency: config.pitchDetector?.minFrequency ?? 80,
@@ -429,6 +457,7 @@ class AudioIO {
             energyThreshold: config.onset?.energyThreshold ?? 3,
             silenceThreshold: config.onset?.silenceThreshold ?? -40,
             minStateDuration: config.onset?.attackDuration ?? 50,
+            beatbox: this.beatboxEnabled,
             enableProfiling: (typeof window !== 'undefined' && window.__ENABLE_LATENCY_PROFILER__) || false
         };
     }
@@ -455,6 +484,11 @@ class AudioIO {
                 }
                 this.stats.pitchDetections = (this.stats.pitchDetections || 0) + 1;
                 break;
+            case 'percussion-onset':
+                if (this.onPercussionOnsetCallback) {
+                    this.onPercussionOnsetCallback(data);
+                }
+                break;
             case 'no-pitch':
                 if (this.config.debug && data) {
                     console.log('[AudioIO] 未检测到音高, 音量:', data.volume);
@@ -1130,6 +1164,58 @@ describe('AudioIO', () => {
             expect(config.minStateDuration).toBe(100);
         });
 
+        it('should pass the pitch algorithm through to the worklet', () => {
+            audioIO.audioContext = new MockAudioContext();
+            audioIO.appConfig = { pitchDetector: {} };
+            expect(audioIO._serializeConfigForWorklet().algorithm).toBe('YIN');
+
+            audioIO.appConfig = { pitchDetector: { algorithm: 'PYIN', pyinLookahead: 2 } };
+            const config = audioIO._serializeConfigForWorklet();
+            expect(config.algorithm).toBe('PYIN');
+            expect(config.pyinLookahead).toBe(2);
+            expect(config.windowSize).toBe(1024);
+
+            audioIO.appConfig = { pitchDetector: { windowSize: 2048 } };
+            expect(audioIO._serializeConfigForWorklet().windowSize).toBe(2048);
+        });
+
+        it('should let setPitchAlgorithm() override the configured algorithm', () => {
+            audioIO.audioContext = new MockAudioContext();
+            audioIO.appConfig = { pitchDetector: { algorithm: 'PYIN' } };
+
+            audioIO.setPitchAlgorithm('MPM');
+            expect(audioIO._serializeConfigForWorklet().algorithm).toBe('MPM');
+
+            audioIO.appConfig = null;
+            expect(audioIO._serializeConfigForWorklet().algorithm).toBe('MPM');
+        });
+
+        it('should resend the worklet config when the algorithm changes while running', async () => {
+            await audioIO.start();
+            expect(audioIO.mode).toBe('worklet');
+            audioIO.processorNode.port.postMessage.mockClear();
+
+            audioIO.setPitchAlgorithm('AUTO');
+
+            expect(audioIO.processorNode.port.postMessage).toHaveBeenCalledWith({
+                type: 'config',
+                data: expect.objectContaining({ algorithm: 'AUTO' })
+            });
+        });
+
+        it('should turn percussion detection on through the worklet config', async () => {
+            await audioIO.start();
+            expect(audioIO._serializeConfigForWorklet().beatbox).toBe(false);
+            audioIO.processorNode.port.postMessage.mockClear();
+
+            audioIO.setBeatboxEnabled(true);
+
+            expect(audioIO.processorNode.port.postMessage).toHaveBeenCalledWith({
+                type: 'config',
+                data: expect.objectContaining({ beatbox: true })
+            });
+        });
+
         it('should use default values for missing appConfig fields', () => {
             audioIO.audioContext = new MockAudioContext();
             audioIO.appConfig = {}; // 空配置
@@ -1206,6 +1292,17 @@ describe('AudioIO', () => {
             logSpy.mockRestore();
         });
 
+        it('should hand "percussion-onset" hits to onPercussionOnset', () => {
+            const callback = vi.fn();
+            audioIO.onPercussionOnset(callback);
+
+            const hit = { time: 1200, peakDb: -12, centroid: 4000, flatness: 0.1, attackMs: 2.9, decayDb: 8 };
+            audioIO._handleWorkletMessage({ data: { type: 'percussion-onset', data: hit } });
+
+            expect(callback).toHaveBeenCalledWith(hit);
+            expect(() => audioIO.onPercussionOnset('nope')).toThrow(TypeError);
+        });
+
         it('should handle "pitch-detected" message', () => {
             const callback = vi.fn();
             audioIO.onPitchDetected(callback);
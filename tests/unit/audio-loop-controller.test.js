@@ -143,6 +143,52 @@ describe('AudioLoopController', () => {
 
             expect(legacyEngine.processPitch).toHaveBeenCalledWith(mockFrame);
         });
+
+        it('should forward frames to an enabled MIDI output engine', () => {
+            const midiEngine = { enabled: true, processPitchFrame: vi.fn() };
+            mockSynthManager.getMidiEngine = vi.fn().mockReturnValue(midiEngine);
+
+            controller.handleWorkletPitchFrame(mockFrame, 0, 0);
+            expect(midiEngine.processPitchFrame).toHaveBeenCalledWith(mockFrame);
+
+            midiEngine.enabled = false;
+            controller.handleWorkletPitchFrame(mockFrame, 0, 0);
+            expect(midiEngine.processPitchFrame).toHaveBeenCalledTimes(1);
+
+            delete mockSynthManager.getMidiEngine;
+        });
+
+        it('should feed the key detector when one is injected', () => {
+            const keyDetector = { process: vi.fn() };
+            controller.keyDetector = keyDetector;
+
+            controller.handleWorkletPitchFrame(mockFrame, 0, 0);
+            expect(keyDetector.process).toHaveBeenCalledWith(mockFrame);
+        });
+
+        it('should feed the tempo detector when one is injected', () => {
+            const tempoDetector = { process: vi.fn() };
+            controller.tempoDetector = tempoDetector;
+
+            controller.handleWorkletPitchFrame(mockFrame, 0, 0);
+            expect(tempoDetector.process).toHaveBeenCalledWith(mockFrame);
+        });
+
+        it('should feed voice modulation when it is injected', () => {
+            const voiceModulation = { process: vi.fn() };
+            controller.voiceModulation = voiceModulation;
+
+            controller.handleWorkletPitchFrame(mockFrame, 0, 0);
+            expect(voiceModulation.process).toHaveBeenCalledWith(mockFrame);
+        });
+
+        it('should hand frames to the loop station when it is injected', () => {
+            const loopStation = { processPitchFrame: vi.fn() };
+            controller.loopStation = loopStation;
+
+            controller.handleWorkletPitchFrame(mockFrame, 0, 0);
+            expect(loopStation.processPitchFrame).toHaveBeenCalledWith(mockFrame);
+        });
     });
 
     describe('ScriptProcessor Handling (onAudioProcess)', () => {
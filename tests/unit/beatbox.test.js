@@ -0,0 +1,229 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    BeatboxClassifier,
+    BeatboxTrainer,
+    BeatboxManager,
+    BEATBOX_STORAGE_KEY,
+    DEFAULT_BEATBOX_PROFILE
+} from '../../js/features/beatbox.js';
+import { DrumKit, DRUM_TYPES } from '../../js/features/drum-kit.js';
+import { installToneMock } from '../helpers/mockTone.js';
+
+function createMockStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        getItem: vi.fn(key => (key in data ? data[key] : null)),
+        setItem: vi.fn((key, value) => { data[key] = String(value); }),
+        removeItem: vi.fn(key => { delete data[key]; }),
+        data
+    };
+}
+
+// Typical worklet hits ('percussion-onset' data)
+const HITS = {
+    kick: { time: 0, peakDb: -8, centroid: 120, flatness: 0.01, attackMs: 2.9, decayDb: 6 },
+    snare: { time: 0, peakDb: -8, centroid: 4000, flatness: 0.1, attackMs: 2.9, decayDb: 7 },
+    hihat: { time: 0, peakDb: -8, centroid: 9500, flatness: 0.15, attackMs: 2.9, decayDb: 18 }
+};
+
+describe('BeatboxClassifier', () => {
+    it('should sort typical hits with the generic profile', () => {
+        const classifier = new BeatboxClassifier();
+        DRUM_TYPES.forEach(drum => {
+            const result = classifier.classify(HITS[drum]);
+            expect(result.drum).toBe(drum);
+            expect(result.confidence).toBeGreaterThan(0.2);
+        });
+    });
+
+    it('should adapt to the user\'s own sounds', () => {
+        const classifier = new BeatboxClassifier();
+        // This user's snare is a bright "ts" and the hi-hat an even brighter, shorter one
+        const snare = { ...HITS.hihat, centroid: 7000, decayDb: 10 };
+        const hihat = { ...HITS.hihat, centroid: 14000, decayDb: 25 };
+        expect(classifier.classify(snare).drum).toBe('hihat');
+
+        const trained = classifier.train({
+            snare: [snare, { ...snare, centroid: 6500 }, { ...snare, centroid: 7500 }],
+            hihat: [hihat, { ...hihat, centroid: 13000 }, { ...hihat, centroid: 15000 }],
+            kick: [HITS.kick]
+        });
+
+        expect(trained).toEqual(['snare', 'hihat']);
+        expect(classifier.classify(snare).drum).toBe('snare');
+        expect(classifier.classify(hihat).drum).toBe('hihat');
+        expect(classifier.profile.kick).toEqual(DEFAULT_BEATBOX_PROFILE.kick);
+    });
+
+    it('should fall back to the generic profile for malformed entries', () => {
+        const classifier = new BeatboxClassifier({ kick: { mean: [1], spread: [] } });
+        expect(classifier.profile.kick).toEqual(DEFAULT_BEATBOX_PROFILE.kick);
+    });
+});
+
+describe('BeatboxTrainer', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should collect hits for one timed step per drum', () => {
+        const trainer = new BeatboxTrainer({ sampleDuration: 1000 });
+        const updates = [];
+        const onTrainingComplete = vi.fn();
+        trainer.onTrainingUpdate = (update) => updates.push(update);
+        trainer.onTrainingComplete = onTrainingComplete;
+
+        trainer.start();
+        expect(trainer.currentDrum).toBe('kick');
+        expect(updates[0].instruction).toMatch(/kick/);
+
+        trainer.processHit(HITS.kick);
+        trainer.processHit(HITS.kick);
+        vi.advanceTimersByTime(1000);
+        expect(trainer.currentDrum).toBe('snare');
+
+        trainer.processHit(HITS.snare);
+        vi.advanceTimersByTime(2000);
+
+        expect(trainer.isTraining).toBe(false);
+        expect(onTrainingComplete).toHaveBeenCalledWith({
+            kick: [HITS.kick, HITS.kick],
+            snare: [HITS.snare],
+            hihat: []
+        });
+        expect(updates.some(update => update.count === 2 && update.drum === 'kick')).toBe(true);
+    });
+
+    it('should stop its timer when cancelled', () => {
+        const trainer = new BeatboxTrainer();
+        trainer.start();
+        trainer.cancel();
+
+        expect(trainer.isTraining).toBe(false);
+        expect(trainer.timerInterval).toBe(null);
+        trainer.processHit(HITS.kick);
+        expect(trainer.samples).toEqual([]);
+    });
+});
+
+describe('BeatboxManager', () => {
+    let kit;
+    let storage;
+    let manager;
+
+    beforeEach(() => {
+        kit = { trigger: vi.fn(), dispose: vi.fn() };
+        storage = createMockStorage();
+        manager = new BeatboxManager({ kit, storage });
+    });
+
+    it('should only play while enabled, louder for louder hits', () => {
+        expect(manager.handleHit(HITS.snare)).toBe(null);
+        expect(manager.isListening).toBe(false);
+
+        const onHit = vi.fn();
+        manager.onHit = onHit;
+        manager.setEnabled(true);
+
+        manager.handleHit(HITS.snare);
+        manager.handleHit({ ...HITS.kick, peakDb: -35 });
+
+        expect(kit.trigger).toHaveBeenNthCalledWith(1, 'snare', expect.closeTo(32 / 35, 6));
+        expect(kit.trigger).toHaveBeenNthCalledWith(2, 'kick', expect.closeTo(5 / 35, 6));
+        expect(onHit).toHaveBeenCalledWith(expect.objectContaining({ drum: 'snare', hit: HITS.snare }));
+    });
+
+    it('should send hits to the trainer instead of the kit while training', () => {
+        vi.useFakeTimers();
+        manager.setEnabled(true);
+        manager.startTraining();
+        expect(manager.isListening).toBe(true);
+
+        manager.handleHit(HITS.kick);
+        expect(kit.trigger).not.toHaveBeenCalled();
+        expect(manager.trainer.samples).toEqual([HITS.kick]);
+
+        manager.cancelTraining();
+        vi.useRealTimers();
+    });
+
+    it('should save a trained profile and restore it', () => {
+        const onTrainingComplete = vi.fn();
+        manager.onTrainingComplete = onTrainingComplete;
+        const kicks = [HITS.kick, { ...HITS.kick, centroid: 200 }, { ...HITS.kick, centroid: 90 }];
+
+        manager.trainer.onTrainingComplete({ kick: kicks, snare: [], hihat: [] });
+
+        expect(onTrainingComplete).toHaveBeenCalledWith(['kick']);
+        expect(manager.isTrained).toBe(true);
+        const restored = new BeatboxManager({ kit, storage });
+        expect(restored.isTrained).toBe(true);
+        expect(restored.classifier.profile.kick).toEqual(manager.classifier.profile.kick);
+
+        restored.resetTraining();
+        expect(storage.data[BEATBOX_STORAGE_KEY]).toBeUndefined();
+        expect(restored.classifier.profile.kick).toEqual(DEFAULT_BEATBOX_PROFILE.kick);
+    });
+
+    it('should ignore a corrupt saved profile', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const broken = createMockStorage({ [BEATBOX_STORAGE_KEY]: '{oops' });
+        expect(new BeatboxManager({ kit, storage: broken }).isTrained).toBe(false);
+        warn.mockRestore();
+    });
+
+    it('should detect hits itself in ScriptProcessor mode', () => {
+        manager.setEnabled(true);
+        // 2048-sample buffers: silence, then a decaying 3 kHz burst
+        const silence = new Float32Array(2048);
+        const burst = new Float32Array(2048);
+        for (let i = 0; i < burst.length; i++) {
+            burst[i] = 0.5 * Math.exp(-i / 200) * Math.sin(2 * Math.PI * 3000 * i / 44100) * (i % 3 === 0 ? -1 : 1);
+        }
+
+        manager.processBuffer(silence, 0);
+        manager.processBuffer(burst, 2048 / 44100);
+        manager.processBuffer(silence, 4096 / 44100);
+
+        expect(kit.trigger).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('DrumKit', () => {
+    beforeEach(() => {
+        installToneMock();
+    });
+
+    it('should build its voices on the first hit and play each drum', () => {
+        const kit = new DrumKit();
+        expect(kit.voices).toBe(null);
+
+        kit.trigger('kick', 0.8);
+        kit.trigger('snare', 0.5);
+        kit.trigger('hihat', 1);
+
+        expect(kit.voices.kick.triggered[0]).toMatchObject({ frequency: 'C1', velocity: 0.8 });
+        expect(kit.voices.snare.triggered).toHaveLength(1);
+        expect(kit.voices.snareBody.triggered[0].velocity).toBeCloseTo(0.25, 6);
+        expect(kit.voices.hihat.triggered).toHaveLength(1);
+        expect(kit.getOutputNode()).toBe(kit.output);
+    });
+
+    it('should ignore unknown drums and clean up', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const kit = new DrumKit();
+        kit.trigger('cowbell');
+        expect(kit.voices).toBe(null);
+
+        kit.getOutputNode();
+        const { kick } = kit.voices;
+        kit.dispose();
+        expect(kick.disposed).toBe(true);
+        expect(kit.voices).toBe(null);
+        warn.mockRestore();
+    });
+});
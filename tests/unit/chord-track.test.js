@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { parseChord, parseProgression, ChordTrack } from '../../js/core/chord-track.js';
+import { getNearestScaleNote, midiToFreq } from '../../js/core/music-scales.js';
+
+describe('ChordTrack', () => {
+    describe('parseChord', () => {
+        it('should parse triads and sevenths', () => {
+            expect(parseChord('Am')).toMatchObject({ root: 'A', intervals: [0, 3, 7] });
+            expect(parseChord('G7')).toMatchObject({ root: 'G', intervals: [0, 4, 7, 10] });
+            expect(parseChord('F#m7b5')).toMatchObject({ root: 'F#', intervals: [0, 3, 6, 10] });
+            expect(parseChord('Bbmaj7')).toMatchObject({ root: 'A#', intervals: [0, 4, 7, 11] });
+        });
+
+        it('should add the bass of slash chords', () => {
+            // C/Bb: Bb is 10 semitones above C
+            expect(parseChord('C/Bb').intervals).toEqual([0, 4, 7, 10]);
+            expect(parseChord('C/E').intervals).toEqual([0, 4, 7]);
+        });
+
+        it('should return null for no-chord markers', () => {
+            expect(parseChord('N.C.')).toBe(null);
+            expect(parseChord('-')).toBe(null);
+        });
+
+        it('should reject unknown symbols', () => {
+            expect(() => parseChord('H7')).toThrow(/Cannot parse/);
+            expect(() => parseChord('Cxyz')).toThrow(/Unknown chord quality/);
+        });
+    });
+
+    describe('parseProgression', () => {
+        it('should split bars and share a bar between its chords', () => {
+            const events = parseProgression('C G | Am', 4);
+            expect(events.map(e => [e.chord.symbol, e.startBeat, e.beats])).toEqual([
+                ['C', 0, 2],
+                ['G', 2, 2],
+                ['Am', 4, 4]
+            ]);
+        });
+
+        it('should reject an empty progression', () => {
+            expect(() => parseProgression(' | ')).toThrow(/empty/);
+        });
+    });
+
+    it('should follow the progression at the given tempo and loop', () => {
+        const track = new ChordTrack({ progression: 'Am | F | C | G', bpm: 120 });
+        expect(track.chordAt(0)).toBe(null); // Not started
+
+        track.start(1000);
+        // 120 BPM, 4/4: one bar = 2 s
+        expect(track.chordAt(1000).symbol).toBe('Am');
+        expect(track.chordAt(3500).symbol).toBe('F');
+        expect(track.chordAt(7999).symbol).toBe('G');
+        expect(track.chordAt(9000).symbol).toBe('Am');
+    });
+
+    it('should stop at the end when not looping', () => {
+        const track = new ChordTrack({ progression: 'C | G', bpm: 60, loop: false });
+        track.start(0);
+        expect(track.chordAt(7000).symbol).toBe('G');
+        expect(track.chordAt(8000)).toBe(null);
+    });
+
+    it('should give getNearestScaleNote the chord tones as the allowed set', () => {
+        const track = new ChordTrack({ progression: 'Am | F', bpm: 120 });
+        track.start(0);
+
+        // D4 is in A minor's key but not in the Am chord: snaps to C4 or E4
+        const chord = track.chordAt(0);
+        const snapped = getNearestScaleNote(midiToFreq(62.2), chord.root, chord.scale);
+        expect(snapped.midi).toBe(64);
+
+        // Over F, the same pitch goes to F4 (F-A-C)
+        const next = track.chordAt(2500);
+        expect(getNearestScaleNote(midiToFreq(63), next.root, next.scale).midi).toBe(65);
+    });
+});
@@ -109,4 +109,312 @@ describe('ContinuousSynthEngine', () => {
     expect(engine.currentInstrument).toBe('violin');
     expect(engine.currentSynth).toBeDefined();
   });
+
+  it('snaps to a registered microtonal scale at full strength', async () => {
+    const { ContinuousSynthEngine } = await import('../../js/continuous-synth.js');
+    const { registerScale } = await import('../../js/core/music-scales.js');
+    const engine = new ContinuousSynthEngine({
+      appConfig: { pitchDetector: { minConfidence: 0.1 } },
+      instrumentPresets: presets
+    });
+    await engine.initialize();
+
+    // Quarter-tone neutral third above A
+    registerScale('custom:neutral', { name: 'Neutral', cents: [0, 350, 700] });
+    engine.setScale('A', 'custom:neutral');
+    engine.setAutoTuneStrength(1);
+
+    engine.updateFrequencyWithCents(440 * Math.pow(2, 340 / 1200), 0, 1000);
+
+    expect(engine.currentSynth.frequency.value).toBeCloseTo(440 * Math.pow(2, 350 / 1200), 3);
+  });
+
+  it('snaps to the current chord of a chord track, else to the scale', async () => {
+    const { ContinuousSynthEngine } = await import('../../js/continuous-synth.js');
+    const { ChordTrack } = await import('../../js/core/chord-track.js');
+    const engine = new ContinuousSynthEngine({
+      appConfig: { pitchDetector: { minConfidence: 0.1 } },
+      instrumentPresets: presets
+    });
+    await engine.initialize();
+    engine.setScale('C', 'major');
+    engine.setAutoTuneStrength(1);
+
+    const track = new ChordTrack({ progression: 'C | N.C.', bpm: 60 });
+    track.start(0);
+    engine.setChordTrack(track);
+
+    // D4 over C (C-E-G) snaps to C4 or E4, never D4
+    engine.updateFrequencyWithCents(293.66, 0, 1000);
+    expect([261.63, 329.63]).toContainEqual(Number(engine.currentSynth.frequency.value.toFixed(2)));
+
+    // No chord in bar 2: back to the C major scale, so D4 stays
+    engine.updateFrequencyWithCents(293.66, 0, 5000);
+    expect(engine.currentSynth.frequency.value).toBeCloseTo(293.66, 1);
+  });
+
+  it('glides to a new target in a legato phrase and resets on stop', async () => {
+    const { ContinuousSynthEngine } = await import('../../js/continuous-synth.js');
+    const engine = new ContinuousSynthEngine({
+      appConfig: { pitchDetector: { minConfidence: 0.1 } },
+      instrumentPresets: presets
+    });
+    await engine.initialize();
+    engine.setScale('C', 'chromatic');
+    engine.setAutoTuneStrength(1);
+    engine.setRetuneModel({ transitionMs: 100, onsetSpeedMs: 0 });
+
+    engine.updateFrequencyWithCents(440, 0, 1000);
+    // Legato step to B4: starts from A4, reaches B4 after the transition
+    engine.updateFrequencyWithCents(493.88, 0, 1020);
+    expect(engine.currentSynth.frequency.value).toBeCloseTo(440, 0);
+    engine.updateFrequencyWithCents(493.88, 0, 1130);
+    expect(engine.currentSynth.frequency.value).toBeCloseTo(493.88, 0);
+
+    engine.stop();
+    expect(engine.retuneModel.lastTime).toBe(null);
+  });
+
+  it('applies the preset vibrato style when the instrument changes', async () => {
+    const { ContinuousSynthEngine, vibratoCentsToDepth } = await import('../../js/continuous-synth.js');
+    const engine = new ContinuousSynthEngine({
+      appConfig: { pitchDetector: { minConfidence: 0.1 } },
+      instrumentPresets: {
+        ...presets,
+        straight: { type: 'MonoSynth', vibrato: { mode: 'preset', rate: 6, depth: 20 } },
+        wide: { type: 'MonoSynth', vibrato: { mode: 'exaggerate', amount: 2 } }
+      }
+    });
+    await engine.initialize();
+
+    engine.changeInstrument('straight');
+    expect(engine.vibratoStyle).toMatchObject({ mode: 'preset', amount: 0 });
+    expect(engine.vibrato.frequency.value).toBe(6);
+    expect(engine.vibrato.depth.value).toBeCloseTo(vibratoCentsToDepth(20, 6), 6);
+
+    engine.changeInstrument('wide');
+    expect(engine.vibratoStyle).toMatchObject({ mode: 'exaggerate', amount: 2 });
+    expect(engine.vibrato.depth.value).toBe(0);
+  });
+
+  it('removes or exaggerates the singer vibrato around its centre', async () => {
+    const { ContinuousSynthEngine } = await import('../../js/continuous-synth.js');
+    const engine = new ContinuousSynthEngine({
+      appConfig: { pitchDetector: { minConfidence: 0.1 } },
+      instrumentPresets: presets
+    });
+    await engine.initialize();
+    engine.setFrequencyUpdateThreshold(0);
+    const at = (c) => 440 * Math.pow(2, c / 1200);
+
+    // Centre at A4, singer 20 cents above it with vibrato detected
+    const sing = (style) => {
+      engine.setVibratoStyle(style);
+      engine.retuneModel.reset();
+      engine.lastUpdateTime = 0;
+      engine.singerVibrato = { rate: 5.5, depth: 20 };
+      engine.updateFrequencyWithCents(440, 0, 1000);
+      engine.updateFrequencyWithCents(at(20), 0, 1010);
+      // Output relative to the retune model's centre pitch (absolute cents)
+      return 1200 * Math.log2(engine.currentSynth.frequency.value) - engine.retuneModel.centre;
+    };
+
+    // pass = 1x, preset = 0x, exaggerate = 2x the oscillation
+    const oscillation = sing({ mode: 'pass' });
+    expect(oscillation).toBeGreaterThan(10);
+    expect(sing({ mode: 'preset', depth: 0 })).toBeCloseTo(0, 6);
+    expect(sing({ mode: 'exaggerate', amount: 2 })).toBeCloseTo(2 * oscillation, 6);
+  });
+
+  it('replaces the vibrato left by a flattening retune instead of the whole singer vibrato', async () => {
+    const { ContinuousSynthEngine } = await import('../../js/continuous-synth.js');
+    const engine = new ContinuousSynthEngine({
+      appConfig: { pitchDetector: { minConfidence: 0.1 } },
+      instrumentPresets: presets
+    });
+    await engine.initialize();
+    engine.setFrequencyUpdateThreshold(0);
+    engine.setAutoTuneStrength(1);
+    engine.setRetuneModel({ vibratoPreserve: 0, sustainSpeedMs: 15 });
+
+    // +-30 cent, 5.5 Hz vibrato around A4 in 10 ms frames; output swing after it settles
+    const swing = (style) => {
+      engine.setVibratoStyle(style);
+      engine.retuneModel.reset();
+      engine.lastUpdateTime = 0;
+      engine.singerVibrato = { rate: 5.5, depth: 30 };
+      const out = [];
+      for (let t = 0; t < 1000; t += 10) {
+        engine.updateFrequencyWithCents(440 * Math.pow(2, 30 * Math.sin(2 * Math.PI * 5.5 * t / 1000) / 1200), 0, 1000 + t);
+        if (t >= 500) out.push(1200 * Math.log2(engine.currentSynth.frequency.value / 440));
+      }
+      return Math.max(...out) - Math.min(...out);
+    };
+
+    // Only the centre's own wobble through the 15 ms correction lag is left (was an inverted +-30 cent copy)
+    expect(swing({ mode: 'preset', depth: 0 })).toBeLessThan(8);
+    expect(swing({ mode: 'exaggerate', amount: 2 })).toBeGreaterThan(110);
+  });
+
+  it('moves the vowel filter with the sung formants', async () => {
+    const { ContinuousSynthEngine } = await import('../../js/continuous-synth.js');
+    const engine = new ContinuousSynthEngine({
+      appConfig: { pitchDetector: { minConfidence: 0.1 } },
+      instrumentPresets: presets
+    });
+    await engine.initialize();
+    const [f1Filter, f2Filter] = engine.vowelResonators;
+
+    // Off: formants are ignored
+    engine.updateFormants(750, 1250);
+    expect(f1Filter.frequency.ramps).toHaveLength(0);
+
+    engine.setVowelFilter({ mode: 'talkbox', mix: 0.5 });
+    expect(engine.vowelDry.gain.value).toBeCloseTo(0.5, 6);
+    engine.updateFormants(300, 2300);
+    expect(f1Filter.frequency.value).toBe(300);
+    expect(f2Filter.frequency.value).toBe(2300);
+
+    // Wah: one band swept by the vowel openness (oo = low, aa = high)
+    engine.setVowelFilter({ mode: 'wah' });
+    expect(engine.vowelWet[1].gain.value).toBe(0);
+    engine.updateFormants(320, 800);
+    const closed = f1Filter.frequency.value;
+    engine.updateFormants(750, 1250);
+    expect(f1Filter.frequency.value).toBeGreaterThan(closed * 3);
+
+    engine.setVowelFilter({ mode: 'bogus' });
+    expect(engine.vowelFilter.mode).toBe('off');
+    expect(engine.vowelDry.gain.value).toBe(1);
+    expect(engine.vowelWet[0].gain.value).toBe(0);
+  });
+
+  it('plays harmony voices at parallel and diatonic intervals above the lead', async () => {
+    const { ContinuousSynthEngine } = await import('../../js/continuous-synth.js');
+    const engine = new ContinuousSynthEngine({
+      appConfig: { pitchDetector: { minConfidence: 0.1 } },
+      instrumentPresets: presets
+    });
+    await engine.initialize();
+    engine.setScale('C', 'major');
+    engine.setAutoTuneStrength(1);
+    engine.setFrequencyUpdateThreshold(0);
+
+    engine.setHarmonyVoices([
+      { mode: 'parallel', interval: 7, instrument: 'trumpet', level: 0.5, pan: -0.5 },
+      { mode: 'diatonic', interval: 2, level: 2, pan: 3 }
+    ]);
+    const [fifth, third] = engine.harmonyVoices;
+    expect(fifth.gain.gain.value).toBe(0.5);
+    expect(fifth.panner.pan.value).toBe(-0.5);
+    expect(third).toMatchObject({ instrument: 'flute', level: 1, pan: 1 });
+
+    // E4: a fifth up is B4, a third up in C major is G4
+    engine.start(329.63, 0.1);
+    expect(fifth.synth.triggered[0].frequency).toBeCloseTo(493.88, 1);
+    expect(third.synth.triggered[0].frequency).toBeCloseTo(392.0, 1);
+
+    // F4: the diatonic third becomes major (A4), the parallel fifth stays perfect
+    engine.setRetuneModel({ transitionMs: 0, onsetSpeedMs: 0 });
+    engine.lastUpdateTime = 0;
+    engine.updateFrequencyWithCents(349.23, 0, 1000);
+    expect(fifth.synth.frequency.value).toBeCloseTo(523.25, 1);
+    expect(third.synth.frequency.value).toBeCloseTo(440, 1);
+
+    engine.updateVolume(0.2);
+    expect(third.synth.volume.value).toBe(engine.currentSynth.volume.value);
+
+    engine.stop();
+    expect(third.synth.triggered.at(-1).type).toBe('release');
+  });
+
+  it('keeps a harmony synth when only its mix changes and caps the voice count', async () => {
+    const { ContinuousSynthEngine, MAX_HARMONY_VOICES } = await import('../../js/continuous-synth.js');
+    const engine = new ContinuousSynthEngine({
+      appConfig: { pitchDetector: { minConfidence: 0.1 } },
+      instrumentPresets: presets
+    });
+    await engine.initialize();
+
+    const connect = vi.spyOn(Tone.Panner.prototype, 'connect');
+    engine.setHarmonyVoices([{ interval: -12, instrument: 'violin' }]);
+    const [octave] = engine.harmonyVoices;
+    // The section goes through the lead's vibrato and vowel filter, not straight to the tone filter
+    expect(connect).toHaveBeenCalledWith(engine.vibrato);
+    expect(connect).not.toHaveBeenCalledWith(engine.filter);
+    connect.mockRestore();
+    engine.setHarmonyVoices([{ interval: -12, instrument: 'violin', level: 0.3, pan: 0.4 }]);
+    expect(engine.harmonyVoices[0].synth).toBe(octave.synth);
+    expect(octave.gain.gain.value).toBe(0.3);
+
+    engine.setHarmonyVoices([{ interval: -12, instrument: 'trumpet' }]);
+    expect(octave.synth.disposed).toBe(true);
+
+    engine.setHarmonyVoices(Array.from({ length: 5 }, () => ({ interval: 12 })));
+    expect(engine.getHarmonyVoices()).toHaveLength(MAX_HARMONY_VOICES);
+
+    engine.setHarmonyVoices([]);
+    expect(engine.harmonyVoices).toEqual([]);
+  });
+
+  it('plays Wavetable presets and moves the position with brightness', async () => {
+    const { ContinuousSynthEngine } = await import('../../js/continuous-synth.js');
+    const { WavetableSynth, registerWavetable } = await import('../../js/core/wavetable.js');
+    const engine = new ContinuousSynthEngine({
+      appConfig: { pitchDetector: { minConfidence: 0.1 } },
+      instrumentPresets: presets
+    });
+    await engine.initialize();
+
+    engine.changeInstrument('wavetable');
+    const synth = engine.currentSynth;
+    expect(synth).toBeInstanceOf(WavetableSynth);
+    expect(synth.table.frames).toHaveLength(4);
+    expect(synth.position).toBeCloseTo(presets.wavetable.position, 6);
+
+    engine.updateBrightness(0.5);
+    const { position, positionModulation } = presets.wavetable;
+    expect(synth.position).toBeCloseTo(position + positionModulation.amount * 0.5, 6);
+
+    // Imported tables replace the preset's table without rebuilding the synth
+    registerWavetable('custom:growl', { frames: [[1, 1], [1, 0, 1], [1, 0, 0, 1]] });
+    engine.setWavetable('custom:growl');
+    expect(engine.currentSynth).toBe(synth);
+    expect(synth.table.frames).toHaveLength(3);
+    expect(() => engine.setWavetable('missing')).toThrow(/Unknown wavetable/);
+  });
+
+  it('plays loaded sample sets with the velocity layer of the sung volume', async () => {
+    const { ContinuousSynthEngine } = await import('../../js/continuous-synth.js');
+    const { SampleVoice, registerSampleSet, unregisterSampleSet } = await import('../../js/core/sampler.js');
+    const engine = new ContinuousSynthEngine({
+      appConfig: { pitchDetector: { minConfidence: 0.1 } },
+      instrumentPresets: presets
+    });
+    await engine.initialize();
+
+    // Without samples the preset keeps its FM sound
+    engine.changeInstrument('alto_sax');
+    expect(engine.currentSynth).not.toBeInstanceOf(SampleVoice);
+
+    const buffer = { sampleRate: 1000, duration: 0.1, numberOfChannels: 1, getChannelData: () => new Float32Array(100) };
+    registerSampleSet('alto_sax', {
+      zones: [
+        { name: 'soft', buffer, root: 69, velocityLow: 0, velocityHigh: 0.5 },
+        { name: 'loud', buffer, root: 69, velocityLow: 0.5, velocityHigh: 1 }
+      ]
+    });
+    engine.reloadSampleSet('alto_sax');
+    const voice = engine.currentSynth;
+    expect(voice).toBeInstanceOf(SampleVoice);
+
+    engine.start(440, 0.05);
+    expect(voice.zone.name).toBe('soft');
+    engine.handleArticulation('sustain', 440, 0.2);
+    engine.handleArticulation('attack', 880, 0.2);
+    expect(voice.zone.name).toBe('loud');
+    expect(voice.source.playbackRate.value).toBe(2);
+
+    unregisterSampleSet('alto_sax');
+  });
 });
@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ControlMappings } from '../../js/core/control-mappings.js';
+import { MidiLearnManager } from '../../js/features/midi-learn.js';
+import { VoiceModulationManager } from '../../js/features/voice-modulation.js';
+
+function createMockStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        getItem: vi.fn(key => (key in data ? data[key] : null)),
+        setItem: vi.fn((key, value) => { data[key] = String(value); }),
+        data
+    };
+}
+
+describe('ControlMappings', () => {
+    let storage;
+    let onChange;
+    let controls;
+
+    beforeEach(() => {
+        storage = createMockStorage();
+        onChange = vi.fn();
+        controls = new ControlMappings({ storageKey: 'test', storage, sourceField: 'sourceId', logTag: '[Test]', onChange });
+    });
+
+    it('should keep the range and curve when a target gets a new source', () => {
+        controls.setMapping('reverb', 'a');
+        expect(controls.updateMapping('reverb', { min: 0.2, max: 0.6, curve: 'exponential' })).toBe(true);
+        controls.setMapping('reverb', 'b');
+
+        expect(controls.getMapping('reverb')).toEqual({ targetId: 'reverb', sourceId: 'b', min: 0.2, max: 0.6, curve: 'exponential' });
+        expect(controls.mapValue(controls.getMapping('reverb'), 0.5)).toBeCloseTo(0.3, 6);
+        expect(controls.mapValue(controls.getMapping('reverb'), 2)).toBeCloseTo(0.6, 6);
+        expect(onChange).toHaveBeenCalledTimes(3);
+        expect(controls.updateMapping('delay', { min: 1 })).toBe(false);
+    });
+
+    it('should restore valid saved mappings only', () => {
+        controls.setMapping('reverb', 'a');
+        controls.setMapping('delay', 'b');
+        expect(controls.removeMapping('delay')).toBe(true);
+
+        const restored = new ControlMappings({
+            storageKey: 'test',
+            storage: createMockStorage({ test: storage.data.test.replace(']', ',{"targetId":"x","sourceId":"bad"}]') }),
+            sourceField: 'sourceId',
+            isValidSource: (id) => id !== 'bad',
+            logTag: '[Test]'
+        });
+        restored.load();
+
+        expect(restored.getMappings()).toEqual([{ targetId: 'reverb', sourceId: 'a', min: 0, max: 1, curve: 'linear' }]);
+    });
+
+    it('should back both MIDI Learn and Voice Modulation', () => {
+        const learn = new MidiLearnManager({ storage: createMockStorage() });
+        const modulation = new VoiceModulationManager({ storage: createMockStorage() });
+
+        expect(learn.controls).toBeInstanceOf(ControlMappings);
+        expect(modulation.controls).toBeInstanceOf(ControlMappings);
+        expect(learn.mapValue({ min: 0, max: 1, curve: 'linear' }, 127)).toBe(1);
+    });
+});
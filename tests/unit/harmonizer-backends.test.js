@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { RuleBasedBackend, MagentaBackend, registerModelCache, createHarmonizerBackend } from '../../js/features/harmonizer-backends.js';
+
+const melody = (...pitches) => ({ notes: pitches.map((pitch, i) => ({ pitch, startTime: i * 0.25, endTime: (i + 1) * 0.25 })) });
+
+describe('RuleBasedBackend', () => {
+    it('should harmonize the last note in the detected key, then move on', async () => {
+        const backend = new RuleBasedBackend();
+        const { notes } = await backend.continueSequence(melody(60, 62, 64), 16, 1.1, { key: { key: 'C', scale: 'major' } });
+
+        // E over I (C E G), then IV (F A C), half a bar each
+        expect(notes.map(note => note.pitch)).toEqual([48, 52, 55, 53, 57, 60]);
+        expect(notes.map(note => note.quantizedStartStep)).toEqual([0, 0, 0, 8, 8, 8]);
+        expect(notes[5].quantizedEndStep).toBe(16);
+    });
+
+    it('should pick the triad that contains the note', async () => {
+        const backend = new RuleBasedBackend();
+        const key = { key: 'G', scale: 'major' };
+
+        // D fits I (G B D); C needs IV (C E G)
+        const onD = await backend.continueSequence(melody(67, 74), 8, 1, { key });
+        const onC = await backend.continueSequence(melody(67, 72), 8, 1, { key });
+
+        expect(onD.notes.map(note => note.pitch)).toEqual([55, 59, 62]);
+        expect(onC.notes.map(note => note.pitch)).toEqual([48, 52, 55]);
+    });
+
+    it('should infer a major key from the melody and stay deterministic', async () => {
+        const backend = new RuleBasedBackend();
+        const sequence = melody(62, 66, 69, 71, 73, 74);
+
+        const first = await backend.continueSequence(sequence, 16);
+        const second = await backend.continueSequence(sequence, 16, 2.0);
+
+        // D major: D over I (D F# A), then IV (G B D)
+        expect(first.notes.map(note => note.pitch)).toEqual([50, 54, 57, 55, 59, 62]);
+        expect(second).toEqual(first);
+    });
+
+    it('should return nothing for an empty melody', async () => {
+        const { notes } = await new RuleBasedBackend().continueSequence({ notes: [] }, 16);
+        expect(notes).toEqual([]);
+    });
+});
+
+describe('MagentaBackend', () => {
+    afterEach(() => {
+        global.window.mm = undefined;
+    });
+
+    it('should load the library and checkpoint from the configured paths', async () => {
+        const loadScript = vi.fn(async () => {
+            global.window.mm = {
+                MusicRNN: class {
+                    constructor(url) { this.url = url; }
+                    async initialize() {}
+                }
+            };
+        });
+        const backend = createHarmonizerBackend({
+            backend: 'magenta',
+            libraryUrl: 'models/magenta/magentamusic.min.js',
+            checkpointUrl: 'models/magenta/chord_pitches_improv',
+            cacheModel: false
+        }, { loadScript });
+
+        await backend.load();
+
+        expect(backend).toBeInstanceOf(MagentaBackend);
+        expect(loadScript).toHaveBeenCalledWith('models/magenta/magentamusic.min.js');
+        expect(backend.model.url).toBe('models/magenta/chord_pitches_improv');
+    });
+
+    it('should not be used when the rules backend is configured', () => {
+        expect(createHarmonizerBackend({ backend: 'rules' })).toBeInstanceOf(RuleBasedBackend);
+    });
+});
+
+describe('registerModelCache', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    // ServiceWorkerContainer: ready resolves at once, controller is set when claimed
+    const createContainer = ({ controller = null } = {}) => {
+        const container = new EventTarget();
+        container.register = vi.fn(async (url) => ({ url }));
+        container.ready = Promise.resolve();
+        container.controller = controller;
+        return container;
+    };
+
+    it('should pass the model URLs to the service worker', async () => {
+        vi.stubGlobal('navigator', { serviceWorker: createContainer({ controller: {} }) });
+
+        const registration = await registerModelCache(
+            ['https://cdn.example.com/magenta.js', 'https://models.example.com/rnn'],
+            { scriptUrl: 'https://app.example.com/sw.js' }
+        );
+
+        const url = new URL(registration.url);
+        expect(url.pathname).toBe('/sw.js');
+        expect(url.searchParams.getAll('model')).toEqual(['https://cdn.example.com/magenta.js', 'https://models.example.com/rnn']);
+    });
+
+    it('should wait until the worker claims the page before the model is fetched', async () => {
+        const container = createContainer();
+        vi.stubGlobal('navigator', { serviceWorker: container });
+
+        let registered = false;
+        const pending = registerModelCache(['https://models.example.com/rnn']).then(() => { registered = true; });
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(registered).toBe(false);
+
+        container.controller = {};
+        container.dispatchEvent(new Event('controllerchange'));
+        await pending;
+        expect(registered).toBe(true);
+    });
+
+    it('should stop waiting for control after the timeout', async () => {
+        vi.useFakeTimers();
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.stubGlobal('navigator', { serviceWorker: createContainer() });
+
+        const pending = registerModelCache(['https://models.example.com/rnn'], { controlTimeout: 500 });
+        await vi.advanceTimersByTimeAsync(500);
+        expect((await pending).url).toContain('model=');
+
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('should resolve to null without service workers', async () => {
+        vi.stubGlobal('navigator', {});
+        expect(await registerModelCache(['https://models.example.com/rnn'])).toBe(null);
+    });
+});
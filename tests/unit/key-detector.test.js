@@ -0,0 +1,99 @@
+import { describe, it, expect, vi } from 'vitest';
+import { KeyDetector, KEY_PROFILES } from '../../js/features/key-detector.js';
+import { midiToFreq } from '../../js/core/music-scales.js';
+
+const HOP_MS = 11.6;
+
+/**
+ * Feed a melody (MIDI notes, `noteMs` each) as worklet-rate frames
+ * @returns {number} captureTime after the last frame
+ */
+function sing(detector, notes, { startMs = 0, noteMs = 300, confidence = 0.9 } = {}) {
+    let time = startMs;
+    for (const midi of notes) {
+        for (let t = 0; t < noteMs; t += HOP_MS) {
+            detector.process({ frequency: midiToFreq(midi), confidence, captureTime: time });
+            time += HOP_MS;
+        }
+    }
+    return time;
+}
+
+// Tonic-heavy scale runs
+const G_MAJOR = [67, 71, 74, 67, 69, 71, 72, 74, 76, 78, 79, 74, 71, 67];
+const E_FLAT_MAJOR = [63, 67, 70, 63, 65, 67, 68, 70, 72, 74, 75, 70, 67, 63];
+const A_MINOR = [69, 72, 76, 69, 71, 72, 74, 76, 77, 79, 81, 76, 72, 69];
+
+describe('KeyDetector', () => {
+    it('should ship 12-step major and minor profiles', () => {
+        expect(KEY_PROFILES.major).toHaveLength(12);
+        expect(KEY_PROFILES.minor).toHaveLength(12);
+    });
+
+    it('should wait for enough voiced evidence', () => {
+        const detector = new KeyDetector({ minEvidenceSeconds: 3 });
+        sing(detector, G_MAJOR.slice(0, 3));
+        expect(detector.estimate()).toBe(null);
+        expect(detector.currentKey).toBe(null);
+    });
+
+    it('should find the key and mode of a melody', () => {
+        const onKeyChange = vi.fn();
+        const detector = new KeyDetector({ onKeyChange });
+        sing(detector, G_MAJOR);
+
+        expect(detector.currentKey).toMatchObject({ key: 'G', scale: 'major' });
+        expect(detector.currentKey.confidence).toBeGreaterThan(0.35);
+        expect(onKeyChange).toHaveBeenCalledTimes(1);
+
+        const minor = new KeyDetector();
+        sing(minor, A_MINOR);
+        expect(minor.currentKey).toMatchObject({ key: 'A', scale: 'minor' });
+    });
+
+    it('should ignore low-confidence and unvoiced frames', () => {
+        const detector = new KeyDetector();
+        sing(detector, G_MAJOR, { confidence: 0.2 });
+        detector.process({ frequency: 0, confidence: 0, captureTime: 99999 });
+        expect(detector.evidenceSeconds).toBe(0);
+        expect(detector.currentKey).toBe(null);
+    });
+
+    it('should credit frames by duration, capped at maxFrameGapMs', () => {
+        const detector = new KeyDetector({ maxFrameGapMs: 100 });
+        detector.process({ frequency: 440, confidence: 1, captureTime: 0 });
+        detector.process({ frequency: 440, confidence: 1, captureTime: 5000 });
+        // First frame gets the default hop, the second is capped at 100 ms
+        expect(detector.evidenceSeconds).toBeCloseTo((HOP_MS + 100) / 1000, 6);
+    });
+
+    it('should not flap on a few out-of-key notes', () => {
+        const onKeyChange = vi.fn();
+        const detector = new KeyDetector({ onKeyChange });
+        let time = sing(detector, G_MAJOR);
+        time = sing(detector, [63, 68, 70], { startMs: time });
+        sing(detector, G_MAJOR.slice(0, 4), { startMs: time });
+
+        expect(detector.currentKey).toMatchObject({ key: 'G', scale: 'major' });
+        expect(onKeyChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('should follow a sustained modulation after the hold time', () => {
+        const onKeyChange = vi.fn();
+        const detector = new KeyDetector({ onKeyChange, holdMs: 2500 });
+        let time = sing(detector, G_MAJOR);
+        for (let i = 0; i < 4; i++) time = sing(detector, E_FLAT_MAJOR, { startMs: time });
+
+        expect(detector.currentKey).toMatchObject({ key: 'D#', scale: 'major' });
+        expect(onKeyChange).toHaveBeenCalledTimes(2);
+        expect(onKeyChange.mock.calls[1][0]).toMatchObject({ key: 'D#', scale: 'major' });
+    });
+
+    it('should start over on reset', () => {
+        const detector = new KeyDetector();
+        sing(detector, G_MAJOR);
+        detector.reset();
+        expect(detector.currentKey).toBe(null);
+        expect(detector.evidenceSeconds).toBe(0);
+    });
+});
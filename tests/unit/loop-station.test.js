@@ -0,0 +1,296 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LoopStation } from '../../js/features/loop-station.js';
+import { TransportManager } from '../../js/managers/transport-manager.js';
+import { store } from '../../js/state/store.js';
+import { installToneMock } from '../helpers/mockTone.js';
+
+// 120 BPM, 4/4, one bar: beats are 0.5 s, the loop and the count-in 2 s
+const SETTINGS = { bars: 1, countInBars: 1 };
+
+const frame = (frequency) => ({ frequency, confidence: 0.9, volumeLinear: 0.5 });
+
+function createMockEngine(instrument) {
+    return {
+        currentInstrument: instrument,
+        processPitchFrame: vi.fn(),
+        changeInstrument: vi.fn(),
+        stop: vi.fn(),
+        dispose: vi.fn(),
+        output: { connect: vi.fn(), disconnect: vi.fn() },
+        getOutputNode() {
+            return this.output;
+        }
+    };
+}
+
+// Lets the async engine factory resolve
+const settle = async () => {
+    for (let i = 0; i < 3; i++) await Promise.resolve();
+};
+
+describe('LoopStation', () => {
+    let ctx;
+    let engines;
+    let transport;
+    let looper;
+
+    const advanceTo = (time) => {
+        ctx.currentTime = time;
+        looper.tick();
+    };
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        installToneMock();
+        store.setState({ transport: { bpm: 120, beatsPerBar: 4, beatUnit: 4, click: false, quantize: 'off', followVoice: true } });
+        transport = new TransportManager();
+        ctx = { currentTime: 10 };
+        engines = [];
+        looper = new LoopStation({
+            ...SETTINGS,
+            transport,
+            audioContext: ctx,
+            engineFactory: async (instrument) => {
+                const engine = createMockEngine(instrument);
+                engines.push(engine);
+                return engine;
+            }
+        });
+    });
+
+    afterEach(() => {
+        looper.stop();
+        vi.useRealTimers();
+    });
+
+    it('should count in, record one bar-aligned pass and replay it', async () => {
+        const states = [];
+        looper.onStateChange = (update) => states.push(update);
+
+        looper.record({ instrument: 'flute' });
+        expect(looper.state).toBe('count-in');
+        expect(looper.loopStart).toBe(12);
+
+        looper.processPitchFrame(frame(100)); // during the count-in: not recorded
+        advanceTo(12.1);
+        looper.processPitchFrame(frame(220));
+        advanceTo(13.5);
+        looper.processPitchFrame(frame(330));
+        advanceTo(14.05);
+        await settle();
+
+        expect(states.map(s => s.recording)).toEqual(expect.arrayContaining(['armed', 'recording']));
+        expect(looper.recording).toBe(null);
+        expect(looper.getLayers()).toEqual([
+            { id: 1, source: 'frames', instrument: 'flute', volume: 0.8, muted: false, revoiceable: true }
+        ]);
+
+        const [engine] = engines;
+        expect(engine.output.connect).toHaveBeenCalledWith(looper.layers[0].output);
+
+        advanceTo(14.2);
+        expect(engine.processPitchFrame).toHaveBeenCalledWith(expect.objectContaining({ frequency: 220 }));
+        advanceTo(15.6);
+        expect(engine.processPitchFrame).toHaveBeenCalledTimes(2);
+        expect(engine.processPitchFrame).toHaveBeenLastCalledWith(expect.objectContaining({ frequency: 330 }));
+    });
+
+    it('should click through the count-in even with the transport click off', () => {
+        const beats = [];
+        looper.onBeat = (position) => beats.push(position);
+
+        looper.record();
+        for (let t = 10; t <= 13.01; t += 0.025) advanceTo(t);
+
+        const clicks = transport._clicker.triggered;
+        expect(clicks.map(click => click.frequency)).toEqual(['C6', 'G5', 'G5', 'G5']);
+        expect(clicks[0].at).toBeCloseTo(10, 6);
+        expect(beats.slice(0, 5)).toEqual([
+            { bar: 1, beat: 1, countIn: true },
+            { bar: 1, beat: 2, countIn: true },
+            { bar: 1, beat: 3, countIn: true },
+            { bar: 1, beat: 4, countIn: true },
+            { bar: 1, beat: 1, countIn: false }
+        ]);
+    });
+
+    it('should start on a downbeat of the running transport and leave the beat clicks to it', () => {
+        transport.setClick(true);
+        transport.isRunning = true;
+        vi.spyOn(transport, 'nextBarTime').mockReturnValue(10.5);
+        const click = vi.spyOn(transport, 'click');
+
+        looper.record();
+        expect(looper.loopStart).toBe(12.5);
+
+        const beats = [];
+        looper.onBeat = (position) => beats.push(position);
+        for (let t = 10; t <= 13.01; t += 0.025) advanceTo(t);
+        expect(click).not.toHaveBeenCalled();
+        // The wait for the downbeat is not part of the count-in
+        expect(beats[0]).toEqual({ bar: 1, beat: 1, countIn: true });
+        expect(beats).toHaveLength(6);
+        transport.isRunning = false;
+    });
+
+    it('should start an overdub at the next loop boundary', async () => {
+        looper.record();
+        advanceTo(12.5);
+        looper.processPitchFrame(frame(220));
+        advanceTo(14);
+        await settle();
+
+        advanceTo(14.6);
+        looper.record({ instrument: 'cello' });
+        expect(looper.recording.start).toBe(16);
+        looper.processPitchFrame(frame(440)); // before the boundary: ignored
+        expect(looper.recording.frames).toEqual([]);
+
+        advanceTo(16.5);
+        looper.processPitchFrame(frame(110));
+        advanceTo(18);
+        await settle();
+
+        expect(looper.getLayers().map(layer => layer.instrument)).toEqual(['flute', 'cello']);
+        expect(looper.layers[1].frames).toEqual([{ time: 0.5, frame: frame(110) }]);
+    });
+
+    it('should undo the pass in progress first, then the last layer', async () => {
+        looper.record();
+        advanceTo(12.5);
+        looper.processPitchFrame(frame(220));
+        advanceTo(14);
+        await settle();
+
+        looper.record();
+        expect(looper.undo()).toBe(true);
+        expect(looper.recording).toBe(null);
+        expect(looper.layers).toHaveLength(1);
+
+        expect(looper.undo()).toBe(true);
+        expect(looper.layers).toHaveLength(0);
+        expect(engines[0].dispose).toHaveBeenCalled();
+        expect(looper.undo()).toBe(false);
+    });
+
+    it('should not add a layer for a silent pass', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        looper.record();
+        advanceTo(14);
+
+        expect(looper.layers).toHaveLength(0);
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+    });
+
+    describe('Layers', () => {
+        beforeEach(async () => {
+            looper.record({ instrument: 'flute' });
+            advanceTo(12.5);
+            looper.processPitchFrame(frame(220));
+            advanceTo(14);
+            await settle();
+        });
+
+        it('should re-voice a PitchFrame layer', () => {
+            looper.setLayerInstrument(1, 'cello');
+
+            expect(engines[0].changeInstrument).toHaveBeenCalledWith('cello');
+            expect(looper.getLayers()[0].instrument).toBe('cello');
+            expect(() => looper.setLayerInstrument(7, 'cello')).toThrow(/Unknown layer/);
+        });
+
+        it('should mute and set the volume per layer', () => {
+            const gain = looper.layers[0].output.gain;
+
+            looper.setLayerMuted(1, true);
+            expect(gain.value).toBe(0);
+            advanceTo(14.6);
+            expect(engines[0].processPitchFrame).not.toHaveBeenCalled();
+
+            looper.setLayerMuted(1, false);
+            looper.setLayerVolume(1, 0.4);
+            expect(gain.value).toBe(0.4);
+        });
+
+        it('should keep its tempo and length until the loop is cleared', () => {
+            expect(() => looper.setLength({ bars: 2 })).toThrow(/Clear the loop/);
+            looper.setLength({ countInBars: 2 });
+            expect(looper.countInBars).toBe(2);
+
+            transport.setTempo(90);
+            transport.setTimeSignature(3);
+            expect(looper.loopDuration).toBe(2);
+
+            looper.clear();
+            looper.setLength({ bars: 4 });
+            expect(looper.loopDuration).toBeCloseTo(4 * 3 * 60 / 90, 6);
+        });
+
+        it('should keep layers when stopped and replay them from bar 1', () => {
+            looper.stop();
+            expect(engines[0].stop).toHaveBeenCalled();
+            expect(looper.getPosition()).toBe(null);
+
+            ctx.currentTime = 20;
+            looper.play();
+            expect(looper.state).toBe('playing');
+            advanceTo(20.6);
+            expect(engines[0].processPitchFrame).toHaveBeenCalledWith(expect.objectContaining({ frequency: 220 }));
+            expect(looper.getPosition()).toEqual({ bar: 1, beat: 2, countIn: false });
+        });
+    });
+
+    describe('Audio layers', () => {
+        let liveOutput;
+        let scriptNode;
+        let bufferSource;
+
+        beforeEach(() => {
+            liveOutput = { connect: vi.fn(), disconnect: vi.fn() };
+            Object.assign(ctx, {
+                sampleRate: 8,
+                destination: {},
+                createGain: () => ({ gain: { value: 1, setTargetAtTime: vi.fn() }, connect: vi.fn(), disconnect: vi.fn() }),
+                createScriptProcessor: () => {
+                    scriptNode = { connect: vi.fn(), disconnect: vi.fn() };
+                    return scriptNode;
+                },
+                createBuffer: (channels, length) => ({ length, data: null, copyToChannel(data) { this.data = data; } }),
+                createBufferSource: () => {
+                    bufferSource = { connect: vi.fn(), disconnect: vi.fn(), start: vi.fn(), stop: vi.fn() };
+                    return bufferSource;
+                }
+            });
+            looper.getLiveOutput = () => liveOutput;
+        });
+
+        it('should capture exactly one loop of synth output and loop it', () => {
+            looper.record({ source: 'audio', instrument: 'violin' });
+            expect(liveOutput.connect).toHaveBeenCalled();
+
+            // 4096-sample blocks at 8 Hz: the block heard at 12 + 4096/8 s was captured from 12 s on
+            const block = new Float32Array(4096).map((_, i) => i + 1);
+            scriptNode.onaudioprocess({
+                playbackTime: 12 + 4096 / 8 - 1,
+                inputBuffer: { getChannelData: () => block }
+            });
+            advanceTo(14);
+
+            const layer = looper.layers[0];
+            expect(looper.getLayers()[0]).toMatchObject({ source: 'audio', instrument: 'violin', revoiceable: false });
+            expect(layer.buffer.length).toBe(16);
+            expect(Array.from(layer.buffer.data.slice(0, 3))).toEqual([9, 10, 11]);
+            expect(bufferSource.loop).toBe(true);
+            expect(bufferSource.start).toHaveBeenCalledWith(14, 0);
+            expect(liveOutput.disconnect).toHaveBeenCalled();
+            expect(() => looper.setLayerInstrument(layer.id, 'cello')).toThrow(/cannot be re-voiced/);
+        });
+
+        it('should refuse to record audio before the synth is running', () => {
+            looper.getLiveOutput = () => null;
+            expect(() => looper.record({ source: 'audio' })).toThrow(/start the engine first/);
+            expect(looper.state).toBe('stopped');
+        });
+    });
+});
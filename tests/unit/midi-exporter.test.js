@@ -0,0 +1,237 @@
+import { describe, it, expect } from 'vitest';
+import { segmentNotes, buildMidiFile } from '../../js/features/midi-exporter.js';
+import { encodeVarLen, encodeMidiFile, pitchBend, noteOn } from '../../js/utils/midi-file.js';
+
+const FRAME = 0.01;
+
+/**
+ * Build a synthetic session: [{ midi, duration, attack?, volume? } | { rest }]
+ */
+function buildSession(segments) {
+    const data = [];
+    let t = 0;
+    for (const seg of segments) {
+        const frames = Math.round((seg.duration ?? seg.rest) / FRAME);
+        for (let i = 0; i < frames; i++) {
+            if (seg.rest !== undefined) {
+                data.push({ t, m: null, c: 0, v: 0, a: 'silence' });
+            } else {
+                const m = typeof seg.midi === 'function' ? seg.midi(i) : seg.midi;
+                const a = seg.attack && i < 5 ? 'attack' : 'sustain';
+                data.push({ t, m, c: 0.9, v: seg.volume ?? 0.1, a });
+            }
+            t += FRAME;
+        }
+    }
+    return data;
+}
+
+/**
+ * Minimal SMF parser: returns header and per-track event lists
+ */
+function parseMidi(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const header = {
+        format: view.getUint16(8),
+        numTracks: view.getUint16(10),
+        ppq: view.getUint16(12)
+    };
+
+    const tracks = [];
+    let offset = 14;
+    for (let tr = 0; tr < header.numTracks; tr++) {
+        const length = view.getUint32(offset + 4);
+        let pos = offset + 8;
+        const end = pos + length;
+        const events = [];
+        let tick = 0;
+
+        const readVarLen = () => {
+            let value = 0;
+            let byte;
+            do {
+                byte = bytes[pos++];
+                value = (value << 7) | (byte & 0x7F);
+            } while (byte & 0x80);
+            return value;
+        };
+
+        while (pos < end) {
+            tick += readVarLen();
+            const status = bytes[pos++];
+            if (status === 0xFF) {
+                const type = bytes[pos++];
+                const len = readVarLen();
+                events.push({ tick, type: 'meta', metaType: type, data: bytes.slice(pos, pos + len) });
+                pos += len;
+            } else {
+                const kind = status & 0xF0;
+                const size = kind === 0xD0 || kind === 0xC0 ? 1 : 2;
+                events.push({ tick, type: kind, data: Array.from(bytes.slice(pos, pos + size)) });
+                pos += size;
+            }
+        }
+        tracks.push(events);
+        offset = end;
+    }
+    return { header, tracks };
+}
+
+describe('MidiFile', () => {
+    it('should encode variable-length quantities', () => {
+        expect(encodeVarLen(0)).toEqual([0x00]);
+        expect(encodeVarLen(0x7F)).toEqual([0x7F]);
+        expect(encodeVarLen(0x80)).toEqual([0x81, 0x00]);
+        expect(encodeVarLen(0x3FFF)).toEqual([0xFF, 0x7F]);
+        expect(encodeVarLen(0x0FFFFFFF)).toEqual([0xFF, 0xFF, 0xFF, 0x7F]);
+    });
+
+    it('should encode 14-bit pitch bend LSB first', () => {
+        expect(pitchBend(0, 8192)).toEqual([0xE0, 0x00, 0x40]);
+        expect(pitchBend(3, 20000)).toEqual([0xE3, 0x7F, 0x7F]);
+    });
+
+    it('should reject format 0 with several tracks', () => {
+        expect(() => encodeMidiFile({ format: 0, tracks: [[], []] })).toThrow(RangeError);
+    });
+
+    it('should keep insertion order for simultaneous events', () => {
+        const bytes = encodeMidiFile({
+            format: 0,
+            tracks: [[
+                { tick: 10, bytes: noteOn(0, 62, 90) },
+                { tick: 0, bytes: noteOn(0, 60, 90) },
+                { tick: 10, bytes: noteOn(0, 64, 90) }
+            ]]
+        });
+        const { tracks } = parseMidi(bytes);
+        expect(tracks[0].map(e => e.data?.[0])).toEqual([60, 62, 64, undefined]);
+    });
+});
+
+describe('MidiExporter', () => {
+    describe('segmentNotes', () => {
+        it('should split notes at silences', () => {
+            const notes = segmentNotes(buildSession([
+                { midi: 60, duration: 0.3 },
+                { rest: 0.2 },
+                { midi: 64, duration: 0.3 }
+            ]));
+
+            expect(notes.map(n => n.midi)).toEqual([60, 64]);
+            expect(notes[0].start).toBeCloseTo(0);
+            expect(notes[1].start).toBeCloseTo(0.5);
+        });
+
+        it('should split repeated pitches at attack onsets', () => {
+            const notes = segmentNotes(buildSession([
+                { midi: 67, duration: 0.3, attack: true },
+                { midi: 67, duration: 0.3, attack: true }
+            ]));
+
+            expect(notes).toHaveLength(2);
+            expect(notes[0].end).toBeCloseTo(0.3);
+        });
+
+        it('should split legato pitch changes into stable regions', () => {
+            const notes = segmentNotes(buildSession([
+                { midi: 60, duration: 0.4 },
+                { midi: 62, duration: 0.4 }
+            ]));
+
+            expect(notes.map(n => n.midi)).toEqual([60, 62]);
+            expect(notes[1].start).toBeCloseTo(0.4);
+        });
+
+        it('should keep vibrato inside one note', () => {
+            const notes = segmentNotes(buildSession([
+                { midi: i => 69 + 0.4 * Math.sin(i * 0.35), duration: 1.0 }
+            ]));
+
+            expect(notes).toHaveLength(1);
+            expect(notes[0].midi).toBe(69);
+        });
+
+        it('should drop blips shorter than minNoteDuration', () => {
+            const notes = segmentNotes(buildSession([
+                { midi: 72, duration: 0.03 },
+                { rest: 0.2 }
+            ]));
+            expect(notes).toHaveLength(0);
+        });
+
+        it('should derive velocity from onset volume', () => {
+            const [soft, loud] = segmentNotes(buildSession([
+                { midi: 60, duration: 0.3, volume: 0.03 },
+                { rest: 0.2 },
+                { midi: 60, duration: 0.3, volume: 0.2 }
+            ]));
+            expect(loud.velocity).toBe(127);
+            expect(soft.velocity).toBeLessThan(loud.velocity);
+        });
+    });
+
+    describe('buildMidiFile', () => {
+        const session = buildSession([
+            { midi: i => 61.6 + i * 0.02, duration: 0.4, attack: true },
+            { rest: 0.2 },
+            { midi: 64, duration: 0.5, attack: true }
+        ]);
+
+        it('should write a type-1 file with conductor and note tracks', () => {
+            const { header, tracks } = parseMidi(buildMidiFile(session, { bpm: 120, ppq: 480 }));
+
+            expect(header).toEqual({ format: 1, numTracks: 2, ppq: 480 });
+            const tempo = tracks[0].find(e => e.metaType === 0x51);
+            expect((tempo.data[0] << 16) | (tempo.data[1] << 8) | tempo.data[2]).toBe(500000);
+
+            const noteOns = tracks[1].filter(e => e.type === 0x90);
+            expect(noteOns.map(e => e.data[0])).toEqual([62, 64]);
+
+            // 0.6s @ 120bpm/480ppq = 576 ticks
+            expect(noteOns[1].tick).toBe(576);
+        });
+
+        it('should place notes on the transport bar grid', () => {
+            // Downbeat at 0.5 s, 2 s bars: the file starts on the bar at -1.5 s
+            const { tracks } = parseMidi(buildMidiFile(session, { bpm: 120, ppq: 480, gridOffset: 0.5 }));
+
+            const noteOns = tracks[1].filter(e => e.type === 0x90);
+            expect(noteOns.map(e => e.tick)).toEqual([1440, 2016]);
+
+            const timeSignature = tracks[0].find(e => e.metaType === 0x58);
+            expect(Array.from(timeSignature.data.slice(0, 2))).toEqual([4, 2]);
+        });
+
+        it('should write a single track for type 0', () => {
+            const { header, tracks } = parseMidi(buildMidiFile(session, { format: 0 }));
+            expect(header.numTracks).toBe(1);
+            expect(tracks[0].some(e => e.type === 0x90)).toBe(true);
+            expect(tracks[0].some(e => e.metaType === 0x51)).toBe(true);
+        });
+
+        it('should follow a glide with pitch bend and set the bend range', () => {
+            const { tracks } = parseMidi(buildMidiFile(session, { pitchBendRange: 2 }));
+            const events = tracks[1];
+
+            const rpnData = events.find(e => e.type === 0xB0 && e.data[0] === 6);
+            expect(rpnData.data[1]).toBe(2);
+
+            const firstNoteOff = events.find(e => e.type === 0x80);
+            const bends = events
+                .filter(e => e.type === 0xE0 && e.tick < firstNoteOff.tick)
+                .map(e => e.data[0] | (e.data[1] << 7));
+
+            expect(bends.length).toBeGreaterThan(3);
+            expect(bends[0]).toBeLessThan(8192);
+            expect(bends[bends.length - 1]).toBeGreaterThan(8192);
+        });
+
+        it('should write CC11 expression from volume', () => {
+            const { tracks } = parseMidi(buildMidiFile(session));
+            const expression = tracks[1].filter(e => e.type === 0xB0 && e.data[0] === 11);
+            expect(expression.length).toBeGreaterThan(0);
+            expect(expression[0].data[1]).toBe(Math.round(127 * (0.1 - 0.01) / 0.19));
+        });
+    });
+});
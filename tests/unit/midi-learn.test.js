@@ -0,0 +1,228 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MidiLearnManager, MIDI_LEARN_STORAGE_KEY, describeMidiSource } from '../../js/features/midi-learn.js';
+
+// Mock MIDIInput / MIDIAccess (Web MIDI API)
+function createMockMIDIAccess(inputIds) {
+    return {
+        inputs: new Map(inputIds.map(id => [id, { id, onmidimessage: null }])),
+        outputs: new Map(),
+        addEventListener: vi.fn(),
+        removeEventListener: vi.fn()
+    };
+}
+
+function createMockStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        getItem: vi.fn(key => (key in data ? data[key] : null)),
+        setItem: vi.fn((key, value) => { data[key] = String(value); }),
+        data
+    };
+}
+
+const cc = (number, value, channel = 0) => [0xB0 | channel, number, value];
+const noteOnMsg = (note, velocity = 100, channel = 0) => [0x90 | channel, note, velocity];
+
+describe('MidiLearnManager', () => {
+    let midiAccess;
+    let storage;
+    let manager;
+    let reverb;
+    let startStop;
+
+    beforeEach(async () => {
+        midiAccess = createMockMIDIAccess(['in-1', 'in-2']);
+        storage = createMockStorage();
+        manager = new MidiLearnManager({ midiAccess, storage });
+
+        reverb = vi.fn();
+        startStop = vi.fn();
+        manager.registerTarget({ id: 'reverb', label: 'Reverb', apply: reverb });
+        manager.registerTarget({ id: 'startStop', label: 'Start / Stop', kind: 'trigger', apply: startStop });
+        await manager.init();
+    });
+
+    describe('Learning', () => {
+        it('should bind the next CC to the learning target', () => {
+            const onLearn = vi.fn();
+            manager.onLearn = onLearn;
+
+            manager.learn('reverb');
+            manager.handleMessage(cc(21, 40, 2));
+
+            expect(manager.getMapping('reverb')).toEqual({
+                targetId: 'reverb',
+                source: { type: 'cc', channel: 2, number: 21 },
+                min: 0,
+                max: 1,
+                curve: 'linear'
+            });
+            expect(manager.learningTarget).toBe(null);
+            expect(onLearn).toHaveBeenCalledTimes(1);
+            // The learning message itself does not move the parameter
+            expect(reverb).not.toHaveBeenCalled();
+        });
+
+        it('should listen on every input port', () => {
+            manager.learn('reverb');
+            midiAccess.inputs.get('in-2').onmidimessage({ data: new Uint8Array(cc(7, 10)) });
+            expect(manager.getMapping('reverb').source.number).toBe(7);
+        });
+
+        it('should move a source to the newly learned target', () => {
+            manager.learn('reverb');
+            manager.handleMessage(cc(21, 0));
+            manager.learn('startStop');
+            manager.handleMessage(cc(21, 0));
+
+            expect(manager.getMapping('reverb')).toBe(null);
+            expect(manager.getMapping('startStop').source.number).toBe(21);
+        });
+
+        it('should ignore note-offs while learning', () => {
+            manager.learn('startStop');
+            manager.handleMessage([0x80, 36, 0]);
+            expect(manager.learningTarget).toBe('startStop');
+
+            manager.handleMessage(noteOnMsg(36));
+            expect(manager.getMapping('startStop').source).toEqual({ type: 'note', channel: 0, number: 36 });
+        });
+
+        it('should reject unknown targets', () => {
+            expect(() => manager.learn('nope')).toThrow('Unknown target');
+        });
+    });
+
+    describe('Applying', () => {
+        beforeEach(() => {
+            manager.learn('reverb');
+            manager.handleMessage(cc(21, 0));
+        });
+
+        it('should scale through min/max', () => {
+            manager.updateMapping('reverb', { min: 0.2, max: 0.6 });
+            manager.handleMessage(cc(21, 127));
+            expect(reverb).toHaveBeenLastCalledWith(0.6);
+            manager.handleMessage(cc(21, 0));
+            expect(reverb).toHaveBeenLastCalledWith(0.2);
+        });
+
+        it('should support inverted ranges', () => {
+            manager.updateMapping('reverb', { min: 1, max: 0 });
+            manager.handleMessage(cc(21, 127));
+            expect(reverb).toHaveBeenLastCalledWith(0);
+        });
+
+        it('should apply the response curve', () => {
+            manager.updateMapping('reverb', { curve: 'exponential' });
+            manager.handleMessage(cc(21, 64));
+            expect(reverb.mock.lastCall[0]).toBeCloseTo(Math.pow(64 / 127, 2));
+
+            manager.updateMapping('reverb', { curve: 'logarithmic' });
+            manager.handleMessage(cc(21, 64));
+            expect(reverb.mock.lastCall[0]).toBeCloseTo(Math.sqrt(64 / 127));
+        });
+
+        it('should ignore other channels and controllers', () => {
+            manager.handleMessage(cc(21, 100, 1));
+            manager.handleMessage(cc(22, 100));
+            expect(reverb).not.toHaveBeenCalled();
+        });
+
+        it('should fire triggers once per press', () => {
+            manager.learn('startStop');
+            manager.handleMessage(noteOnMsg(36));
+
+            manager.handleMessage(noteOnMsg(36));
+            manager.handleMessage([0x80, 36, 0]);
+            manager.handleMessage(noteOnMsg(36));
+            expect(startStop).toHaveBeenCalledTimes(2);
+        });
+
+        it('should fire CC triggers on the rising edge through the middle', () => {
+            manager.learn('startStop');
+            manager.handleMessage(cc(64, 127));
+
+            [0, 100, 127, 30, 90].forEach(value => manager.handleMessage(cc(64, value)));
+            expect(startStop).toHaveBeenCalledTimes(2);
+        });
+
+        it('should keep going when a target throws', () => {
+            reverb.mockImplementation(() => { throw new Error('boom'); });
+            const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+            expect(() => manager.handleMessage(cc(21, 10))).not.toThrow();
+            errorSpy.mockRestore();
+        });
+    });
+
+    describe('Persistence', () => {
+        it('should save mappings under the mambo: prefix', () => {
+            manager.learn('reverb');
+            manager.handleMessage(cc(21, 0));
+            manager.updateMapping('reverb', { max: 0.5, curve: 'exponential' });
+
+            const saved = JSON.parse(storage.data[MIDI_LEARN_STORAGE_KEY]);
+            expect(MIDI_LEARN_STORAGE_KEY.startsWith('mambo:')).toBe(true);
+            expect(saved).toEqual([expect.objectContaining({ targetId: 'reverb', max: 0.5, curve: 'exponential' })]);
+        });
+
+        it('should restore saved mappings', () => {
+            const restored = new MidiLearnManager({
+                midiAccess,
+                storage: createMockStorage({
+                    [MIDI_LEARN_STORAGE_KEY]: JSON.stringify([
+                        { targetId: 'delay', source: { type: 'cc', channel: 0, number: 1 }, min: 0.1, max: 0.9, curve: 'bogus' }
+                    ])
+                })
+            });
+            expect(restored.getMapping('delay')).toEqual({
+                targetId: 'delay',
+                source: { type: 'cc', channel: 0, number: 1 },
+                min: 0.1,
+                max: 0.9,
+                curve: 'linear'
+            });
+        });
+
+        it('should survive corrupt storage', () => {
+            const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const restored = new MidiLearnManager({
+                midiAccess,
+                storage: createMockStorage({ [MIDI_LEARN_STORAGE_KEY]: '{not json' })
+            });
+            expect(restored.getMappings()).toEqual([]);
+            warnSpy.mockRestore();
+        });
+
+        it('should remove mappings', () => {
+            manager.learn('reverb');
+            manager.handleMessage(cc(21, 0));
+            manager.removeMapping('reverb');
+            expect(JSON.parse(storage.data[MIDI_LEARN_STORAGE_KEY])).toEqual([]);
+        });
+    });
+
+    it('should listen for port changes once however often init() runs', async () => {
+        await manager.init();
+        await manager.init();
+        expect(midiAccess.addEventListener).toHaveBeenCalledTimes(1);
+
+        const [, onStateChange] = midiAccess.addEventListener.mock.calls[0];
+        manager.dispose();
+        expect(midiAccess.removeEventListener).toHaveBeenCalledWith('statechange', onStateChange);
+        await manager.init();
+        expect(midiAccess.addEventListener).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report unsupported browsers', async () => {
+        const unsupported = new MidiLearnManager({ storage });
+        unsupported.requestMIDIAccess = null;
+        expect(unsupported.isSupported()).toBe(false);
+        await expect(unsupported.init()).rejects.toThrow('not supported');
+    });
+
+    it('should describe sources with 1-based channels', () => {
+        expect(describeMidiSource({ type: 'cc', channel: 0, number: 21 })).toBe('CC 21 · Ch 1');
+        expect(describeMidiSource({ type: 'note', channel: 9, number: 36 })).toBe('Note 36 · Ch 10');
+    });
+});
@@ -0,0 +1,243 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MidiOutputEngine, MIDI_OUTPUT_MODES } from '../../js/features/midi-output-engine.js';
+
+// Mock MIDIOutput / MIDIAccess (Web MIDI API)
+function createMockOutput(id, name) {
+    return { id, name, sent: [], send: vi.fn(function (message) { this.sent.push(message); }) };
+}
+
+function createMockMIDIAccess(outputs) {
+    return {
+        outputs: new Map(outputs.map(output => [output.id, output])),
+        inputs: new Map(),
+        onstatechange: null
+    };
+}
+
+const frame = (overrides = {}) => ({
+    frequency: 440,
+    confidence: 0.9,
+    volumeLinear: 0.1,
+    brightness: 0.5,
+    breathiness: 0.2,
+    articulation: 'sustain',
+    ...overrides
+});
+
+const byStatus = (messages, status) => messages.filter(m => (m[0] & 0xF0) === status);
+const bendValue = (message) => message[1] | (message[2] << 7);
+
+describe('MidiOutputEngine', () => {
+    let output;
+    let midiAccess;
+    let engine;
+
+    beforeEach(async () => {
+        output = createMockOutput('out-1', 'IAC Bus 1');
+        midiAccess = createMockMIDIAccess([output, createMockOutput('out-2', 'Synth')]);
+        const requestMIDIAccess = vi.fn().mockResolvedValue(midiAccess);
+
+        engine = new MidiOutputEngine({ requestMIDIAccess, pitchBendRange: 200 });
+        await engine.init();
+        engine.setOutput('out-1');
+        engine.setEnabled(true);
+        output.sent = [];
+    });
+
+    describe('Setup', () => {
+        it('should list output ports', () => {
+            expect(engine.getOutputs()).toEqual([
+                { id: 'out-1', name: 'IAC Bus 1' },
+                { id: 'out-2', name: 'Synth' }
+            ]);
+        });
+
+        it('should send the bend range as RPN 0 when a port is selected', () => {
+            engine.setOutput('out-2');
+            const synth = midiAccess.outputs.get('out-2');
+            const ccs = byStatus(synth.sent, 0xB0).map(m => [m[1], m[2]]);
+            expect(ccs).toEqual([[101, 0], [100, 0], [6, 2], [38, 0], [101, 127], [100, 127]]);
+        });
+
+        it('should report unsupported browsers', async () => {
+            const unsupported = new MidiOutputEngine({ requestMIDIAccess: null });
+            unsupported.requestMIDIAccess = null;
+            expect(unsupported.isSupported()).toBe(false);
+            await expect(unsupported.init()).rejects.toThrow('not supported');
+        });
+
+        it('should drop the port when it disconnects', () => {
+            midiAccess.outputs.delete('out-1');
+            midiAccess.onstatechange();
+            expect(engine.output).toBe(null);
+        });
+    });
+
+    describe('processPitchFrame', () => {
+        it('should start a note with bend before note on', () => {
+            engine.processPitchFrame(frame({ articulation: 'attack' }));
+
+            const [first, second] = output.sent;
+            expect(first[0]).toBe(0xE0);
+            expect(bendValue(first)).toBe(8192);
+            expect(second).toEqual([0x90, 69, Math.round(1 + 126 * (0.09 / 0.19))]);
+        });
+
+        it('should follow pitch with 14-bit bend inside the range', () => {
+            engine.processPitchFrame(frame());
+            output.sent = [];
+
+            // +50 cents with ±200 cent range = quarter of the bend span
+            engine.processPitchFrame(frame({ frequency: 440 * Math.pow(2, 50 / 1200) }));
+            const [bend] = byStatus(output.sent, 0xE0);
+            expect(bendValue(bend)).toBe(8192 + 2048);
+            expect(byStatus(output.sent, 0x90)).toHaveLength(0);
+        });
+
+        it('should re-trigger legato when leaving the bend range', () => {
+            engine.processPitchFrame(frame());
+            output.sent = [];
+
+            engine.processPitchFrame(frame({ frequency: 440 * Math.pow(2, 3 / 12) }));
+            const noteOn = output.sent.findIndex(m => (m[0] & 0xF0) === 0x90);
+            const noteOff = output.sent.findIndex(m => (m[0] & 0xF0) === 0x80);
+
+            expect(output.sent[noteOn][1]).toBe(72);
+            expect(output.sent[noteOff][1]).toBe(69);
+            expect(noteOn).toBeLessThan(noteOff);
+        });
+
+        it('should re-trigger on a new attack', () => {
+            engine.processPitchFrame(frame({ articulation: 'attack' }));
+            engine.processPitchFrame(frame({ articulation: 'sustain' }));
+            engine.processPitchFrame(frame({ articulation: 'attack' }));
+
+            expect(byStatus(output.sent, 0x90)).toHaveLength(2);
+            expect(byStatus(output.sent, 0x80)).toHaveLength(1);
+        });
+
+        it('should map brightness/breathiness to CC and volume to pressure', () => {
+            engine.processPitchFrame(frame({ brightness: 1, breathiness: 0.5, volumeLinear: 0.2 }));
+
+            const ccs = byStatus(output.sent, 0xB0).map(m => [m[1], m[2]]);
+            expect(ccs).toContainEqual([74, 127]);
+            expect(ccs).toContainEqual([2, 64]);
+            expect(byStatus(output.sent, 0xD0)).toEqual([[0xD0, 127]]);
+        });
+
+        it('should not resend unchanged controller values', () => {
+            engine.processPitchFrame(frame());
+            output.sent = [];
+            engine.processPitchFrame(frame());
+            expect(output.sent).toEqual([]);
+        });
+
+        it('should release the note on silence', () => {
+            engine.processPitchFrame(frame());
+            engine.processPitchFrame(frame({ frequency: 0, confidence: 0, articulation: 'silence' }));
+
+            expect(byStatus(output.sent, 0x80)).toEqual([[0x80, 69, 0]]);
+            expect(engine.isPlaying).toBe(false);
+        });
+
+        it('should hold through short unvoiced dropouts', () => {
+            engine.processPitchFrame(frame());
+            engine.processPitchFrame(frame({ confidence: 0.1 }));
+            expect(engine.isPlaying).toBe(true);
+        });
+
+        it('should use the selected channel', () => {
+            engine.setChannel(9);
+            output.sent = [];
+            engine.processPitchFrame(frame());
+            expect(output.sent.every(m => (m[0] & 0x0F) === 9)).toBe(true);
+        });
+
+        it('should do nothing while disabled', () => {
+            engine.setEnabled(false);
+            output.sent = [];
+            engine.processPitchFrame(frame());
+            expect(output.sent).toEqual([]);
+        });
+    });
+
+    describe('MPE mode', () => {
+        const channelOf = (message) => message[0] & 0x0F;
+
+        beforeEach(() => {
+            output.sent = [];
+            engine.setMode(MIDI_OUTPUT_MODES.MPE);
+        });
+
+        it('should send the MPE configuration and ±48 semitone member ranges', () => {
+            const ccs = byStatus(output.sent, 0xB0);
+            const mcm = ccs.filter(m => channelOf(m) === 0).map(m => [m[1], m[2]]);
+            expect(mcm).toEqual(expect.arrayContaining([[101, 0], [100, 6], [6, 15]]));
+
+            const memberRanges = ccs.filter(m => m[1] === 6 && channelOf(m) > 0);
+            expect(memberRanges).toHaveLength(15);
+            expect(memberRanges.every(m => m[2] === 48)).toBe(true);
+        });
+
+        it('should allocate a new member channel on each attack', () => {
+            output.sent = [];
+            engine.processPitchFrame(frame({ articulation: 'attack' }));
+            engine.processPitchFrame(frame({ articulation: 'sustain' }));
+            engine.processPitchFrame(frame({ articulation: 'attack', frequency: 494 }));
+
+            const noteOns = byStatus(output.sent, 0x90);
+            expect(noteOns.map(channelOf)).toEqual([1, 2]);
+
+            // The first note is released on its own channel
+            const [noteOff] = byStatus(output.sent, 0x80);
+            expect(channelOf(noteOff)).toBe(1);
+            expect(noteOff[1]).toBe(69);
+        });
+
+        it('should send bend, CC74 and pressure before note on', () => {
+            output.sent = [];
+            engine.processPitchFrame(frame({ articulation: 'attack', brightness: 1, volumeLinear: 0.2 }));
+
+            const noteOnIndex = output.sent.findIndex(m => (m[0] & 0xF0) === 0x90);
+            const before = output.sent.slice(0, noteOnIndex);
+            expect(before.some(m => (m[0] & 0xF0) === 0xE0)).toBe(true);
+            expect(before).toContainEqual([0xB1, 74, 127]);
+            expect(before).toContainEqual([0xD1, 127]);
+        });
+
+        it('should glide over an octave without re-triggering', () => {
+            engine.processPitchFrame(frame({ articulation: 'attack' }));
+            output.sent = [];
+
+            engine.processPitchFrame(frame({ frequency: 880 }));
+            expect(byStatus(output.sent, 0x90)).toHaveLength(0);
+
+            // +12 semitones of ±48 = a quarter of the upper half
+            const [bend] = byStatus(output.sent, 0xE0);
+            expect(channelOf(bend)).toBe(1);
+            expect(bendValue(bend)).toBe(8192 + 2048);
+        });
+
+        it('should rotate back to the first member channel', () => {
+            engine.mpe.memberChannels = 2;
+            output.sent = [];
+            for (let i = 0; i < 3; i++) {
+                engine.processPitchFrame(frame({ articulation: 'attack' }));
+                engine.processPitchFrame(frame({ articulation: 'sustain' }));
+            }
+            expect(byStatus(output.sent, 0x90).map(channelOf)).toEqual([1, 2, 1]);
+        });
+    });
+
+    describe('allNotesOff', () => {
+        it('should release the note and reset controllers', () => {
+            engine.processPitchFrame(frame());
+            output.sent = [];
+            engine.allNotesOff();
+
+            expect(output.sent[0]).toEqual([0x80, 69, 0]);
+            expect(output.sent).toContainEqual([0xB0, 123, 0]);
+            expect(engine.isPlaying).toBe(false);
+        });
+    });
+});
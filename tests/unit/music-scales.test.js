@@ -1,5 +1,46 @@
 import { describe, it, expect } from 'vitest';
-import { freqToMidi, midiToFreq, getNearestScaleNote, SCALES, KEYS } from '../../js/core/music-scales.js';
+import {
+  freqToMidi,
+  midiToFreq,
+  getNearestScaleNote,
+  SCALES,
+  KEYS,
+  ratiosToCents,
+  createEdoScale,
+  parseScl,
+  parseKbm,
+  createScaleFromScala,
+  registerScale,
+  unregisterScale,
+  getScale,
+  listScales,
+  transposeInScale
+} from '../../js/core/music-scales.js';
+
+const cents = (from, to) => 1200 * Math.log2(to / from);
+
+const MAQAM_SCL = `! rast.scl
+!
+Rast on C (quarter tones)
+ 7
+!
+ 200.0
+ 350.0
+ 500.0
+ 700.0
+ 900.0
+ 1050.0
+ 2/1
+`;
+
+const JI_SCL = `Just pentatonic
+5
+9/8
+5/4
+3/2
+5/3
+2
+`;
 
 describe('MusicScales utilities', () => {
   it('converts frequency to MIDI and back with minimal error', () => {
@@ -36,4 +77,94 @@ describe('MusicScales utilities', () => {
     expect(KEYS.includes(result.noteName)).toBe(true);
     expect(SCALES.major.intervals).toContain(11); // F# interval in G major
   });
+
+  it('snaps to quarter-tone degrees of a maqam', () => {
+    // Neutral third of Rast on C: 350 cents above C4
+    const c4 = midiToFreq(60);
+    const result = getNearestScaleNote(c4 * Math.pow(2, 340 / 1200), 'C', 'maqam_rast');
+
+    expect(result.degree).toBe(2);
+    expect(cents(c4, result.frequency)).toBeCloseTo(350, 6);
+    expect(result.centsDeviation).toBeCloseTo(-10, 6);
+  });
+
+  it('wraps to the next period when the root above is closest', () => {
+    const result = getNearestScaleNote(midiToFreq(71.9), 'C', 'major');
+    expect(result.midi).toBe(72);
+    expect(result.degree).toBe(0);
+  });
+
+  it('builds EDO and just-intonation cents tables', () => {
+    expect(createEdoScale(19).cents[1]).toBeCloseTo(1200 / 19, 9);
+    expect(createEdoScale(24, [0, 7, 14]).cents).toEqual([0, 350, 700]);
+    expect(() => createEdoScale(0)).toThrow();
+
+    expect(ratiosToCents([3 / 2])[0]).toBeCloseTo(701.955, 3);
+    const justThird = getNearestScaleNote(midiToFreq(64), 'C', 'just_major');
+    expect(cents(midiToFreq(60), justThird.frequency)).toBeCloseTo(386.314, 3);
+  });
+
+  it('parses Scala .scl files with cents and ratios', () => {
+    const rast = parseScl(MAQAM_SCL);
+    expect(rast.name).toBe('Rast on C (quarter tones)');
+    expect(rast.cents).toEqual([0, 200, 350, 500, 700, 900, 1050]);
+    expect(rast.period).toBeCloseTo(1200, 9);
+
+    const ji = parseScl(JI_SCL);
+    expect(ji.cents).toHaveLength(5);
+    expect(ji.cents[2]).toBeCloseTo(386.314, 3);
+
+    expect(() => parseScl('Broken\n3\n100.0\n')).toThrow(/Expected 3 pitches/);
+    expect(() => parseScl('Broken\n2\nabc\n2/1\n')).toThrow(/Invalid ratio/);
+  });
+
+  it('anchors a Scala scale with a .kbm keyboard mapping', () => {
+    const kbm = [
+      '! A4 = 432 Hz, every degree on consecutive keys',
+      '0', '0', '127', '60', '69', '432.0', '5'
+    ].join('\n');
+    expect(parseKbm(kbm)).toMatchObject({ mapSize: 0, middleNote: 60, referenceNote: 69, referenceFrequency: 432 });
+
+    const scale = createScaleFromScala(JI_SCL, kbm);
+    // Key 69 is degree 9 = one period + degree 4 (5/3), so the root is 432 / 2 / (5/3)
+    expect(scale.rootFrequency).toBeCloseTo(432 / 2 / (5 / 3), 6);
+
+    // The root key is ignored once the scale carries its own root frequency
+    const result = getNearestScaleNote(433, 'F#', scale);
+    expect(result.frequency).toBeCloseTo(432, 6);
+  });
+
+  it('keeps only the degrees a .kbm maps to', () => {
+    const kbm = ['12', '0', '127', '60', '60', '261.6256', '7', '0', 'x', '2', 'x', '4'].join('\n');
+    const scale = createScaleFromScala(MAQAM_SCL, kbm);
+
+    expect(scale.cents).toEqual([0, 350, 700]);
+    expect(() => createScaleFromScala(MAQAM_SCL, ['12', '0', '127', '60', '61', '277', '7', '0', 'x'].join('\n')))
+      .toThrow(/not mapped/);
+  });
+
+  it('registers custom scales next to the built-in ones', () => {
+    registerScale('custom:test', { name: 'Test', cents: [700, 0, 1900] });
+
+    expect(getScale('custom:test').cents).toEqual([0, 700]);
+    expect(listScales()).toContainEqual({ id: 'custom:test', name: 'Test', custom: true });
+    expect(getNearestScaleNote(midiToFreq(66), 'C', 'custom:test').midi).toBe(67);
+    expect(() => registerScale('major', { cents: [0] })).toThrow();
+
+    expect(unregisterScale('custom:test')).toBe(true);
+    expect(getScale('custom:test')).toBe(null);
+  });
+
+  it('moves by scale degrees and keeps the deviation from the degree', () => {
+    // E4 in C major: a third up is G4 (minor third), a third down is C4 (major third)
+    expect(freqToMidi(transposeInScale(midiToFreq(64), 2, 'C', 'major'))).toBeCloseTo(67, 6);
+    expect(freqToMidi(transposeInScale(midiToFreq(64), -2, 'C', 'major'))).toBeCloseTo(60, 6);
+    // B4 + a fifth crosses the octave to F5; 7 steps is the octave
+    expect(freqToMidi(transposeInScale(midiToFreq(71), 4, 'C', 'major'))).toBeCloseTo(77, 6);
+    expect(freqToMidi(transposeInScale(midiToFreq(62), 7, 'C', 'major'))).toBeCloseTo(74, 6);
+
+    // 20 cents sharp of D4 stays 20 cents sharp of F4
+    const sharpD = midiToFreq(62.2);
+    expect(cents(midiToFreq(65), transposeInScale(sharpD, 2, 'C', 'major'))).toBeCloseTo(20, 6);
+  });
 });
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi } from 'vitest';
+import { OctaveCorrector } from '../../js/features/octave-corrector.js';
+import { CalibrationSystem } from '../../js/calibration.js';
+
+const HOP_MS = 11.6; // 512 samples @ 44.1 kHz
+
+function frame(frequency, index, extra = {}) {
+    return {
+        frequency,
+        rawFrequency: frequency,
+        note: 'A',
+        octave: Math.floor(Math.log2(frequency / 440) + 4),
+        cents: 0,
+        confidence: 0.9,
+        captureTime: index * HOP_MS,
+        ...extra
+    };
+}
+
+function feed(corrector, frequencies, extra = {}) {
+    return frequencies.map((f, i) => corrector.process(frame(f, i, extra)));
+}
+
+const CLEAN = { harmonicProfile: { subharmonic: 0.02, evenHarmonic: 0.1 } };
+
+describe('OctaveCorrector', () => {
+    it('should pass steady pitch through unchanged', () => {
+        const corrector = new OctaveCorrector();
+        const input = frame(440, 0);
+        expect(corrector.process(input)).toBe(input);
+        expect(feed(corrector, [441, 439, 442]).every(f => !f.octaveCorrected)).toBe(true);
+    });
+
+    it('should snap a short octave-up glitch back', () => {
+        const onCorrection = vi.fn();
+        const corrector = new OctaveCorrector({ onCorrection });
+        const out = feed(corrector, [220, 220, 221, 440, 219, 220]);
+
+        expect(out[3].frequency).toBeCloseTo(220);
+        expect(out[3].octave).toBe(frame(440, 0).octave - 1);
+        expect(out[3].octaveCorrected).toBe(true);
+        expect(out[3].rawFrequency).toBe(440);
+        expect(onCorrection).toHaveBeenCalledWith({ from: 440, to: 220, timestamp: 3 * HOP_MS });
+        expect(corrector.getStats().corrections).toBe(1);
+    });
+
+    it('should snap an octave-down glitch back', () => {
+        const corrector = new OctaveCorrector();
+        const out = feed(corrector, [600, 600, 300, 600]);
+        expect(out[2].frequency).toBeCloseTo(600);
+        expect(out[2].octaveCorrected).toBe(true);
+    });
+
+    it('should follow a jump that lasts longer than maxConsecutive frames', () => {
+        const corrector = new OctaveCorrector({ maxConsecutive: 2 });
+        const out = feed(corrector, [220, 220, 440, 440, 440, 440]);
+
+        expect(out.slice(2, 4).every(f => f.octaveCorrected)).toBe(true);
+        expect(out[4].frequency).toBe(440);
+        expect(out[5].octaveCorrected).toBeUndefined();
+    });
+
+    it('should leave non-octave leaps alone', () => {
+        const corrector = new OctaveCorrector();
+        const out = feed(corrector, [220, 220, 330, 330]);
+        expect(out.map(f => f.frequency)).toEqual([220, 220, 330, 330]);
+    });
+
+    it('should trust a clean harmonic profile over the history', () => {
+        const corrector = new OctaveCorrector();
+        const out = feed(corrector, [220, 220, 440], CLEAN);
+        expect(out[2].frequency).toBe(440);
+        expect(corrector.getStats().corrections).toBe(0);
+    });
+
+    it('should use the calibrated range as evidence', () => {
+        const calibration = { calibrationData: { lowestFreq: 200, highestFreq: 500 } };
+        const corrector = new OctaveCorrector({ calibration });
+
+        // Clean profile (-1) but 880 Hz is outside the range (+1): history decides
+        expect(feed(corrector, [440, 440, 880], CLEAN)[2].frequency).toBeCloseTo(440);
+
+        // A new calibration is picked up without rebuilding the corrector
+        calibration.calibrationData = { lowestFreq: 200, highestFreq: 1000 };
+        corrector.reset();
+        expect(feed(corrector, [440, 440, 880], CLEAN)[2].frequency).toBe(880);
+    });
+
+    it('should read the range of a finished CalibrationSystem run', () => {
+        const pitchDetector = { frequencyToNote: (f) => ({ fullNote: `${Math.round(f)}Hz` }) };
+        const calibration = new CalibrationSystem({ pitchDetector });
+        const corrector = new OctaveCorrector({ calibration });
+
+        calibration.start();
+        calibration.processPitch({ frequency: 200, confidence: 0.9 });
+        calibration.completeCurrentStep();
+        calibration.processPitch({ frequency: 500, confidence: 0.9 });
+        calibration.completeCurrentStep();
+
+        expect(calibration.isCalibrated()).toBe(true);
+        expect(feed(corrector, [440, 440, 880], CLEAN)[2].frequency).toBeCloseTo(440);
+    });
+
+    it('should start over after a gap in the frames', () => {
+        const corrector = new OctaveCorrector({ gapMs: 100 });
+        corrector.process(frame(220, 0));
+        corrector.process(frame(220, 1));
+
+        const next = corrector.process({ ...frame(440, 0), captureTime: 1000 });
+        expect(next.frequency).toBe(440);
+        expect(next.octaveCorrected).toBeUndefined();
+    });
+});
@@ -12,7 +12,10 @@
  * @version 0.3.0
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import pitchfinderSource from '../../js/lib/pitchfinder-browser.js?raw';
+import pitchDetectorSource from '../../js/pitch-detector.js?raw';
+import { createMPMDetector } from '../../js/pitch-dsp.js';
 
 // Mock PitchDetector class - copy implementation but mock external dependencies
 class PitchDetector {
@@ -469,3 +472,78 @@ describe('PitchDetector', () => {
         });
     });
 });
+
+// Algorithm selection needs the real class + Pitchfinder (both classic scripts)
+describe('PitchDetector algorithm selection', () => {
+    let RealPitchDetector;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        new Function(pitchfinderSource)();
+        RealPitchDetector = new Function(`${pitchDetectorSource}\nreturn PitchDetector;`)();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    const sine = (frequency, size = 2048) =>
+        Float32Array.from({ length: size }, (_, i) => 0.3 * Math.sin(2 * Math.PI * frequency * i / 44100));
+
+    it('should default to YIN', () => {
+        const detector = new RealPitchDetector({ createMPMDetector });
+        detector.initialize(44100);
+        expect(detector.algorithm).toBe('YIN');
+        expect(detector.detector).toBe(detector.detectors.YIN);
+        expect(detector.detectors.MPM).toBeUndefined();
+    });
+
+    it('should build the McLeod detector for MPM', () => {
+        const detector = new RealPitchDetector({ createMPMDetector });
+        detector.initialize(44100, { algorithm: 'mpm' });
+        expect(detector.algorithm).toBe('MPM');
+        expect(detector.detector).toBe(detector.detectors.MPM);
+        expect(detector.detect(sine(1000), 0.2).rawFrequency).toBeCloseTo(1000, 0);
+    });
+
+    it('should remember setAlgorithm() before initialize() and rebuild after it', () => {
+        const detector = new RealPitchDetector({ createMPMDetector });
+        detector.setAlgorithm('MPM');
+        expect(detector.detector).toBe(null);
+
+        detector.initialize(44100);
+        expect(detector.detector).toBe(detector.detectors.MPM);
+
+        detector.setAlgorithm('YIN');
+        expect(detector.detector).toBe(detector.detectors.YIN);
+    });
+
+    it('should switch AUTO between YIN and MPM by pitch', () => {
+        const detector = new RealPitchDetector({ createMPMDetector });
+        detector.initialize(44100, { algorithm: 'AUTO' });
+        expect(detector.activeAlgorithm).toBe('YIN');
+
+        for (let i = 0; i < 5; i++) detector.detect(sine(880), 0.2);
+        expect(detector.activeAlgorithm).toBe('MPM');
+
+        for (let i = 0; i < 5; i++) detector.detect(sine(150), 0.2);
+        expect(detector.activeAlgorithm).toBe('YIN');
+    });
+
+    it('should fall back to YIN when no MPM detector is provided', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const detector = new RealPitchDetector();
+        detector.initialize(44100, { algorithm: 'MPM' });
+        expect(detector.algorithm).toBe('YIN');
+        expect(detector.detector).toBe(detector.detectors.YIN);
+        expect(warn).toHaveBeenCalled();
+    });
+
+    it('should fall back to YIN for worklet-only algorithms', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const detector = new RealPitchDetector({ createMPMDetector });
+        detector.initialize(44100, { algorithm: 'PYIN' });
+        expect(detector.algorithm).toBe('YIN');
+        expect(warn).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,601 @@
+import { describe, it, expect } from 'vitest';
+import {
+    FastFFT,
+    SimpleOnsetDetector,
+    VibratoTracker,
+    PercussionOnsetDetector,
+    VOWEL_FORMANTS,
+    computeLPC,
+    estimateFormants,
+    classifyVowel,
+    vowelSpace,
+    createYINDetector,
+    createMPMDetector,
+    computeCMNDF,
+    computeNSDF,
+    AUTO_ALGORITHM_CROSSOVER,
+    PYINTracker,
+    PitchFrameProcessor,
+    analyzeOffline,
+    WORKLET_BLOCK_SIZE
+} from '../../js/pitch-dsp.js';
+import { createRandom } from '../helpers/pitch-corpus.js';
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Sine whose pitch wobbles by +-depthCents at rateHz
+ */
+function vibratoTone(frequency, seconds, rateHz, depthCents, amplitude = 0.3) {
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    let phase = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const cents = depthCents * Math.sin(2 * Math.PI * rateHz * i / SAMPLE_RATE);
+        phase += 2 * Math.PI * frequency * Math.pow(2, cents / 1200) / SAMPLE_RATE;
+        samples[i] = amplitude * Math.sin(phase);
+    }
+    return samples;
+}
+
+/**
+ * Sung vowel: glottal pulses (impulse train + spectral tilt) through F1 / F2 / F3 resonators
+ */
+function sungVowel(f0, [f1, f2], seconds = 0.5) {
+    const length = Math.round(seconds * SAMPLE_RATE);
+    let signal = new Float64Array(length);
+    for (let t = 0; t < length; t += SAMPLE_RATE / f0) signal[Math.floor(t)] = 1;
+    for (let i = 1; i < length; i++) signal[i] += 0.95 * signal[i - 1];
+
+    for (const [frequency, bandwidth] of [[f1, 80], [f2, 100], [2800, 150]]) {
+        const r = Math.exp(-Math.PI * bandwidth / SAMPLE_RATE);
+        const a1 = 2 * r * Math.cos(2 * Math.PI * frequency / SAMPLE_RATE);
+        const out = new Float64Array(length);
+        for (let i = 0; i < length; i++) {
+            out[i] = signal[i] + (i > 0 ? a1 * out[i - 1] : 0) - (i > 1 ? r * r * out[i - 2] : 0);
+        }
+        signal = out;
+    }
+
+    const peak = signal.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    return Float32Array.from(signal, value => 0.3 * value / peak);
+}
+
+/**
+ * Beatbox-like hits: pitch-swept sine (kick), band-passed noise bursts (snare / hi-hat)
+ */
+function drumHit(drum, seconds = 0.2) {
+    const length = Math.round(seconds * SAMPLE_RATE);
+    const out = new Float32Array(length);
+
+    if (drum === 'kick') {
+        let phase = 0;
+        for (let i = 0; i < length; i++) {
+            const t = i / SAMPLE_RATE;
+            phase += 2 * Math.PI * (50 + 100 * Math.exp(-t / 0.03)) / SAMPLE_RATE;
+            out[i] = 0.6 * Math.exp(-t / 0.05) * Math.sin(phase);
+        }
+        return out;
+    }
+
+    // RBJ band-pass biquad over white noise
+    const [centre, q, decay, gain] = drum === 'snare' ? [2500, 0.8, 0.04, 1] : [9000, 1.5, 0.015, 1.5];
+    const w = 2 * Math.PI * centre / SAMPLE_RATE;
+    const alpha = Math.sin(w) / (2 * q);
+    const a0 = 1 + alpha;
+    const random = createRandom(11);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < length; i++) {
+        const x = random() * 2 - 1;
+        const y = (alpha * x - alpha * x2 + 2 * Math.cos(w) * y1 - (1 - alpha) * y2) / a0;
+        x2 = x1; x1 = x; y2 = y1; y1 = y;
+        out[i] = gain * Math.exp(-(i / SAMPLE_RATE) / decay) * y;
+    }
+    return out;
+}
+
+function sine(frequency, seconds, amplitude = 0.3, sampleRate = SAMPLE_RATE) {
+    const samples = new Float32Array(Math.round(seconds * sampleRate));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+    return samples;
+}
+
+describe('PitchDSP', () => {
+    describe('FastFFT', () => {
+        it('should put a bin-centred sine in its bin', () => {
+            const fft = new FastFFT(1024);
+            const bin = 32;
+            const input = sine(bin * SAMPLE_RATE / 1024, 1024 / SAMPLE_RATE);
+            const spectrum = fft.computePowerSpectrum(input);
+
+            let peak = 0;
+            for (let k = 1; k < spectrum.length; k++) {
+                if (spectrum[k] > spectrum[peak]) peak = k;
+            }
+            expect(peak).toBe(bin);
+            expect(fft.computeSpectralCentroid(spectrum, SAMPLE_RATE)).toBeCloseTo(bin * SAMPLE_RATE / 1024, -1);
+        });
+
+        it('should report noise as flatter than a sine', () => {
+            const fft = new FastFFT(1024);
+            const noise = Float32Array.from({ length: 1024 }, (_, i) => Math.sin(i * 12.9898) * 43758.5453 % 1);
+            const tone = sine(440, 1024 / SAMPLE_RATE);
+
+            const noiseFlatness = fft.computeSpectralFlatness(fft.computePowerSpectrum(noise));
+            const toneFlatness = fft.computeSpectralFlatness(fft.computePowerSpectrum(tone));
+            expect(noiseFlatness).toBeGreaterThan(toneFlatness);
+        });
+
+        it('should show octave evidence in the harmonic profile', () => {
+            const fft = new FastFFT(1024);
+            const spectrum = fft.computePowerSpectrum(sine(440, 1024 / SAMPLE_RATE));
+
+            const correct = fft.computeHarmonicProfile(spectrum, 440, SAMPLE_RATE);
+            expect(correct.subharmonic).toBeLessThan(0.1);
+            expect(correct.evenHarmonic).toBeLessThan(0.1);
+
+            // Estimate an octave high: the real fundamental sits at f/2
+            expect(fft.computeHarmonicProfile(spectrum, 880, SAMPLE_RATE).subharmonic).toBeGreaterThan(0.9);
+            // Estimate an octave low: only "even harmonics" carry energy
+            expect(fft.computeHarmonicProfile(spectrum, 220, SAMPLE_RATE).evenHarmonic).toBeGreaterThan(0.9);
+        });
+
+        it('should not report a harmonic profile it cannot resolve', () => {
+            const fft = new FastFFT(1024);
+            const spectrum = fft.computePowerSpectrum(sine(110, 1024 / SAMPLE_RATE));
+            expect(fft.computeHarmonicProfile(spectrum, 110, SAMPLE_RATE)).toBe(null);
+        });
+    });
+
+    describe('createYINDetector', () => {
+        it('should detect a sine within a few cents', () => {
+            const detect = createYINDetector({ sampleRate: SAMPLE_RATE, threshold: 0.15 });
+            const frequency = detect(sine(220, 1024 / SAMPLE_RATE));
+            expect(Math.abs(1200 * Math.log2(frequency / 220))).toBeLessThan(5);
+        });
+
+        it('should return null for silence', () => {
+            const detect = createYINDetector({ sampleRate: SAMPLE_RATE });
+            expect(detect(new Float32Array(1024))).toBe(null);
+        });
+    });
+
+    describe('createMPMDetector', () => {
+        it('should peak the NSDF at the period', () => {
+            const nsdf = computeNSDF(sine(441, 1024 / SAMPLE_RATE));
+            expect(nsdf[0]).toBeCloseTo(1, 5);
+            expect(nsdf[100]).toBeGreaterThan(0.95);  // 44100 / 441 = 100 samples
+            expect(nsdf[50]).toBeLessThan(-0.9);
+        });
+
+        it('should detect a high sine within a few cents', () => {
+            const detect = createMPMDetector({ sampleRate: SAMPLE_RATE });
+            const frequency = detect(sine(1200, 1024 / SAMPLE_RATE));
+            expect(Math.abs(1200 * Math.log2(frequency / 1200))).toBeLessThan(5);
+        });
+
+        it('should pick the fundamental of a harmonic-rich tone, not a sub-octave', () => {
+            const detect = createMPMDetector({ sampleRate: SAMPLE_RATE });
+            const buffer = sine(330, 1024 / SAMPLE_RATE).map((value, i) =>
+                value + 0.5 * Math.sin(2 * Math.PI * 660 * i / SAMPLE_RATE) + 0.3 * Math.sin(2 * Math.PI * 990 * i / SAMPLE_RATE));
+            expect(detect(buffer)).toBeCloseTo(330, 0);
+        });
+
+        it('should return null for silence and white noise', () => {
+            const detect = createMPMDetector({ sampleRate: SAMPLE_RATE });
+            const random = createRandom(9);
+            expect(detect(new Float32Array(1024))).toBe(null);
+            expect(detect(Float32Array.from({ length: 1024 }, () => 0.3 * (2 * random() - 1)))).toBe(null);
+        });
+    });
+
+    describe('PYINTracker', () => {
+        const window = (frequency) => sine(frequency, 1024 / SAMPLE_RATE);
+
+        it('should spread the threshold prior over the CMNDF dips', () => {
+            const tracker = new PYINTracker({ sampleRate: SAMPLE_RATE });
+            // A strong second harmonic puts a shallow dip at half the period
+            const buffer = window(220).map((value, i) => value + 0.25 * Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE));
+
+            const { candidates, voicedProbability } = tracker._extractCandidates(computeCMNDF(buffer));
+            const best = candidates.reduce((a, b) => (b.probability > a.probability ? b : a));
+
+            expect(best.frequency).toBeCloseTo(220, 0);
+            expect(voicedProbability).toBeGreaterThan(0.95);
+            expect(voicedProbability).toBeLessThanOrEqual(1);
+        });
+
+        it('should report the frame `lookahead` windows back', () => {
+            const tracker = new PYINTracker({ sampleRate: SAMPLE_RATE, pyinLookahead: 2 });
+            const results = [220, 220, 220, 220].map(f => tracker.detect(window(f)));
+
+            expect(results[0].frequency).toBe(null);
+            expect(results[1].frequency).toBe(null);
+            expect(results[2].frequency).toBeCloseTo(220, 0);
+            expect(results[2].voicedProbability).toBeGreaterThan(0.9);
+        });
+
+        it('should give noise and silence a low voiced probability', () => {
+            const tracker = new PYINTracker({ sampleRate: SAMPLE_RATE, pyinLookahead: 0 });
+            const random = createRandom(3);
+            const noise = Float32Array.from({ length: 1024 }, () => 0.3 * (2 * random() - 1));
+
+            const noisy = tracker.detect(noise);
+            expect(noisy.frequency).toBe(null);
+            expect(noisy.voicedProbability).toBeLessThan(0.05);
+            expect(tracker.detect(new Float32Array(1024))).toEqual({ frequency: null, voicedProbability: 0 });
+        });
+
+        it('should not follow a one-frame octave glitch', () => {
+            const tracker = new PYINTracker({ sampleRate: SAMPLE_RATE, pyinLookahead: 3 });
+            const input = [220, 220, 220, 220, 440, 220, 220, 220, 220, 220, 220];
+            const output = input.map(f => tracker.detect(window(f)).frequency).filter(f => f !== null);
+
+            expect(output.length).toBeGreaterThan(0);
+            output.forEach(frequency => expect(frequency).toBeCloseTo(220, 0));
+        });
+
+        it('should restart decoding after reset()', () => {
+            const tracker = new PYINTracker({ sampleRate: SAMPLE_RATE, pyinLookahead: 1 });
+            tracker.detect(window(220));
+            expect(tracker.detect(window(220)).frequency).toBeCloseTo(220, 0);
+
+            tracker.reset();
+            expect(tracker.detect(window(330)).frequency).toBe(null);
+            expect(tracker.detect(window(330)).frequency).toBeCloseTo(330, 0);
+        });
+    });
+
+    describe('SimpleOnsetDetector', () => {
+        it('should hold attack for the minimum state duration', () => {
+            const detector = new SimpleOnsetDetector({ minStateDuration: 50 });
+            expect(detector.detect(-60, 0)).toBe('silence');
+            expect(detector.detect(-10, 0.01)).toBe('attack');
+            expect(detector.detect(-10, 0.03)).toBe('attack');
+            expect(detector.detect(-10, 0.07)).toBe('sustain');
+        });
+    });
+
+    describe('VibratoTracker', () => {
+        // Pitch track at the worklet hop (512 samples ~ 11.6 ms)
+        const track = (tracker, centsAt, ms = 1500) => {
+            let result;
+            for (let t = 0; t < ms; t += 11.6) {
+                result = tracker.update(440 * Math.pow(2, centsAt(t) / 1200), t);
+            }
+            return result;
+        };
+
+        it('should measure rate and depth of a steady vibrato on a glide', () => {
+            const tracker = new VibratoTracker();
+            // 5.5 Hz, +-40 cents, over a slow 30 cents/s glide
+            const result = track(tracker, t => 30 * t / 1000 + 40 * Math.sin(2 * Math.PI * 5.5 * t / 1000));
+            expect(result.rate).toBeCloseTo(5.5, 0);
+            expect(result.depth).toBeGreaterThan(32);
+            expect(result.depth).toBeLessThan(48);
+        });
+
+        it('should report nothing for a shallow wobble, a too slow swing or jitter', () => {
+            expect(track(new VibratoTracker(), t => 3 * Math.sin(2 * Math.PI * 5.5 * t / 1000))).toEqual({ rate: 0, depth: 0 });
+            expect(track(new VibratoTracker(), t => 40 * Math.sin(2 * Math.PI * 1.5 * t / 1000))).toEqual({ rate: 0, depth: 0 });
+
+            const random = createRandom(7);
+            expect(track(new VibratoTracker(), () => 40 * (random() - 0.5)).rate).toBe(0);
+        });
+
+        it('should start over after a note change', () => {
+            const tracker = new VibratoTracker();
+            track(tracker, t => 40 * Math.sin(2 * Math.PI * 5.5 * t / 1000));
+            expect(tracker.update(440 * Math.pow(2, 500 / 1200), 1600)).toEqual({ rate: 0, depth: 0 });
+            expect(tracker.samples).toHaveLength(1);
+        });
+    });
+
+    describe('PercussionOnsetDetector', () => {
+        const run = (signal) => {
+            const detector = new PercussionOnsetDetector({ sampleRate: SAMPLE_RATE });
+            const hits = [];
+            for (let i = 0; i + WORKLET_BLOCK_SIZE <= signal.length; i += WORKLET_BLOCK_SIZE) {
+                const hit = detector.process(signal.subarray(i, i + WORKLET_BLOCK_SIZE), i / SAMPLE_RATE);
+                if (hit) hits.push(hit);
+            }
+            return hits;
+        };
+
+        it('should time each hit and tell low thumps from noisy hiss', () => {
+            const signal = new Float32Array(SAMPLE_RATE);
+            signal.set(drumHit('kick'), Math.round(0.1 * SAMPLE_RATE));
+            signal.set(drumHit('snare'), Math.round(0.4 * SAMPLE_RATE));
+            signal.set(drumHit('hihat'), Math.round(0.7 * SAMPLE_RATE));
+
+            const [kick, snare, hihat] = run(signal);
+            expect(kick.time).toBeCloseTo(100, -1);
+            expect(snare.time).toBeCloseTo(400, -1);
+            expect(hihat.time).toBeCloseTo(700, -1);
+
+            expect(kick.centroid).toBeLessThan(300);
+            expect(snare.centroid).toBeGreaterThan(2000);
+            expect(hihat.centroid).toBeGreaterThan(snare.centroid * 1.5);
+            expect(kick.flatness).toBeLessThan(snare.flatness);
+            expect(hihat.decayDb).toBeGreaterThan(kick.decayDb);
+        });
+
+        it('should ignore sustained notes', () => {
+            const signal = new Float32Array(SAMPLE_RATE);
+            signal.set(sine(150, 0.6), Math.round(0.1 * SAMPLE_RATE));
+            expect(run(signal)).toEqual([]);
+        });
+
+        it('should only run in PitchFrameProcessor when beatbox is on', () => {
+            const signal = new Float32Array(SAMPLE_RATE / 2);
+            signal.set(drumHit('snare'), Math.round(0.1 * SAMPLE_RATE));
+            const hitsWith = (config) => {
+                const hits = [];
+                analyzeOffline(signal, {
+                    sampleRate: SAMPLE_RATE,
+                    config,
+                    onMessage: (message) => message.type === 'percussion-onset' && hits.push(message.data)
+                });
+                return hits;
+            };
+
+            expect(hitsWith({})).toEqual([]);
+            expect(hitsWith({ beatbox: true })).toHaveLength(1);
+
+            const processor = new PitchFrameProcessor({ sampleRate: SAMPLE_RATE });
+            processor.updateConfig({ beatbox: true });
+            expect(processor.percussionDetector).toBeInstanceOf(PercussionOnsetDetector);
+        });
+    });
+
+    describe('Formants', () => {
+        it('should compute LPC coefficients of an AR(2) process', () => {
+            // x[n] = 1.6 x[n-1] - 0.8 x[n-2] + noise
+            const random = createRandom(3);
+            const x = new Float64Array(8192);
+            for (let i = 2; i < x.length; i++) x[i] = 1.6 * x[i - 1] - 0.8 * x[i - 2] + (random() - 0.5);
+
+            const a = computeLPC(x, 2);
+            expect(a[0]).toBe(1);
+            expect(a[1]).toBeCloseTo(-1.6, 1);
+            expect(a[2]).toBeCloseTo(0.8, 1);
+            expect(computeLPC(new Float64Array(64), 4)).toBe(null);
+        });
+
+        it('should find F1 / F2 of sung vowels and name them', () => {
+            for (const [vowel, formants] of Object.entries(VOWEL_FORMANTS)) {
+                const frame = sungVowel(120, formants).subarray(8192, 8192 + 1024);
+                const estimate = estimateFormants(frame, SAMPLE_RATE);
+
+                expect(Math.abs(Math.log(estimate.f1 / formants[0]))).toBeLessThan(0.25);
+                expect(Math.abs(Math.log(estimate.f2 / formants[1]))).toBeLessThan(0.25);
+                expect(classifyVowel(estimate.f1, estimate.f2).vowel).toBe(vowel);
+            }
+        });
+
+        it('should give no formants for silence', () => {
+            expect(estimateFormants(new Float32Array(1024), SAMPLE_RATE)).toBe(null);
+        });
+
+        it('should only name vowels close to a reference', () => {
+            const a = classifyVowel(750, 1250);
+            expect(a.vowel).toBe('a');
+            expect(a.confidence).toBeCloseTo(1, 6);
+            expect(classifyVowel(620, 1100).confidence).toBeLessThan(a.confidence);
+            expect(classifyVowel(2000, 3000)).toEqual({ vowel: null, confidence: 0 });
+            expect(classifyVowel(0, 0)).toEqual({ vowel: null, confidence: 0 });
+        });
+
+        it('should place vowels in a 0-1 vowel space', () => {
+            expect(vowelSpace(...VOWEL_FORMANTS.a).openness).toBeGreaterThan(0.9);
+            expect(vowelSpace(...VOWEL_FORMANTS.u)).toMatchObject({ openness: expect.any(Number), frontness: 0 });
+            expect(vowelSpace(...VOWEL_FORMANTS.u).openness).toBeLessThan(0.1);
+            expect(vowelSpace(...VOWEL_FORMANTS.i).frontness).toBe(1);
+            expect(vowelSpace(0, 0)).toBe(null);
+        });
+    });
+
+    describe('PitchFrameProcessor', () => {
+        it('should emit a frame every 512 samples once the window is full', () => {
+            const processor = new PitchFrameProcessor({ sampleRate: SAMPLE_RATE });
+            const signal = sine(330, 0.2);
+            const emitted = [];
+
+            for (let i = 0; i + WORKLET_BLOCK_SIZE <= signal.length; i += WORKLET_BLOCK_SIZE) {
+                const message = processor.process(signal.subarray(i, i + WORKLET_BLOCK_SIZE), i / SAMPLE_RATE);
+                if (message) emitted.push(i / WORKLET_BLOCK_SIZE);
+            }
+
+            // First window after 8 blocks (1024 samples), then every 4 blocks (50% hop)
+            expect(emitted[0]).toBe(7);
+            expect(emitted[1] - emitted[0]).toBe(4);
+        });
+
+        it('should reach low bass pitches with a longer window', () => {
+            const signal = sine(65.4, 0.5);
+            const track = (config) => analyzeOffline(signal, { sampleRate: SAMPLE_RATE, config })
+                .map(frame => frame.rawFrequency);
+
+            // 1024 samples: lags stop at 512 (86 Hz), so C2 comes out as a harmonic or not at all
+            expect(track({}).filter(f => Math.abs(f - 65.4) < 2)).toHaveLength(0);
+
+            const frames = track({ windowSize: 2048 });
+            expect(frames.length).toBeGreaterThan(0);
+            frames.forEach(f => expect(f).toBeCloseTo(65.4, 0));
+
+            const processor = new PitchFrameProcessor({ sampleRate: SAMPLE_RATE });
+            processor.updateConfig({ windowSize: 2048 });
+            expect(processor.accumulationBuffer.length).toBe(2048);
+            expect(processor.fft.size).toBe(2048);
+        });
+
+        it('should apply config updates like the worklet', () => {
+            const processor = new PitchFrameProcessor({ sampleRate: SAMPLE_RATE });
+            processor.updateConfig({ minVolumeThreshold: 0.5, volumeAlpha: 0.9 });
+            expect(processor.config.minVolumeThreshold).toBe(0.5);
+            expect(processor.volumeFilter.alpha).toBe(0.9);
+        });
+
+        it('should rebuild YIN when only the sample rate changes', () => {
+            const processor = new PitchFrameProcessor({ sampleRate: 48000 });
+            processor.updateConfig({ sampleRate: SAMPLE_RATE });
+
+            const signal = sine(440, 0.1);
+            let message = null;
+            for (let i = 0; i + WORKLET_BLOCK_SIZE <= signal.length; i += WORKLET_BLOCK_SIZE) {
+                message = processor.process(signal.subarray(i, i + WORKLET_BLOCK_SIZE), i / SAMPLE_RATE) || message;
+            }
+            expect(message.data.rawFrequency).toBeCloseTo(440, 0);
+        });
+
+        it('should switch between YIN and PYIN through config updates', () => {
+            const processor = new PitchFrameProcessor({ sampleRate: SAMPLE_RATE });
+            expect(processor.pyin).toBe(null);
+
+            processor.updateConfig({ algorithm: 'PYIN', pyinLookahead: 2 });
+            expect(processor.pyin).toBeInstanceOf(PYINTracker);
+            expect(processor.pyin.lookahead).toBe(2);
+
+            const tracker = processor.pyin;
+            processor.updateConfig({ algorithm: 'PYIN', minVolumeThreshold: 0.01 });
+            expect(processor.pyin).toBe(tracker);
+
+            processor.updateConfig({ algorithm: 'YIN' });
+            expect(processor.pyin).toBe(null);
+        });
+
+        it('should run MPM when selected', () => {
+            const processor = new PitchFrameProcessor({ sampleRate: SAMPLE_RATE, algorithm: 'MPM' });
+            expect(processor._activeDetector()).toBe(processor.mpmDetector);
+
+            processor.updateConfig({ algorithm: 'YIN' });
+            expect(processor.mpmDetector).toBe(null);
+            expect(processor._activeDetector()).toBe(processor.detector);
+        });
+
+        it('should hand AUTO over to MPM for high notes and back to YIN for low ones', () => {
+            const processor = new PitchFrameProcessor({ sampleRate: SAMPLE_RATE, algorithm: 'AUTO' });
+            const feed = (signal) => {
+                for (let i = 0; i + WORKLET_BLOCK_SIZE <= signal.length; i += WORKLET_BLOCK_SIZE) {
+                    processor.process(signal.subarray(i, i + WORKLET_BLOCK_SIZE), 0);
+                }
+            };
+
+            expect(processor.autoAlgorithm).toBe('YIN');
+            feed(sine(880, 0.3));
+            expect(processor.autoAlgorithm).toBe('MPM');
+
+            // Inside the hysteresis gap nothing changes
+            feed(sine((AUTO_ALGORITHM_CROSSOVER.toMPM + AUTO_ALGORITHM_CROSSOVER.toYIN) / 2, 0.3));
+            expect(processor.autoAlgorithm).toBe('MPM');
+
+            feed(sine(150, 0.3));
+            expect(processor.autoAlgorithm).toBe('YIN');
+        });
+
+        it('should let AUTO fall back to the other detector when the active one finds nothing', () => {
+            const processor = new PitchFrameProcessor({ sampleRate: SAMPLE_RATE, algorithm: 'AUTO' });
+            processor.detector = () => null; // YIN defeated (e.g. a noisy whistle)
+
+            const signal = sine(1000, 0.3);
+            const frames = [];
+            for (let i = 0; i + WORKLET_BLOCK_SIZE <= signal.length; i += WORKLET_BLOCK_SIZE) {
+                const message = processor.process(signal.subarray(i, i + WORKLET_BLOCK_SIZE), 0);
+                if (message?.type === 'pitch-frame') frames.push(message.data);
+            }
+
+            expect(frames.length).toBeGreaterThan(0);
+            expect(frames.at(-1).frequency).toBeCloseTo(1000, 0);
+            expect(processor.autoAlgorithm).toBe('MPM');
+        });
+
+        it('should add vibrato rate and depth to the frames', () => {
+            const frames = analyzeOffline(vibratoTone(330, 1.5, 6, 50), { sampleRate: SAMPLE_RATE });
+            const last = frames.at(-1);
+
+            expect(last.vibratoRate).toBeCloseTo(6, 0);
+            expect(last.vibratoDepth).toBeGreaterThan(35);
+            expect(last.vibratoDepth).toBeLessThan(60);
+
+            const straight = analyzeOffline(sine(330, 1.5), { sampleRate: SAMPLE_RATE }).at(-1);
+            expect(straight.vibratoRate).toBe(0);
+            expect(straight.vibratoDepth).toBe(0);
+        });
+
+        it('should weight PYIN confidence by the voiced probability', () => {
+            const frames = analyzeOffline(sine(440, 0.5), { sampleRate: SAMPLE_RATE, config: { algorithm: 'PYIN' } });
+
+            expect(frames.length).toBeGreaterThan(30);
+            frames.forEach(frame => {
+                expect(frame.voicedProbability).toBeGreaterThan(0);
+                expect(frame.confidence).toBeLessThanOrEqual(frame.voicedProbability);
+                expect(frame.note).toBe('A');
+            });
+        });
+
+        it('should pair the delayed PYIN pitch with the features and time of its own window', () => {
+            // Quiet A3, then a loud A4 from 0.5 s
+            const signal = new Float32Array(SAMPLE_RATE);
+            signal.set(sine(220, 0.5).map(x => 0.2 * x));
+            signal.set(sine(440, 0.5), Math.round(0.5 * SAMPLE_RATE));
+            const firstHigh = (frames) => frames.find(frame => frame.frequency > 330);
+
+            const yin = firstHigh(analyzeOffline(signal, { sampleRate: SAMPLE_RATE }));
+            const frames = analyzeOffline(signal, { sampleRate: SAMPLE_RATE, config: { algorithm: 'PYIN', pyinLookahead: 3 } });
+            const pyin = firstHigh(frames);
+
+            // Same window as YIN (within a hop), not three hops later
+            const hopMs = 512 / SAMPLE_RATE * 1000;
+            expect(Math.abs(pyin.captureTime - yin.captureTime)).toBeLessThanOrEqual(hopMs + 1e-6);
+            // The frame before still carries the quiet window's level
+            const before = frames[frames.indexOf(pyin) - 1];
+            expect(before.frequency).toBeLessThan(330);
+            expect(before.volumeLinear).toBeLessThan(pyin.volumeLinear);
+        });
+    });
+
+    describe('analyzeOffline', () => {
+        it('should track a tone and time-stamp frames from the block position', () => {
+            const signal = new Float32Array(SAMPLE_RATE);
+            signal.set(sine(440, 0.8), Math.round(0.2 * SAMPLE_RATE));
+
+            const frames = analyzeOffline(signal, { sampleRate: SAMPLE_RATE });
+
+            expect(frames.length).toBeGreaterThan(50);
+            expect(frames[0].captureTime).toBeGreaterThan(190);
+            expect(frames[0].articulation).toBe('attack');
+            // Skip the windows that straddle the onset
+            frames.slice(5).forEach(frame => {
+                expect(frame.note).toBe('A');
+                expect(frame.octave).toBe(4);
+                expect(Math.abs(frame.cents)).toBeLessThanOrEqual(2);
+            });
+        });
+
+        it('should report formants and the vowel of a sung note', () => {
+            const frames = analyzeOffline(sungVowel(130, VOWEL_FORMANTS.i, 0.6), { sampleRate: SAMPLE_RATE });
+            const last = frames.at(-1);
+
+            expect(last.vowel).toBe('i');
+            expect(last.vowelConfidence).toBeGreaterThan(0);
+            expect(last.formantF1).toBeGreaterThan(200);
+            expect(last.formantF2).toBeGreaterThan(1800);
+        });
+
+        it('should honour the sample rate of the file', () => {
+            const frames = analyzeOffline(sine(200, 0.5, 0.3, 16000), { sampleRate: 16000 });
+            expect(frames.at(-1).frequency).toBeCloseTo(200, 0);
+        });
+
+        it('should forward every message to onMessage', () => {
+            const types = new Set();
+            // Low-volume reports are throttled to every 100th window
+            analyzeOffline(new Float32Array(2 * SAMPLE_RATE), {
+                sampleRate: SAMPLE_RATE,
+                onMessage: (message) => types.add(message.type)
+            });
+            expect([...types]).toEqual(['volume-too-low']);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { RetuneModel, DEFAULT_RETUNE_PARAMS } from '../../js/core/retune-model.js';
+import { getNearestScaleNote } from '../../js/core/music-scales.js';
+
+const A4 = 440;
+const cents = (hz) => 1200 * Math.log2(hz / A4);
+const fromCents = (c) => A4 * Math.pow(2, c / 1200);
+const chromatic = (hz) => getNearestScaleNote(hz, 'C', 'chromatic').frequency;
+
+/**
+ * Sing `pitchAt(t)` (cents from A4) in 10 ms frames
+ * @returns {Array<{time: number, cents: number, result: Object}>}
+ */
+function sing(model, pitchAt, { fromMs = 0, toMs = 1000 } = {}) {
+    const out = [];
+    for (let time = fromMs; time < toMs; time += 10) {
+        const result = model.process({ frequency: fromCents(pitchAt(time)), quantize: chromatic, time });
+        out.push({ time, cents: cents(result.frequency), result });
+    }
+    return out;
+}
+
+describe('RetuneModel', () => {
+    it('should pass the input through at strength 0', () => {
+        const model = new RetuneModel();
+        expect(DEFAULT_RETUNE_PARAMS.strength).toBe(0);
+        const out = sing(model, () => 30, { toMs: 200 });
+        out.forEach(frame => expect(frame.cents).toBeCloseTo(30, 6));
+    });
+
+    it('should snap a new note straight to the target', () => {
+        const model = new RetuneModel({ strength: 1 });
+        const first = model.process({ frequency: fromCents(30), quantize: chromatic, time: 0 });
+        expect(cents(first.frequency)).toBeCloseTo(0, 6);
+        expect(first.phase).toBe('onset');
+        expect(first.rampMs).toBe(DEFAULT_RETUNE_PARAMS.onsetSpeedMs);
+
+        // After a gap the next frame is a new note again
+        const next = model.process({ frequency: fromCents(-30), quantize: chromatic, time: 1000 });
+        expect(cents(next.frequency)).toBeCloseTo(0, 6);
+        expect(next.rampMs).toBe(DEFAULT_RETUNE_PARAMS.onsetSpeedMs);
+    });
+
+    it('should correct faster during the onset than during the sustain', () => {
+        const params = { strength: 1, vibratoPreserve: 0, onsetMs: 80, onsetSpeedMs: 5, sustainSpeedMs: 100 };
+        // A 20-cent drift 10 ms after the note starts is caught almost at once
+        const early = new RetuneModel(params);
+        const onset = sing(early, t => (t < 10 ? 0 : 20), { toMs: 20 });
+        expect(onset[1].result.phase).toBe('onset');
+        expect(Math.abs(onset[1].cents)).toBeLessThan(5);
+
+        // The same drift in the sustain is smoothed over ~100 ms
+        const late = new RetuneModel(params);
+        const sustain = sing(late, t => (t < 300 ? 0 : 20), { toMs: 310 });
+        expect(sustain[30].result.phase).toBe('sustain');
+        expect(sustain[30].cents).toBeGreaterThan(15);
+    });
+
+    it('should keep vibrato while pulling its centre onto the note', () => {
+        // 15 cents sharp with a +-30 cent, 5.5 Hz vibrato
+        const vibrato = t => 15 + 30 * Math.sin(2 * Math.PI * 5.5 * t / 1000);
+        const settled = out => out.filter(frame => frame.time >= 500).map(frame => frame.cents);
+
+        const kept = settled(sing(new RetuneModel({ strength: 1, sustainSpeedMs: 0 }), vibrato));
+        const mean = kept.reduce((sum, c) => sum + c, 0) / kept.length;
+        expect(Math.abs(mean)).toBeLessThan(5);
+        expect(Math.max(...kept) - Math.min(...kept)).toBeGreaterThan(40);
+
+        const flattened = settled(sing(new RetuneModel({ strength: 1, sustainSpeedMs: 0, vibratoPreserve: 0 }), vibrato));
+        expect(Math.max(...flattened) - Math.min(...flattened)).toBeLessThan(1);
+    });
+
+    it('should report the vibrato left in its output', () => {
+        const vibrato = t => 30 * Math.sin(2 * Math.PI * 5.5 * t / 1000);
+        const model = new RetuneModel({ strength: 1, sustainSpeedMs: 15, vibratoPreserve: 0.5 });
+        const settled = sing(model, vibrato).filter(frame => frame.time >= 500);
+
+        // Half of the +-30 cent vibrato is flattened: about 60 cents peak to peak become 30
+        const left = settled.map(frame => frame.result.vibratoCents);
+        expect(Math.max(...left) - Math.min(...left)).toBeGreaterThan(20);
+        expect(Math.max(...left) - Math.min(...left)).toBeLessThan(45);
+
+        // Nothing is left when the vibrato is flattened completely
+        const flat = sing(new RetuneModel({ strength: 1, sustainSpeedMs: 0, vibratoPreserve: 0 }), vibrato);
+        flat.filter(frame => frame.result.phase === 'sustain')
+            .forEach(frame => expect(frame.result.vibratoCents).toBeCloseTo(0, 6));
+    });
+
+    it('should glide between target notes over transitionMs', () => {
+        const model = new RetuneModel({ strength: 1, transitionMs: 100, onsetSpeedMs: 0, sustainSpeedMs: 0 });
+        // A4 then a legato step up to B4
+        const out = sing(model, t => (t < 200 ? 0 : 200), { toMs: 400 });
+        const at = time => out.find(frame => frame.time === time);
+
+        expect(at(200).cents).toBeCloseTo(0, 1);
+        expect(at(250).cents).toBeCloseTo(100, 1);
+        expect(at(300).cents).toBeCloseTo(200, 1);
+        expect(at(200).result.target).toBeCloseTo(fromCents(200), 6);
+
+        const instant = new RetuneModel({ strength: 1, transitionMs: 0 });
+        const step = sing(instant, t => (t < 200 ? 0 : 200), { toMs: 210 });
+        expect(step[20].cents).toBeCloseTo(200, 6);
+    });
+
+    it('should relax the correction on long notes when humanized', () => {
+        const params = { strength: 1, sustainSpeedMs: 0, humanize: 0.5, humanizeAfterMs: 400, humanizeRampMs: 1000 };
+        const out = sing(new RetuneModel(params), () => 20, { toMs: 2000 });
+        const at = time => out.find(frame => frame.time === time).cents;
+
+        expect(at(300)).toBeCloseTo(0, 1);
+        expect(at(900)).toBeCloseTo(5, 1);
+        expect(at(1900)).toBeCloseTo(10, 1);
+    });
+
+    it('should clamp parameters and ignore unknown ones', () => {
+        const model = new RetuneModel({ strength: 2, humanize: -1, transitionMs: -5, bogus: 3 });
+        expect(model.params.strength).toBe(1);
+        expect(model.params.humanize).toBe(0);
+        expect(model.params.transitionMs).toBe(0);
+        expect(model.params).not.toHaveProperty('bogus');
+    });
+});
@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+    SampleVoice,
+    parseSampleNote,
+    mapSampleZones,
+    selectZone,
+    crossfadeLoop,
+    readSampleLoop,
+    registerSampleSet,
+    unregisterSampleSet,
+    getSampleSet,
+    listSampleSets
+} from '../../js/core/sampler.js';
+import { encodeWav } from '../../js/utils/wav-codec.js';
+import { installToneMock } from '../helpers/mockTone.js';
+
+// AudioBuffer stand-in: one channel of `seconds` at 1 kHz
+const fakeBuffer = (seconds, fill = (n) => n) => {
+    const data = Float32Array.from({ length: seconds * 1000 }, (_, n) => fill(n));
+    return { sampleRate: 1000, duration: seconds, numberOfChannels: 1, getChannelData: () => data };
+};
+
+// Insert a binary chunk between the fmt and data chunks of a 44-byte-header WAV
+const withChunk = (buffer, id, body) => {
+    const wav = new Uint8Array(buffer);
+    const out = new Uint8Array(wav.length + 8 + body.length);
+    out.set(wav.subarray(0, 36));
+    out.set(new TextEncoder().encode(id), 36);
+    new DataView(out.buffer).setUint32(40, body.length, true);
+    out.set(body, 44);
+    out.set(wav.subarray(36), 44 + body.length);
+    new DataView(out.buffer).setUint32(4, out.length - 8, true);
+    return out;
+};
+
+// 'smpl' chunk with a unity note and one forward loop
+const smplChunk = (root, start, end) => {
+    const body = new Uint8Array(60);
+    const view = new DataView(body.buffer);
+    view.setUint32(12, root, true);
+    view.setUint32(28, 1, true);
+    view.setUint32(44, start, true);
+    view.setUint32(48, end, true);
+    return body;
+};
+
+describe('sample mapping', () => {
+    it('should read root notes from file names', () => {
+        expect(parseSampleNote('AltoSax_C#4_mf.wav')).toBe(61);
+        expect(parseSampleNote('tpt-Eb3-ff.wav')).toBe(51);
+        expect(parseSampleNote('A4.wav')).toBe(69);
+        expect(parseSampleNote('breath.wav')).toBe(null);
+    });
+
+    it('should split key zones between roots and velocity layers by dynamic', () => {
+        const zones = mapSampleZones([
+            { name: 'sax_C4_p.wav' },
+            { name: 'sax_C4_f.wav' },
+            { name: 'sax_G4_p.wav' },
+            { name: 'sax_G4_f.wav' },
+            { name: 'sax-long.wav', root: 52 }
+        ]);
+        const summary = zones.map(({ root, lowKey, highKey, velocityLow, velocityHigh }) =>
+            [root, lowKey, highKey, velocityLow, velocityHigh]);
+
+        expect(summary).toEqual([
+            [60, 57, 63, 1 / 3, 2 / 3],
+            [60, 57, 63, 2 / 3, 1],
+            [67, 64, 127, 1 / 3, 2 / 3],
+            [67, 64, 127, 2 / 3, 1],
+            [52, 0, 56, 0, 1 / 3]
+        ]);
+        expect(() => mapSampleZones([{ name: 'noise.wav' }])).toThrow(/root note/);
+    });
+
+    it('should pick the key zone, then the closest velocity layer', () => {
+        const zones = mapSampleZones([{ name: 'C4_v1' }, { name: 'C4_v2' }, { name: 'C5_v2' }]);
+
+        expect(selectZone(zones, 61.4, 0.2).name).toBe('C4_v1');
+        expect(selectZone(zones, 61.4, 0.9).name).toBe('C4_v2');
+        // Only one layer above the split: the soft velocity still plays it
+        expect(selectZone(zones, 70, 0.1).name).toBe('C5_v2');
+        expect(selectZone([], 60, 1)).toBe(null);
+    });
+});
+
+describe('sustain loops', () => {
+    it('should crossfade the loop end into the audio before the loop start', () => {
+        const data = Float32Array.from({ length: 20 }, (_, n) => (n < 10 ? 1 : 0));
+        crossfadeLoop(data, 10, 20, 4);
+
+        // The last frame before the loop point equals the frame before loopStart
+        expect(data[19]).toBeCloseTo(1, 6);
+        expect(data[16]).toBeCloseTo(Math.sin(Math.PI / 8), 6);
+        expect(data[15]).toBe(0);
+    });
+
+    it('should read the root and loop from the WAV smpl chunk', () => {
+        const wav = withChunk(encodeWav([new Float32Array(100)], 1000), 'smpl', smplChunk(62, 20, 79));
+
+        expect(readSampleLoop(wav)).toEqual({ root: 62, loopStart: 0.02, loopEnd: 0.08 });
+        expect(readSampleLoop(encodeWav([new Float32Array(100)], 44100))).toBe(null);
+    });
+
+    it('should keep loop times when the audio is decoded at another rate', () => {
+        // 48 kHz file, loop over frames 4800-9599; decodeAudioData resamples it to 44.1 kHz
+        const wav = withChunk(encodeWav([new Float32Array(12000)], 48000), 'smpl', smplChunk(60, 4800, 9599));
+        const { loopStart, loopEnd } = readSampleLoop(wav);
+        expect(loopStart).toBeCloseTo(0.1, 9);
+        expect(loopEnd).toBeCloseTo(0.2, 9);
+
+        const data = Float32Array.from({ length: 11025 }, (_, n) => n);
+        const buffer = { sampleRate: 44100, duration: 0.25, numberOfChannels: 1, getChannelData: () => data };
+        const { zones } = registerSampleSet('test', { zones: [{ buffer, root: 60, loopStart, loopEnd: 0.3 }] });
+        // Loop end past the decoded audio is cut to its length; the crossfade meets 0.1 s at 44.1 kHz
+        expect(zones[0].loopEnd).toBe(0.25);
+        expect(data[11024]).toBeCloseTo(4409, 0);
+        unregisterSampleSet('test');
+    });
+});
+
+describe('sample set registry', () => {
+    afterEach(() => unregisterSampleSet('test'));
+
+    it('should bake loops and loop recordings that have none', () => {
+        const buffer = fakeBuffer(2);
+        const set = registerSampleSet('test', { name: 'Test', zones: [{ buffer, root: 60 }] }, { loopCrossfade: 0.01 });
+
+        expect(set.zones[0]).toMatchObject({ loopStart: 0.8, loopEnd: 1.8, lowKey: 0, highKey: 127 });
+        // Frame 1799 now matches frame 799 (just before the loop start)
+        expect(buffer.getChannelData(0)[1799]).toBeCloseTo(799, 3);
+        expect(getSampleSet('test')).toBe(set);
+        expect(listSampleSets()).toEqual([{ id: 'test', name: 'Test', zones: 1 }]);
+
+        const short = registerSampleSet('test', { zones: [{ buffer: fakeBuffer(0.2), root: 60 }] });
+        expect(short.zones[0].loopEnd).toBe(null);
+        expect(() => registerSampleSet('test', { zones: [{ root: 60 }] })).toThrow(/buffer/);
+    });
+});
+
+describe('SampleVoice', () => {
+    let voice;
+
+    beforeEach(() => {
+        installToneMock();
+        const zones = mapSampleZones([
+            { name: 'A4_p', buffer: fakeBuffer(1), loopStart: 0.2, loopEnd: 0.8 },
+            { name: 'A4_f', buffer: fakeBuffer(1), loopStart: null, loopEnd: null }
+        ]);
+        voice = new SampleVoice({ sampleSet: { zones }, envelope: { attack: 0.05, release: 0.2 } });
+    });
+
+    it('should play the velocity layer at the repitched rate', () => {
+        voice.triggerAttack(440, 1, 0.2);
+        const soft = voice.source;
+        expect(soft.buffer).toBe(voice.zone.buffer);
+        expect(voice.zone.name).toBe('A4_p');
+        expect(soft).toMatchObject({ loop: true, loopStart: 0.2, loopEnd: 0.8, fadeIn: 0.05, fadeOut: 0.2 });
+        expect(soft.playbackRate.value).toBe(1);
+        expect(soft.started).toEqual([1]);
+
+        voice.frequency.rampTo(880, 0.01);
+        expect(soft.playbackRate.value).toBe(2);
+        expect(voice.frequency.value).toBe(880);
+
+        // A new attack fades out the previous note
+        voice.triggerAttack(220, 2, 0.9);
+        expect(soft.stopped).toEqual([2]);
+        expect(voice.zone.name).toBe('A4_f');
+        expect(voice.source.loop).toBe(false);
+        expect(voice.source.playbackRate.value).toBe(0.5);
+
+        const loud = voice.source;
+        voice.triggerRelease(3);
+        loud.onended();
+        expect(loud.stopped).toEqual([3]);
+        expect(loud.disposed).toBe(true);
+        expect(voice.source).toBe(null);
+    });
+});
@@ -0,0 +1,253 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionRecorder, RECORDING_FORMATS } from '../../js/features/session-recorder.js';
+
+// Mock AudioWorkletNode: echoes the recorder-worklet protocol
+class MockAudioWorkletNode {
+    constructor(context, name, options) {
+        this.context = context;
+        this.name = name;
+        this.options = options;
+        this.disconnect = vi.fn();
+        this.port = {
+            onmessage: null,
+            messages: [],
+            postMessage: vi.fn((message) => {
+                this.port.messages.push(message.type);
+                if (message.type === 'stop') {
+                    queueMicrotask(() => this.port.onmessage?.({ data: { type: 'stopped' } }));
+                }
+            })
+        };
+        MockAudioWorkletNode.instances.push(this);
+    }
+
+    // Simulate a batch arriving from the audio thread
+    emit(channels) {
+        this.port.onmessage({ data: { type: 'chunk', channels } });
+    }
+}
+MockAudioWorkletNode.instances = [];
+
+class MockMediaRecorder {
+    constructor(stream, options) {
+        this.stream = stream;
+        this.options = options;
+        this.state = 'inactive';
+        this.listeners = {};
+        this.ondataavailable = null;
+    }
+    static isTypeSupported() { return true; }
+    start() { this.state = 'recording'; }
+    pause() { this.state = 'paused'; }
+    resume() { this.state = 'recording'; }
+    stop() {
+        this.state = 'inactive';
+        this.ondataavailable?.({ data: new Blob(['opus'], { type: 'audio/webm' }) });
+        this.listeners.stop?.();
+    }
+    addEventListener(type, fn) { this.listeners[type] = fn; }
+}
+
+const createMockNode = () => ({ connect: vi.fn(), disconnect: vi.fn() });
+
+const createMockContext = () => ({
+    sampleRate: 4,
+    destination: createMockNode(),
+    audioWorklet: { addModule: vi.fn().mockResolvedValue(undefined) },
+    createGain: vi.fn(() => createMockNode()),
+    createMediaStreamDestination: vi.fn(() => ({ ...createMockNode(), stream: { id: 'dest' } })),
+    createMediaStreamSource: vi.fn(() => createMockNode()),
+    createScriptProcessor: vi.fn(() => createMockNode())
+});
+
+describe('SessionRecorder', () => {
+    let ctx;
+    let engineOutput;
+    let recorder;
+
+    beforeEach(() => {
+        MockAudioWorkletNode.instances = [];
+        global.AudioWorkletNode = MockAudioWorkletNode;
+        global.MediaRecorder = MockMediaRecorder;
+
+        ctx = createMockContext();
+        engineOutput = createMockNode();
+        recorder = new SessionRecorder({
+            engines: [{ getOutputNode: () => engineOutput }, { getOutputNode: () => null }],
+            audioContext: ctx
+        });
+    });
+
+    afterEach(() => {
+        delete global.AudioWorkletNode;
+        delete global.MediaRecorder;
+    });
+
+    it('should tap the engine output and start capturing', async () => {
+        await recorder.start();
+
+        expect(recorder.state).toBe('recording');
+        expect(ctx.audioWorklet.addModule).toHaveBeenCalledWith('js/recorder-worklet.js');
+        expect(engineOutput.connect).toHaveBeenCalledTimes(1);
+
+        const [capture] = MockAudioWorkletNode.instances;
+        expect(capture.name).toBe('session-recorder');
+        expect(capture.port.messages).toEqual(['start']);
+        expect(recorder.tracks.synth.mediaRecorder.state).toBe('recording');
+    });
+
+    it('should throw if no engine output exists yet', async () => {
+        recorder = new SessionRecorder({ engines: [{ getOutputNode: () => null }], audioContext: ctx });
+        await expect(recorder.start()).rejects.toThrow('start the engine first');
+        expect(recorder.state).toBe('inactive');
+    });
+
+    it('should collect PCM chunks and export WAV after stop', async () => {
+        await recorder.start();
+        const [capture] = MockAudioWorkletNode.instances;
+        capture.emit([new Float32Array([0, 0.5]), new Float32Array([0, -0.5])]);
+        capture.emit([new Float32Array([1, 1]), new Float32Array([1, 1])]);
+
+        const summary = await recorder.stop();
+
+        expect(summary).toEqual({ duration: 1, tracks: ['synth'], empty: false });
+        expect(recorder.state).toBe('inactive');
+        expect(engineOutput.disconnect).toHaveBeenCalled();
+
+        const wav = recorder.exportWav({ bitDepth: 24 });
+        expect(wav.type).toBe('audio/wav');
+        expect(wav.size).toBe(44 + 4 * 2 * 3);
+    });
+
+    it('should pause and resume both capture paths', async () => {
+        await recorder.start();
+        const [capture] = MockAudioWorkletNode.instances;
+        const mediaRecorder = recorder.tracks.synth.mediaRecorder;
+
+        recorder.pause();
+        expect(recorder.state).toBe('paused');
+        expect(mediaRecorder.state).toBe('paused');
+
+        recorder.resume();
+        expect(recorder.state).toBe('recording');
+        expect(mediaRecorder.state).toBe('recording');
+        expect(capture.port.messages).toEqual(['start', 'stop', 'start']);
+    });
+
+    it('should record the dry mic as a second track', async () => {
+        const micStream = { id: 'mic' };
+        await recorder.start({ includeMic: true, micStream });
+
+        expect(ctx.createMediaStreamSource).toHaveBeenCalledWith(micStream);
+        expect(Object.keys(recorder.tracks)).toEqual(['synth', 'mic']);
+
+        await recorder.stop();
+        expect(recorder.exportWebm({ track: 'mic' }).type).toBe('audio/webm;codecs=opus');
+    });
+
+    it('should fall back to ScriptProcessor without AudioWorklet', async () => {
+        delete global.AudioWorkletNode;
+        await recorder.start();
+
+        expect(ctx.createScriptProcessor).toHaveBeenCalled();
+        const processor = recorder.tracks.synth.captureNode;
+        processor.onaudioprocess({
+            inputBuffer: { numberOfChannels: 1, getChannelData: () => new Float32Array([0.1, 0.2]) }
+        });
+
+        recorder.pause();
+        processor.onaudioprocess({
+            inputBuffer: { numberOfChannels: 1, getChannelData: () => new Float32Array([0.3, 0.4]) }
+        });
+
+        await recorder.stop();
+        expect(recorder.getDuration()).toBe(0.5);
+    });
+
+    it('should begin a take on the given start time', async () => {
+        vi.useFakeTimers();
+        ctx.currentTime = 1;
+        await recorder.start({ startTime: 1.5 });
+
+        const [capture] = MockAudioWorkletNode.instances;
+        expect(capture.port.postMessage).toHaveBeenCalledWith({ type: 'start', at: 1.5 });
+
+        const mediaRecorder = recorder.tracks.synth.mediaRecorder;
+        expect(mediaRecorder.state).toBe('inactive');
+        vi.advanceTimersByTime(500);
+        expect(mediaRecorder.state).toBe('recording');
+        vi.useRealTimers();
+    });
+
+    it('should not start the WebM recorder while paused before the start time', async () => {
+        vi.useFakeTimers();
+        ctx.currentTime = 1;
+        await recorder.start({ startTime: 1.5 });
+        const mediaRecorder = recorder.tracks.synth.mediaRecorder;
+
+        recorder.pause();
+        vi.advanceTimersByTime(1000);
+        expect(mediaRecorder.state).toBe('inactive');
+
+        ctx.currentTime = 2;
+        recorder.resume();
+        expect(mediaRecorder.state).toBe('recording');
+        vi.useRealTimers();
+    });
+
+    it('should report an empty take when stopped before the start time', async () => {
+        global.alert = vi.fn();
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        ctx.currentTime = 1;
+        await recorder.start({ startTime: 1.5 });
+
+        const summary = await recorder.stop();
+
+        expect(summary).toEqual({ duration: 0, tracks: ['synth'], empty: true });
+        expect(recorder.download(RECORDING_FORMATS.WAV_16)).toBe(0);
+        expect(recorder.download(RECORDING_FORMATS.WEBM_OPUS)).toBe(0);
+        expect(global.alert).toHaveBeenCalledTimes(2);
+        delete global.alert;
+        warn.mockRestore();
+    });
+
+    it('should trim the ScriptProcessor fallback to the start time', async () => {
+        delete global.AudioWorkletNode;
+        ctx.currentTime = 0;
+        await recorder.start({ startTime: 1.5 });
+
+        // 4 Hz context: blocks of 4 samples heard one block after capture
+        const processor = recorder.tracks.synth.captureNode;
+        const block = (values) => ({ numberOfChannels: 1, getChannelData: () => new Float32Array(values) });
+        processor.onaudioprocess({ playbackTime: 2, inputBuffer: block([1, 2, 3, 4]) });
+        processor.onaudioprocess({ playbackTime: 3, inputBuffer: block([5, 6, 7, 8]) });
+
+        await recorder.stop();
+        expect(recorder.lastTake.synth.chunks.map(([data]) => Array.from(data))).toEqual([[3, 4], [5, 6, 7, 8]]);
+    });
+
+    it('should notify state changes', async () => {
+        const states = [];
+        recorder.onStateChange = ({ state }) => states.push(state);
+
+        await recorder.start();
+        await recorder.stop();
+
+        expect(states).toEqual(['recording', 'stopping', 'inactive']);
+    });
+
+    it('should download one file per track', async () => {
+        const click = vi.fn();
+        const createElement = vi.spyOn(document, 'createElement').mockReturnValue({ click });
+        global.URL.createObjectURL = vi.fn(() => 'blob:take');
+        global.URL.revokeObjectURL = vi.fn();
+
+        await recorder.start({ includeMic: true, micStream: {} });
+        MockAudioWorkletNode.instances.forEach(capture => capture.emit([new Float32Array([0.1, 0.2])]));
+        await recorder.stop();
+
+        expect(recorder.download(RECORDING_FORMATS.WAV_16)).toBe(2);
+        expect(click).toHaveBeenCalledTimes(2);
+        createElement.mockRestore();
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import swSource from '../../sw.js?raw';
+
+const MODEL_URL = 'https://cdn.example/magenta/music.js';
+
+// Run sw.js (a classic worker script) against a fake worker scope
+function loadServiceWorker({ network }) {
+    const listeners = {};
+    const store = new Map();
+    const cache = {
+        match: vi.fn(async (request) => store.get(request.url)),
+        put: vi.fn(async (request, response) => { store.set(request.url, response); })
+    };
+    const scope = {
+        location: { href: `https://app.example/sw.js?model=${encodeURIComponent('https://cdn.example/magenta/')}` },
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        skipWaiting: vi.fn(),
+        clients: { claim: vi.fn() }
+    };
+    const caches = { open: vi.fn(async () => cache), keys: vi.fn(async () => []), delete: vi.fn() };
+    const fetch = vi.fn(async () => network());
+
+    new Function('self', 'caches', 'fetch', swSource)(scope, caches, fetch);
+
+    // Dispatch one fetch event; resolves with the response, or null when the page handles it
+    const request = (url) => {
+        let responded = null;
+        listeners.fetch({ request: { url, method: 'GET' }, respondWith: (promise) => { responded = promise; } });
+        return responded;
+    };
+    return { request, fetch, cache };
+}
+
+const response = (overrides = {}) => ({ ok: true, type: 'cors', clone() { return this; }, ...overrides });
+
+describe('sw.js model cache', () => {
+    let worker;
+
+    beforeEach(() => {
+        worker = loadServiceWorker({ network: () => response() });
+    });
+
+    it('should fetch a model request once, then serve it from the cache', async () => {
+        const first = await worker.request(MODEL_URL);
+        const second = await worker.request(MODEL_URL);
+
+        expect(first.type).toBe('cors');
+        expect(second).toBe(first);
+        expect(worker.fetch).toHaveBeenCalledTimes(1);
+        expect(worker.cache.put).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave other requests to the network untouched', () => {
+        expect(worker.request('https://app.example/index.html')).toBe(null);
+        expect(worker.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should not cache failed responses', async () => {
+        worker = loadServiceWorker({ network: () => response({ ok: false, status: 503 }) });
+
+        await worker.request(MODEL_URL);
+        expect(worker.cache.put).not.toHaveBeenCalled();
+    });
+});
@@ -10,6 +10,13 @@ const mockContinuousEngine = {
     setAutoTuneStrength: vi.fn(),
     setRetuneSpeed: vi.fn(),
     setScale: vi.fn(),
+    setChordTrack: vi.fn(),
+    setRetuneModel: vi.fn(),
+    setVowelFilter: vi.fn(),
+    setHarmonyVoices: vi.fn(),
+    setWavetable: vi.fn(),
+    reloadSampleSet: vi.fn(),
+    getHarmonyVoices: vi.fn(() => [{ mode: 'diatonic', interval: 2, instrument: 'flute', level: 0.7, pan: 0 }]),
     stop: vi.fn()
 };
 
@@ -122,6 +129,39 @@ describe('SynthManager', () => {
             expect(store.getState().synth.reverbWet).toBe(1.0);
         });
 
+        it('should send the vowel filter to the continuous engine only', () => {
+            synthManager.setMode(false);
+            synthManager.setVowelFilter({ mode: 'talkbox', mix: 1.4 });
+
+            expect(mockContinuousEngine.setVowelFilter).toHaveBeenCalledWith({ mode: 'talkbox', mix: 1 });
+            expect(store.getState().synth.vowelFilter).toEqual({ mode: 'talkbox', mix: 1 });
+        });
+
+        it('should send harmony voices to the continuous engine and store what it kept', () => {
+            synthManager.setHarmonyVoices([{ mode: 'diatonic', interval: 2 }]);
+
+            expect(mockContinuousEngine.setHarmonyVoices).toHaveBeenCalledWith([{ mode: 'diatonic', interval: 2 }]);
+            expect(store.getState().synth.harmonyVoices).toEqual([
+                { mode: 'diatonic', interval: 2, instrument: 'flute', level: 0.7, pan: 0 }
+            ]);
+        });
+
+        it('should keep the wavetable unchanged when the engine rejects it', () => {
+            synthManager.setWavetable('custom:growl');
+            expect(store.getState().synth.wavetable).toBe('custom:growl');
+
+            mockContinuousEngine.setWavetable.mockImplementationOnce(() => {
+                throw new Error('Unknown wavetable "missing"');
+            });
+            synthManager.setWavetable('missing');
+            expect(store.getState().synth.wavetable).toBe('custom:growl');
+        });
+
+        it('should rebuild sampled voices on the continuous engine', () => {
+            synthManager.reloadSampleSet('alto_sax');
+            expect(mockContinuousEngine.reloadSampleSet).toHaveBeenCalledWith('alto_sax');
+        });
+
         it('should update delay and store', () => {
             synthManager.setDelay(0.8);
             expect(mockContinuousEngine.setDelayWet).toHaveBeenCalledWith(0.8);
@@ -153,5 +193,83 @@ describe('SynthManager', () => {
             expect(store.getState().synth.autoTune.key).toBe('D');
             expect(store.getState().synth.autoTune.scale).toBe('minor');
         });
+
+        it('should pass the retune curve settings to the engine', () => {
+            synthManager.setAutoTuneConfig({ transition: 120, humanize: 0.3 });
+
+            expect(mockContinuousEngine.setRetuneModel).toHaveBeenLastCalledWith(
+                expect.objectContaining({ transitionMs: 120, humanize: 0.3 })
+            );
+            expect(store.getState().synth.autoTune).toMatchObject({ transition: 120, humanize: 0.3 });
+        });
+
+        it('should build a chord track and hand it to the engine', () => {
+            synthManager.setAutoTuneConfig({ chords: { enabled: true, progression: 'Am | F', bpm: 90 } });
+
+            const track = mockContinuousEngine.setChordTrack.mock.calls[0][0];
+            expect(track.bpm).toBe(90);
+            expect(track.isStarted).toBe(true);
+            expect(store.getState().synth.autoTune.chords).toMatchObject({ enabled: true, progression: 'Am | F' });
+
+            // Same settings: keep the running track
+            synthManager.setAutoTuneConfig({ chords: { enabled: true } });
+            expect(mockContinuousEngine.setChordTrack).toHaveBeenCalledTimes(1);
+
+            synthManager.setAutoTuneConfig({ chords: { enabled: false } });
+            expect(mockContinuousEngine.setChordTrack).toHaveBeenLastCalledWith(null);
+        });
+
+        it('should disable chord following for an invalid progression', () => {
+            synthManager.setAutoTuneConfig({ chords: { enabled: true, progression: 'Am | Q7', bpm: 120 } });
+
+            expect(mockContinuousEngine.setChordTrack).toHaveBeenLastCalledWith(null);
+            expect(store.getState().synth.autoTune.chords.enabled).toBe(false);
+        });
+    });
+
+    describe('MIDI Output Configuration', () => {
+        const mockMidiEngine = {
+            setOutput: vi.fn(),
+            setChannel: vi.fn(),
+            setEnabled: vi.fn(),
+            setMode: vi.fn()
+        };
+
+        beforeEach(() => {
+            store.setState({ midi: { enabled: false, outputId: null, channel: 0, mode: 'mono' } });
+            synthManager = new SynthManager({
+                continuous: mockContinuousEngine,
+                legacy: mockLegacyEngine,
+                midi: mockMidiEngine
+            });
+        });
+
+        it('should apply port, channel and enable state to the engine', () => {
+            synthManager.setMidiOutputConfig({ outputId: 'out-1', channel: 3, enabled: true });
+
+            expect(mockMidiEngine.setOutput).toHaveBeenCalledWith('out-1');
+            expect(mockMidiEngine.setChannel).toHaveBeenCalledWith(3);
+            expect(mockMidiEngine.setEnabled).toHaveBeenCalledWith(true);
+            expect(store.getState().midi).toEqual({ enabled: true, outputId: 'out-1', channel: 3, mode: 'mono' });
+        });
+
+        it('should switch the engine to MPE', () => {
+            synthManager.setMidiOutputConfig({ mode: 'mpe' });
+
+            expect(mockMidiEngine.setMode).toHaveBeenCalledWith('mpe');
+            expect(store.getState().midi.mode).toBe('mpe');
+        });
+
+        it('should only touch the changed settings', () => {
+            synthManager.setMidiOutputConfig({ channel: 5 });
+
+            expect(mockMidiEngine.setChannel).toHaveBeenCalledWith(5);
+            expect(mockMidiEngine.setOutput).not.toHaveBeenCalled();
+            expect(mockMidiEngine.setEnabled).not.toHaveBeenCalled();
+        });
+
+        it('should expose the MIDI engine', () => {
+            expect(synthManager.getMidiEngine()).toBe(mockMidiEngine);
+        });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from 'vitest';
+import { TempoDetector } from '../../js/features/tempo-detector.js';
+
+const HOP_MS = 11.6;
+const ATTACK_MS = 50;
+
+/**
+ * Feed worklet-rate frames with an `attack` articulation after each onset
+ * @param {number[]} onsets - Onset times in ms
+ */
+function sing(detector, onsets, { startMs = 0, endMs = null } = {}) {
+    const end = endMs ?? onsets[onsets.length - 1] + 400;
+    let next = 0;
+    let lastOnset = -Infinity;
+    for (let time = startMs; time < end; time += HOP_MS) {
+        while (next < onsets.length && onsets[next] <= time) lastOnset = onsets[next++];
+        const articulation = time - lastOnset < ATTACK_MS ? 'attack' : 'sustain';
+        detector.process({ frequency: 440, confidence: 0.9, articulation, captureTime: time });
+    }
+}
+
+const beats = (bpm, count, startMs = 0) => Array.from({ length: count }, (_, i) => startMs + i * 60000 / bpm);
+
+describe('TempoDetector', () => {
+    it('should find the tempo of steady notes', () => {
+        const detector = new TempoDetector();
+        sing(detector, beats(100, 12));
+
+        // Onsets are only seen on the 11.6 ms frame grid
+        expect(Math.abs(detector.currentTempo.bpm - 100)).toBeLessThan(1);
+        expect(detector.currentTempo.source).toBe('voice');
+        expect(detector.currentTempo.confidence).toBeGreaterThan(0.5);
+    });
+
+    it('should agree on the beat across eighths, quarters and rests', () => {
+        // 120 BPM: eighth-eighth-quarter, then a quarter rest
+        const pattern = [0, 250, 500, 1500, 1750, 2000, 3000, 3250, 3500, 4500, 5000, 5500];
+        const detector = new TempoDetector();
+        sing(detector, pattern);
+
+        expect(detector.estimate().bpm).toBeGreaterThan(117);
+        expect(detector.estimate().bpm).toBeLessThan(123);
+    });
+
+    it('should tolerate loose sung timing', () => {
+        const jitter = [0, 18, -15, 10, -20, 5, 15, -10, 0, 12];
+        const detector = new TempoDetector();
+        sing(detector, beats(90, 10).map((time, i) => time + jitter[i]));
+
+        expect(Math.abs(detector.currentTempo.bpm - 90)).toBeLessThan(3);
+    });
+
+    it('should count each attack once and wait for enough onsets', () => {
+        const detector = new TempoDetector({ minOnsets: 4 });
+        sing(detector, beats(100, 3));
+
+        expect(detector.onsets).toHaveLength(3);
+        expect(detector.estimate()).toBe(null);
+        expect(detector.currentTempo).toBe(null);
+    });
+
+    it('should report tempo changes once they are clear', () => {
+        const onTempoChange = vi.fn();
+        const detector = new TempoDetector({ onTempoChange });
+
+        sing(detector, beats(100, 10));
+        expect(onTempoChange).toHaveBeenCalledTimes(1);
+
+        const start = 20000;
+        sing(detector, beats(130, 16, start), { startMs: start - 200 });
+        expect(onTempoChange.mock.calls.length).toBeGreaterThan(1);
+        expect(Math.abs(detector.currentTempo.bpm - 130)).toBeLessThan(1);
+    });
+
+    it('should average taps and restart after a pause', () => {
+        const onTempoChange = vi.fn();
+        const detector = new TempoDetector({ onTempoChange });
+
+        expect(detector.tap(0)).toBe(null);
+        detector.tap(500);
+        detector.tap(1000);
+        expect(detector.tap(1500)).toBe(120);
+        expect(onTempoChange).toHaveBeenLastCalledWith({ bpm: 120, confidence: 1, source: 'tap' });
+
+        expect(detector.tap(5000)).toBe(null);
+        expect(detector.tap(5750)).toBe(80);
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TimedSteps } from '../../js/core/timed-steps.js';
+import { CalibrationSystem } from '../../js/calibration.js';
+
+describe('TimedSteps', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should run each step for its duration, then finish', () => {
+        const events = [];
+        const steps = new TimedSteps({
+            count: 2,
+            duration: 200,
+            onStepStart: (step) => events.push(`start ${step}`),
+            onStepEnd: (step) => events.push(`end ${step}`),
+            onFinish: () => events.push('finish')
+        });
+        const progress = [];
+        steps.onProgress = (update) => progress.push(update);
+
+        steps.start();
+        expect(steps).toMatchObject({ isRunning: true, step: 1 });
+
+        vi.advanceTimersByTime(100);
+        expect(progress.at(-1)).toEqual({ step: 1, progress: 50, elapsed: 100, remaining: 100 });
+
+        vi.advanceTimersByTime(100);
+        expect(steps.step).toBe(2);
+        vi.advanceTimersByTime(200);
+
+        expect(events).toEqual(['start 1', 'end 1', 'start 2', 'end 2', 'finish']);
+        expect(steps).toMatchObject({ isRunning: false, step: 3, timerInterval: null });
+    });
+
+    it('should end a step early and go idle when cancelled', () => {
+        const onStepEnd = vi.fn();
+        const steps = new TimedSteps({ count: 3, duration: 1000, onStepEnd });
+
+        steps.start();
+        steps.completeStep();
+        expect(onStepEnd).toHaveBeenCalledWith(1);
+        expect(steps.step).toBe(2);
+
+        steps.cancel();
+        expect(steps).toMatchObject({ isRunning: false, step: 0, timerInterval: null });
+        vi.advanceTimersByTime(5000);
+        expect(onStepEnd).toHaveBeenCalledTimes(1);
+    });
+
+    it('should drive CalibrationSystem through its lowest and highest note steps', () => {
+        const calibration = new CalibrationSystem({
+            pitchDetector: { frequencyToNote: (f) => ({ fullNote: `${Math.round(f)}Hz` }) }
+        });
+        const onComplete = vi.fn();
+        calibration.onCalibrationComplete = onComplete;
+
+        calibration.start();
+        calibration.processPitch({ frequency: 110, confidence: 0.9 });
+        vi.advanceTimersByTime(calibration.sampleDuration);
+        expect(calibration.calibrationStep).toBe(2);
+
+        // No high note sung: the step still ends on time with the default C5
+        vi.advanceTimersByTime(calibration.sampleDuration);
+        expect(calibration.isCalibrating).toBe(false);
+        expect(onComplete).toHaveBeenCalledWith(expect.objectContaining({ lowestNote: '110Hz', highestNote: 'C5' }));
+    });
+});
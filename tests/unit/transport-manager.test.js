@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { TransportManager } from '../../js/managers/transport-manager.js';
+import { store } from '../../js/state/store.js';
+import { installToneMock } from '../helpers/mockTone.js';
+
+describe('TransportManager', () => {
+    let Tone;
+    let transport;
+
+    // Fire the beat repeat as Tone.Transport would
+    const playBeats = (count) => {
+        const repeat = Tone.Transport.repeats.find(Boolean);
+        for (let i = 0; i < count; i++) repeat.callback(transport.startTime + i * transport.beatDuration);
+    };
+
+    beforeEach(() => {
+        Tone = installToneMock();
+        store.setState({ transport: { bpm: 120, beatsPerBar: 4, beatUnit: 4, click: false, quantize: 'off', followVoice: true } });
+        transport = new TransportManager();
+    });
+
+    it('should drive Tone.Transport in quarter notes', () => {
+        transport.setTimeSignature(6, 8);
+        transport.setTempo(180);
+        transport.start();
+
+        expect(Tone.Transport.bpm.value).toBe(90);
+        expect(Tone.Transport.timeSignature).toEqual([6, 8]);
+        expect(Tone.Transport.repeats[0].interval).toBe('8n');
+        expect(Tone.Transport.state).toBe('started');
+        expect(transport.startTime).toBeCloseTo(0.05, 6);
+        expect(transport.barDuration).toBeCloseTo(2, 6);
+        expect(transport.getSubdivisionDuration('16n')).toBeCloseTo(1 / 6, 6);
+    });
+
+    it('should report bar and beat and click only when enabled', () => {
+        const beats = [];
+        transport.onBeat = ({ bar, beat }) => beats.push(`${bar}.${beat}`);
+        transport.setTimeSignature(3, 4);
+        transport.start();
+
+        playBeats(2);
+        expect(transport._clicker).toBe(null);
+
+        transport.setClick(true);
+        playBeats(2);
+
+        expect(beats).toEqual(['1.1', '1.2', '1.3', '2.1']);
+        expect(transport.position).toEqual({ bar: 2, beat: 1 });
+        expect(transport._clicker.triggered.map(click => click.frequency)).toEqual(['G5', 'C6']);
+    });
+
+    it('should snap onsets to the nearer grid line, never earlier than sung', () => {
+        transport.start(); // bar 1 at 0.05 s, eighths every 0.25 s
+        transport.setQuantize('8n');
+
+        Tone.now.mockReturnValue(1.0);
+        expect(transport.quantize(1.0)).toBeCloseTo(1.05, 6);
+
+        Tone.now.mockReturnValue(0.85);
+        expect(transport.quantize(0.85)).toBe(0.85);
+
+        transport.setQuantize('off');
+        expect(transport.quantize(1.0)).toBe(1.0);
+    });
+
+    it('should find the next downbeat', () => {
+        expect(transport.nextBarTime()).toBe(0); // stopped: now
+
+        transport.start();
+        Tone.now.mockReturnValue(1.0);
+        expect(transport.nextBarTime()).toBeCloseTo(2.05, 6);
+    });
+
+    it('should keep the store in sync and reject unknown grids', () => {
+        transport.setTempo(500);
+        transport.setQuantize('16n');
+
+        expect(transport.getConfig()).toMatchObject({ bpm: 300, quantize: '16n' });
+        expect(() => transport.setQuantize('3n')).toThrow(/Unknown quantize grid/);
+        expect(() => transport.setTimeSignature(4, 3)).toThrow(/Unsupported beat unit/);
+    });
+
+    it('should follow detected tempo only when asked, but always take taps', () => {
+        expect(transport.applyDetectedTempo({ bpm: 97.6, source: 'voice' })).toBe(true);
+        expect(transport.bpm).toBe(98);
+
+        transport.setFollowVoice(false);
+        expect(transport.applyDetectedTempo({ bpm: 140, source: 'voice' })).toBe(false);
+        expect(transport.applyDetectedTempo({ bpm: 84, source: 'tap' })).toBe(true);
+        expect(transport.getConfig()).toMatchObject({ bpm: 84, followVoice: false });
+        expect(Tone.Transport.bpm.value).toBe(84);
+    });
+
+    it('should restart from bar 1 when the meter changes while running', () => {
+        transport.start();
+        playBeats(5);
+        transport.setTimeSignature(3, 4);
+
+        expect(Tone.Transport.repeats[0]).toBe(null);
+        const beats = [];
+        transport.onBeat = ({ bar, beat }) => beats.push(`${bar}.${beat}`);
+        playBeats(1);
+        expect(beats).toEqual(['1.1']);
+
+        transport.stop();
+        expect(transport.isRunning).toBe(false);
+        expect(Tone.Transport.state).toBe('stopped');
+    });
+});
@@ -13,6 +13,7 @@ describe('VisualizerManager', () => {
             beginPath: vi.fn(),
             moveTo: vi.fn(),
             lineTo: vi.fn(),
+            quadraticCurveTo: vi.fn(),
             stroke: vi.fn(),
             fill: vi.fn(),
             fillRect: vi.fn(),
@@ -116,7 +117,25 @@ describe('VisualizerManager', () => {
 
             expect(visualizer.points.length).toBe(5);
         });
-        
+
+        it('should stamp transport beats on the next point and draw them', () => {
+            visualizer.width = 800;
+            visualizer.height = 600;
+
+            visualizer.markBeat({ bar: 2, beat: 1 });
+            visualizer.update({ frequency: 440, confidence: 0.9 });
+            visualizer.update({ frequency: 440, confidence: 0.9 });
+            visualizer.markBeat({ bar: 2, beat: 2 });
+            visualizer.update({ frequency: 440, confidence: 0.9 });
+
+            expect(visualizer.points.map(p => p.beat)).toEqual(['bar', null, 'beat']);
+
+            visualizer.draw();
+            const markerX = 2 * 800 / 299;
+            expect(mockCtx.moveTo).toHaveBeenCalledWith(0, 0);
+            expect(mockCtx.lineTo).toHaveBeenCalledWith(markerX, 600);
+        });
+
         // Removed draw trigger test as update() only updates data
     });
 
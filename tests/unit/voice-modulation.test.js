@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    VoiceModulationManager,
+    VOICE_SOURCES,
+    VOICE_MODULATION_STORAGE_KEY
+} from '../../js/features/voice-modulation.js';
+import { VOWEL_FORMANTS } from '../../js/pitch-dsp.js';
+
+function createMockStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        getItem: vi.fn(key => (key in data ? data[key] : null)),
+        setItem: vi.fn((key, value) => { data[key] = String(value); }),
+        data
+    };
+}
+
+const frame = (overrides = {}) => ({
+    formantF1: 0,
+    formantF2: 0,
+    brightness: 0.5,
+    breathiness: 0.2,
+    volumeDb: -30,
+    vibratoDepth: 0,
+    ...overrides
+});
+
+describe('VoiceModulationManager', () => {
+    let storage;
+    let manager;
+    let reverb;
+
+    beforeEach(() => {
+        storage = createMockStorage();
+        manager = new VoiceModulationManager({ storage });
+
+        reverb = vi.fn();
+        manager.registerTarget({ id: 'reverb', label: 'Reverb', apply: reverb });
+        manager.registerTarget({ id: 'startStop', label: 'Start / Stop', kind: 'trigger', apply: vi.fn() });
+    });
+
+    describe('Sources', () => {
+        it('should read the vowel position from the formants', () => {
+            const open = frame({ formantF1: VOWEL_FORMANTS.a[0], formantF2: VOWEL_FORMANTS.a[1] });
+            const closed = frame({ formantF1: VOWEL_FORMANTS.u[0], formantF2: VOWEL_FORMANTS.u[1] });
+
+            expect(VOICE_SOURCES.vowelOpenness.read(open)).toBeGreaterThan(0.9);
+            expect(VOICE_SOURCES.vowelOpenness.read(closed)).toBeLessThan(0.1);
+            expect(VOICE_SOURCES.vowelOpenness.read(frame())).toBe(null);
+        });
+
+        it('should normalize volume and vibrato depth to 0-1', () => {
+            expect(VOICE_SOURCES.volume.read(frame({ volumeDb: -30 }))).toBeCloseTo(0.5, 6);
+            expect(VOICE_SOURCES.volume.read(frame({ volumeDb: -90 }))).toBe(0);
+            expect(VOICE_SOURCES.vibratoDepth.read(frame({ vibratoDepth: 50 }))).toBeCloseTo(0.5, 6);
+        });
+    });
+
+    describe('Mappings', () => {
+        it('should only offer continuous targets', () => {
+            expect(manager.getTargets().map(target => target.id)).toEqual(['reverb']);
+            expect(() => manager.setMapping('startStop', 'volume')).toThrow(/trigger/);
+            expect(() => manager.setMapping('missing', 'volume')).toThrow(/Unknown target/);
+            expect(() => manager.setMapping('reverb', 'pitch')).toThrow(/Unknown source/);
+        });
+
+        it('should keep range and curve when the source changes', () => {
+            manager.setMapping('reverb', 'volume');
+            manager.updateMapping('reverb', { min: 0.2, max: 0.6, curve: 'exponential' });
+            manager.setMapping('reverb', 'brightness');
+
+            expect(manager.getMapping('reverb')).toEqual({
+                targetId: 'reverb',
+                sourceId: 'brightness',
+                min: 0.2,
+                max: 0.6,
+                curve: 'exponential'
+            });
+        });
+
+        it('should persist mappings and notify listeners', () => {
+            const onMappingsChange = vi.fn();
+            manager.onMappingsChange = onMappingsChange;
+
+            manager.setMapping('reverb', 'vowelOpenness');
+            expect(onMappingsChange).toHaveBeenCalledWith([expect.objectContaining({ sourceId: 'vowelOpenness' })]);
+
+            const restored = new VoiceModulationManager({ storage });
+            expect(restored.getMapping('reverb').sourceId).toBe('vowelOpenness');
+
+            manager.removeMapping('reverb');
+            expect(JSON.parse(storage.data[VOICE_MODULATION_STORAGE_KEY])).toEqual([]);
+        });
+
+        it('should ignore corrupt saved mappings', () => {
+            const broken = createMockStorage({ [VOICE_MODULATION_STORAGE_KEY]: '{not json' });
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            expect(new VoiceModulationManager({ storage: broken }).getMappings()).toEqual([]);
+            warn.mockRestore();
+        });
+    });
+
+    describe('Processing', () => {
+        it('should apply the mapped source through range and curve', () => {
+            manager.setMapping('reverb', 'volume');
+            manager.updateMapping('reverb', { min: 0.2, max: 0.6 });
+
+            manager.process(frame({ volumeDb: -30 }));
+            expect(reverb).toHaveBeenLastCalledWith(expect.closeTo(0.4, 6));
+        });
+
+        it('should skip frames without the feature and small changes', () => {
+            manager.setMapping('reverb', 'vowelOpenness');
+
+            manager.process(frame());
+            expect(reverb).not.toHaveBeenCalled();
+
+            manager.process(frame({ formantF1: 500, formantF2: 1000 }));
+            manager.process(frame({ formantF1: 501, formantF2: 1000 }));
+            expect(reverb).toHaveBeenCalledTimes(1);
+
+            manager.process(frame({ formantF1: 700, formantF2: 1000 }));
+            expect(reverb).toHaveBeenCalledTimes(2);
+        });
+
+        it('should keep going when a target throws', () => {
+            const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+            const delay = vi.fn();
+            manager.registerTarget({ id: 'delay', label: 'Delay', apply: delay });
+            reverb.mockImplementation(() => { throw new Error('boom'); });
+
+            manager.setMapping('reverb', 'volume');
+            manager.setMapping('delay', 'volume');
+            manager.process(frame());
+
+            expect(delay).toHaveBeenCalledTimes(1);
+            expect(error).toHaveBeenCalled();
+            error.mockRestore();
+        });
+    });
+});
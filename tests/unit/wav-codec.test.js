@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { encodeWav, decodeWav, findWavChunk, concatFloat32 } from '../../js/utils/wav-codec.js';
+
+const readAscii = (view, offset, length) =>
+    String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)));
+
+describe('WavCodec', () => {
+    describe('concatFloat32', () => {
+        it('should join chunks in order', () => {
+            const joined = concatFloat32([new Float32Array([1, 2]), new Float32Array([3])]);
+            expect(Array.from(joined)).toEqual([1, 2, 3]);
+        });
+
+        it('should return an empty array for no chunks', () => {
+            expect(concatFloat32([]).length).toBe(0);
+        });
+    });
+
+    describe('encodeWav', () => {
+        it('should write a valid 16-bit stereo header', () => {
+            const left = new Float32Array(10);
+            const right = new Float32Array(10);
+            const view = new DataView(encodeWav([left, right], 48000, 16));
+
+            expect(readAscii(view, 0, 4)).toBe('RIFF');
+            expect(readAscii(view, 8, 4)).toBe('WAVE');
+            expect(readAscii(view, 12, 4)).toBe('fmt ');
+            expect(view.getUint16(20, true)).toBe(1); // PCM
+            expect(view.getUint16(22, true)).toBe(2);
+            expect(view.getUint32(24, true)).toBe(48000);
+            expect(view.getUint32(28, true)).toBe(48000 * 4);
+            expect(view.getUint16(32, true)).toBe(4);
+            expect(view.getUint16(34, true)).toBe(16);
+            expect(readAscii(view, 36, 4)).toBe('data');
+            expect(view.getUint32(40, true)).toBe(40);
+            expect(view.byteLength).toBe(44 + 40);
+        });
+
+        it('should interleave and clamp 16-bit samples', () => {
+            const left = new Float32Array([1, -1, 2]);
+            const right = new Float32Array([0, 0.5, -2]);
+            const view = new DataView(encodeWav([left, right], 44100, 16));
+
+            expect(view.getInt16(44, true)).toBe(32767);
+            expect(view.getInt16(46, true)).toBe(0);
+            expect(view.getInt16(48, true)).toBe(-32768);
+            expect(view.getInt16(50, true)).toBe(Math.trunc(0.5 * 0x7FFF));
+            expect(view.getInt16(52, true)).toBe(32767); // clamped
+            expect(view.getInt16(54, true)).toBe(-32768); // clamped
+        });
+
+        it('should encode 24-bit samples little-endian', () => {
+            const view = new DataView(encodeWav([new Float32Array([1, -1])], 44100, 24));
+            const readInt24 = (offset) => {
+                const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+                return value & 0x800000 ? value - 0x1000000 : value;
+            };
+
+            expect(view.getUint16(34, true)).toBe(24);
+            expect(view.getUint16(32, true)).toBe(3);
+            expect(view.getUint32(40, true)).toBe(6);
+            expect(readInt24(44)).toBe(0x7FFFFF);
+            expect(readInt24(47)).toBe(-0x800000);
+        });
+
+        it('should reject unsupported bit depths and empty input', () => {
+            expect(() => encodeWav([new Float32Array(1)], 44100, 8)).toThrow(RangeError);
+            expect(() => encodeWav([], 44100, 16)).toThrow(RangeError);
+        });
+    });
+
+    describe('decodeWav', () => {
+        it('should round-trip 16-bit and 24-bit files', () => {
+            const left = new Float32Array([0, 0.5, -0.5, 0.25]);
+            const right = new Float32Array([-1, 0.1, 0.2, 0.3]);
+
+            [16, 24].forEach(bitDepth => {
+                const decoded = decodeWav(encodeWav([left, right], 22050, bitDepth));
+                expect(decoded.sampleRate).toBe(22050);
+                expect(decoded.bitDepth).toBe(bitDepth);
+                expect(decoded.channels).toHaveLength(2);
+                decoded.channels[1].forEach((sample, i) => expect(sample).toBeCloseTo(right[i], 3));
+            });
+        });
+
+        it('should skip unknown chunks and read 32-bit float', () => {
+            // RIFF + fmt (float) + LIST (odd size, padded) + data
+            const buffer = new ArrayBuffer(12 + 24 + 8 + 4 + 8 + 8);
+            const view = new DataView(buffer);
+            const write = (offset, text) => [...text].forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+
+            write(0, 'RIFF');
+            view.setUint32(4, buffer.byteLength - 8, true);
+            write(8, 'WAVE');
+            write(12, 'fmt ');
+            view.setUint32(16, 16, true);
+            view.setUint16(20, 3, true); // IEEE float
+            view.setUint16(22, 1, true);
+            view.setUint32(24, 8000, true);
+            view.setUint32(28, 8000 * 4, true);
+            view.setUint16(32, 4, true);
+            view.setUint16(34, 32, true);
+            write(36, 'LIST');
+            view.setUint32(40, 3, true);
+            write(48, 'data');
+            view.setUint32(52, 8, true);
+            view.setFloat32(56, 0.75, true);
+            view.setFloat32(60, -0.125, true);
+
+            const { sampleRate, channels } = decodeWav(new Uint8Array(buffer));
+            expect(sampleRate).toBe(8000);
+            expect(Array.from(channels[0])).toEqual([0.75, -0.125]);
+        });
+
+        it('should reject non-WAV input', () => {
+            expect(() => decodeWav(new Uint8Array(16))).toThrow(RangeError);
+        });
+    });
+
+    describe('findWavChunk', () => {
+        it('should return the body of a chunk by id', () => {
+            const wav = new Uint8Array(encodeWav([new Float32Array([0.5, -0.5])], 8000));
+
+            expect(findWavChunk(wav, 'fmt ')).toHaveLength(16);
+            expect(findWavChunk(wav.buffer, 'data')).toHaveLength(4);
+            expect(findWavChunk(wav, 'clm ')).toBe(null);
+        });
+    });
+});
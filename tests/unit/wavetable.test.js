@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    WavetableSynth,
+    framePartials,
+    decodeWavetable,
+    registerWavetable,
+    unregisterWavetable,
+    getWavetable,
+    listWavetables
+} from '../../js/core/wavetable.js';
+import { encodeWav } from '../../js/utils/wav-codec.js';
+import { installToneMock } from '../helpers/mockTone.js';
+
+// One cycle of harmonic `k` per frame of `size` samples
+const cycle = (size, k = 1, amplitude = 1) =>
+    Float32Array.from({ length: size }, (_, n) => amplitude * Math.sin(2 * Math.PI * k * n / size));
+
+const join = (...frames) => {
+    const out = new Float32Array(frames.reduce((sum, frame) => sum + frame.length, 0));
+    frames.reduce((offset, frame) => (out.set(frame, offset), offset + frame.length), 0);
+    return out;
+};
+
+// Insert a chunk between the fmt and data chunks of a 44-byte-header WAV
+const withChunk = (buffer, id, text) => {
+    const wav = new Uint8Array(buffer);
+    const body = new TextEncoder().encode(text);
+    const padded = body.length + (body.length & 1);
+    const out = new Uint8Array(wav.length + 8 + padded);
+    out.set(wav.subarray(0, 36));
+    out.set(new TextEncoder().encode(id), 36);
+    new DataView(out.buffer).setUint32(40, body.length, true);
+    out.set(body, 44);
+    out.set(wav.subarray(36), 44 + padded);
+    new DataView(out.buffer).setUint32(4, out.length - 8, true);
+    return out;
+};
+
+describe('framePartials', () => {
+    it('should read harmonic amplitudes from one cycle', () => {
+        const frame = cycle(256, 1, 0.5).map((sample, n) => sample + 0.25 * Math.cos(2 * Math.PI * 3 * n / 256));
+        const partials = framePartials(frame, 4);
+
+        expect(partials).toHaveLength(4);
+        expect(partials[0]).toBeCloseTo(0.5, 6);
+        expect(partials[1]).toBeCloseTo(0, 6);
+        expect(partials[2]).toBeCloseTo(0.25, 6);
+    });
+});
+
+describe('decodeWavetable', () => {
+    it('should import a single-cycle wave as one frame', () => {
+        const table = decodeWavetable(encodeWav([cycle(600, 2)], 44100), { name: 'Octave' });
+
+        expect(table.name).toBe('Octave');
+        expect(table.frames).toHaveLength(1);
+        expect(table.frames[0][1]).toBeCloseTo(1, 3);
+    });
+
+    it('should keep a 4096-sample single cycle whole', () => {
+        const { frames } = decodeWavetable(encodeWav([cycle(4096, 3)], 44100));
+
+        expect(frames).toHaveLength(1);
+        expect(frames[0][2]).toBeCloseTo(1, 3);
+    });
+
+    it('should split Serum-style tables into 2048-sample frames', () => {
+        const wav = encodeWav([join(cycle(2048, 1), cycle(2048, 2), cycle(2048, 3))], 44100);
+        const { frames } = decodeWavetable(wav, { partials: 8 });
+
+        expect(frames).toHaveLength(3);
+        expect(frames.map(frame => frame.indexOf(Math.max(...frame)))).toEqual([0, 1, 2]);
+    });
+
+    it('should use the frame size from the clm chunk', () => {
+        const wav = withChunk(encodeWav([join(cycle(256, 1), cycle(256, 4))], 44100), 'clm ', '<!>256 10000000 wavetable (www.xferrecords.com)');
+        const { frames } = decodeWavetable(wav);
+
+        expect(frames).toHaveLength(2);
+        expect(frames[1]).toHaveLength(128);
+        expect(frames[1][3]).toBeCloseTo(1, 3);
+    });
+
+    it('should reject audio that is not a wavetable', () => {
+        expect(() => decodeWavetable(encodeWav([new Float32Array(5000)], 44100))).toThrow(RangeError);
+    });
+});
+
+describe('wavetable registry', () => {
+    it('should register tables next to the built-in ones', () => {
+        registerWavetable('custom:test', { name: 'Test', frames: [[1, 0.5], new Float32Array([0, 1])] });
+
+        expect(getWavetable('custom:test').frames).toEqual([[1, 0.5], [0, 1]]);
+        expect(listWavetables()).toContainEqual({ id: 'custom:test', name: 'Test', frames: 2, custom: true });
+        expect(getWavetable('basic').frames).toHaveLength(4);
+        expect(() => registerWavetable('basic', { frames: [[1]] })).toThrow();
+        expect(() => registerWavetable('custom:empty', { frames: [] })).toThrow(/at least one frame/);
+
+        expect(unregisterWavetable('custom:test')).toBe(true);
+        expect(getWavetable('custom:test')).toBe(null);
+    });
+});
+
+describe('WavetableSynth', () => {
+    const table = { name: 'Four', frames: [[1], [0, 1], [0, 0, 1], [0, 0, 0, 1]] };
+    let synth;
+
+    beforeEach(() => {
+        installToneMock();
+        synth = new WavetableSynth({ table });
+    });
+
+    it('should crossfade neighbouring frames on alternating oscillators', () => {
+        synth.setPosition(0.5); // frame 1.5
+        expect(synth.slotFrames).toEqual([2, 1]);
+        expect(synth.slotGains[0].gain.value).toBeCloseTo(0.5, 6);
+        expect(synth.slotGains[1].gain.value).toBeCloseTo(0.5, 6);
+
+        // Frame 2 stays on oscillator 0 while frame 3 takes over from frame 1
+        const frameTwo = synth.oscillators[0].partials;
+        synth.setPosition(0.9); // frame 2.7
+        expect(synth.oscillators[0].partials).toBe(frameTwo);
+        expect(synth.oscillators[1].partials).toEqual([0, 0, 0, 1]);
+        expect(synth.slotGains[1].gain.value).toBeCloseTo(0.7, 6);
+
+        synth.setPosition(1);
+        expect(synth.slotGains[1].gain.value).toBe(1);
+    });
+
+    it('should gate the envelope, follow pitch and swap tables in place', () => {
+        synth.triggerAttack(220, 0, 0.8);
+        synth.triggerRelease(1);
+        expect(synth.frequency.value).toBe(220);
+        expect(synth.envelope.triggered.map(event => event.type)).toEqual(['attack', 'release']);
+
+        synth.setTable({ frames: [[1]] });
+        expect(synth.slotFrames).toEqual([0, null]);
+        expect(synth.slotGains[1].gain.value).toBe(0);
+        expect(() => synth.setTable({ frames: [] })).toThrow(/no frames/);
+    });
+});